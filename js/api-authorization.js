@@ -0,0 +1,258 @@
+// Service Portal - API Authorization
+// Express middleware: resolves the authenticated dealer user from the session token (see auth-sessions.js)
+// and checks that every dealer/device/certificate/vehicle/group/template/search id in a request
+// belongs to that dealer before the handler runs, and that the user's role allows the action.
+// Staff impersonation sessions (staff-admin.js) may only read.
+// 401 = not authenticated, 403 = not yours / not allowed
+
+const { supabaseAdmin } = require('../config/supabase.js');
+const { AuthSessions } = require('./auth-sessions.js');
+const { DealerUsers } = require('./dealer-users.js');
+
+// /api routes reachable without a session (they check their own credentials)
+const PUBLIC_ROUTES = [
+    'POST /api/auth/request-pin',
+    'POST /api/auth/verify-pin',
+    'POST /api/auth/verify-totp',
+    'POST /api/auth/verify-recovery-code',
+    'POST /api/auth/passkey/login-options',
+    'POST /api/auth/passkey/login',
+    'POST /api/auth/refresh',
+    'POST /api/auth/logout',
+    'POST /api/auth/accept-invite',
+    'GET /api/auth/verify',
+    'GET /api/countries',
+    'POST /api/webhooks/twilio/status',
+    'POST /api/webhooks/twilio/incoming',
+    'POST /api/webhooks/ses',
+    'GET /api/unsubscribe',
+    'POST /api/unsubscribe',
+    'POST /api/unsubscribe/one-click'
+];
+
+// Staff console (/api/admin, debug routes included): authenticated by StaffAdmin with its own sessions
+const STAFF_PREFIX = '/api/admin/';
+
+// Internal routes that are not scoped to a dealer: only with the X-Admin-Key header
+// (matched against routePath(), lowercase)
+const ADMIN_ROUTES = [
+    /^\/api\/dealers$/,
+    /^\/api\/(email|database)\/status$/,
+    /^\/api\/(certificates|device|position|report)\/(test|simple)$/,
+    /^\/api\/certificate\/a21$/
+];
+
+// GET routes that bill the dealer: not available to impersonation sessions
+const BILLED_READS = [
+    /^\/api\/vehicle\/[^/]+\/ai-report$/
+];
+
+let deps = {
+    executeQuery: null
+};
+
+async function supabaseOwner(table, id) {
+    const { data, error } = await supabaseAdmin
+        .from(table)
+        .select('dealer_id')
+        .eq('id', id)
+        .maybeSingle();
+    if (error) throw error;
+    return data ? Number(data.dealer_id) : null;
+}
+
+async function certificateOwns(query, params) {
+    const rows = await deps.executeQuery(query, params);
+    return rows.length > 0;
+}
+
+// kind => (id, dealerId) => Promise<boolean>
+const OWNERSHIP = {
+    deviceId: (id, dealerId) => certificateOwns(
+        'SELECT 1 FROM certificate WHERE "deviceId" = $1 AND "dealerId" = $2 LIMIT 1',
+        [parseInt(id, 10), dealerId]
+    ),
+    certificateId: (id, dealerId) => certificateOwns(
+        'SELECT 1 FROM certificate WHERE id = $1 AND "dealerId" = $2 LIMIT 1',
+        [parseInt(id, 10), dealerId]
+    ),
+    vehicleId: (id, dealerId) => certificateOwns(
+        `SELECT 1 FROM certificate c
+         INNER JOIN device d ON c."deviceId" = d.id
+         WHERE d."vehicleId" = $1 AND c."dealerId" = $2 LIMIT 1`,
+        [parseInt(id, 10), dealerId]
+    ),
+    groupId: async (id, dealerId) => (await supabaseOwner('vehicle_groups', id)) === dealerId,
+    templateId: async (id, dealerId) => (await supabaseOwner('communication_templates', id)) === dealerId,
+    searchId: async (id, dealerId) => (await supabaseOwner('saved_searches', id)) === dealerId,
+    signatureId: async (id, dealerId) => (await supabaseOwner('dealer_signatures', id)) === dealerId,
+    testClientId: async (id, dealerId) => (await supabaseOwner('test_clients', id)) === dealerId,
+    campaignId: async (id, dealerId) => (await supabaseOwner('campaigns', id)) === dealerId,
+    ruleId: async (id, dealerId) => (await supabaseOwner('service_reminder_rules', id)) === dealerId,
+    alertId: async (id, dealerId) => (await supabaseOwner('vehicle_alerts', id)) === dealerId
+};
+
+/**
+ * Path of the request as Express routes it: case-insensitive and with or without a trailing slash, so
+ * /API/Dealers/ must be checked as /api/dealers
+ */
+function routePath(req) {
+    return `${req.baseUrl}${req.path}`.toLowerCase().replace(/\/+$/, '');
+}
+
+function forbidden(res) {
+    return res.status(403).json({ success: false, error: 'forbidden', message: 'Access denied' });
+}
+
+class ApiAuthorization {
+
+    /**
+     * @param {Object} options - { executeQuery(query, params) => rows } for the PostgreSQL ownership checks
+     */
+    static configure(options) {
+        deps = { ...deps, ...options };
+    }
+
+    /**
+     * Does the id belong to the dealer?
+     * @param {string} kind - key of OWNERSHIP (deviceId, certificateId, vehicleId, groupId, ...)
+     * @param {string|number} id
+     * @param {number} dealerId
+     * @returns {Promise<boolean>}
+     */
+    static async owns(kind, id, dealerId) {
+        const check = OWNERSHIP[kind];
+        if (!check) throw new Error(`unknown_ownership_kind: ${kind}`);
+        if (id === undefined || id === null || id === '') return false;
+        return check(id, dealerId);
+    }
+
+    static isPublic(req) {
+        return PUBLIC_ROUTES.includes(`${req.method} ${routePath(req)}`);
+    }
+
+    static isAdminRequest(req) {
+        const adminKey = process.env.ADMIN_API_KEY;
+        return !!adminKey && req.headers['x-admin-key'] === adminKey;
+    }
+
+    /**
+     * Mounted on /api: sets req.auth = { dealerId, userId, email, name, role, sessionId, impersonatedBy } or answers 401/403
+     */
+    static async authenticate(req, res, next) {
+        if (ApiAuthorization.isPublic(req)) return next();
+
+        const fullPath = routePath(req);
+        if (`${fullPath}/`.startsWith(STAFF_PREFIX)) return next();
+
+        if (ADMIN_ROUTES.some(pattern => pattern.test(fullPath))) {
+            if (ApiAuthorization.isAdminRequest(req)) return next();
+            return res.status(403).json({ success: false, error: 'admin_only', message: 'Admin key required' });
+        }
+
+        const token = AuthSessions.bearerToken(req);
+        if (!token) {
+            return res.status(401).json({ success: false, error: 'unauthorized', message: 'Authentication required' });
+        }
+
+        const result = await AuthSessions.authenticate(token);
+        if (!result.success) {
+            if (result.error === 'session_check_failed') {
+                return res.status(500).json({ success: false, error: 'authorization_check_failed' });
+            }
+            return res.status(401).json({ success: false, error: result.error, message: 'Authentication required' });
+        }
+
+        req.auth = {
+            dealerId: Number(result.session.dealerId),
+            userId: result.session.userId,
+            email: result.session.email,
+            name: result.session.name,
+            role: result.session.role,
+            sessionId: result.session.id,
+            impersonatedBy: result.session.impersonatedBy
+        };
+
+        if (req.auth.impersonatedBy) {
+            if (!['GET', 'HEAD'].includes(req.method) || BILLED_READS.some(pattern => pattern.test(fullPath))) {
+                return res.status(403).json({ success: false, error: 'impersonation_read_only', message: 'Support sessions are read-only' });
+            }
+            console.log(`👁️ Impersonazione staff ${req.auth.impersonatedBy} su dealer ${req.auth.dealerId}: ${req.method} ${req.originalUrl}`);
+        }
+        next();
+    }
+
+    /**
+     * Route middleware: the user's role must grant the permission (see DealerUsers ROLE_PERMISSIONS).
+     * Admin-key requests have no req.auth and pass
+     * @param {string} permission - billing, communications_send, templates_edit, groups_manage, users_manage, alerts_manage
+     */
+    static requirePermission(permission) {
+        return (req, res, next) => {
+            if (!req.auth || DealerUsers.can(req.auth.role, permission)) return next();
+            console.warn(`🚫 Utente ${req.auth.userId} (${req.auth.role}) senza permesso ${permission}: ${req.method} ${req.originalUrl}`);
+            res.status(403).json({ success: false, error: 'insufficient_role', message: 'Your role does not allow this action' });
+        };
+    }
+
+    /**
+     * Mounted on /api after authenticate: dealer ids and vehicle ids sent in the body / query string
+     */
+    static async checkRequestIds(req, res, next) {
+        if (!req.auth) return next();
+
+        const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {};
+        const dealerIds = [body.dealerId, body.dealer_id, req.query.dealerId]
+            .filter(value => value !== undefined && value !== null && value !== '');
+        if (dealerIds.some(value => Number(value) !== req.auth.dealerId)) {
+            console.warn(`🚫 Dealer ${req.auth.dealerId} ha usato dealerId ${dealerIds.join(',')} su ${req.method} ${req.originalUrl}`);
+            return forbidden(res);
+        }
+
+        if (body.vehicleId !== undefined) {
+            try {
+                if (!(await ApiAuthorization.owns('vehicleId', body.vehicleId, req.auth.dealerId))) {
+                    return forbidden(res);
+                }
+            } catch (error) {
+                console.error('❌ Authorization check error:', error.message);
+                return res.status(500).json({ success: false, error: 'authorization_check_failed' });
+            }
+        }
+        next();
+    }
+
+    /**
+     * app.param handler for :dealerId
+     */
+    static dealerParam(req, res, next, value) {
+        if (!req.auth) return next();
+        if (Number(value) !== req.auth.dealerId) {
+            console.warn(`🚫 Dealer ${req.auth.dealerId} ha richiesto dealer ${value}: ${req.method} ${req.originalUrl}`);
+            return forbidden(res);
+        }
+        next();
+    }
+
+    /**
+     * app.param handler factory for ids owned by a dealer (deviceId, certificateId, groupId, ...)
+     * @param {string} kind - key of OWNERSHIP
+     */
+    static ownedParam(kind) {
+        return async (req, res, next, value) => {
+            if (!req.auth) return next();
+            try {
+                if (!(await ApiAuthorization.owns(kind, value, req.auth.dealerId))) {
+                    console.warn(`🚫 Dealer ${req.auth.dealerId} non possiede ${kind} ${value}: ${req.method} ${req.originalUrl}`);
+                    return forbidden(res);
+                }
+                next();
+            } catch (error) {
+                console.error('❌ Authorization check error:', error.message);
+                res.status(500).json({ success: false, error: 'authorization_check_failed' });
+            }
+        };
+    }
+}
+
+module.exports = { ApiAuthorization };
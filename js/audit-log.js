@@ -0,0 +1,176 @@
+// Service Portal - Audit Log
+// Append-only trail of dealer actions (see supabase-audit-events.sql): who did what, on which
+// record, with before/after JSON, IP and user agent. Recording never fails the request it describes
+
+const { supabaseAdmin } = require('../config/supabase.js');
+
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const EXPORT_LIMIT = 5000; // rows per CSV export
+
+// Actions written by server.js (filter list of the settings page)
+const ACTIONS = [
+    'communications.send',
+    'communications.send_manual',
+    'campaign.pause',
+    'campaign.resume',
+    'campaign.cancel',
+    'campaign.reschedule',
+    'communications.send_window_update',
+    'service_reminder.create',
+    'service_reminder.update',
+    'service_reminder.delete',
+    'vehicle_alert.acknowledge',
+    'vehicle_alert.resolve',
+    'vehicle_alert.settings_update',
+    'billing.recharge_started',
+    'billing.alert_settings_update',
+    'billing.statement_close',
+    'template.create',
+    'template.update',
+    'template.delete',
+    'saved_search.create',
+    'saved_search.update',
+    'saved_search.delete',
+    'vehicle_group.create',
+    'vehicle_group.update',
+    'vehicle_group.delete',
+    'vehicle_group.vehicle_add',
+    'vehicle_group.vehicle_remove',
+    'signature.save',
+    'signature.delete',
+    'test_client.save',
+    'test_client.delete'
+];
+
+const CSV_COLUMNS = [
+    'created_at', 'actor_email', 'actor_name', 'actor_role', 'action', 'target_type', 'target_id',
+    'contacts', 'ip_address', 'user_agent', 'before', 'after'
+];
+
+let deps = {
+    // (req) => client address
+    clientIp: (req) => req.ip
+};
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Emails lowercase, phone numbers as +digits, so a complaint can be looked up however it is typed
+function normalizeContact(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    if (text.includes('@')) return text.toLowerCase();
+    const digits = text.replace(/[^\d]/g, '');
+    if (!digits) return null;
+    return text.startsWith('+') || text.startsWith('00') ? `+${digits.replace(/^00/, '')}` : digits;
+}
+
+class AuditLog {
+
+    /**
+     * @param {Object} options - { clientIp(req) }
+     */
+    static configure(options) {
+        deps = { ...deps, ...options };
+    }
+
+    static get actions() {
+        return ACTIONS;
+    }
+
+    static normalizeContact(value) {
+        return normalizeContact(value);
+    }
+
+    /**
+     * Append an event for the authenticated user of the request
+     * @param {Object} req - Express request (req.auth from ApiAuthorization)
+     * @param {{action:string, targetType?:string, targetId?:string|number, before?:Object, after?:Object, contacts?:string[], dealerId?:number}} event
+     */
+    static async record(req, { action, targetType = null, targetId = null, before = null, after = null, contacts = null, dealerId = null }) {
+        const auth = req.auth || {};
+        const normalizedContacts = contacts
+            ? [...new Set(contacts.map(normalizeContact).filter(Boolean))]
+            : [];
+
+        try {
+            const { error } = await supabaseAdmin
+                .from('audit_events')
+                .insert({
+                    dealer_id: dealerId ?? auth.dealerId,
+                    actor_user_id: auth.userId || null,
+                    actor_email: auth.email || null,
+                    actor_name: auth.name || null,
+                    actor_role: auth.role || null,
+                    action,
+                    target_type: targetType,
+                    target_id: targetId === null || targetId === undefined ? null : String(targetId),
+                    before,
+                    after,
+                    contacts: normalizedContacts.length ? normalizedContacts : null,
+                    ip_address: deps.clientIp(req) || null,
+                    user_agent: req.headers?.['user-agent'] ? req.headers['user-agent'].slice(0, 500) : null
+                });
+            if (error) throw error;
+        } catch (error) {
+            console.error(`❌ Errore scrittura audit ${action} (dealer ${dealerId ?? auth.dealerId}):`, error.message);
+        }
+    }
+
+    /**
+     * Events of a dealer, newest first
+     * @param {number} dealerId
+     * @param {{action?:string, actorUserId?:string, targetType?:string, targetId?:string, contact?:string, from?:string, to?:string, limit?:number, offset?:number, export?:boolean}} filters - export: first EXPORT_LIMIT rows, paging ignored
+     * @returns {Promise<{data:Array, total:number}>}
+     */
+    static async list(dealerId, filters = {}) {
+        const limit = filters.export
+            ? EXPORT_LIMIT
+            : Math.min(Math.max(parseInt(filters.limit, 10) || PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const offset = filters.export ? 0 : Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+        let query = supabaseAdmin
+            .from('audit_events')
+            .select('*', { count: 'exact' })
+            .eq('dealer_id', dealerId);
+        if (filters.action) query = query.eq('action', filters.action);
+        if (filters.actorUserId) query = query.eq('actor_user_id', filters.actorUserId);
+        if (filters.targetType) query = query.eq('target_type', filters.targetType);
+        if (filters.targetId) query = query.eq('target_id', String(filters.targetId));
+        if (filters.contact) {
+            const contact = normalizeContact(filters.contact);
+            if (contact) query = query.contains('contacts', [contact]);
+        }
+        if (filters.from) query = query.gte('created_at', new Date(filters.from).toISOString());
+        if (filters.to) query = query.lt('created_at', new Date(filters.to).toISOString());
+
+        const { data, error, count } = await query
+            .order('created_at', { ascending: false })
+            .order('id', { ascending: false })
+            .range(offset, offset + limit - 1);
+        if (error) throw error;
+        return { data: data || [], total: count || 0 };
+    }
+
+    /**
+     * CSV export (semicolon separated like the billing statements, BOM for Excel)
+     * @param {Array} events
+     */
+    static toCSV(events) {
+        const rows = [CSV_COLUMNS];
+        for (const event of events) {
+            rows.push(CSV_COLUMNS.map(column => {
+                const value = event[column];
+                if (column === 'contacts') return (value || []).join(', ');
+                if (column === 'before' || column === 'after') return value ? JSON.stringify(value) : '';
+                return value;
+            }));
+        }
+        return '\uFEFF' + rows.map(r => r.map(csvCell).join(';')).join('\r\n') + '\r\n';
+    }
+}
+
+module.exports = { AuditLog, normalizeContact };
@@ -9,6 +9,8 @@ const AUTH_CONFIG = {
     STORAGE_KEYS: {
         USER: 'servicehub-user',
         TOKEN: 'servicehub-auth-token',
+        TOKEN_EXPIRES_AT: 'servicehub-token-expires-at',
+        REFRESH_TOKEN: 'servicehub-refresh-token',
         REMEMBER: 'servicehub-remember',
         LANGUAGE: 'servicehub-language'
     },
@@ -26,7 +28,9 @@ const AUTH_CONFIG = {
     API: {
         LOGIN: '/api/auth/login',
         LOGOUT: '/api/auth/logout',
-        VERIFY: '/api/auth/verify'
+        VERIFY: '/api/auth/verify',
+        REFRESH: '/api/auth/refresh',
+        SESSIONS: '/api/auth/sessions'
     }
 };
 
@@ -89,6 +93,8 @@ class AuthManager {
     clearAuthData() {
         // Clear from both storages
         localStorage.removeItem(this.config.STORAGE_KEYS.TOKEN);
+        localStorage.removeItem(this.config.STORAGE_KEYS.TOKEN_EXPIRES_AT);
+        localStorage.removeItem(this.config.STORAGE_KEYS.REFRESH_TOKEN);
         localStorage.removeItem(this.config.STORAGE_KEYS.USER);
         localStorage.removeItem(this.config.STORAGE_KEYS.REMEMBER);
         sessionStorage.removeItem(this.config.STORAGE_KEYS.TOKEN);
@@ -19,6 +19,7 @@ class AuthGuard {
         this.loginUrl = '/pages/login.html';
         this.publicPages = ['/pages/login.html', '/logout.html'];
         this.isProduction = this.checkProductionEnvironment();
+        this.refreshPromise = null;
     }
 
     /**
@@ -42,17 +43,18 @@ class AuthGuard {
     }
 
     /**
-     * Verify authentication status
+     * Verify authentication status (local check; the server check is verifySession)
      */
     isAuthenticated() {
         const token = localStorage.getItem('servicehub-auth-token') || sessionStorage.getItem('servicehub-auth-token');
+        const refreshToken = localStorage.getItem('servicehub-refresh-token');
         const user = localStorage.getItem('servicehub-user') || sessionStorage.getItem('servicehub-user');
         
-        if (!token || !user) {
+        if (!token || !refreshToken || !user) {
             return false;
         }
 
-        // Verify token is not expired
+        // expiresAt is the server-side session expiry (refresh token lifetime)
         try {
             const userData = JSON.parse(user);
             if (userData.expiresAt && new Date() > new Date(userData.expiresAt)) {
@@ -68,6 +70,206 @@ class AuthGuard {
         return true;
     }
 
+    /**
+     * Store a token pair returned by verify-pin or refresh
+     */
+    storeTokens(tokens) {
+        localStorage.setItem('servicehub-auth-token', tokens.token);
+        localStorage.setItem('servicehub-token-expires-at', tokens.expiresAt);
+        localStorage.setItem('servicehub-refresh-token', tokens.refreshToken);
+    }
+
+    /**
+     * Get a new access token with the refresh token (one request at a time)
+     * @returns {Promise<boolean>}
+     */
+    refreshSession() {
+        if (this.refreshPromise) {
+            return this.refreshPromise;
+        }
+
+        const refreshToken = localStorage.getItem('servicehub-refresh-token');
+        if (!refreshToken) {
+            return Promise.resolve(false);
+        }
+
+        this.refreshPromise = fetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        })
+            .then(response => response.json())
+            .then(result => {
+                if (!result.success) {
+                    return false;
+                }
+                this.storeTokens(result);
+                return true;
+            })
+            .catch(error => {
+                // Network error: keep the tokens, the next check retries
+                console.warn('Token refresh failed:', error.message);
+                return true;
+            })
+            .finally(() => {
+                this.refreshPromise = null;
+            });
+
+        return this.refreshPromise;
+    }
+
+    /**
+     * Refresh the access token when it is about to expire
+     * @returns {Promise<boolean>}
+     */
+    async ensureFreshToken() {
+        const expiresAt = localStorage.getItem('servicehub-token-expires-at');
+        if (expiresAt && new Date(expiresAt).getTime() - Date.now() > 60 * 1000) {
+            return true;
+        }
+        return this.refreshSession();
+    }
+
+    /**
+     * Ask the server whether the session is still valid (signature, expiry, not revoked)
+     * @returns {Promise<boolean>}
+     */
+    async verifySession() {
+        if (!(await this.ensureFreshToken())) {
+            return false;
+        }
+
+        const check = () => fetch('/api/auth/verify', {
+            headers: { 'Authorization': `Bearer ${localStorage.getItem('servicehub-auth-token')}` }
+        });
+
+        try {
+            let response = await check();
+            if (response.status === 401 && await this.refreshSession()) {
+                response = await check();
+            }
+            return response.status !== 401;
+        } catch (error) {
+            // Server unreachable: do not log the user out for that
+            return true;
+        }
+    }
+
+    /**
+     * Same-origin /api request that needs the session token (auth endpoints handle their own)
+     */
+    isApiRequest(url) {
+        try {
+            const target = new URL(url, window.location.origin);
+            return target.origin === window.location.origin &&
+                   target.pathname.startsWith('/api/') &&
+                   !target.pathname.startsWith('/api/auth/');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Send the access token with every API call; on 401 refresh once and retry
+     */
+    installFetchInterceptor() {
+        const nativeFetch = window.fetch.bind(window);
+
+        window.fetch = async (input, init = {}) => {
+            const url = typeof input === 'string' ? input : input.url;
+            if (!this.isApiRequest(url)) {
+                return nativeFetch(input, init);
+            }
+
+            const withToken = () => {
+                const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+                const token = localStorage.getItem('servicehub-auth-token') || sessionStorage.getItem('servicehub-auth-token');
+                if (token) {
+                    headers.set('Authorization', `Bearer ${token}`);
+                }
+                return nativeFetch(input, { ...init, headers });
+            };
+
+            await this.ensureFreshToken();
+            const response = await withToken();
+            if (response.status === 401 && await this.refreshSession()) {
+                return withToken();
+            }
+            if (response.status === 403) {
+                this.notifyInsufficientRole(response.clone());
+            }
+            return response;
+        };
+    }
+
+    /**
+     * 403 insufficient_role (ApiAuthorization.requirePermission): the user's role cannot do this;
+     * 403 impersonation_read_only: staff support sessions cannot change anything
+     */
+    async notifyInsufficientRole(response) {
+        try {
+            const result = await response.json();
+            if (!window.customDialog) return;
+            const en = (localStorage.getItem('servicehub-language') || 'it') === 'en';
+            if (result.error === 'impersonation_read_only') {
+                window.customDialog.alert(
+                    en ? 'Read-only session' : 'Sessione in sola lettura',
+                    en ? 'Support sessions can only view data.' : 'Le sessioni di assistenza possono solo consultare i dati.'
+                );
+                return;
+            }
+            if (result.error !== 'insufficient_role') return;
+            window.customDialog.alert(
+                en ? 'Not allowed' : 'Operazione non consentita',
+                en ? 'Your role does not allow this action. Ask the account owner.' : "Il tuo ruolo non consente questa operazione. Rivolgiti al proprietario dell'account."
+            );
+        } catch (error) {
+            // not a JSON response
+        }
+    }
+
+    /**
+     * Banner on every page while a staff member is viewing the portal as the dealer (admin.html)
+     */
+    showImpersonationBanner() {
+        let user;
+        try {
+            user = JSON.parse(localStorage.getItem('servicehub-user') || '{}');
+        } catch (error) {
+            return;
+        }
+        if (!user.impersonation || document.getElementById('impersonationBanner')) return;
+
+        const en = (localStorage.getItem('servicehub-language') || 'it') === 'en';
+        const until = new Date(user.expiresAt).toLocaleTimeString(en ? 'en-GB' : 'it-IT', { hour: '2-digit', minute: '2-digit' });
+        const banner = document.createElement('div');
+        banner.id = 'impersonationBanner';
+        banner.style.cssText = 'position:fixed;top:0;left:0;right:0;z-index:10000;padding:6px 12px;background:#b45309;color:#fff;font-size:14px;text-align:center;';
+        banner.textContent = en
+            ? `Support session as ${user.companyName} (read only) until ${until} - opened by ${user.impersonation.staffEmail}`
+            : `Sessione di assistenza come ${user.companyName} (sola lettura) fino alle ${until} - aperta da ${user.impersonation.staffEmail}`;
+        const end = document.createElement('button');
+        end.type = 'button';
+        end.style.cssText = 'margin-left:12px;text-decoration:underline;';
+        end.textContent = en ? 'End' : 'Termina';
+        end.addEventListener('click', () => this.logout());
+        banner.appendChild(end);
+        document.body.appendChild(banner);
+    }
+
+    /**
+     * Clear stored authentication data
+     */
+    clearAuthData() {
+        localStorage.removeItem('servicehub-auth-token');
+        localStorage.removeItem('servicehub-token-expires-at');
+        localStorage.removeItem('servicehub-refresh-token');
+        localStorage.removeItem('servicehub-session-expires-at');
+        localStorage.removeItem('servicehub-user');
+        sessionStorage.removeItem('servicehub-auth-token');
+        sessionStorage.removeItem('servicehub-user');
+    }
+
     /**
      * Protect current page
      */
@@ -110,10 +312,11 @@ class AuthGuard {
      */
     handleSuccessfulLogin(userData) {
         // Store authentication data
-        localStorage.setItem('servicehub-auth-token', userData.token);
+        const { token, expiresAt, refreshToken, refreshExpiresAt, ...user } = userData;
+        this.storeTokens({ token, expiresAt, refreshToken });
         localStorage.setItem('servicehub-user', JSON.stringify({
-            ...userData,
-            expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours
+            ...user,
+            expiresAt: refreshExpiresAt
         }));
 
         // Redirect to original page or dashboard
@@ -127,10 +330,22 @@ class AuthGuard {
      * Logout user
      */
     logout() {
-        localStorage.removeItem('servicehub-auth-token');
-        localStorage.removeItem('servicehub-user');
-        sessionStorage.removeItem('servicehub-auth-token');
-        sessionStorage.removeItem('servicehub-user');
+        // Revoke the server-side session; keepalive lets the request finish after the redirect
+        const token = localStorage.getItem('servicehub-auth-token');
+        const refreshToken = localStorage.getItem('servicehub-refresh-token');
+        if (token || refreshToken) {
+            fetch('/api/auth/logout', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+                },
+                body: JSON.stringify({ refreshToken }),
+                keepalive: true
+            }).catch(() => {});
+        }
+
+        this.clearAuthData();
         sessionStorage.removeItem('redirectAfterLogin');
         
         console.log('User logged out');
@@ -144,22 +359,46 @@ class AuthGuard {
      */
     init() {
         // Protect page on load
-        this.protectPage();
+        if (!this.protectPage() || this.isPublicPage() || !this.isAuthenticated()) {
+            return;
+        }
+
+        this.showImpersonationBanner();
+
+        // Server-side check: the session may have been revoked or expired
+        this.verifySession().then(valid => {
+            if (!valid) {
+                console.warn('🚫 Session no longer valid');
+                this.clearAuthData();
+                if (this.isProduction) {
+                    this.redirectToLogin();
+                }
+            }
+        });
         
-        // Set up periodic authentication check
-        if (this.isProduction) {
-            setInterval(() => {
-                if (!this.isAuthenticated()) {
+        // Set up periodic authentication check (keeps the access token fresh)
+        setInterval(() => {
+            if (!this.isAuthenticated()) {
+                if (this.isProduction) {
                     console.warn('🚫 Authentication lost - redirecting to login');
                     this.redirectToLogin();
                 }
-            }, 60000); // Check every minute
-        }
+                return;
+            }
+            this.ensureFreshToken().then(valid => {
+                if (!valid && this.isProduction) {
+                    console.warn('🚫 Session expired - redirecting to login');
+                    this.clearAuthData();
+                    this.redirectToLogin();
+                }
+            });
+        }, 60000); // Check every minute
     }
 }
 
 // Global auth guard instance
 window.authGuard = new AuthGuard();
+window.authGuard.installFetchInterceptor();
 
 // Auto-initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', function() {
@@ -0,0 +1,473 @@
+// Service Portal - Auth MFA
+// Login alternatives to the emailed PIN (see supabase-auth-mfa.sql): TOTP authenticator app (RFC 6238),
+// WebAuthn passkeys (checks in webauthn.js) and single-use recovery codes. Everything is per dealer user
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase.js');
+const { WebAuthn } = require('./webauthn.js');
+
+const TOTP_STEP = 30; // secondi
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1; // accept the previous / next code for clock drift
+const TOTP_ISSUER = 'Service Hub';
+const RECOVERY_CODE_COUNT = 10;
+const WEBAUTHN_CHALLENGE_TTL = 5 * 60; // secondi
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('invalid_base32');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// HOTP (RFC 4226) for one step
+function totpCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', secret).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// TOTP secrets are stored AES-256-GCM encrypted with a key derived from AUTH_TOKEN_SECRET
+function secretKey() {
+    if (!process.env.AUTH_TOKEN_SECRET) return null;
+    return crypto.createHash('sha256').update(`totp:${process.env.AUTH_TOKEN_SECRET}`).digest();
+}
+
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', secretKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+function decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', secretKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+}
+
+function hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// xxxx-xxxx, no 0/o/1/l to avoid misreading
+function generateRecoveryCode() {
+    const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+    const bytes = crypto.randomBytes(8);
+    const chars = Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+class AuthMfa {
+
+    /**
+     * WebAuthn relying party for a request: WEBAUTHN_RP_ID / PORTAL_URL when set, else the request host
+     * @param {Object} req - Express request
+     * @returns {{rpId:string, origin:string}}
+     */
+    static relyingParty(req) {
+        let origin;
+        if (process.env.PORTAL_URL) {
+            origin = new URL(process.env.PORTAL_URL).origin;
+        } else {
+            const protocol = (req.headers['x-forwarded-proto'] || req.protocol || 'https').split(',')[0].trim();
+            origin = `${protocol}://${req.get('host')}`;
+        }
+        return { rpId: process.env.WEBAUTHN_RP_ID || new URL(origin).hostname, origin };
+    }
+
+    /**
+     * Login methods a user has set up (settings page)
+     * @param {string} userId
+     * @returns {Promise<{totp:Object|null, passkeys:Array, recoveryCodesRemaining:number}>}
+     */
+    static async status(userId) {
+        const [totp, passkeys, codes] = await Promise.all([
+            supabaseAdmin.from('auth_totp_factors').select('confirmed_at, last_used_at').eq('user_id', userId).maybeSingle(),
+            AuthMfa.listPasskeys(userId),
+            supabaseAdmin.from('auth_recovery_codes').select('id', { count: 'exact', head: true }).eq('user_id', userId).is('used_at', null)
+        ]);
+        if (totp.error) throw totp.error;
+        if (codes.error) throw codes.error;
+
+        return {
+            totp: totp.data?.confirmed_at ? { enabledAt: totp.data.confirmed_at, lastUsedAt: totp.data.last_used_at } : null,
+            passkeys,
+            recoveryCodesRemaining: codes.count || 0
+        };
+    }
+
+    // ---- TOTP ----
+
+    /**
+     * Start enrolling an authenticator app: new secret, active once verifyTotp(confirm) accepts a code
+     * @param {{id:string, dealerId:number, email:string}} user
+     * @returns {Promise<{success:boolean, secret?:string, otpauthUrl?:string, error?:string}>}
+     */
+    static async startTotpEnrollment(user) {
+        if (!secretKey()) return { success: false, error: 'totp_not_configured' };
+
+        const { data: existing, error: readError } = await supabaseAdmin
+            .from('auth_totp_factors')
+            .select('confirmed_at')
+            .eq('user_id', user.id)
+            .maybeSingle();
+        if (readError) throw readError;
+        if (existing?.confirmed_at) return { success: false, error: 'totp_already_enabled' };
+
+        const secret = crypto.randomBytes(20);
+        const { error } = await supabaseAdmin
+            .from('auth_totp_factors')
+            .upsert({
+                user_id: user.id,
+                dealer_id: user.dealerId,
+                secret_encrypted: encryptSecret(secret),
+                confirmed_at: null,
+                last_used_step: 0,
+                created_at: new Date().toISOString()
+            }, { onConflict: 'user_id' });
+        if (error) throw error;
+
+        const encoded = base32Encode(secret);
+        const label = encodeURIComponent(`${TOTP_ISSUER}:${user.email}`);
+        return {
+            success: true,
+            secret: encoded,
+            otpauthUrl: `otpauth://totp/${label}?secret=${encoded}&issuer=${encodeURIComponent(TOTP_ISSUER)}&digits=${TOTP_DIGITS}&period=${TOTP_STEP}`
+        };
+    }
+
+    /**
+     * Check a TOTP code; with confirm=true it also activates a pending enrollment
+     * @param {string} userId
+     * @param {string} code
+     * @param {boolean} [confirm]
+     * @returns {Promise<{success:boolean, error?:string}>}
+     */
+    static async verifyTotp(userId, code, confirm = false) {
+        if (!secretKey()) return { success: false, error: 'totp_not_configured' };
+        if (!/^\d{6}$/.test(String(code || '').trim())) return { success: false, error: 'invalid_code' };
+
+        const { data: factor, error } = await supabaseAdmin
+            .from('auth_totp_factors')
+            .select('secret_encrypted, confirmed_at')
+            .eq('user_id', userId)
+            .maybeSingle();
+        if (error) throw error;
+        if (!factor || (!confirm && !factor.confirmed_at)) return { success: false, error: 'totp_not_enabled' };
+
+        const secret = decryptSecret(factor.secret_encrypted);
+        const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP);
+        const expected = Buffer.from(String(code).trim());
+        for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+            const step = currentStep + drift;
+            if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), expected)) {
+                const { data: claimed, error: claimError } = await supabaseAdmin.rpc('auth_totp_claim_step', {
+                    p_user_id: userId,
+                    p_step: step,
+                    p_confirm: confirm
+                });
+                if (claimError) throw claimError;
+                return claimed ? { success: true } : { success: false, error: 'code_already_used' };
+            }
+        }
+        return { success: false, error: 'invalid_code' };
+    }
+
+    // Remove the authenticator app
+    static async removeTotp(userId) {
+        const { error } = await supabaseAdmin.from('auth_totp_factors').delete().eq('user_id', userId);
+        if (error) throw error;
+    }
+
+    // ---- Recovery codes ----
+
+    /**
+     * Replace the user's recovery codes; the plain codes are only returned here
+     * @param {{id:string, dealerId:number}} user
+     * @returns {Promise<string[]>}
+     */
+    static async generateRecoveryCodes(user) {
+        const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+        const { error: deleteError } = await supabaseAdmin.from('auth_recovery_codes').delete().eq('user_id', user.id);
+        if (deleteError) throw deleteError;
+
+        const { error } = await supabaseAdmin
+            .from('auth_recovery_codes')
+            .insert(codes.map(code => ({ dealer_id: user.dealerId, user_id: user.id, code_hash: hashRecoveryCode(code) })));
+        if (error) throw error;
+        return codes;
+    }
+
+    // First codes are handed out together with the first authenticator / passkey
+    static async ensureRecoveryCodes(user) {
+        const { count, error } = await supabaseAdmin
+            .from('auth_recovery_codes')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', user.id);
+        if (error) throw error;
+        return count ? null : AuthMfa.generateRecoveryCodes(user);
+    }
+
+    /**
+     * Use up a recovery code
+     * @param {string} userId
+     * @param {string} code
+     * @returns {Promise<boolean>}
+     */
+    static async useRecoveryCode(userId, code) {
+        const { data, error } = await supabaseAdmin.rpc('auth_use_recovery_code', {
+            p_user_id: userId,
+            p_code_hash: hashRecoveryCode(code || '')
+        });
+        if (error) throw error;
+        return !!data;
+    }
+
+    // ---- Passkeys ----
+
+    static async listPasskeys(userId) {
+        const { data, error } = await supabaseAdmin
+            .from('auth_webauthn_credentials')
+            .select('id, name, transports, created_at, last_used_at')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: true });
+        if (error) throw error;
+        return data || [];
+    }
+
+    static async createChallenge(purpose, userId) {
+        const challenge = WebAuthn.generateChallenge();
+        const { data, error } = await supabaseAdmin
+            .from('auth_webauthn_challenges')
+            .insert({
+                user_id: userId || null,
+                purpose,
+                challenge,
+                expires_at: new Date(Date.now() + WEBAUTHN_CHALLENGE_TTL * 1000).toISOString()
+            })
+            .select('id')
+            .single();
+        if (error) throw error;
+        return { challengeId: data.id, challenge };
+    }
+
+    static async consumeChallenge(challengeId, purpose) {
+        if (!challengeId) return null;
+        const { data, error } = await supabaseAdmin.rpc('auth_consume_webauthn_challenge', {
+            p_id: challengeId,
+            p_purpose: purpose
+        });
+        if (error) throw error;
+        return (Array.isArray(data) ? data[0] : data) || null;
+    }
+
+    /**
+     * Options for navigator.credentials.create() (base64url fields are decoded by the browser page)
+     * @param {{id:string, email:string, name?:string}} user
+     * @param {{rpId:string, origin:string}} rp
+     */
+    static async passkeyRegistrationOptions(user, rp) {
+        const { challengeId, challenge } = await AuthMfa.createChallenge('register', user.id);
+        const existing = await supabaseAdmin
+            .from('auth_webauthn_credentials')
+            .select('credential_id, transports')
+            .eq('user_id', user.id);
+        if (existing.error) throw existing.error;
+
+        return {
+            challengeId,
+            publicKey: {
+                challenge,
+                rp: { id: rp.rpId, name: TOTP_ISSUER },
+                user: {
+                    id: Buffer.from(String(user.id)).toString('base64url'),
+                    name: user.email,
+                    displayName: user.name || user.email
+                },
+                pubKeyCredParams: Object.values(WebAuthn.algorithms).map(alg => ({ type: 'public-key', alg })),
+                timeout: WEBAUTHN_CHALLENGE_TTL * 1000,
+                attestation: 'none',
+                authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' },
+                excludeCredentials: (existing.data || []).map(row => ({
+                    type: 'public-key',
+                    id: row.credential_id,
+                    transports: row.transports || undefined
+                }))
+            }
+        };
+    }
+
+    /**
+     * Store a passkey from navigator.credentials.create()
+     * @param {{id:string, dealerId:number}} user
+     * @param {{challengeId:string, credential:Object, name?:string}} body
+     * @param {{rpId:string, origin:string}} rp
+     * @returns {Promise<{success:boolean, passkey?:Object, error?:string}>}
+     */
+    static async registerPasskey(user, { challengeId, credential, name }, rp) {
+        const challenge = await AuthMfa.consumeChallenge(challengeId, 'register');
+        if (!challenge || challenge.user_id !== user.id) return { success: false, error: 'challenge_expired' };
+
+        const verified = WebAuthn.verifyRegistration({
+            credential,
+            expectedChallenge: challenge.challenge,
+            expectedOrigin: rp.origin,
+            rpId: rp.rpId
+        });
+        if (!verified.success) return verified;
+
+        const { data, error } = await supabaseAdmin
+            .from('auth_webauthn_credentials')
+            .insert({
+                dealer_id: user.dealerId,
+                user_id: user.id,
+                credential_id: verified.credentialId,
+                public_key: verified.publicKey,
+                algorithm: verified.algorithm,
+                sign_count: verified.signCount,
+                transports: verified.transports,
+                name: String(name || 'Passkey').slice(0, 100)
+            })
+            .select('id, name, transports, created_at, last_used_at')
+            .single();
+        if (error) {
+            if (error.code === '23505') return { success: false, error: 'passkey_already_registered' };
+            throw error;
+        }
+        return { success: true, passkey: data };
+    }
+
+    /**
+     * Options for navigator.credentials.get(); with a user the browser only offers their passkeys,
+     * without one it shows every passkey it has for this site (discoverable credentials)
+     * @param {string|null} userId
+     */
+    static async passkeyLoginOptions(userId, rp) {
+        const { challengeId, challenge } = await AuthMfa.createChallenge('login', userId);
+        let allowCredentials = [];
+        if (userId) {
+            const { data, error } = await supabaseAdmin
+                .from('auth_webauthn_credentials')
+                .select('credential_id, transports')
+                .eq('user_id', userId);
+            if (error) throw error;
+            allowCredentials = (data || []).map(row => ({
+                type: 'public-key',
+                id: row.credential_id,
+                transports: row.transports || undefined
+            }));
+        }
+
+        return {
+            challengeId,
+            publicKey: {
+                challenge,
+                rpId: rp.rpId,
+                timeout: WEBAUTHN_CHALLENGE_TTL * 1000,
+                userVerification: 'preferred',
+                allowCredentials
+            }
+        };
+    }
+
+    /**
+     * Check a navigator.credentials.get() response
+     * @param {{challengeId:string, credential:Object}} body
+     * @param {{rpId:string, origin:string}} rp
+     * @returns {Promise<{success:boolean, userId?:string, error?:string}>}
+     */
+    static async verifyPasskeyLogin({ challengeId, credential }, rp) {
+        const challenge = await AuthMfa.consumeChallenge(challengeId, 'login');
+        if (!challenge) return { success: false, error: 'challenge_expired' };
+
+        const { data: stored, error } = await supabaseAdmin
+            .from('auth_webauthn_credentials')
+            .select('user_id, credential_id, public_key, algorithm')
+            .eq('credential_id', String(credential?.id || ''))
+            .maybeSingle();
+        if (error) throw error;
+        if (!stored || !stored.user_id) return { success: false, error: 'passkey_not_found' };
+        if (challenge.user_id && challenge.user_id !== stored.user_id) {
+            return { success: false, error: 'passkey_not_found' };
+        }
+
+        const verified = WebAuthn.verifyAssertion({
+            credential,
+            expectedChallenge: challenge.challenge,
+            expectedOrigin: rp.origin,
+            rpId: rp.rpId,
+            publicKey: stored.public_key,
+            algorithm: stored.algorithm
+        });
+        if (!verified.success) return verified;
+
+        const { data: counterOk, error: counterError } = await supabaseAdmin.rpc('auth_webauthn_use_credential', {
+            p_credential_id: stored.credential_id,
+            p_sign_count: verified.signCount
+        });
+        if (counterError) throw counterError;
+        if (!counterOk) {
+            console.warn(`⚠️ Passkey ${stored.credential_id} dell'utente ${stored.user_id}: contatore non incrementato (possibile clone)`);
+            return { success: false, error: 'passkey_counter_mismatch' };
+        }
+        return { success: true, userId: stored.user_id };
+    }
+
+    /**
+     * Remove one of the user's passkeys
+     * @returns {Promise<boolean>} false when the passkey is not the user's
+     */
+    static async removePasskey(userId, passkeyId) {
+        const { data, error } = await supabaseAdmin
+            .from('auth_webauthn_credentials')
+            .delete()
+            .eq('id', passkeyId)
+            .eq('user_id', userId)
+            .select('id');
+        if (error) throw error;
+        return (data || []).length > 0;
+    }
+
+    // Drop expired challenges and abandoned TOTP enrollments
+    static async cleanup() {
+        const { data, error } = await supabaseAdmin.rpc('auth_mfa_cleanup');
+        if (error) throw error;
+        return data || 0;
+    }
+}
+
+module.exports = { AuthMfa };
@@ -0,0 +1,246 @@
+// Service Portal - Auth Rate Limiter
+// Persistent brute-force protection for PIN login (see supabase-auth-rate-limits.sql):
+// lockouts per email / IP / dealer, daily PIN cap, challenge hook after repeated failures,
+// alert email to the dealer when their account is being hammered
+
+const { supabaseAdmin } = require('../config/supabase.js');
+
+const FAILURE_THRESHOLD = 5; // failures in the window before a lockout
+const FAILURE_WINDOW = 60 * 60; // secondi
+const BASE_LOCKOUT = 60; // secondi, doubles at every further lockout
+const MAX_LOCKOUT = 24 * 60 * 60; // secondi
+const CHALLENGE_AFTER_FAILURES = 3;
+// The dealer scope covers all users of a dealer account (supabase-dealer-users.sql), so it has no interval
+const DAILY_PIN_CAPS = { email: 10, dealer: 50, ip: 30 };
+const MIN_PIN_INTERVALS = { email: 30, dealer: 0, ip: 0 }; // secondi between two PINs (offices share an IP)
+const ALERT_INTERVAL = 6 * 60 * 60; // secondi between two alert emails to the same dealer
+
+// Server-side siteverify endpoints; they all take secret + response and answer { success }
+const CHALLENGE_PROVIDERS = {
+    turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+    hcaptcha: 'https://hcaptcha.com/siteverify',
+    recaptcha: 'https://www.google.com/recaptcha/api/siteverify'
+};
+
+let deps = {
+    emailService: null,
+    // async (token, ip) => boolean; null => no challenge configured, lockouts still apply
+    verifyChallenge: null
+};
+
+function keysFor({ email, ip, dealerId }) {
+    const scopes = [];
+    const keys = [];
+    if (email) { scopes.push('email'); keys.push(String(email).trim().toLowerCase()); }
+    if (ip) { scopes.push('ip'); keys.push(String(ip)); }
+    if (dealerId) { scopes.push('dealer'); keys.push(String(dealerId)); }
+    return { scopes, keys };
+}
+
+// Challenge verifier from CAPTCHA_PROVIDER / CAPTCHA_SECRET_KEY (null when not configured)
+function envChallengeVerifier() {
+    const url = CHALLENGE_PROVIDERS[process.env.CAPTCHA_PROVIDER];
+    const secret = process.env.CAPTCHA_SECRET_KEY;
+    if (!url || !secret) return null;
+
+    return async (token, ip) => {
+        const params = new URLSearchParams({ secret, response: token });
+        if (ip) params.append('remoteip', ip);
+        const response = await fetch(url, { method: 'POST', body: params });
+        const result = await response.json();
+        return !!result.success;
+    };
+}
+
+class AuthRateLimiter {
+
+    /**
+     * @param {Object} options - { emailService, verifyChallenge(token, ip) => Promise<boolean> }
+     */
+    static configure(options) {
+        deps = { ...deps, ...options };
+        if (!deps.verifyChallenge) {
+            deps.verifyChallenge = envChallengeVerifier();
+        }
+    }
+
+    // Public challenge settings for the login page (null when no provider is configured)
+    static challengeConfig() {
+        if (!deps.verifyChallenge || !process.env.CAPTCHA_SITE_KEY) return null;
+        return { provider: process.env.CAPTCHA_PROVIDER, siteKey: process.env.CAPTCHA_SITE_KEY };
+    }
+
+    /**
+     * Check lockouts and the challenge before a login step
+     * @param {{email?:string, ip?:string, dealerId?:number}} subject
+     * @param {string} [challengeToken] - token from the challenge widget, if the client sent one
+     * @returns {Promise<{allowed:boolean, error?:string, retryAfter?:number, challenge?:Object}>}
+     */
+    static async check(subject, challengeToken) {
+        const { scopes, keys } = keysFor(subject);
+        try {
+            const { data, error } = await supabaseAdmin.rpc('auth_rate_status', {
+                p_scopes: scopes,
+                p_keys: keys,
+                p_window_seconds: FAILURE_WINDOW
+            });
+            if (error) throw error;
+
+            const status = (Array.isArray(data) ? data[0] : data) || {};
+            if (status.locked_until) {
+                const retryAfter = Math.ceil((new Date(status.locked_until) - Date.now()) / 1000);
+                return { allowed: false, error: 'login_locked', retryAfter: Math.max(retryAfter, 1) };
+            }
+
+            const challenge = AuthRateLimiter.challengeConfig();
+            if (challenge && status.failures >= CHALLENGE_AFTER_FAILURES) {
+                const passed = challengeToken ? await deps.verifyChallenge(challengeToken, subject.ip) : false;
+                if (!passed) {
+                    return { allowed: false, error: 'challenge_required', challenge };
+                }
+            }
+            return { allowed: true };
+        } catch (error) {
+            // Login keeps working if the limiter is unavailable (the PIN itself still allows 3 attempts)
+            console.error('❌ Auth rate limiter check failed:', error.message);
+            return { allowed: true };
+        }
+    }
+
+    /**
+     * Count a failed login step on every key; may lock keys and alert the dealer
+     * @param {{email?:string, ip?:string, dealerId?:number}} subject
+     * @param {Object} [dealer] - { id, companyLoginEmail, companyName } when the email matched a dealer
+     */
+    static async registerFailure(subject, dealer = null) {
+        const { scopes, keys } = keysFor(subject);
+        try {
+            let dealerLocked = false;
+            for (let i = 0; i < scopes.length; i++) {
+                const { data, error } = await supabaseAdmin.rpc('auth_rate_register_failure', {
+                    p_scope: scopes[i],
+                    p_key: keys[i],
+                    p_threshold: FAILURE_THRESHOLD,
+                    p_base_seconds: BASE_LOCKOUT,
+                    p_max_seconds: MAX_LOCKOUT,
+                    p_window_seconds: FAILURE_WINDOW
+                });
+                if (error) throw error;
+
+                const row = Array.isArray(data) ? data[0] : data;
+                if (row?.locked) {
+                    console.warn(`🚫 Login bloccato per ${scopes[i]} ${keys[i]} fino a ${new Date(row.locked_until).toISOString()} (livello ${row.lockout_level})`);
+                    if (scopes[i] === 'dealer') dealerLocked = true;
+                }
+            }
+
+            if (dealerLocked && dealer) {
+                await AuthRateLimiter.alertDealer(dealer, subject.ip);
+            }
+        } catch (error) {
+            console.error('❌ Auth rate limiter failure registration failed:', error.message);
+        }
+    }
+
+    /**
+     * Successful login: clear failures and lockouts
+     * @param {{email?:string, ip?:string, dealerId?:number}} subject
+     */
+    static async registerSuccess(subject) {
+        const { scopes, keys } = keysFor(subject);
+        const { error } = await supabaseAdmin.rpc('auth_rate_register_success', { p_scopes: scopes, p_keys: keys });
+        if (error) console.error('❌ Auth rate limiter reset failed:', error.message);
+    }
+
+    /**
+     * Reserve a PIN issuance (daily cap + minimum interval per email, dealer and IP)
+     * @param {{email?:string, ip?:string, dealerId?:number}} subject
+     * @returns {Promise<{allowed:boolean, error?:string}>}
+     */
+    static async claimPinIssue(subject) {
+        const { scopes, keys } = keysFor(subject);
+        try {
+            const { data, error } = await supabaseAdmin.rpc('auth_rate_claim_pin', {
+                p_scopes: scopes,
+                p_keys: keys,
+                p_daily_caps: scopes.map(scope => DAILY_PIN_CAPS[scope]),
+                p_min_intervals: scopes.map(scope => MIN_PIN_INTERVALS[scope])
+            });
+            if (error) throw error;
+
+            if (data === 'too_soon') return { allowed: false, error: 'duplicate_request' };
+            if (data === 'daily_cap') return { allowed: false, error: 'daily_pin_limit' };
+            return { allowed: true };
+        } catch (error) {
+            console.error('❌ Auth rate limiter PIN claim failed:', error.message);
+            return { allowed: true };
+        }
+    }
+
+    /**
+     * Tell the dealer their login is being attacked (at most once every ALERT_INTERVAL)
+     * @param {{id:number, companyLoginEmail:string, companyName:string}} dealer
+     * @param {string} ip
+     */
+    static async alertDealer(dealer, ip) {
+        if (!deps.emailService || !dealer.companyLoginEmail) return;
+
+        const { data: claimed, error } = await supabaseAdmin.rpc('auth_rate_claim_alert', {
+            p_dealer_key: String(dealer.id),
+            p_interval_seconds: ALERT_INTERVAL
+        });
+        if (error) throw error;
+        if (!claimed) return;
+
+        const when = new Date().toLocaleString('it-IT', { timeZone: 'Europe/Rome' });
+        const html = `
+            <p>Gentile ${dealer.companyName || 'cliente'},</p>
+            <p>abbiamo rilevato ripetuti tentativi di accesso falliti al tuo account Service Hub
+            (ultimo tentativo: ${when}, indirizzo IP ${ip || 'sconosciuto'}). L'accesso è stato temporaneamente bloccato.</p>
+            <p>Se sei stato tu puoi riprovare più tardi. In caso contrario non condividere con nessuno i codici PIN ricevuti
+            e contatta l'assistenza.</p>
+            <hr>
+            <p>Dear ${dealer.companyName || 'customer'},</p>
+            <p>we detected repeated failed login attempts on your Service Hub account
+            (last attempt: ${when}, IP address ${ip || 'unknown'}). Login has been temporarily blocked.</p>
+            <p>If this was you, please try again later. Otherwise do not share the PIN codes you receive with anyone
+            and contact support.</p>`;
+
+        const result = await deps.emailService.sendGenericEmail(
+            dealer.companyLoginEmail,
+            'Service Hub - Tentativi di accesso sospetti / Suspicious login attempts',
+            html
+        );
+        if (result.success) {
+            console.log(`📧 Avviso tentativi di accesso inviato al dealer ${dealer.id}`);
+        } else {
+            console.error(`❌ Avviso tentativi di accesso fallito per dealer ${dealer.id}:`, result.error);
+        }
+    }
+
+    /**
+     * Forget failures, lockouts and today's PIN count (PIN reset from the staff console)
+     * @param {{emails?:string[], dealerId?:number}} subject
+     */
+    static async reset({ emails = [], dealerId = null }) {
+        const keys = emails.map(email => ({ scope: 'email', key: String(email).trim().toLowerCase() }));
+        if (dealerId) keys.push({ scope: 'dealer', key: String(dealerId) });
+        for (const { scope, key } of keys) {
+            const { error } = await supabaseAdmin
+                .from('auth_rate_limits')
+                .delete()
+                .eq('scope', scope)
+                .eq('key', key);
+            if (error) throw error;
+        }
+    }
+
+    // Drop rows untouched for 30 days
+    static async cleanup() {
+        const { data, error } = await supabaseAdmin.rpc('auth_rate_cleanup');
+        if (error) throw error;
+        return data || 0;
+    }
+}
+
+module.exports = { AuthRateLimiter };
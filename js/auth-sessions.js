@@ -0,0 +1,302 @@
+// Service Portal - Auth Sessions
+// Server-side login sessions (see supabase-auth-sessions.sql): HMAC-SHA256 signed access tokens
+// (JWT, HS256) with server-checked expiry, opaque refresh tokens stored hashed and rotated on use.
+// Each session belongs to a dealer user (supabase-dealer-users.sql). Sessions opened by staff from
+// the admin console (supabase-staff-admin.sql) are read-only and carry impersonatedBy
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase.js');
+
+const ACCESS_TOKEN_TTL = 15 * 60; // secondi
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60; // secondi
+
+let tokenSecret = process.env.AUTH_TOKEN_SECRET;
+if (!tokenSecret) {
+    // Access tokens stop verifying after a restart; clients fall back to their refresh token
+    tokenSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ AUTH_TOKEN_SECRET non configurato - uso una chiave temporanea (i token scadono al riavvio)');
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+function sign(data) {
+    return base64url(crypto.createHmac('sha256', tokenSecret).update(data).digest());
+}
+
+function hashRefreshToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+class AuthSessions {
+
+    /**
+     * Sign an access token for a session
+     * @param {{id:string, dealer_id:number, user_id:string, email:string}} session
+     * @returns {{token:string, expiresAt:string}}
+     */
+    static signAccessToken(session) {
+        const now = Math.floor(Date.now() / 1000);
+        const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+        const payload = base64url(JSON.stringify({
+            sub: session.dealer_id,
+            uid: session.user_id,
+            email: session.email,
+            sid: session.id,
+            iat: now,
+            exp: now + ACCESS_TOKEN_TTL
+        }));
+        return {
+            token: `${header}.${payload}.${sign(`${header}.${payload}`)}`,
+            expiresAt: new Date((now + ACCESS_TOKEN_TTL) * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Check signature and expiry of an access token (no database access)
+     * @param {string} token
+     * @returns {{success:boolean, payload?:Object, error?:string}}
+     */
+    static verifyAccessToken(token) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3) return { success: false, error: 'invalid_token' };
+
+        const [header, payload, signature] = parts;
+        const expected = Buffer.from(sign(`${header}.${payload}`));
+        const received = Buffer.from(signature);
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            return { success: false, error: 'invalid_token' };
+        }
+
+        let claims;
+        try {
+            const alg = JSON.parse(Buffer.from(header, 'base64').toString('utf8')).alg;
+            if (alg !== 'HS256') return { success: false, error: 'invalid_token' };
+            claims = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+        } catch (error) {
+            return { success: false, error: 'invalid_token' };
+        }
+
+        if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+            return { success: false, error: 'token_expired' };
+        }
+        return { success: true, payload: claims };
+    }
+
+    /**
+     * Bearer token from the Authorization header
+     * @param {Object} req - Express request
+     * @returns {string|null}
+     */
+    static bearerToken(req) {
+        const header = req.headers.authorization || '';
+        return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    }
+
+    /**
+     * Verify an access token and check that its session and user are still active
+     * (role is read here, so role changes apply to the next request; impersonation is always read_only)
+     * @param {string} token
+     * @returns {Promise<{success:boolean, session?:{id:string, dealerId:number, userId:string, email:string, name:string, role:string, impersonatedBy:string|null}, error?:string}>}
+     */
+    static async authenticate(token) {
+        const verified = AuthSessions.verifyAccessToken(token);
+        if (!verified.success) return verified;
+
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('auth_sessions')
+                .select('id, dealer_id, user_id, email, revoked_at, expires_at, impersonated_by, dealer_users(name, role, status)')
+                .eq('id', verified.payload.sid)
+                .maybeSingle();
+            if (error) throw error;
+
+            const user = data?.dealer_users;
+            if (!data || data.revoked_at || new Date(data.expires_at) <= new Date() || user?.status !== 'active') {
+                return { success: false, error: 'session_revoked' };
+            }
+            return {
+                success: true,
+                session: {
+                    id: data.id,
+                    dealerId: data.dealer_id,
+                    userId: data.user_id,
+                    email: data.email,
+                    name: user.name,
+                    role: data.impersonated_by ? 'read_only' : user.role,
+                    impersonatedBy: data.impersonated_by || null
+                }
+            };
+        } catch (error) {
+            console.error('❌ Errore verifica sessione:', error.message);
+            return { success: false, error: 'session_check_failed' };
+        }
+    }
+
+    /**
+     * Open a session after a successful login, or an impersonation session from the staff console
+     * @param {{dealerId:number, userId:string, email:string, impersonatedBy?:string, impersonationReason?:string, ttl?:number}} login - ttl in seconds (default REFRESH_TOKEN_TTL)
+     * @param {{userAgent?:string, ipAddress?:string}} client
+     * @returns {Promise<{success:boolean, token?:string, expiresAt?:string, refreshToken?:string, refreshExpiresAt?:string, sessionId?:string, error?:string}>}
+     */
+    static async create(login, client = {}) {
+        const refreshToken = crypto.randomBytes(32).toString('base64url');
+        const refreshExpiresAt = new Date(Date.now() + (login.ttl || REFRESH_TOKEN_TTL) * 1000).toISOString();
+
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('auth_sessions')
+                .insert({
+                    dealer_id: login.dealerId,
+                    user_id: login.userId,
+                    email: login.email,
+                    refresh_token_hash: hashRefreshToken(refreshToken),
+                    user_agent: client.userAgent ? client.userAgent.slice(0, 500) : null,
+                    ip_address: client.ipAddress || null,
+                    expires_at: refreshExpiresAt,
+                    impersonated_by: login.impersonatedBy || null,
+                    impersonation_reason: login.impersonationReason || null
+                })
+                .select('id, dealer_id, user_id, email')
+                .single();
+            if (error) throw error;
+
+            const access = AuthSessions.signAccessToken(data);
+            return {
+                success: true,
+                sessionId: data.id,
+                token: access.token,
+                expiresAt: access.expiresAt,
+                refreshToken,
+                refreshExpiresAt
+            };
+        } catch (error) {
+            console.error('❌ Errore creazione sessione:', error.message);
+            return { success: false, error: 'session_create_failed' };
+        }
+    }
+
+    /**
+     * Exchange a refresh token for a new access token + refresh token (the old one stops working)
+     * @param {string} refreshToken
+     * @returns {Promise<{success:boolean, token?:string, expiresAt?:string, refreshToken?:string, refreshExpiresAt?:string, error?:string}>}
+     */
+    static async refresh(refreshToken) {
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return { success: false, error: 'invalid_refresh_token' };
+        }
+
+        const nextRefreshToken = crypto.randomBytes(32).toString('base64url');
+        try {
+            const { data, error } = await supabaseAdmin.rpc('auth_rotate_refresh_token', {
+                p_old_hash: hashRefreshToken(refreshToken),
+                p_new_hash: hashRefreshToken(nextRefreshToken)
+            });
+            if (error) throw error;
+
+            const session = Array.isArray(data) ? data[0] : data;
+            if (!session) return { success: false, error: 'invalid_refresh_token' };
+
+            const access = AuthSessions.signAccessToken(session);
+            return {
+                success: true,
+                token: access.token,
+                expiresAt: access.expiresAt,
+                refreshToken: nextRefreshToken,
+                refreshExpiresAt: new Date(session.expires_at).toISOString()
+            };
+        } catch (error) {
+            console.error('❌ Errore refresh sessione:', error.message);
+            return { success: false, error: 'session_refresh_failed' };
+        }
+    }
+
+    /**
+     * Revoke one of a user's sessions (logout or "kill session" from the sessions list)
+     * @param {string} userId
+     * @param {string} sessionId
+     * @param {string} reason
+     * @returns {Promise<{success:boolean, revoked?:boolean, error?:string}>}
+     */
+    static async revoke(userId, sessionId, reason = 'logout') {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('auth_sessions')
+                .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+                .eq('id', sessionId)
+                .eq('user_id', userId)
+                .is('revoked_at', null)
+                .select('id');
+            if (error) throw error;
+            return { success: true, revoked: (data || []).length > 0 };
+        } catch (error) {
+            console.error('❌ Errore revoca sessione:', error.message);
+            return { success: false, error: 'session_revoke_failed' };
+        }
+    }
+
+    /**
+     * Revoke the session a refresh token belongs to (logout without a valid access token)
+     * @param {string} refreshToken
+     * @returns {Promise<{success:boolean, revoked?:boolean, error?:string}>}
+     */
+    static async revokeByRefreshToken(refreshToken) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('auth_sessions')
+                .update({ revoked_at: new Date().toISOString(), revoked_reason: 'logout' })
+                .eq('refresh_token_hash', hashRefreshToken(refreshToken))
+                .is('revoked_at', null)
+                .select('id');
+            if (error) throw error;
+            return { success: true, revoked: (data || []).length > 0 };
+        } catch (error) {
+            console.error('❌ Errore revoca sessione:', error.message);
+            return { success: false, error: 'session_revoke_failed' };
+        }
+    }
+
+    /**
+     * Revoke every session of a user (user disabled or removed by the account owner)
+     * @param {string} userId
+     * @param {string} reason
+     */
+    static async revokeAllForUser(userId, reason = 'user_disabled') {
+        const { error } = await supabaseAdmin
+            .from('auth_sessions')
+            .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+            .eq('user_id', userId)
+            .is('revoked_at', null);
+        if (error) throw error;
+    }
+
+    /**
+     * Active sessions of a user, most recently used first
+     * @param {string} userId
+     * @returns {Promise<Array>}
+     */
+    static async listActive(userId) {
+        const { data, error } = await supabaseAdmin
+            .from('auth_sessions')
+            .select('id, user_agent, ip_address, created_at, last_used_at, expires_at, impersonated_by')
+            .eq('user_id', userId)
+            .is('revoked_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .order('last_used_at', { ascending: false });
+        if (error) throw error;
+        return data || [];
+    }
+
+    // Drop sessions expired/revoked more than 30 days ago
+    static async cleanup() {
+        const { data, error } = await supabaseAdmin.rpc('auth_cleanup_sessions');
+        if (error) throw error;
+        return data || 0;
+    }
+}
+
+module.exports = { AuthSessions, ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL };
@@ -45,24 +45,11 @@ class AuthManager {
                 this.currentStep = 'pin';
                 
                 // Show success message with dealer info
-                if (data.emailSent) {
-                    this.showMessage(
-                        `Welcome ${data.dealer.name} from ${data.dealer.companyName}! 
-                         PIN sent to your email address. Please check your inbox.`, 
-                        'success'
-                    );
-                } else {
-                    // Fallback: show PIN on screen if email failed
-                    this.showMessage(
-                        `Welcome ${data.dealer.name} from ${data.dealer.companyName}! 
-                         PIN: ${data.pin}`, 
-                        'success'
-                    );
-                    
-                    if (data.emailError) {
-                        console.warn('Email sending failed:', data.emailError);
-                    }
-                }
+                this.showMessage(
+                    `Welcome ${data.dealer.name} from ${data.dealer.companyName}! 
+                     PIN sent to your email address. Please check your inbox.`, 
+                    'success'
+                );
                 
                 return { success: true, dealer: data.dealer };
                 
@@ -76,6 +63,19 @@ class AuthManager {
                     case 'email_required':
                         errorMessage = 'Please enter your email address.';
                         break;
+                    case 'pin_store_failed':
+                    case 'pin_send_failed':
+                        errorMessage = 'Could not send the PIN, please try again.';
+                        break;
+                    case 'login_locked':
+                        errorMessage = `Too many failed attempts. Try again in ${Math.ceil((data.retryAfter || 60) / 60)} minute(s).`;
+                        break;
+                    case 'daily_pin_limit':
+                        errorMessage = 'Daily PIN limit reached. Try again tomorrow.';
+                        break;
+                    case 'challenge_required':
+                        errorMessage = 'Security check required. Please log in from the login page.';
+                        break;
                     default:
                         errorMessage = data.message || 'An error occurred. Please try again.';
                 }
@@ -124,7 +124,9 @@ class AuthManager {
                 // Store authentication data (compatible with existing system)
                 localStorage.setItem('servicehub-user', JSON.stringify(data.dealer));
                 localStorage.setItem('servicehub-auth-token', data.token);
-                localStorage.setItem('servicehub-login-time', new Date().toISOString());
+                localStorage.setItem('servicehub-token-expires-at', data.expiresAt);
+                localStorage.setItem('servicehub-refresh-token', data.refreshToken);
+                localStorage.setItem('servicehub-session-expires-at', data.refreshExpiresAt);
                 
                 // Also store in the format expected by other parts of the system
                 const authData = {
@@ -176,6 +178,12 @@ class AuthManager {
                     case 'missing_fields':
                         errorMessage = 'Please enter the PIN.';
                         break;
+                    case 'login_locked':
+                        errorMessage = `Too many failed attempts. Try again in ${Math.ceil((data.retryAfter || 60) / 60)} minute(s).`;
+                        break;
+                    case 'challenge_required':
+                        errorMessage = 'Security check required. Please log in from the login page.';
+                        break;
                     default:
                         errorMessage = 'PIN verification failed. Please try again.';
                 }
@@ -191,22 +199,18 @@ class AuthManager {
         }
     }
 
-    // Check if user is already authenticated
+    // Check if user is already authenticated (the server session expiry comes from verify-pin)
     isAuthenticated() {
         const user = localStorage.getItem('servicehub-user');
         const token = localStorage.getItem('servicehub-auth-token');
-        const loginTime = localStorage.getItem('servicehub-login-time');
+        const refreshToken = localStorage.getItem('servicehub-refresh-token');
+        const sessionExpiresAt = localStorage.getItem('servicehub-session-expires-at');
         
-        if (!user || !token || !loginTime) {
+        if (!user || !token || !refreshToken || !sessionExpiresAt) {
             return false;
         }
         
-        // Check if session is still valid (24 hours)
-        const loginDate = new Date(loginTime);
-        const now = new Date();
-        const hoursDiff = (now - loginDate) / (1000 * 60 * 60);
-        
-        if (hoursDiff > 24) {
+        if (new Date() > new Date(sessionExpiresAt)) {
             this.logout();
             return false;
         }
@@ -235,10 +239,7 @@ class AuthManager {
         if (window.authGuard) {
             window.authGuard.logout();
         } else {
-            // Fallback logout
-            localStorage.removeItem('servicehub-user');
-            localStorage.removeItem('servicehub-auth-token');
-            localStorage.removeItem('servicehub-login-time');
+            // Fallback logout: the logout page revokes the session and clears the tokens
             localStorage.removeItem('authData'); // Also remove the legacy format
             
             // Reset state
@@ -246,8 +247,7 @@ class AuthManager {
             this.currentEmail = null;
             this.retryCount = 0;
             
-            // Redirect to login
-            window.location.href = '/pages/login.html';
+            window.location.href = '/logout.html';
         }
     }
 
@@ -0,0 +1,350 @@
+// Service Portal - Low-Balance Alerts & Auto-Recharge
+// Listens to ledger balance changes (BillingLedger.events): one email per dip below the dealer threshold,
+// optional off-session Stripe top-up with the saved card (see supabase-billing-low-balance.sql)
+
+const { supabaseAdmin } = require('../config/supabase.js');
+const { BillingLedger } = require('./billing-ledger.js');
+
+const ACCOUNT_SETTINGS_COLUMNS = 'dealer_id, balance_cents, currency, stripe_customer_id, stripe_payment_method_id, low_balance_threshold_cents, low_balance_alert_email, low_balance_alerted_at, auto_recharge_enabled, auto_recharge_amount_cents, auto_recharge_started_at, auto_recharge_last_error';
+
+// Ledger movements that may start an auto-recharge
+const AUTO_RECHARGE_TRIGGERS = ['usage', 'adjustment', 'settings'];
+
+let deps = { stripe: null, emailService: null, getDealer: async () => null, portalUrl: '' };
+
+function formatEuro(cents, currency = 'EUR') {
+    return (Number(cents || 0) / 100).toLocaleString('it-IT', { style: 'currency', currency });
+}
+
+class BillingAlerts {
+
+    /**
+     * Wire dependencies and start listening to ledger movements
+     * @param {Object} options - { stripe, emailService, getDealer(dealerId) => { companyLoginEmail, companyName }, portalUrl }
+     */
+    static configure(options) {
+        deps = { ...deps, ...options };
+        BillingLedger.events.on('balance', (event) => {
+            BillingAlerts.handleBalance(event).catch(error => {
+                console.error(`❌ Low-balance check failed for dealer ${event.dealerId}:`, error.message);
+            });
+        });
+    }
+
+    // Alert / auto-recharge settings and current status of a dealer
+    static async getSettings(dealerId) {
+        const { data, error } = await supabaseAdmin
+            .from('dealer_billing_accounts')
+            .select(ACCOUNT_SETTINGS_COLUMNS)
+            .eq('dealer_id', dealerId)
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Update alert / auto-recharge settings (only the fields provided)
+     * @param {number} dealerId
+     * @param {Object} settings - { thresholdCents, alertEmail, autoRechargeEnabled, autoRechargeAmountCents }
+     * @returns {Promise<{success:boolean, data?:Object, previous?:Object, error?:string}>} previous = settings before the update
+     */
+    static async updateSettings(dealerId, settings) {
+        const update = { updated_at: new Date().toISOString() };
+
+        if (settings.thresholdCents !== undefined) {
+            const threshold = parseInt(settings.thresholdCents, 10);
+            if (!Number.isInteger(threshold) || threshold < 0) return { success: false, error: 'invalid_threshold' };
+            update.low_balance_threshold_cents = threshold;
+        }
+        if (settings.alertEmail !== undefined) {
+            const email = (settings.alertEmail || '').trim();
+            if (email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) return { success: false, error: 'invalid_email' };
+            update.low_balance_alert_email = email || null;
+        }
+        if (settings.autoRechargeAmountCents !== undefined) {
+            const amount = settings.autoRechargeAmountCents === null ? null : parseInt(settings.autoRechargeAmountCents, 10);
+            if (amount !== null && (!Number.isInteger(amount) || amount < 100)) return { success: false, error: 'invalid_amount' };
+            update.auto_recharge_amount_cents = amount;
+        }
+        if (settings.autoRechargeEnabled !== undefined) {
+            update.auto_recharge_enabled = !!settings.autoRechargeEnabled;
+        }
+
+        try {
+            const current = await BillingAlerts.getSettings(dealerId);
+            if (!current) return { success: false, error: 'billing_account_not_found' };
+
+            if (update.auto_recharge_enabled) {
+                const amount = update.auto_recharge_amount_cents ?? current.auto_recharge_amount_cents;
+                if (!amount) return { success: false, error: 'auto_recharge_amount_required' };
+                if (!current.stripe_customer_id) return { success: false, error: 'no_saved_payment_method' };
+                update.auto_recharge_last_error = null;
+            }
+
+            const { data, error } = await supabaseAdmin
+                .from('dealer_billing_accounts')
+                .update(update)
+                .eq('dealer_id', dealerId)
+                .select(ACCOUNT_SETTINGS_COLUMNS)
+                .single();
+            if (error) throw error;
+
+            // A new threshold may already be crossed (or cleared)
+            await BillingAlerts.handleBalance({ dealerId, balanceCents: Number(data.balance_cents), entryType: 'settings' });
+            return { success: true, data, previous: current };
+        } catch (error) {
+            console.error(`❌ Low-balance settings update failed for dealer ${dealerId}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * React to a balance change: re-arm, alert and/or auto-recharge
+     * @param {{dealerId:number, balanceCents:number, entryType:string}} event
+     */
+    static async handleBalance({ dealerId, balanceCents, entryType }) {
+        const account = await BillingAlerts.getSettings(dealerId);
+        if (!account) return;
+
+        const threshold = account.low_balance_threshold_cents;
+        if (balanceCents >= threshold) {
+            if (account.low_balance_alerted_at) {
+                await supabaseAdmin.rpc('billing_rearm_low_balance_alert', { p_dealer_id: dealerId });
+            }
+            return;
+        }
+
+        // Top up first: if it succeeds the dealer does not need a warning.
+        // Only after spending: a recharge must not chain into another one, and a refund/dispute
+        // must not charge the card it was just given back to
+        let autoRechargeError = null;
+        if (account.auto_recharge_enabled && AUTO_RECHARGE_TRIGGERS.includes(entryType)) {
+            const topUp = await BillingAlerts.autoRecharge(dealerId);
+            if (topUp.success && topUp.balanceCents >= threshold) return;
+            if (!topUp.success && topUp.attempted) autoRechargeError = topUp.error;
+        }
+
+        const { data: claimed, error } = await supabaseAdmin.rpc('billing_claim_low_balance_alert', { p_dealer_id: dealerId });
+        if (error) throw error;
+        // A failed top-up is always reported, even if this dip was already announced
+        if (claimed || autoRechargeError) {
+            await BillingAlerts.sendLowBalanceEmail(account, balanceCents, autoRechargeError);
+        }
+    }
+
+    static async sendLowBalanceEmail(account, balanceCents, autoRechargeError = null) {
+        if (!deps.emailService) return;
+
+        const dealer = await deps.getDealer(account.dealer_id);
+        const to = account.low_balance_alert_email || dealer?.companyLoginEmail;
+        if (!to) {
+            console.warn(`⚠️ Nessun indirizzo email per l'avviso credito basso del dealer ${account.dealer_id}`);
+            return;
+        }
+
+        const balance = formatEuro(balanceCents, account.currency);
+        const threshold = formatEuro(account.low_balance_threshold_cents, account.currency);
+        const billingLink = deps.portalUrl ? `${deps.portalUrl}/billing.html` : '/billing.html';
+        const subject = autoRechargeError
+            ? 'Service Hub - Ricarica automatica non riuscita / Auto top-up failed'
+            : 'Service Hub - Credito in esaurimento / Low balance';
+        const failureIt = autoRechargeError ? `<p>La ricarica automatica non è andata a buon fine: ${autoRechargeError}</p>` : '';
+        const failureEn = autoRechargeError ? `<p>The automatic top-up failed: ${autoRechargeError}</p>` : '';
+        const html = `
+            <p>Gentile ${dealer?.companyName || 'cliente'},</p>
+            <p>il credito disponibile sul Service Hub è sceso a <strong>${balance}</strong>, sotto la soglia di avviso di ${threshold}.
+            Quando il credito termina l'invio di email, WhatsApp e SMS viene bloccato.</p>
+            ${failureIt}
+            <p><a href="${billingLink}">Ricarica il credito</a></p>
+            <hr>
+            <p>Your Service Hub balance is now <strong>${balance}</strong>, below your alert threshold of ${threshold}.
+            Email, WhatsApp and SMS sends are blocked once the credit runs out.</p>
+            ${failureEn}
+            <p><a href="${billingLink}">Top up your credit</a></p>`;
+
+        const result = await deps.emailService.sendGenericEmail(to, subject, html);
+        if (result.success) {
+            console.log(`📧 Avviso credito basso inviato a ${to} (dealer ${account.dealer_id}, ${balance})`);
+        } else {
+            console.error(`❌ Invio avviso credito basso fallito per dealer ${account.dealer_id}:`, result.error);
+        }
+    }
+
+    /**
+     * Tell the dealer that a refund or dispute changed their balance
+     * @param {number} dealerId
+     * @param {Object} change - { kind: 'refund'|'dispute'|'dispute_won'|'dispute_lost', amountCents, balanceCents, rechargeAmountCents, rechargeDate }
+     */
+    static async notifyRechargeReversal(dealerId, change) {
+        if (!deps.emailService) return;
+
+        const account = await BillingAlerts.getSettings(dealerId);
+        const dealer = await deps.getDealer(dealerId);
+        const to = account?.low_balance_alert_email || dealer?.companyLoginEmail;
+        if (!to) {
+            console.warn(`⚠️ Nessun indirizzo email per la notifica rimborso/contestazione del dealer ${dealerId}`);
+            return;
+        }
+
+        const currency = account?.currency || 'EUR';
+        const amount = formatEuro(Math.abs(change.amountCents), currency);
+        const balance = formatEuro(change.balanceCents, currency);
+        const recharge = `${formatEuro(change.rechargeAmountCents, currency)} (${new Date(change.rechargeDate).toLocaleDateString('it-IT')})`;
+        const texts = {
+            refund: {
+                subject: 'Service Hub - Rimborso registrato / Refund recorded',
+                it: `È stato registrato un rimborso di <strong>${amount}</strong> sulla ricarica ${recharge}. L'importo è stato detratto dal credito.`,
+                en: `A refund of <strong>${amount}</strong> was recorded on the top-up ${recharge}. The amount has been deducted from your credit.`
+            },
+            dispute: {
+                subject: 'Service Hub - Pagamento contestato / Payment disputed',
+                it: `Il pagamento della ricarica ${recharge} è stato contestato presso la banca. <strong>${amount}</strong> sono stati sospesi dal credito fino alla chiusura della contestazione.`,
+                en: `The payment for the top-up ${recharge} has been disputed with the bank. <strong>${amount}</strong> has been withheld from your credit until the dispute is closed.`
+            },
+            dispute_won: {
+                subject: 'Service Hub - Contestazione chiusa / Dispute closed',
+                it: `La contestazione sulla ricarica ${recharge} è stata chiusa a favore del pagamento: <strong>${amount}</strong> sono stati riaccreditati.`,
+                en: `The dispute on the top-up ${recharge} was closed in favour of the payment: <strong>${amount}</strong> has been credited back.`
+            },
+            dispute_lost: {
+                subject: 'Service Hub - Contestazione chiusa / Dispute closed',
+                it: `La contestazione sulla ricarica ${recharge} è stata chiusa a favore del titolare della carta: l'importo sospeso non verrà riaccreditato.`,
+                en: `The dispute on the top-up ${recharge} was closed in favour of the card holder: the withheld amount will not be credited back.`
+            }
+        }[change.kind];
+        if (!texts) return;
+
+        const html = `
+            <p>${texts.it}</p>
+            <p>Credito attuale: <strong>${balance}</strong></p>
+            <hr>
+            <p>${texts.en}</p>
+            <p>Current balance: <strong>${balance}</strong></p>`;
+
+        const result = await deps.emailService.sendGenericEmail(to, texts.subject, html);
+        if (!result.success) {
+            console.error(`❌ Notifica ${change.kind} fallita per dealer ${dealerId}:`, result.error);
+        }
+    }
+
+    /**
+     * Charge the saved card off-session for auto_recharge_amount_cents. One attempt at a time per dealer
+     * @param {number} dealerId
+     * @returns {Promise<{success:boolean, attempted?:boolean, rechargeId?:string, balanceCents?:number, error?:string}>}
+     */
+    static async autoRecharge(dealerId) {
+        const { stripe } = deps;
+        if (!stripe) return { success: false, error: 'stripe_not_configured' };
+
+        const { data: claimed, error: claimError } = await supabaseAdmin.rpc('billing_claim_auto_recharge', { p_dealer_id: dealerId });
+        if (claimError) throw claimError;
+        if (!claimed) return { success: false, error: 'not_claimed' };
+
+        const account = await BillingAlerts.getSettings(dealerId);
+        const amount = account.auto_recharge_amount_cents;
+        let rechargeId = null;
+
+        try {
+            const paymentMethodId = await BillingAlerts.resolvePaymentMethod(account);
+            if (!paymentMethodId) throw new Error('no_saved_payment_method');
+
+            const { data: recharge, error: insertError } = await supabaseAdmin
+                .from('billing_recharges')
+                .insert({
+                    dealer_id: dealerId,
+                    stripe_customer_id: account.stripe_customer_id,
+                    amount_cents: amount,
+                    currency: account.currency || 'EUR',
+                    status: 'pending',
+                    metadata: { auto_recharge: true, threshold_cents: account.low_balance_threshold_cents }
+                })
+                .select('id')
+                .single();
+            if (insertError) throw insertError;
+            rechargeId = recharge.id;
+
+            const paymentIntent = await stripe.paymentIntents.create({
+                amount,
+                currency: (account.currency || 'EUR').toLowerCase(),
+                customer: account.stripe_customer_id,
+                payment_method: paymentMethodId,
+                off_session: true,
+                confirm: true,
+                description: `Ricarica automatica di ${(amount / 100).toFixed(2)}€ per dealer ${dealerId}`,
+                metadata: { dealer_id: dealerId.toString(), type: 'auto_recharge', recharge_id: rechargeId }
+            }, { idempotencyKey: `auto-recharge-${rechargeId}` });
+
+            if (paymentIntent.status !== 'succeeded') {
+                throw Object.assign(new Error(`payment_${paymentIntent.status}`), { paymentIntentId: paymentIntent.id });
+            }
+
+            const credit = await BillingLedger.creditRecharge(rechargeId, paymentIntent.id);
+            if (!credit.success) throw new Error(credit.error);
+
+            await BillingAlerts.finishAutoRecharge(dealerId, null, { stripe_payment_method_id: paymentMethodId });
+            console.log(`💳 Ricarica automatica ${formatEuro(amount)} riuscita per dealer ${dealerId}, saldo ${formatEuro(credit.balanceCents)}`);
+            return { success: true, rechargeId, balanceCents: credit.balanceCents };
+        } catch (error) {
+            // Stripe card errors carry the PaymentIntent (e.g. authentication_required)
+            const paymentIntentId = error.paymentIntentId || error.raw?.payment_intent?.id || null;
+            const reason = error.code || error.message;
+            console.error(`❌ Ricarica automatica fallita per dealer ${dealerId}:`, reason);
+
+            if (rechargeId) {
+                await supabaseAdmin
+                    .from('billing_recharges')
+                    .update({
+                        status: reason === 'authentication_required' ? 'requires_action' : 'failed',
+                        stripe_payment_intent_id: paymentIntentId,
+                        metadata: { auto_recharge: true, error: reason },
+                        processed_at: new Date().toISOString()
+                    })
+                    .eq('id', rechargeId);
+            }
+            // auto_recharge_last_error blocks further attempts until the dealer saves the settings again
+            await BillingAlerts.finishAutoRecharge(dealerId, reason);
+            return { success: false, attempted: true, rechargeId, error: reason };
+        }
+    }
+
+    static async finishAutoRecharge(dealerId, errorReason, extra = {}) {
+        await supabaseAdmin
+            .from('dealer_billing_accounts')
+            .update({ auto_recharge_started_at: null, auto_recharge_last_error: errorReason, updated_at: new Date().toISOString(), ...extra })
+            .eq('dealer_id', dealerId);
+    }
+
+    // Saved card: the stored one, else the customer's default, else the most recent card on the customer
+    static async resolvePaymentMethod(account) {
+        if (account.stripe_payment_method_id) return account.stripe_payment_method_id;
+        if (!account.stripe_customer_id) return null;
+
+        const customer = await deps.stripe.customers.retrieve(account.stripe_customer_id);
+        const defaultMethod = customer?.invoice_settings?.default_payment_method;
+        if (defaultMethod) return typeof defaultMethod === 'string' ? defaultMethod : defaultMethod.id;
+
+        const methods = await deps.stripe.paymentMethods.list({ customer: account.stripe_customer_id, type: 'card', limit: 1 });
+        return methods.data[0]?.id || null;
+    }
+
+    /**
+     * Banner state for the portal header
+     * @param {number} dealerId
+     * @returns {Promise<{low_balance:boolean, balance_cents:number, threshold_cents:number, currency:string, auto_recharge_enabled:boolean, auto_recharge_last_error:string|null}>}
+     */
+    static async getStatus(dealerId) {
+        const account = await BillingAlerts.getSettings(dealerId);
+        const balance = Number(account?.balance_cents ?? 0);
+        const threshold = account?.low_balance_threshold_cents ?? 0;
+        return {
+            low_balance: !!account && balance < threshold,
+            balance_cents: balance,
+            threshold_cents: threshold,
+            currency: account?.currency || 'EUR',
+            auto_recharge_enabled: !!account?.auto_recharge_enabled,
+            auto_recharge_last_error: account?.auto_recharge_last_error || null
+        };
+    }
+}
+
+module.exports = { BillingAlerts };
@@ -0,0 +1,309 @@
+// Service Portal - Billing Ledger
+// Atomic balance movements through the Supabase ledger functions (see supabase-billing-ledger.sql)
+// Every debit/credit is one signed row in billing_ledger_entries; the balance is never written from JS
+
+const { EventEmitter } = require('events');
+const { supabaseAdmin } = require('../config/supabase.js');
+
+// 'balance' => { dealerId, balanceCents, entryType } after every posted movement (see billing-alerts.js)
+const balanceEvents = new EventEmitter();
+
+class BillingLedger {
+
+    /**
+     * Record a usage event and debit the dealer in a single transaction. Without reservationId the cost must fit
+     * in the balance left free by active reservations, otherwise nothing is recorded (error 'insufficient_balance')
+     * @param {number} dealerId
+     * @param {Object} usage - { eventType, quantity, unitCostCents, openaiModel, openaiInputTokens, openaiOutputTokens, openaiProviderCostCents, relatedEntity, reservationId, pricePlanId, feature }
+     * @returns {Promise<{success:boolean, usageEventId?:string, entryId?:string, balanceCents?:number, error?:string}>}
+     */
+    static async recordUsage(dealerId, usage) {
+        try {
+            const params = {
+                p_dealer_id: dealerId,
+                p_event_type: usage.eventType,
+                p_quantity: usage.quantity || 1,
+                p_unit_cost_cents: usage.unitCostCents,
+                p_openai_model: usage.openaiModel || null,
+                p_openai_input_tokens: usage.openaiInputTokens ?? null,
+                p_openai_output_tokens: usage.openaiOutputTokens ?? null,
+                p_openai_provider_cost_cents: usage.openaiProviderCostCents ?? null,
+                p_related_entity: usage.relatedEntity || null
+            };
+            if (usage.reservationId) params.p_reservation_id = usage.reservationId;
+            if (usage.pricePlanId) params.p_price_plan_id = usage.pricePlanId;
+            if (usage.feature) params.p_feature = usage.feature;
+
+            const { data, error } = await supabaseAdmin.rpc('billing_record_usage', params);
+            if (error) throw error;
+
+            const row = Array.isArray(data) ? data[0] : data;
+            balanceEvents.emit('balance', { dealerId, balanceCents: Number(row?.balance_cents ?? 0), entryType: 'usage' });
+            return {
+                success: true,
+                usageEventId: row?.usage_event_id,
+                entryId: row?.entry_id,
+                balanceCents: Number(row?.balance_cents ?? 0)
+            };
+        } catch (error) {
+            console.error(`❌ Ledger usage (${usage?.eventType}) failed for dealer ${dealerId}:`, error.message);
+            return { success: false, error: /^insufficient_balance\b/.test(error.message || '') ? 'insufficient_balance' : error.message };
+        }
+    }
+
+    /**
+     * Post a signed ledger entry (credit > 0, debit < 0) without a usage event
+     * @param {number} dealerId
+     * @param {number} amountCents
+     * @param {Object} [options] - { entryType, rechargeId, idempotencyKey, description, metadata }
+     * @returns {Promise<{success:boolean, entryId?:string, balanceCents?:number, duplicate?:boolean, error?:string}>}
+     */
+    static async postEntry(dealerId, amountCents, options = {}) {
+        try {
+            const { data, error } = await supabaseAdmin.rpc('billing_post_ledger_entry', {
+                p_dealer_id: dealerId,
+                p_amount_cents: amountCents,
+                p_entry_type: options.entryType || 'adjustment',
+                p_usage_event_id: null,
+                p_recharge_id: options.rechargeId || null,
+                p_idempotency_key: options.idempotencyKey || null,
+                p_description: options.description || null,
+                p_metadata: options.metadata || {}
+            });
+            if (error) throw error;
+
+            const row = Array.isArray(data) ? data[0] : data;
+            if (!row?.duplicate) {
+                balanceEvents.emit('balance', { dealerId, balanceCents: Number(row?.balance_cents ?? 0), entryType: options.entryType || 'adjustment' });
+            }
+            return {
+                success: true,
+                entryId: row?.entry_id,
+                balanceCents: Number(row?.balance_cents ?? 0),
+                duplicate: !!row?.duplicate
+            };
+        } catch (error) {
+            console.error(`❌ Ledger entry failed for dealer ${dealerId}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Mark a recharge as succeeded and credit it. Idempotent: a second call returns credited=false
+     * @param {string} rechargeId - billing_recharges.id
+     * @param {string|null} [paymentIntentId]
+     * @returns {Promise<{success:boolean, dealerId?:number, amountCents?:number, balanceCents?:number, credited?:boolean, error?:string}>}
+     */
+    static async creditRecharge(rechargeId, paymentIntentId = null) {
+        try {
+            const { data, error } = await supabaseAdmin.rpc('billing_credit_recharge', {
+                p_recharge_id: rechargeId,
+                p_payment_intent_id: paymentIntentId || null
+            });
+            if (error) throw error;
+
+            const row = Array.isArray(data) ? data[0] : data;
+            if (row?.credited) {
+                balanceEvents.emit('balance', { dealerId: row.dealer_id, balanceCents: Number(row.balance_cents ?? 0), entryType: 'recharge' });
+            }
+            return {
+                success: true,
+                dealerId: row?.dealer_id,
+                amountCents: row?.amount_cents,
+                balanceCents: Number(row?.balance_cents ?? 0),
+                credited: !!row?.credited
+            };
+        } catch (error) {
+            console.error(`❌ Ledger recharge credit failed for recharge ${rechargeId}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Debit the newly refunded part of a recharge. Stripe sends the cumulative refunded amount, so replays debit 0
+     * @param {string} rechargeId
+     * @param {number} totalRefundedCents - charge.amount_refunded
+     * @param {string|null} [chargeId]
+     * @returns {Promise<{success:boolean, dealerId?:number, debitedCents?:number, balanceCents?:number, status?:string, error?:string}>}
+     */
+    static async refundRecharge(rechargeId, totalRefundedCents, chargeId = null) {
+        try {
+            const { data, error } = await supabaseAdmin.rpc('billing_refund_recharge', {
+                p_recharge_id: rechargeId,
+                p_total_refunded_cents: totalRefundedCents,
+                p_charge_id: chargeId
+            });
+            if (error) throw error;
+
+            const row = Array.isArray(data) ? data[0] : data;
+            const debitedCents = Number(row?.debited_cents ?? 0);
+            if (debitedCents > 0) {
+                balanceEvents.emit('balance', { dealerId: row.dealer_id, balanceCents: Number(row.balance_cents ?? 0), entryType: 'refund' });
+            }
+            return { success: true, dealerId: row?.dealer_id, debitedCents, balanceCents: Number(row?.balance_cents ?? 0), status: row?.status };
+        } catch (error) {
+            console.error(`❌ Ledger refund failed for recharge ${rechargeId}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Apply a dispute change to a recharge: chargeback opened => debit, won / inquiry closed => credit back,
+     * lost => stays debited, inquiries (warning_*) => no movement
+     * @param {string} rechargeId
+     * @param {string} disputeId - Stripe dispute id (dp_...)
+     * @param {number} amountCents
+     * @param {string} disputeStatus - Stripe dispute status
+     * @returns {Promise<{success:boolean, dealerId?:number, amountCents?:number, balanceCents?:number, status?:string, applied?:boolean, changed?:boolean, error?:string}>}
+     *   changed: the recharge had another dispute status before
+     */
+    static async disputeRecharge(rechargeId, disputeId, amountCents, disputeStatus) {
+        try {
+            const { data, error } = await supabaseAdmin.rpc('billing_dispute_recharge', {
+                p_recharge_id: rechargeId,
+                p_dispute_id: disputeId,
+                p_amount_cents: amountCents,
+                p_dispute_status: disputeStatus
+            });
+            if (error) throw error;
+
+            const row = Array.isArray(data) ? data[0] : data;
+            if (row?.applied) {
+                balanceEvents.emit('balance', { dealerId: row.dealer_id, balanceCents: Number(row.balance_cents ?? 0), entryType: 'dispute' });
+            }
+            return {
+                success: true,
+                dealerId: row?.dealer_id,
+                amountCents: Number(row?.amount_cents ?? 0),
+                balanceCents: Number(row?.balance_cents ?? 0),
+                status: row?.status,
+                applied: !!row?.applied,
+                changed: !!row?.changed
+            };
+        } catch (error) {
+            console.error(`❌ Ledger dispute failed for recharge ${rechargeId}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Credit the recharge linked to a Stripe Checkout session
+     * @param {string} sessionId - Stripe checkout session id
+     * @param {string|null} [paymentIntentId]
+     */
+    static async creditRechargeBySession(sessionId, paymentIntentId = null) {
+        const { data: recharge, error } = await supabaseAdmin
+            .from('billing_recharges')
+            .select('id')
+            .eq('stripe_checkout_session_id', sessionId)
+            .maybeSingle();
+        if (error || !recharge) {
+            console.error('❌ Ricarica non trovata per session:', sessionId, error?.message || '');
+            return { success: false, error: 'recharge_not_found' };
+        }
+        return BillingLedger.creditRecharge(recharge.id, paymentIntentId);
+    }
+
+    /**
+     * Reserve credit for a batch before sending. Fails (no reservation) when balance minus other reservations is short
+     * @param {number} dealerId
+     * @param {number} amountCents - estimated batch cost
+     * @param {string} [reference]
+     * @returns {Promise<{success:boolean, reservationId?:string, availableCents?:number, shortfallCents?:number, error?:string}>}
+     */
+    static async reserveCredit(dealerId, amountCents, reference = null) {
+        try {
+            const { data, error } = await supabaseAdmin.rpc('billing_reserve_credit', {
+                p_dealer_id: dealerId,
+                p_amount_cents: amountCents,
+                p_reference: reference
+            });
+            if (error) throw error;
+
+            const row = Array.isArray(data) ? data[0] : data;
+            if (!row?.reservation_id) {
+                return {
+                    success: false,
+                    error: 'insufficient_balance',
+                    availableCents: Number(row?.available_cents ?? 0),
+                    shortfallCents: Number(row?.shortfall_cents ?? amountCents)
+                };
+            }
+            return {
+                success: true,
+                reservationId: row.reservation_id,
+                availableCents: Number(row.available_cents ?? 0),
+                shortfallCents: 0
+            };
+        } catch (error) {
+            console.error(`❌ Ledger reservation failed for dealer ${dealerId}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Release the unused part of a reservation (idempotent)
+     * @param {string} reservationId
+     * @returns {Promise<{success:boolean, consumedCents?:number, releasedCents?:number, error?:string}>}
+     */
+    static async releaseReservation(reservationId) {
+        try {
+            const { data, error } = await supabaseAdmin.rpc('billing_release_reservation', {
+                p_reservation_id: reservationId
+            });
+            if (error) throw error;
+
+            const row = Array.isArray(data) ? data[0] : data;
+            return {
+                success: true,
+                consumedCents: Number(row?.consumed_cents ?? 0),
+                releasedCents: Number(row?.released_cents ?? 0)
+            };
+        } catch (error) {
+            console.error(`❌ Ledger reservation release failed for ${reservationId}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Push back the expiry of active reservations (queued campaigns outlive the default hour)
+     * @param {string[]} reservationIds
+     * @param {number} seconds - new expiry, from now
+     */
+    static async extendReservations(reservationIds, seconds) {
+        if (!reservationIds.length) return;
+        const { error } = await supabaseAdmin
+            .from('billing_reservations')
+            .update({ expires_at: new Date(Date.now() + seconds * 1000).toISOString() })
+            .in('id', reservationIds)
+            .eq('status', 'active');
+        if (error) throw error;
+    }
+
+    // Current balance (cents) as maintained by the ledger functions
+    static async getBalance(dealerId) {
+        const { data, error } = await supabaseAdmin
+            .from('dealer_billing_accounts')
+            .select('balance_cents, currency')
+            .eq('dealer_id', dealerId)
+            .maybeSingle();
+        if (error) throw error;
+        return { balanceCents: Number(data?.balance_cents ?? 0), currency: data?.currency || 'EUR' };
+    }
+
+    // Latest ledger entries for a dealer (newest first)
+    static async listEntries(dealerId, limit = 100) {
+        const { data, error } = await supabaseAdmin
+            .from('billing_ledger_entries')
+            .select('id, entry_type, amount_cents, balance_after_cents, currency, usage_event_id, recharge_id, description, created_at')
+            .eq('dealer_id', dealerId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        if (error) throw error;
+        return data || [];
+    }
+}
+
+BillingLedger.events = balanceEvents;
+
+module.exports = { BillingLedger };
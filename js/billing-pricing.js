@@ -0,0 +1,105 @@
+// Service Portal - Billing Pricing
+// Resolves the price plan (default or per-dealer override) from billing_price_plans
+// Single source of unit prices for every debit site in server.js
+
+const { supabaseAdmin } = require('../config/supabase.js');
+
+// Used only when billing_price_plans is unreachable or empty
+const FALLBACK_PLAN = {
+    id: null,
+    dealer_id: null,
+    name: 'Standard (fallback)',
+    currency: 'EUR',
+    email_price_cents: 5,
+    whatsapp_price_cents: 10,
+    sms_price_cents: 8,
+    openai_markup_multiplier: 20,
+    effective_from: null
+};
+
+const PLAN_CACHE_DURATION = 5 * 60 * 1000; // 5 minuti
+const planCache = new Map();
+
+class BillingPricing {
+
+    /**
+     * Plan in force for a dealer at a given moment (dealer override first, then default)
+     * @param {number} dealerId
+     * @param {Date} [at]
+     * @returns {Promise<Object>} billing_price_plans row (or the fallback plan)
+     */
+    static async getPlan(dealerId, at = new Date()) {
+        const now = Date.now();
+        const useCache = Math.abs(at.getTime() - now) < 1000;
+        const cached = planCache.get(dealerId);
+        if (useCache && cached && now < cached.expiresAt) {
+            return cached.plan;
+        }
+
+        try {
+            let query = supabaseAdmin
+                .from('billing_price_plans')
+                .select('*')
+                .lte('effective_from', at.toISOString())
+                .order('effective_from', { ascending: false });
+            query = dealerId
+                ? query.or(`dealer_id.eq.${parseInt(dealerId, 10)},dealer_id.is.null`)
+                : query.is('dealer_id', null);
+
+            const { data, error } = await query.limit(20);
+            if (error) throw error;
+
+            const rows = data || [];
+            const plan = rows.find(p => p.dealer_id !== null) || rows.find(p => p.dealer_id === null) || FALLBACK_PLAN;
+
+            if (useCache) {
+                planCache.set(dealerId, { plan, expiresAt: now + PLAN_CACHE_DURATION });
+            }
+            return plan;
+        } catch (error) {
+            console.error(`❌ Error loading price plan for dealer ${dealerId}:`, error.message);
+            return FALLBACK_PLAN;
+        }
+    }
+
+    /**
+     * Unit price (cents) of a message type under a plan (OpenAI is metered by tokens, see openai-metering.js)
+     * @param {Object} plan
+     * @param {'email'|'whatsapp'|'sms'} eventType
+     * @returns {number}
+     */
+    static unitPrice(plan, eventType) {
+        const p = plan || FALLBACK_PLAN;
+        switch (eventType) {
+            case 'email': return p.email_price_cents;
+            case 'whatsapp': return p.whatsapp_price_cents;
+            case 'sms': return p.sms_price_cents;
+            default: throw new Error(`Unknown billing event type: ${eventType}`);
+        }
+    }
+
+    // Compact description of a plan for API responses
+    static describe(plan) {
+        const p = plan || FALLBACK_PLAN;
+        return {
+            id: p.id,
+            name: p.name,
+            dealer_specific: p.dealer_id !== null && p.dealer_id !== undefined,
+            currency: p.currency,
+            effective_from: p.effective_from,
+            prices_cents: {
+                email: p.email_price_cents,
+                whatsapp: p.whatsapp_price_cents,
+                sms: p.sms_price_cents
+            },
+            openai_markup_multiplier: Number(p.openai_markup_multiplier)
+        };
+    }
+
+    // Drop cached plans (after editing billing_price_plans)
+    static clearCache() {
+        planCache.clear();
+    }
+}
+
+module.exports = { BillingPricing };
@@ -0,0 +1,292 @@
+// Service Portal - Billing Statements
+// Monthly statement per dealer (billing_close_statement in supabase-billing-statements.sql)
+// and its CSV / PDF rendering in Italian or English from the i18n dictionary
+
+const { supabaseAdmin } = require('../config/supabase.js');
+const { I18nManager } = require('./i18n.js');
+const { PdfWriter } = require('./pdf-writer.js');
+
+const TRANSLATIONS = I18nManager.prototype.loadTranslations();
+const TIME_ZONE = 'Europe/Rome';
+
+// Usage channel => existing chart series label
+const CHANNEL_KEYS = {
+    email: 'billing.series.emails',
+    whatsapp: 'billing.series.whatsapp',
+    sms: 'billing.series.sms',
+    openai: 'billing.series.openai'
+};
+
+function translator(lang) {
+    const dictionary = TRANSLATIONS[lang] || TRANSLATIONS.it;
+    return (key, params = {}) => {
+        let text = dictionary[key] || TRANSLATIONS.en[key] || key;
+        Object.keys(params).forEach(param => {
+            text = text.replace(`{${param}}`, params[param]);
+        });
+        return text;
+    };
+}
+
+function locale(lang) {
+    return lang === 'en' ? 'en-GB' : 'it-IT';
+}
+
+function formatMoney(cents, currency, lang) {
+    return (Number(cents || 0) / 100).toLocaleString(locale(lang), { style: 'currency', currency: currency || 'EUR' });
+}
+
+function formatDate(value, lang) {
+    return new Date(value).toLocaleDateString(locale(lang), { timeZone: TIME_ZONE });
+}
+
+function formatMonth(statement, lang) {
+    return new Date(statement.period_start).toLocaleDateString(locale(lang), { timeZone: TIME_ZONE, month: 'long', year: 'numeric' });
+}
+
+// 'YYYY-MM' of the month a statement covers
+function monthKey(statement) {
+    const parts = new Intl.DateTimeFormat('en-CA', { timeZone: TIME_ZONE, year: 'numeric', month: '2-digit' })
+        .formatToParts(new Date(statement.period_start));
+    const get = type => parts.find(p => p.type === type).value;
+    return `${get('year')}-${get('month')}`;
+}
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[";\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class BillingStatements {
+
+    /**
+     * Close (or fetch, if already closed) a dealer's statement for a calendar month
+     * @param {number} dealerId
+     * @param {string} month - 'YYYY-MM'
+     * @returns {Promise<{success:boolean, statement?:Object, error?:string}>}
+     */
+    static async closeMonth(dealerId, month) {
+        try {
+            const { data, error } = await supabaseAdmin.rpc('billing_close_statement', {
+                p_dealer_id: dealerId,
+                p_month: `${month}-01`
+            });
+            if (error) throw error;
+
+            const statement = Array.isArray(data) ? data[0] : data;
+            return { success: true, statement };
+        } catch (error) {
+            if (/period_not_closed/.test(error.message)) {
+                return { success: false, error: 'period_not_closed' };
+            }
+            console.error(`❌ Statement close ${month} failed for dealer ${dealerId}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Close the previous month for every dealer with a billing account
+     * @param {Date} [now]
+     * @returns {Promise<{month:string, closed:number, failed:number}>}
+     */
+    static async closePreviousMonthForAll(now = new Date()) {
+        const previous = new Date(now.getFullYear(), now.getMonth() - 1, 15);
+        const month = `${previous.getFullYear()}-${String(previous.getMonth() + 1).padStart(2, '0')}`;
+
+        const { data: accounts, error } = await supabaseAdmin
+            .from('dealer_billing_accounts')
+            .select('dealer_id');
+        if (error) throw error;
+
+        let closed = 0;
+        let failed = 0;
+        for (const account of accounts || []) {
+            const result = await BillingStatements.closeMonth(account.dealer_id, month);
+            if (result.success) closed++; else failed++;
+        }
+        console.log(`🧾 Estratti conto ${month}: ${closed} chiusi, ${failed} errori`);
+        return { month, closed, failed };
+    }
+
+    // Closed statements of a dealer (newest first), without the line details
+    static async list(dealerId, limit = 24) {
+        const { data, error } = await supabaseAdmin
+            .from('billing_statements')
+            .select('id, dealer_id, period_start, period_end, statement_number, currency, opening_balance_cents, usage_total_cents, recharges_total_cents, adjustments_total_cents, closing_balance_cents, created_at')
+            .eq('dealer_id', dealerId)
+            .order('period_start', { ascending: false })
+            .limit(limit);
+        if (error) throw error;
+        return (data || []).map(s => ({ ...s, month: monthKey(s) }));
+    }
+
+    // Statement row for a dealer month, or null if not closed yet
+    static async get(dealerId, month) {
+        const { data, error } = await supabaseAdmin
+            .from('billing_statements')
+            .select('*')
+            .eq('dealer_id', dealerId)
+            .eq('statement_number', `SH-${month.replace('-', '')}-${dealerId}`)
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * CSV export (semicolon separated, as Excel expects with Italian locale)
+     * @param {Object} statement - billing_statements row
+     * @param {'it'|'en'} lang
+     * @returns {string}
+     */
+    static toCSV(statement, lang = 'it') {
+        const t = translator(lang);
+        const money = cents => (Number(cents || 0) / 100).toFixed(2);
+        const rows = [
+            [t('billing.statements.number'), statement.statement_number],
+            [t('billing.statements.dealer'), statement.dealer_id],
+            [t('billing.statements.period'), `${formatDate(statement.period_start, lang)} - ${formatDate(new Date(statement.period_end).getTime() - 1, lang)}`],
+            [],
+            [t('billing.statements.summary'), `${t('billing.statements.amount')} (${statement.currency})`],
+            [t('billing.statements.opening_balance'), money(statement.opening_balance_cents)],
+            [t('billing.statements.usage'), money(-statement.usage_total_cents)],
+            [t('billing.statements.recharges'), money(statement.recharges_total_cents)],
+            [t('billing.statements.adjustments'), money(statement.adjustments_total_cents)],
+            [t('billing.statements.closing_balance'), money(statement.closing_balance_cents)],
+            [],
+            [t('billing.statements.usage'), t('billing.statements.quantity'), `${t('billing.statements.amount')} (${statement.currency})`]
+        ];
+        for (const line of statement.usage_lines || []) {
+            rows.push([t(CHANNEL_KEYS[line.channel] || line.channel), line.quantity, money(line.total_cents)]);
+        }
+        rows.push([]);
+        rows.push([t('billing.statements.recharges'), t('billing.statements.date'), t('billing.statements.reference'), `${t('billing.statements.amount')} (${statement.currency})`]);
+        for (const recharge of statement.recharges || []) {
+            rows.push(['', formatDate(recharge.credited_at, lang), recharge.payment_intent_id || recharge.recharge_id, money(recharge.amount_cents)]);
+        }
+
+        // BOM so Excel opens accented labels correctly
+        return '\uFEFF' + rows.map(r => r.map(csvCell).join(';')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * PDF export
+     * @param {Object} statement - billing_statements row
+     * @param {'it'|'en'} lang
+     * @returns {Buffer}
+     */
+    static toPDF(statement, lang = 'it') {
+        const t = translator(lang);
+        const money = cents => formatMoney(cents, statement.currency, lang);
+        const pdf = new PdfWriter();
+        const left = 50;
+        const right = pdf.pageWidth - 50;
+        const grey = [0.4, 0.4, 0.4];
+        let y = 60;
+
+        const ensureSpace = needed => {
+            if (y + needed > pdf.pageHeight - 60) {
+                pdf.addPage();
+                y = 60;
+            }
+        };
+
+        pdf.text('Service Hub', left, y, { size: 18, bold: true });
+        pdf.text(t('billing.statements.document_title', { month: formatMonth(statement, lang) }), right, y, { size: 14, bold: true, align: 'right' });
+        y += 24;
+        pdf.text(`${t('billing.statements.number')} ${statement.statement_number}`, right, y, { size: 10, align: 'right', color: grey });
+        pdf.text(`${t('billing.statements.dealer')}: ${statement.dealer_id}`, left, y, { size: 10 });
+        y += 14;
+        pdf.text(`${t('billing.statements.period')}: ${formatDate(statement.period_start, lang)} - ${formatDate(new Date(statement.period_end).getTime() - 1, lang)}`, left, y, { size: 10 });
+        y += 30;
+
+        // Summary
+        pdf.text(t('billing.statements.summary'), left, y, { size: 12, bold: true });
+        y += 8;
+        pdf.line(left, y, right, y);
+        y += 16;
+        const summary = [
+            [t('billing.statements.opening_balance'), statement.opening_balance_cents],
+            [t('billing.statements.usage'), -statement.usage_total_cents],
+            [t('billing.statements.recharges'), statement.recharges_total_cents],
+            [t('billing.statements.adjustments'), statement.adjustments_total_cents]
+        ];
+        for (const [label, cents] of summary) {
+            pdf.text(label, left, y);
+            pdf.text(money(cents), right, y, { align: 'right' });
+            y += 16;
+        }
+        pdf.line(left, y - 10, right, y - 10);
+        y += 2;
+        pdf.text(t('billing.statements.closing_balance'), left, y, { bold: true });
+        pdf.text(money(statement.closing_balance_cents), right, y, { bold: true, align: 'right' });
+        y += 34;
+
+        // Usage per channel
+        pdf.text(t('billing.statements.usage'), left, y, { size: 12, bold: true });
+        y += 8;
+        pdf.line(left, y, right, y);
+        y += 16;
+        const usageLines = statement.usage_lines || [];
+        if (usageLines.length === 0) {
+            pdf.text(t('billing.statements.no_usage'), left, y, { color: grey });
+            y += 16;
+        } else {
+            pdf.text(t('billing.statements.channel'), left, y, { bold: true, size: 9 });
+            pdf.text(t('billing.statements.quantity'), right - 150, y, { bold: true, size: 9, align: 'right' });
+            pdf.text(t('billing.statements.amount'), right, y, { bold: true, size: 9, align: 'right' });
+            y += 16;
+            for (const line of usageLines) {
+                ensureSpace(16);
+                pdf.text(t(CHANNEL_KEYS[line.channel] || line.channel), left, y);
+                pdf.text(Number(line.quantity).toLocaleString(locale(lang)), right - 150, y, { align: 'right' });
+                pdf.text(money(line.total_cents), right, y, { align: 'right' });
+                y += 16;
+            }
+            pdf.line(left, y - 10, right, y - 10);
+            y += 2;
+            pdf.text(t('billing.statements.total'), left, y, { bold: true });
+            pdf.text(money(statement.usage_total_cents), right, y, { bold: true, align: 'right' });
+            y += 16;
+        }
+        y += 18;
+
+        // Recharges
+        ensureSpace(60);
+        pdf.text(t('billing.statements.recharges'), left, y, { size: 12, bold: true });
+        y += 8;
+        pdf.line(left, y, right, y);
+        y += 16;
+        const recharges = statement.recharges || [];
+        if (recharges.length === 0) {
+            pdf.text(t('billing.statements.no_recharges'), left, y, { color: grey });
+            y += 16;
+        } else {
+            pdf.text(t('billing.statements.date'), left, y, { bold: true, size: 9 });
+            pdf.text(t('billing.statements.reference'), left + 100, y, { bold: true, size: 9 });
+            pdf.text(t('billing.statements.amount'), right, y, { bold: true, size: 9, align: 'right' });
+            y += 16;
+            for (const recharge of recharges) {
+                ensureSpace(16);
+                pdf.text(formatDate(recharge.credited_at, lang), left, y);
+                pdf.text(recharge.payment_intent_id || recharge.recharge_id, left + 100, y, { size: 9, color: grey });
+                pdf.text(money(recharge.amount_cents), right, y, { align: 'right' });
+                y += 16;
+            }
+            pdf.line(left, y - 10, right, y - 10);
+            y += 2;
+            pdf.text(t('billing.statements.total'), left, y, { bold: true });
+            pdf.text(money(statement.recharges_total_cents), right, y, { bold: true, align: 'right' });
+        }
+
+        pdf.text(t('billing.statements.generated_at', { date: formatDate(statement.created_at || new Date(), lang) }), left, pdf.pageHeight - 40, { size: 8, color: grey });
+
+        return pdf.toBuffer();
+    }
+
+    // Download file name, e.g. 'estratto-conto-SH-202401-123.pdf'
+    static fileName(statement, lang, format) {
+        return `${lang === 'en' ? 'statement' : 'estratto-conto'}-${statement.statement_number}.${format}`;
+    }
+}
+
+module.exports = { BillingStatements };
@@ -0,0 +1,150 @@
+/**
+ * CAMPAIGN PROGRESS
+ * Service Portal - live progress of queued bulk sends (GET /api/campaigns/:id/progress) in a panel
+ * at the bottom right, with pause / resume / cancel. Open campaigns are kept in localStorage so the
+ * panel comes back after a page reload
+ */
+
+(function () {
+    const PANEL_ID = 'campaignProgressPanel';
+    const STORAGE_KEY = 'servicehub-campaigns';
+    const POLL_INTERVAL = 2000; // ms
+    const OPEN_STATUSES = ['running', 'paused'];
+
+    const campaigns = new Map();
+    let pollTimer = null;
+
+    function t(key, params) {
+        return window.i18n ? window.i18n.t(key, params) : key;
+    }
+
+    function escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value ?? '';
+        return div.innerHTML;
+    }
+
+    function save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify([...campaigns.keys()]));
+    }
+
+    function render() {
+        let panel = document.getElementById(PANEL_ID);
+        if (!campaigns.size) {
+            if (panel) panel.remove();
+            return;
+        }
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = PANEL_ID;
+            panel.className = 'fixed bottom-4 right-4 z-50 w-80 space-y-2';
+            document.body.appendChild(panel);
+        }
+
+        panel.innerHTML = [...campaigns.values()].map(campaign => {
+            const open = OPEN_STATUSES.includes(campaign.status);
+            const barColor = campaign.status === 'cancelled' ? '#9ca3af' : campaign.failed ? '#f59e0b' : '#10b981';
+            return `
+                <div class="bg-gray-800 border border-gray-700 rounded-lg p-3 shadow-lg text-sm text-gray-100">
+                    <div class="flex items-center justify-between mb-1">
+                        <span class="font-semibold">${campaign.channel === 'email' ? '📧' : '📱'} ${t('campaign.title')}</span>
+                        <span class="text-xs text-gray-400">${t(`campaign.status.${campaign.status}`)}</span>
+                    </div>
+                    ${campaign.subject ? `<div class="text-xs text-gray-400 truncate mb-1">${escapeHtml(campaign.subject)}</div>` : ''}
+                    <div class="w-full h-2 bg-gray-700 rounded overflow-hidden mb-1">
+                        <div style="width: ${campaign.percent}%; height: 100%; background-color: ${barColor}; transition: width 0.5s;"></div>
+                    </div>
+                    <div class="text-xs text-gray-400 mb-2">${t('campaign.counts', { sent: campaign.sent, failed: campaign.failed, total: campaign.total })}</div>
+                    <div class="flex justify-end gap-2">
+                        ${campaign.status === 'running' ? `<button type="button" class="px-2 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600" data-campaign="${campaign.id}" data-action="pause">${t('campaign.pause')}</button>` : ''}
+                        ${campaign.status === 'paused' ? `<button type="button" class="px-2 py-1 text-xs rounded bg-emerald-600 hover:bg-emerald-700" data-campaign="${campaign.id}" data-action="resume">${t('campaign.resume')}</button>` : ''}
+                        ${open ? `<button type="button" class="px-2 py-1 text-xs rounded bg-red-600 hover:bg-red-700" data-campaign="${campaign.id}" data-action="cancel">${t('campaign.cancel')}</button>` : ''}
+                        ${open ? '' : `<button type="button" class="px-2 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600" data-campaign="${campaign.id}" data-action="close">${t('campaign.close')}</button>`}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        panel.querySelectorAll('button[data-action]').forEach(button => {
+            button.addEventListener('click', () => runAction(button.dataset.campaign, button.dataset.action));
+        });
+    }
+
+    async function runAction(campaignId, action) {
+        if (action === 'close') {
+            campaigns.delete(campaignId);
+            save();
+            render();
+            return;
+        }
+        if (action === 'cancel') {
+            const confirmed = await window.customDialog.confirm(t('campaign.title'), t('campaign.confirm_cancel'), t('campaign.cancel'), t('campaign.close'));
+            if (!confirmed) return;
+        }
+        try {
+            const response = await fetch(`/api/campaigns/${campaignId}/${action}`, { method: 'POST' });
+            const data = await response.json();
+            if (data.success) update(data.campaign);
+        } catch (error) {
+            console.warn(`⚠️ Campaign ${action} failed:`, error.message);
+        }
+    }
+
+    function update(campaign) {
+        const previous = campaigns.get(campaign.id);
+        campaigns.set(campaign.id, campaign);
+        // Sends are billed as they go out: refresh the credit shown on the page when a campaign ends
+        if (previous && OPEN_STATUSES.includes(previous.status) && !OPEN_STATUSES.includes(campaign.status)) {
+            if (typeof window.updateDealerBalance === 'function') window.updateDealerBalance();
+        }
+        render();
+        schedule();
+    }
+
+    async function poll() {
+        pollTimer = null;
+        const open = [...campaigns.values()].filter(campaign => OPEN_STATUSES.includes(campaign.status));
+        await Promise.all(open.map(async campaign => {
+            try {
+                const response = await fetch(`/api/campaigns/${campaign.id}/progress`);
+                if (response.status === 404 || response.status === 403) {
+                    campaigns.delete(campaign.id);
+                    save();
+                    return;
+                }
+                const data = await response.json();
+                if (data.success) campaigns.set(campaign.id, data.campaign);
+                if (data.success && !OPEN_STATUSES.includes(data.campaign.status) && typeof window.updateDealerBalance === 'function') {
+                    window.updateDealerBalance();
+                }
+            } catch (error) {
+                console.warn('⚠️ Campaign progress unavailable:', error.message);
+            }
+        }));
+        render();
+        schedule();
+    }
+
+    function schedule() {
+        const anyOpen = [...campaigns.values()].some(campaign => OPEN_STATUSES.includes(campaign.status));
+        if (anyOpen && !pollTimer) pollTimer = setTimeout(poll, POLL_INTERVAL);
+    }
+
+    // Campaigns left open by a previous page load: shown as soon as their progress comes back
+    document.addEventListener('DOMContentLoaded', () => {
+        let ids = [];
+        try {
+            ids = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        } catch (e) { /* formato non valido */ }
+        ids.forEach(id => campaigns.set(id, { id, status: 'running', channel: null, sent: 0, failed: 0, total: 0, percent: 0 }));
+        if (campaigns.size) poll();
+    });
+
+    // Called by the send dialogs with the campaign returned when the send is queued. Scheduled campaigns
+    // are followed from the history page (campaigns.html) until they start
+    window.trackCampaign = (campaign) => {
+        if (!campaign?.id || campaign.status === 'scheduled') return;
+        update(campaign);
+        save();
+    };
+})();
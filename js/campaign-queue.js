@@ -0,0 +1,511 @@
+// Service Portal - Campaign Queue
+// Bulk sends as persisted campaigns (see supabase-campaigns.sql): one personalized task per recipient,
+// a background worker that sends them with bounded concurrency and per-channel rate limits, retries
+// with exponential backoff, and pause / resume / cancel from the portal. Campaigns stay as the send
+// history (supabase-campaign-history.sql): template, filters, cost and the outcome of every recipient.
+// A campaign can be scheduled for later and messages only go out inside the send window of the dealer
+// (supabase-campaign-schedule.sql, js/send-window.js)
+
+const { supabaseAdmin } = require('../config/supabase.js');
+const { BillingLedger } = require('./billing-ledger.js');
+const { DeliveryStatus } = require('./delivery-status.js');
+const { SendWindow } = require('./send-window.js');
+
+const WORKER_INTERVAL = 2 * 1000; // ms
+const CONCURRENCY = parseInt(process.env.CAMPAIGN_WORKER_CONCURRENCY, 10) || 4;
+// Messages per second and per instance (SES default quota 14/s, Twilio sender throughput)
+const RATE_LIMITS = {
+    email: parseFloat(process.env.CAMPAIGN_EMAIL_RATE) || 10,
+    whatsapp: parseFloat(process.env.CAMPAIGN_WHATSAPP_RATE) || 5
+};
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 30; // secondi, doubled at every attempt
+const RETRY_MAX_DELAY = 30 * 60; // secondi
+const STALE_LOCK = 10 * 60; // secondi, a task 'sending' for longer is claimed again
+const RESERVATION_TTL = 60 * 60; // secondi, pushed back while the campaign is open
+const RESERVATION_REFRESH_INTERVAL = 10 * 60 * 1000; // ms
+const SCHEDULER_INTERVAL = 30 * 1000; // ms, scheduled campaigns start at most this late
+const MAX_SCHEDULE_AHEAD = 90 * 24 * 60 * 60; // secondi
+const DEFER_FALLBACK = 24 * 60 * 60; // secondi, when the send window never opens
+const TASK_INSERT_CHUNK = 500;
+const MAX_RECIPIENTS = 5000;
+const PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MESSAGE_STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled'];
+
+const CAMPAIGN_COLUMNS = 'id, dealer_id, created_by_email, source, channel, subject, status, total, sent, failed, cancelled, scheduled_at, started_at, created_at, updated_at, completed_at';
+const HISTORY_COLUMNS = `${CAMPAIGN_COLUMNS}, template_name, cost_cents, delivered, read, undelivered, complained, purpose`;
+const DETAIL_COLUMNS = `${HISTORY_COLUMNS}, language, base_message, template_id, filters, excluded`;
+const MESSAGE_COLUMNS = 'id, position, certificate_id, recipient_name, email, phone, subject, message, status, attempts, last_error, provider_message_id, sent_channel, sent_at, cost_cents, delivery_status, delivery_error, delivery_updated_at, complained_at';
+const DELIVERY_STATUSES = ['queued', 'sent', 'delivered', 'read', 'failed', 'bounced'];
+
+let deps = {
+    // (task, campaign) => { success, providerMessageId?, channel?, costCents?, deliveryStatus?, error?, retryable? }
+    deliver: null
+};
+
+let timer = null;
+let ticking = false;
+let lastReservationRefresh = 0;
+let lastSchedulerRun = 0;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function page(options) {
+    return {
+        limit: Math.min(Math.max(parseInt(options.limit, 10) || PAGE_SIZE, 1), MAX_PAGE_SIZE),
+        offset: Math.max(parseInt(options.offset, 10) || 0, 0)
+    };
+}
+
+function retryDelay(attempts) {
+    return Math.min(RETRY_BASE_DELAY * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY);
+}
+
+// Counters plus what is still to send, as shown by the progress bar. With the delivery totals
+// (history), the share of sent messages confirmed delivered / read by the provider callbacks
+function withProgress(campaign) {
+    const done = campaign.sent + campaign.failed + campaign.cancelled;
+    const rates = campaign.delivered === undefined ? {} : {
+        delivery_rate: campaign.sent ? Math.round(campaign.delivered / campaign.sent * 100) : null,
+        read_rate: campaign.sent ? Math.round(campaign.read / campaign.sent * 100) : null
+    };
+    return {
+        ...campaign,
+        pending: Math.max(campaign.total - done, 0),
+        percent: campaign.total ? Math.round(done / campaign.total * 100) : 100,
+        ...rates
+    };
+}
+
+class CampaignQueue {
+
+    /**
+     * @param {Object} options - { deliver(task, campaign) }
+     */
+    static configure(options) {
+        deps = { ...deps, ...options };
+    }
+
+    static get maxRecipients() {
+        return MAX_RECIPIENTS;
+    }
+
+    static get messageStatuses() {
+        return MESSAGE_STATUSES;
+    }
+
+    static get deliveryStatuses() {
+        return DELIVERY_STATUSES;
+    }
+
+    /**
+     * When a send may be scheduled for: null = right away
+     * @param {string|null|undefined} value - ISO date from the portal
+     * @returns {{valid:boolean, scheduledAt?:string|null}}
+     */
+    static parseSchedule(value) {
+        if (value === undefined || value === null || value === '') return { valid: true, scheduledAt: null };
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime()) || date.getTime() > Date.now() + MAX_SCHEDULE_AHEAD * 1000) return { valid: false };
+        // A time already passed (a slow click) means now
+        return { valid: true, scheduledAt: date.getTime() > Date.now() ? date.toISOString() : null };
+    }
+
+    /**
+     * Store a campaign and its tasks. Recipients without a contact for the channel are failed right away
+     * @param {{dealerId:number, createdBy?:{userId?:string, email?:string}, source:string, channel:string, language?:string, subject?:string, baseMessage?:string, template?:{id:string, name:string}, filters?:Object, costCents?:number, reservationId?:string, purpose?:string, excluded?:Object, scheduledAt?:string, recipients:Array<{certificateId?:number, name?:string, email?:string, phone?:string, subject?:string, message:string}>}} campaign
+     *   costCents: already billed before queueing (AI generation); excluded: recipients left out before queueing, by reason;
+     *   scheduledAt: start later (parseSchedule), the reservation is kept until then
+     * @returns {Promise<Object>} campaign row with progress
+     */
+    static async enqueue({ dealerId, createdBy = {}, source, channel, language = 'it', subject = null, baseMessage = null, template = null, filters = {}, costCents = 0, reservationId = null, purpose = 'marketing', excluded = {}, scheduledAt = null, recipients }) {
+        const tasks = recipients.map((recipient, position) => {
+            const contact = channel === 'email' ? recipient.email : recipient.phone;
+            return {
+                dealer_id: dealerId,
+                position,
+                certificate_id: recipient.certificateId || null,
+                recipient_name: recipient.name || null,
+                email: recipient.email || null,
+                phone: recipient.phone || null,
+                subject: channel === 'email' ? (recipient.subject || subject) : null,
+                message: recipient.message,
+                status: contact ? 'pending' : 'failed',
+                last_error: contact ? null : (channel === 'email' ? 'no_email' : 'no_phone'),
+                timezone: channel === 'email' ? null : SendWindow.recipientTimeZone(recipient.phone)
+            };
+        });
+        const failed = tasks.filter(task => task.status === 'failed').length;
+        const toSend = tasks.length - failed;
+
+        const { data: campaign, error } = await supabaseAdmin
+            .from('campaigns')
+            .insert({
+                dealer_id: dealerId,
+                created_by: createdBy.userId || null,
+                created_by_email: createdBy.email || null,
+                source,
+                channel,
+                language,
+                subject,
+                base_message: baseMessage,
+                template_id: template?.id || null,
+                template_name: template?.name || null,
+                filters: filters || {},
+                cost_cents: costCents || 0,
+                purpose,
+                excluded: excluded || {},
+                status: toSend ? (scheduledAt ? 'scheduled' : 'running') : 'completed',
+                scheduled_at: scheduledAt,
+                started_at: toSend && !scheduledAt ? new Date().toISOString() : null,
+                total: tasks.length,
+                failed,
+                reservation_id: toSend ? reservationId : null,
+                completed_at: toSend ? null : new Date().toISOString()
+            })
+            .select(CAMPAIGN_COLUMNS)
+            .single();
+        if (error) throw error;
+
+        for (let i = 0; i < tasks.length; i += TASK_INSERT_CHUNK) {
+            const chunk = tasks.slice(i, i + TASK_INSERT_CHUNK).map(task => ({ ...task, campaign_id: campaign.id }));
+            const { error: taskError } = await supabaseAdmin.from('campaign_tasks').insert(chunk);
+            if (taskError) {
+                await supabaseAdmin.from('campaigns').delete().eq('id', campaign.id);
+                throw taskError;
+            }
+        }
+
+        if (!toSend && reservationId) await BillingLedger.releaseReservation(reservationId);
+        console.log(`📬 Campagna ${campaign.id} ${campaign.status === 'scheduled' ? `programmata per ${scheduledAt}` : 'in coda'}: ${toSend} ${channel} per dealer ${dealerId}${failed ? ` (${failed} senza contatto)` : ''}`);
+        return withProgress(campaign);
+    }
+
+    /**
+     * Campaign counters and the latest failures
+     * @param {string} campaignId
+     * @returns {Promise<Object|null>}
+     */
+    static async progress(campaignId) {
+        const { data: campaign, error } = await supabaseAdmin
+            .from('campaigns')
+            .select(CAMPAIGN_COLUMNS)
+            .eq('id', campaignId)
+            .maybeSingle();
+        if (error) throw error;
+        if (!campaign) return null;
+
+        const { data: failures, error: failuresError } = await supabaseAdmin
+            .from('campaign_tasks')
+            .select('id, recipient_name, email, phone, attempts, last_error')
+            .eq('campaign_id', campaignId)
+            .eq('status', 'failed')
+            .order('position')
+            .limit(20);
+        if (failuresError) throw failuresError;
+
+        return { ...withProgress(campaign), failures: failures || [] };
+    }
+
+    /**
+     * Send history of a dealer, newest first
+     * @param {number} dealerId
+     * @param {{status?:string, channel?:string, source?:string, limit?:number, offset?:number}} filters
+     * @returns {Promise<{data:Array, total:number}>}
+     */
+    static async list(dealerId, filters = {}) {
+        const { limit, offset } = page(filters);
+        let query = supabaseAdmin
+            .from('campaigns')
+            .select(HISTORY_COLUMNS, { count: 'exact' })
+            .eq('dealer_id', dealerId);
+        if (filters.status) query = query.eq('status', filters.status);
+        if (filters.channel) query = query.eq('channel', filters.channel);
+        if (filters.source) query = query.eq('source', filters.source);
+
+        const { data, error, count } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+        if (error) throw error;
+        return { data: (data || []).map(withProgress), total: count || 0 };
+    }
+
+    /**
+     * A campaign as sent (base message, template, filters, cost) and one page of its recipients
+     * @param {string} campaignId
+     * @param {{status?:string, delivery?:string, limit?:number, offset?:number}} filters - send / delivery status of the messages to list
+     * @returns {Promise<{campaign:Object, messages:Array, total:number}|null>}
+     */
+    static async detail(campaignId, filters = {}) {
+        const { data: campaign, error } = await supabaseAdmin
+            .from('campaigns')
+            .select(DETAIL_COLUMNS)
+            .eq('id', campaignId)
+            .maybeSingle();
+        if (error) throw error;
+        if (!campaign) return null;
+
+        const { limit, offset } = page(filters);
+        let query = supabaseAdmin
+            .from('campaign_tasks')
+            .select(MESSAGE_COLUMNS, { count: 'exact' })
+            .eq('campaign_id', campaignId);
+        if (filters.status) query = query.eq('status', filters.status);
+        if (filters.delivery) query = query.eq('delivery_status', filters.delivery);
+
+        const { data: messages, error: messagesError, count } = await query
+            .order('position')
+            .range(offset, offset + limit - 1);
+        if (messagesError) throw messagesError;
+        return { campaign: withProgress(campaign), messages: messages || [], total: count || 0 };
+    }
+
+    static async pause(campaignId) {
+        return CampaignQueue.setStatus(campaignId, 'running', 'paused');
+    }
+
+    static async resume(campaignId) {
+        return CampaignQueue.setStatus(campaignId, 'paused', 'running');
+    }
+
+    static async setStatus(campaignId, from, to) {
+        const { data, error } = await supabaseAdmin
+            .from('campaigns')
+            .update({ status: to, updated_at: new Date().toISOString() })
+            .eq('id', campaignId)
+            .eq('status', from)
+            .select(CAMPAIGN_COLUMNS);
+        if (error) throw error;
+        if (!data?.length) return { success: false, error: 'invalid_status' };
+        console.log(`📬 Campagna ${campaignId}: ${from} -> ${to}`);
+        return { success: true, campaign: withProgress(data[0]) };
+    }
+
+    /**
+     * Move a scheduled campaign that has not started yet
+     * @param {string} campaignId
+     * @param {string|null} scheduledAt - from parseSchedule, null = start now
+     * @returns {Promise<{success:boolean, campaign?:Object, previous?:string, error?:string}>}
+     */
+    static async reschedule(campaignId, scheduledAt) {
+        const { data: current, error: currentError } = await supabaseAdmin
+            .from('campaigns')
+            .select('scheduled_at')
+            .eq('id', campaignId)
+            .eq('status', 'scheduled')
+            .maybeSingle();
+        if (currentError) throw currentError;
+        if (!current) return { success: false, error: 'invalid_status' };
+
+        const now = new Date().toISOString();
+        const { data, error } = await supabaseAdmin
+            .from('campaigns')
+            .update(scheduledAt
+                ? { scheduled_at: scheduledAt, updated_at: now }
+                : { status: 'running', started_at: now, updated_at: now })
+            .eq('id', campaignId)
+            .eq('status', 'scheduled')
+            .select(CAMPAIGN_COLUMNS);
+        if (error) throw error;
+        if (!data?.length) return { success: false, error: 'invalid_status' };
+        console.log(`📬 Campagna ${campaignId} ${scheduledAt ? `riprogrammata per ${scheduledAt}` : 'avviata subito'}`);
+        return { success: true, campaign: withProgress(data[0]), previous: current.scheduled_at };
+    }
+
+    /**
+     * Cancel what is left to send and give back the reserved credit
+     * @param {string} campaignId
+     * @returns {Promise<{success:boolean, campaign?:Object, error?:string}>}
+     */
+    static async cancel(campaignId) {
+        const { data, error } = await supabaseAdmin.rpc('campaign_cancel', { p_campaign_id: campaignId });
+        if (error) throw error;
+        const campaign = Array.isArray(data) ? data[0] : data;
+        if (!campaign) return { success: false, error: 'invalid_status' };
+
+        if (campaign.reservation_id) await BillingLedger.releaseReservation(campaign.reservation_id);
+        console.log(`📬 Campagna ${campaignId} annullata: ${campaign.cancelled} invii non eseguiti`);
+        return { success: true, campaign: await CampaignQueue.progress(campaignId) };
+    }
+
+    // Worker ------------------------------------------------------------------
+
+    static start() {
+        if (timer) return;
+        timer = setInterval(() => {
+            CampaignQueue.tick().catch(error => console.error('❌ Campaign worker error:', error.message));
+        }, WORKER_INTERVAL);
+        console.log(`📬 Worker campagne avviato (concorrenza ${CONCURRENCY}, email ${RATE_LIMITS.email}/s, whatsapp ${RATE_LIMITS.whatsapp}/s)`);
+    }
+
+    static stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    // One round: for each channel claim what the rate limit allows in an interval and send it
+    static async tick() {
+        if (ticking || !deps.deliver) return;
+        ticking = true;
+        try {
+            if (Date.now() - lastReservationRefresh > RESERVATION_REFRESH_INTERVAL) {
+                await CampaignQueue.refreshReservations();
+                lastReservationRefresh = Date.now();
+            }
+            if (Date.now() - lastSchedulerRun > SCHEDULER_INTERVAL) {
+                await CampaignQueue.startDue();
+                lastSchedulerRun = Date.now();
+            }
+            for (const channel of Object.keys(RATE_LIMITS)) {
+                await CampaignQueue.runChannel(channel);
+            }
+        } finally {
+            ticking = false;
+        }
+    }
+
+    static async runChannel(channel) {
+        const { data: tasks, error } = await supabaseAdmin.rpc('campaign_claim_tasks', {
+            p_channel: channel,
+            p_limit: Math.max(Math.floor(RATE_LIMITS[channel] * WORKER_INTERVAL / 1000), 1),
+            p_stale_seconds: STALE_LOCK
+        });
+        if (error) throw error;
+        if (!tasks?.length) return;
+
+        const { data: campaigns, error: campaignsError } = await supabaseAdmin
+            .from('campaigns')
+            .select('id, dealer_id, channel, language, reservation_id')
+            .in('id', [...new Set(tasks.map(task => task.campaign_id))]);
+        if (campaignsError) throw campaignsError;
+        const byId = new Map((campaigns || []).map(campaign => [campaign.id, campaign]));
+
+        // Outside the send window of the dealer (recipient's time zone) the task waits for it to open
+        const now = new Date();
+        const windows = await SendWindow.forDealers((campaigns || []).map(campaign => campaign.dealer_id));
+        const due = [];
+        for (const task of tasks) {
+            const campaign = byId.get(task.campaign_id);
+            const opens = campaign ? SendWindow.nextOpen(now, channel, windows.get(Number(campaign.dealer_id)), task.timezone) : now;
+            if (opens === now) {
+                due.push(task);
+            } else {
+                await CampaignQueue.defer(task, opens || new Date(now.getTime() + DEFER_FALLBACK * 1000));
+            }
+        }
+        if (!due.length) return;
+
+        // CONCURRENCY sends in flight, started no faster than the channel rate
+        const spacing = 1000 / RATE_LIMITS[channel];
+        const startedAt = Date.now();
+        let next = 0;
+        const runners = Array.from({ length: Math.min(CONCURRENCY, due.length) }, async () => {
+            while (next < due.length) {
+                const index = next++;
+                const wait = startedAt + index * spacing - Date.now();
+                if (wait > 0) await sleep(wait);
+                await CampaignQueue.runTask(due[index], byId.get(due[index].campaign_id));
+            }
+        });
+        await Promise.all(runners);
+    }
+
+    // Put a claimed task back until the send window opens, with the pending tasks of its campaign in the same time zone
+    static async defer(task, until) {
+        try {
+            const { data, error } = await supabaseAdmin.rpc('campaign_task_defer', {
+                p_task_id: task.id,
+                p_until: until.toISOString()
+            });
+            if (error) throw error;
+            if (data) console.log(`🌙 Campagna ${task.campaign_id}: fuori fascia oraria${task.timezone ? ` (${task.timezone})` : ''}, ${data} invii rimandati a ${until.toISOString()}`);
+        } catch (error) {
+            // The task stays 'sending' and is claimed again after STALE_LOCK
+            console.error(`❌ Rinvio di ${task.id} non salvato:`, error.message);
+        }
+    }
+
+    static async runTask(task, campaign) {
+        let result;
+        try {
+            result = await deps.deliver(task, campaign);
+        } catch (error) {
+            result = { success: false, error: error.message, retryable: true };
+        }
+
+        let status = 'sent';
+        let retryAt = null;
+        if (!result.success) {
+            status = result.retryable && task.attempts < MAX_ATTEMPTS ? 'pending' : 'failed';
+            if (status === 'pending') retryAt = new Date(Date.now() + retryDelay(task.attempts) * 1000).toISOString();
+            console.warn(`⚠️ Campagna ${task.campaign_id}, invio ${task.id} (tentativo ${task.attempts}) fallito: ${result.error}${retryAt ? ' - nuovo tentativo' : ''}`);
+        }
+
+        try {
+            const { data, error } = await supabaseAdmin.rpc('campaign_task_result', {
+                p_task_id: task.id,
+                p_status: status,
+                p_error: result.success ? null : String(result.error || 'send_failed').slice(0, 500),
+                p_provider_message_id: result.providerMessageId || null,
+                p_sent_channel: result.channel || null,
+                p_retry_at: retryAt,
+                p_cost_cents: result.success ? result.costCents || 0 : 0
+            });
+            if (error) throw error;
+
+            const row = Array.isArray(data) ? data[0] : data;
+            if (row?.completed) await CampaignQueue.complete(campaign);
+        } catch (error) {
+            // The task stays 'sending' and is claimed again after STALE_LOCK
+            console.error(`❌ Esito invio ${task.id} non salvato:`, error.message);
+            return;
+        }
+
+        if (status === 'sent') {
+            try {
+                await DeliveryStatus.accepted(task.id, result.deliveryStatus || 'sent');
+            } catch (error) {
+                console.warn(`⚠️ Stato consegna iniziale di ${task.id} non salvato:`, error.message);
+            }
+        }
+    }
+
+    static async complete(campaign) {
+        if (campaign?.reservation_id) await BillingLedger.releaseReservation(campaign.reservation_id);
+        const { data } = await supabaseAdmin
+            .from('campaigns')
+            .select('sent, failed, total')
+            .eq('id', campaign.id)
+            .maybeSingle();
+        console.log(`✅ Campagna ${campaign.id} completata: ${data?.sent ?? '?'}/${data?.total ?? '?'} inviati, ${data?.failed ?? '?'} falliti`);
+    }
+
+    // Scheduled campaigns whose time has come start sending like any other
+    static async startDue() {
+        const now = new Date().toISOString();
+        const { data, error } = await supabaseAdmin
+            .from('campaigns')
+            .update({ status: 'running', started_at: now, updated_at: now })
+            .eq('status', 'scheduled')
+            .lte('scheduled_at', now)
+            .select('id, dealer_id, channel, total');
+        if (error) throw error;
+        (data || []).forEach(campaign => console.log(`⏰ Campagna programmata ${campaign.id} avviata: ${campaign.total} ${campaign.channel} per dealer ${campaign.dealer_id}`));
+    }
+
+    // Open campaigns keep their reservation: push back its expiry (paused and scheduled ones included)
+    static async refreshReservations() {
+        const { data, error } = await supabaseAdmin
+            .from('campaigns')
+            .select('reservation_id')
+            .in('status', ['scheduled', 'running', 'paused'])
+            .not('reservation_id', 'is', null);
+        if (error) throw error;
+        await BillingLedger.extendReservations((data || []).map(row => row.reservation_id), RESERVATION_TTL);
+    }
+}
+
+module.exports = { CampaignQueue };
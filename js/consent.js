@@ -0,0 +1,196 @@
+// Service Portal - Consent
+// Consent check of the communications routes (see supabase-consent.sql). Every send is 'service'
+// (reminders, documents about the customer's vehicle) or 'marketing' (offers, promotions); a certificate
+// recipient gets it only when the newest version of the certificate carries the agreements the purpose
+// requires, and only at the email / phone of that certificate's client. What was found is kept per contact in
+// contact_consents as GDPR evidence. Test clients are the
+// dealer's own contacts and need no certificate. Certificates live in the fleet database (configure)
+
+const { supabaseAdmin } = require('../config/supabase.js');
+const { normalizeContact } = require('./audit-log.js');
+
+const PURPOSES = ['service', 'marketing'];
+// Certificate agreements as kept in contact_consents.agreements
+const AGREEMENTS = ['userAgreement', 'clientReceiveDocumentsAgreement', 'vcrAgreement', 'vcrCallingAgreement'];
+// Agreements each purpose requires, in the order they are reported when missing. vcrAgreement is about
+// the crash recorder service, not about messages: kept as evidence only
+const REQUIRED_AGREEMENTS = {
+    service: ['userAgreement', 'clientReceiveDocumentsAgreement'],
+    marketing: ['userAgreement', 'clientReceiveDocumentsAgreement', 'vcrCallingAgreement']
+};
+const MISSING_REASONS = {
+    userAgreement: 'no_user_agreement',
+    clientReceiveDocumentsAgreement: 'no_documents_consent',
+    vcrCallingAgreement: 'no_contact_consent'
+};
+const EVIDENCE_CHUNK = 500;
+
+let deps = {
+    executeQuery: null
+};
+
+// The flags come as booleans, older certificates may have them as text
+function agreed(value) {
+    return value === true || ['true', 't', '1', 'yes', 'si', 'sì'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+// Email and phone of the certificate client (JSON column, older certificates keep it as text), normalized
+function clientContacts(value) {
+    let client = value;
+    if (!client || typeof client !== 'object') {
+        try {
+            client = JSON.parse(value);
+        } catch (error) {
+            client = null;
+        }
+    }
+    if (!client || typeof client !== 'object') return [];
+    return [normalizeContact(client.email), normalizeContact(client.phone)].filter(Boolean);
+}
+
+class Consent {
+
+    /**
+     * @param {Object} options - { executeQuery(query, params) => rows } for the certificates
+     */
+    static configure(options) {
+        deps = { ...deps, ...options };
+    }
+
+    static get purposes() {
+        return PURPOSES;
+    }
+
+    static get reasons() {
+        return ['no_certificate', 'contact_mismatch', 'not_test_client', ...new Set(Object.values(MISSING_REASONS))];
+    }
+
+    /**
+     * Agreements of the newest version of each certificate (same device and dealer)
+     * @param {number} dealerId
+     * @param {string} purpose - service or marketing
+     * @param {Array<number|string>} certificateIds
+     * @returns {Promise<Map<number, {granted:boolean, reason:string|null, agreements:Object, certificateId:number, version:number, consentAt:string|null, contacts:string[]}>>}
+     *   requested id => consent; ids that are not certificates of the dealer are missing. contacts: the
+     *   client's email and phone on the newest version, normalized
+     */
+    static async certificates(dealerId, purpose, certificateIds) {
+        const ids = [...new Set(certificateIds.map(id => parseInt(id, 10)).filter(Number.isInteger))];
+        const consents = new Map();
+        if (!ids.length) return consents;
+
+        const rows = await deps.executeQuery(`
+            SELECT r.id AS requested_id, latest.id, latest.version, latest."createdAt", latest."updatedAt",
+                   latest."userAgreement", latest."clientReceiveDocumentsAgreement",
+                   latest."vcrAgreement", latest."vcrCallingAgreement", latest.client
+            FROM certificate r
+            JOIN LATERAL (
+                SELECT c.* FROM certificate c
+                WHERE c."deviceId" = r."deviceId" AND c."dealerId" = r."dealerId"
+                ORDER BY c.version DESC
+                LIMIT 1
+            ) latest ON true
+            WHERE r.id = ANY($1::int[]) AND r."dealerId" = $2
+        `, [ids, Number(dealerId)]);
+
+        for (const row of rows) {
+            const agreements = Object.fromEntries(AGREEMENTS.map(name => [name, agreed(row[name])]));
+            const missing = REQUIRED_AGREEMENTS[purpose].find(name => !agreements[name]);
+            consents.set(Number(row.requested_id), {
+                granted: !missing,
+                reason: missing ? MISSING_REASONS[missing] : null,
+                agreements,
+                certificateId: Number(row.id),
+                version: row.version,
+                consentAt: row.updatedAt || row.createdAt || null,
+                contacts: clientContacts(row.client)
+            });
+        }
+        return consents;
+    }
+
+    /**
+     * Recipients of a send that may not get it. Certificate recipients are matched by id, and their contact
+     * must be the one of that certificate's client: the consent is not evidence for any other address. With
+     * testClients every recipient must be one of the dealer's test clients instead
+     * @param {number} dealerId
+     * @param {string} purpose
+     * @param {Object[]} recipients - with the certificate id as id
+     * @param {{contactOf:(recipient:Object) => string, testClients?:boolean}} options
+     * @returns {Promise<{excluded:Array<{index:number, reason:string}>, evidence:Object[]}>}
+     *   evidence: one entry per checked certificate recipient, for record()
+     */
+    static async screen(dealerId, purpose, recipients, { contactOf, testClients = false }) {
+        const excluded = [];
+        const evidence = [];
+
+        if (testClients) {
+            const { data, error } = await supabaseAdmin
+                .from('test_clients')
+                .select('email, phone')
+                .eq('dealer_id', Number(dealerId));
+            if (error) throw error;
+            const known = new Set((data || []).flatMap(client => [normalizeContact(client.email), normalizeContact(client.phone)]).filter(Boolean));
+            recipients.forEach((recipient, index) => {
+                if (!known.has(normalizeContact(contactOf(recipient)))) excluded.push({ index, reason: 'not_test_client' });
+            });
+            return { excluded, evidence };
+        }
+
+        const consents = await Consent.certificates(dealerId, purpose, recipients.map(recipient => recipient.id));
+        recipients.forEach((recipient, index) => {
+            const consent = consents.get(parseInt(recipient.id, 10));
+            if (!consent) {
+                excluded.push({ index, reason: 'no_certificate' });
+                return;
+            }
+            const contact = normalizeContact(contactOf(recipient));
+            if (contact && !consent.contacts.includes(contact)) {
+                excluded.push({ index, reason: 'contact_mismatch' });
+                return;
+            }
+            if (!consent.granted) excluded.push({ index, reason: consent.reason });
+            evidence.push({ ...consent, contact });
+        });
+        return { excluded, evidence };
+    }
+
+    /**
+     * Keep what a send found as consent evidence, latest check per contact and purpose
+     * @param {number} dealerId
+     * @param {'email'|'whatsapp'} channel
+     * @param {string} purpose
+     * @param {Object[]} evidence - from screen()
+     */
+    static async record(dealerId, channel, purpose, evidence) {
+        const contactType = channel === 'email' ? 'email' : 'phone';
+        const checkedAt = new Date().toISOString();
+        const rows = new Map();
+        for (const entry of evidence) {
+            const contact = normalizeContact(entry.contact);
+            if (!contact || contact.includes('@') !== (contactType === 'email')) continue;
+            rows.set(contact, {
+                dealer_id: Number(dealerId),
+                contact_type: contactType,
+                contact,
+                purpose,
+                granted: entry.granted,
+                agreements: entry.agreements,
+                source: 'certificate',
+                certificate_id: entry.certificateId,
+                certificate_version: entry.version,
+                consent_at: entry.consentAt,
+                checked_at: checkedAt
+            });
+        }
+        const list = [...rows.values()];
+        for (let i = 0; i < list.length; i += EVIDENCE_CHUNK) {
+            const { error } = await supabaseAdmin
+                .from('contact_consents')
+                .upsert(list.slice(i, i + EVIDENCE_CHUNK), { onConflict: 'dealer_id,contact_type,contact,purpose' });
+            if (error) throw error;
+        }
+    }
+}
+
+module.exports = { Consent };
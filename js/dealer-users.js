@@ -0,0 +1,282 @@
+// Service Portal - Dealer Users
+// Named users under a dealer account with roles (see supabase-dealer-users.sql): login lookup,
+// invitations by email, role permissions checked by ApiAuthorization.requirePermission
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase.js');
+
+const ROLES = ['owner', 'service_advisor', 'marketing', 'read_only'];
+
+// What each role may do on top of reading the dealer's data
+const ROLE_PERMISSIONS = {
+    owner: ['billing', 'communications_send', 'templates_edit', 'groups_manage', 'users_manage', 'audit_view', 'alerts_manage'],
+    service_advisor: ['communications_send', 'groups_manage', 'alerts_manage'],
+    marketing: ['communications_send', 'templates_edit', 'groups_manage'],
+    read_only: []
+};
+
+const INVITE_TTL = 7 * 24 * 60 * 60; // secondi
+const USER_COLUMNS = 'id, dealer_id, email, name, role, status, is_account_owner, invited_at, accepted_at, last_login_at, created_at';
+
+let deps = {
+    emailService: null,
+    // async (email) => dealer row from the PostgreSQL dealer table, or null
+    getDealerByEmail: async () => null,
+    portalUrl: ''
+};
+
+function hashInviteToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+class DealerUsers {
+
+    /**
+     * @param {Object} options - { emailService, getDealerByEmail(email), portalUrl }
+     */
+    static configure(options) {
+        deps = { ...deps, ...options };
+    }
+
+    static get roles() {
+        return ROLES;
+    }
+
+    /**
+     * @param {string} role
+     * @returns {string[]} permissions of the role
+     */
+    static permissions(role) {
+        return ROLE_PERMISSIONS[role] || [];
+    }
+
+    static can(role, permission) {
+        return DealerUsers.permissions(role).includes(permission);
+    }
+
+    /**
+     * Resolve a login email to its active user and dealer id. The dealer's own companyLoginEmail
+     * always works and becomes (or refreshes) the account owner user
+     * @param {string} email
+     * @returns {Promise<{user:Object, dealer:Object|null}|null>} dealer row only when looked up by companyLoginEmail
+     */
+    static async resolveLogin(email) {
+        const normalized = normalizeEmail(email);
+        if (!normalized) return null;
+
+        const dealer = await deps.getDealerByEmail(normalized);
+        if (dealer) {
+            const user = await DealerUsers.ensureAccountOwner(dealer);
+            return user.status === 'active' ? { user, dealer } : null;
+        }
+
+        const { data: user, error } = await supabaseAdmin
+            .from('dealer_users')
+            .select(USER_COLUMNS)
+            .eq('email', normalized) // invited emails are stored lowercase
+            .eq('status', 'active')
+            .maybeSingle();
+        if (error) throw error;
+        return user ? { user, dealer: null } : null;
+    }
+
+    /**
+     * Account owner user of a dealer (created on first use)
+     * @param {{id:number, companyLoginEmail:string, companyMobisatTechRefName?:string}} dealer
+     */
+    static async ensureAccountOwner(dealer) {
+        const { data, error } = await supabaseAdmin.rpc('dealer_users_ensure_account_owner', {
+            p_dealer_id: dealer.id,
+            p_email: dealer.companyLoginEmail,
+            p_name: dealer.companyMobisatTechRefName || null
+        });
+        if (error) throw error;
+        return Array.isArray(data) ? data[0] : data;
+    }
+
+    static async get(userId) {
+        const { data, error } = await supabaseAdmin
+            .from('dealer_users')
+            .select(USER_COLUMNS)
+            .eq('id', userId)
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    static async list(dealerId) {
+        const { data, error } = await supabaseAdmin
+            .from('dealer_users')
+            .select(USER_COLUMNS)
+            .eq('dealer_id', dealerId)
+            .order('is_account_owner', { ascending: false })
+            .order('created_at', { ascending: true });
+        if (error) throw error;
+        return data || [];
+    }
+
+    static async touchLogin(userId) {
+        const { error } = await supabaseAdmin
+            .from('dealer_users')
+            .update({ last_login_at: new Date().toISOString() })
+            .eq('id', userId);
+        if (error) console.error('❌ Errore aggiornamento ultimo accesso utente:', error.message);
+    }
+
+    /**
+     * Invite a colleague by email
+     * @param {{dealerId:number, userId:string, name?:string}} inviter - req.auth of the owner
+     * @param {{email:string, name?:string, role:string}} invite
+     * @param {string} companyName - shown in the email
+     * @returns {Promise<{success:boolean, user?:Object, error?:string}>}
+     */
+    static async invite(inviter, { email, name, role }, companyName) {
+        const normalized = normalizeEmail(email);
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) return { success: false, error: 'invalid_email' };
+        if (!ROLES.includes(role)) return { success: false, error: 'invalid_role' };
+        if (await deps.getDealerByEmail(normalized)) return { success: false, error: 'user_exists' };
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const { data: user, error } = await supabaseAdmin
+            .from('dealer_users')
+            .insert({
+                dealer_id: inviter.dealerId,
+                email: normalized,
+                name: name ? String(name).slice(0, 100) : null,
+                role,
+                status: 'invited',
+                invite_token_hash: hashInviteToken(token),
+                invite_expires_at: new Date(Date.now() + INVITE_TTL * 1000).toISOString(),
+                invited_by: inviter.userId,
+                invited_at: new Date().toISOString()
+            })
+            .select(USER_COLUMNS)
+            .single();
+        if (error) {
+            if (error.code === '23505') return { success: false, error: 'user_exists' };
+            throw error;
+        }
+
+        await DealerUsers.sendInvite(user, token, inviter.name, companyName);
+        return { success: true, user };
+    }
+
+    /**
+     * New invite link for a user who has not accepted yet (the old link stops working)
+     */
+    static async resendInvite(inviter, userId, companyName) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const { data: user, error } = await supabaseAdmin
+            .from('dealer_users')
+            .update({
+                invite_token_hash: hashInviteToken(token),
+                invite_expires_at: new Date(Date.now() + INVITE_TTL * 1000).toISOString(),
+                invited_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', userId)
+            .eq('dealer_id', inviter.dealerId)
+            .eq('status', 'invited')
+            .select(USER_COLUMNS)
+            .maybeSingle();
+        if (error) throw error;
+        if (!user) return { success: false, error: 'user_not_found' };
+
+        await DealerUsers.sendInvite(user, token, inviter.name, companyName);
+        return { success: true, user };
+    }
+
+    static async sendInvite(user, token, inviterName, companyName) {
+        if (!deps.emailService) return;
+
+        const link = `${deps.portalUrl}/accept-invite.html?token=${encodeURIComponent(token)}`;
+        const company = companyName || 'Service Hub';
+        const html = `
+            <p>${inviterName || company} ti ha invitato ad accedere al portale Service Hub di <strong>${company}</strong>.</p>
+            <p><a href="${link}">Accetta l'invito</a> (valido 7 giorni), poi accedi con questo indirizzo email.</p>
+            <hr>
+            <p>${inviterName || company} invited you to the Service Hub portal of <strong>${company}</strong>.</p>
+            <p><a href="${link}">Accept the invitation</a> (valid for 7 days), then sign in with this email address.</p>`;
+
+        const result = await deps.emailService.sendGenericEmail(
+            user.email,
+            `Service Hub - Invito / Invitation: ${company}`,
+            html
+        );
+        if (result.success) {
+            console.log(`📧 Invito inviato a ${user.email} (dealer ${user.dealer_id})`);
+        } else {
+            console.error(`❌ Invio invito fallito per ${user.email}:`, result.error);
+        }
+    }
+
+    /**
+     * Accept an invitation from the emailed link
+     * @param {string} token
+     * @returns {Promise<{success:boolean, user?:Object, error?:string}>}
+     */
+    static async acceptInvite(token) {
+        if (!token) return { success: false, error: 'invalid_invite' };
+        const { data, error } = await supabaseAdmin.rpc('dealer_users_accept_invite', {
+            p_token_hash: hashInviteToken(token)
+        });
+        if (error) throw error;
+
+        const user = Array.isArray(data) ? data[0] : data;
+        if (!user) return { success: false, error: 'invalid_invite' };
+        return { success: true, user: { email: user.email, name: user.name, role: user.role } };
+    }
+
+    /**
+     * Change role / status / name of a user of the dealer. The account owner keeps role owner and stays active
+     * @returns {Promise<{success:boolean, user?:Object, error?:string}>}
+     */
+    static async update(dealerId, userId, changes) {
+        const target = await DealerUsers.get(userId);
+        if (!target || Number(target.dealer_id) !== dealerId) return { success: false, error: 'user_not_found' };
+
+        const update = { updated_at: new Date().toISOString() };
+        if (changes.name !== undefined) update.name = changes.name ? String(changes.name).slice(0, 100) : null;
+        if (changes.role !== undefined) {
+            if (!ROLES.includes(changes.role)) return { success: false, error: 'invalid_role' };
+            if (target.is_account_owner && changes.role !== 'owner') return { success: false, error: 'account_owner_locked' };
+            update.role = changes.role;
+        }
+        if (changes.status !== undefined) {
+            if (!['active', 'disabled'].includes(changes.status) || target.status === 'invited') {
+                return { success: false, error: 'invalid_status' };
+            }
+            if (target.is_account_owner && changes.status !== 'active') return { success: false, error: 'account_owner_locked' };
+            update.status = changes.status;
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('dealer_users')
+            .update(update)
+            .eq('id', userId)
+            .select(USER_COLUMNS)
+            .single();
+        if (error) throw error;
+        return { success: true, user: data };
+    }
+
+    /**
+     * Remove a user (sessions and login methods go with it). Not the account owner
+     * @returns {Promise<{success:boolean, error?:string}>}
+     */
+    static async remove(dealerId, userId) {
+        const target = await DealerUsers.get(userId);
+        if (!target || Number(target.dealer_id) !== dealerId) return { success: false, error: 'user_not_found' };
+        if (target.is_account_owner) return { success: false, error: 'account_owner_locked' };
+
+        const { error } = await supabaseAdmin.from('dealer_users').delete().eq('id', userId);
+        if (error) throw error;
+        return { success: true };
+    }
+}
+
+module.exports = { DealerUsers };
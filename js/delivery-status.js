@@ -0,0 +1,227 @@
+// Service Portal - Delivery Status
+// Provider callbacks for campaign messages: Twilio status callbacks (WhatsApp / SMS) and SES bounce,
+// complaint and delivery notifications received through an SNS HTTP(S) subscription.
+// Every callback is stored in message_delivery_events and moves the message (campaign_tasks) and the
+// campaign totals forward (see supabase-delivery-status.sql). scripts/fake-delivery-callbacks.js posts
+// sample callbacks to a local server. Hard bounces and complaints also suppress the address (js/suppressions.js)
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase.js');
+const { Suppressions } = require('./suppressions.js');
+
+// Twilio MessageStatus => delivery status
+const TWILIO_STATUSES = {
+    accepted: 'queued',
+    scheduled: 'queued',
+    queued: 'queued',
+    sending: 'queued',
+    sent: 'sent',
+    delivered: 'delivered',
+    read: 'read',
+    undelivered: 'failed',
+    failed: 'failed',
+    canceled: 'failed'
+};
+
+// SES notificationType (identity notifications) / eventType (configuration set) => delivery status
+const SES_EVENTS = {
+    Delivery: 'delivered',
+    Bounce: 'bounced',
+    Complaint: 'complained',
+    Reject: 'failed',
+    'Rendering Failure': 'failed',
+    Open: 'read'
+};
+
+// Fields covered by the SNS signature, in this order (SNS message signing, versions 1 and 2)
+const SNS_SIGNED_FIELDS = {
+    Notification: ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type'],
+    SubscriptionConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'],
+    UnsubscribeConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type']
+};
+const SNS_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+
+const snsCertificates = new Map(); // SigningCertURL => PEM
+
+function snsUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' && SNS_HOST.test(url.hostname) ? url : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+async function snsCertificate(certUrl) {
+    if (!snsCertificates.has(certUrl)) {
+        const response = await fetch(certUrl);
+        if (!response.ok) throw new Error(`sns_certificate_http_${response.status}`);
+        snsCertificates.set(certUrl, await response.text());
+    }
+    return snsCertificates.get(certUrl);
+}
+
+class DeliveryStatus {
+
+    /**
+     * statusCallback for twilioClient.messages.create (TWILIO_STATUS_CALLBACK_URL, public URL of
+     * POST /api/webhooks/twilio/status). Empty when not configured: no callbacks are requested
+     * @returns {{statusCallback?:string}}
+     */
+    static twilioCallbackOptions() {
+        const url = process.env.TWILIO_STATUS_CALLBACK_URL;
+        return url ? { statusCallback: url } : {};
+    }
+
+    /**
+     * X-Twilio-Signature check, on the URL configured in Twilio (the public one, the request may come
+     * through a proxy) or the URL of the request
+     * @param {import('express').Request} req - with the urlencoded body parsed
+     * @param {string} [configuredUrl] - defaults to the statusCallback URL
+     * @returns {boolean}
+     */
+    static verifyTwilio(req, configuredUrl = process.env.TWILIO_STATUS_CALLBACK_URL) {
+        const authToken = process.env.TWILIO_AUTH_TOKEN;
+        const signature = req.headers['x-twilio-signature'];
+        if (!authToken || !signature) return false;
+        const url = configuredUrl || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+        try {
+            return require('twilio').validateRequest(authToken, signature, url, req.body || {});
+        } catch (error) {
+            console.error('❌ Verifica firma Twilio non riuscita:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * @param {Object} params - Twilio callback body (MessageSid, MessageStatus, ErrorCode, ...)
+     * @returns {Promise<{success:boolean, status?:string, taskId?:number|null, ignored?:boolean}>}
+     */
+    static async handleTwilio(params) {
+        const status = TWILIO_STATUSES[params.MessageStatus];
+        if (!params.MessageSid || !status) {
+            return { success: true, ignored: true };
+        }
+        const error = params.ErrorCode
+            ? `Twilio ${params.ErrorCode}${params.ErrorMessage ? `: ${params.ErrorMessage}` : ''}`
+            : null;
+        return DeliveryStatus.record('twilio', params.MessageSid, status, error, params);
+    }
+
+    /**
+     * SNS message signature check (the signing certificate must come from an SNS host).
+     * SES_SNS_VERIFY=false skips it outside production, for scripts/fake-delivery-callbacks.js
+     * @param {Object} message - parsed SNS body
+     * @returns {Promise<boolean>}
+     */
+    static async verifySns(message) {
+        if (process.env.SES_SNS_VERIFY === 'false' && process.env.NODE_ENV !== 'production') return true;
+
+        const fields = SNS_SIGNED_FIELDS[message.Type];
+        const certUrl = snsUrl(message.SigningCertURL);
+        if (!fields || !certUrl || !message.Signature) return false;
+        if (process.env.SES_SNS_TOPIC_ARN && message.TopicArn !== process.env.SES_SNS_TOPIC_ARN) return false;
+
+        const stringToSign = fields
+            .filter(field => message[field] !== undefined)
+            .map(field => `${field}\n${message[field]}\n`)
+            .join('');
+        const algorithm = message.SignatureVersion === '2' ? 'RSA-SHA256' : 'RSA-SHA1';
+        try {
+            const certificate = await snsCertificate(certUrl.href);
+            return crypto.createVerify(algorithm).update(stringToSign, 'utf8').verify(certificate, message.Signature, 'base64');
+        } catch (error) {
+            console.error('❌ Verifica firma SNS non riuscita:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * SNS delivery to the HTTP endpoint: subscription confirmation or SES notification
+     * @param {Object} message - parsed and verified SNS body
+     * @returns {Promise<{success:boolean, status?:string, taskId?:number|null, ignored?:boolean, subscribed?:boolean}>}
+     */
+    static async handleSns(message) {
+        if (message.Type === 'SubscriptionConfirmation') {
+            const subscribeUrl = snsUrl(message.SubscribeURL);
+            if (!subscribeUrl) return { success: false, error: 'invalid_subscribe_url' };
+            const response = await fetch(subscribeUrl.href);
+            console.log(`📨 Sottoscrizione SNS ${message.TopicArn} confermata: HTTP ${response.status}`);
+            return { success: response.ok, subscribed: response.ok };
+        }
+        if (message.Type !== 'Notification') {
+            return { success: true, ignored: true };
+        }
+
+        let notification;
+        try {
+            notification = JSON.parse(message.Message);
+        } catch (e) {
+            return { success: true, ignored: true };
+        }
+        const type = notification.notificationType || notification.eventType;
+        const status = SES_EVENTS[type];
+        const messageId = notification.mail?.messageId;
+        if (!status || !messageId) {
+            return { success: true, ignored: true };
+        }
+
+        let error = null;
+        let suppression = null;
+        if (type === 'Bounce') {
+            const bounce = notification.bounce || {};
+            const diagnostic = bounce.bouncedRecipients?.[0]?.diagnosticCode;
+            error = `${bounce.bounceType || 'Bounce'}/${bounce.bounceSubType || '-'}${diagnostic ? `: ${diagnostic}` : ''}`;
+            // Transient bounces (mailbox full, ...) may succeed next time
+            if (bounce.bounceType === 'Permanent') suppression = 'hard_bounce';
+        } else if (type === 'Reject') {
+            error = notification.reject?.reason || 'Rejected';
+        } else if (type === 'Complaint') {
+            error = notification.complaint?.complaintFeedbackType || null;
+            suppression = 'complaint';
+        }
+        const result = await DeliveryStatus.record('ses', messageId, status, error, notification);
+        if (suppression && result.taskId) {
+            try {
+                await Suppressions.addFromTask(result.taskId, suppression, error);
+            } catch (suppressionError) {
+                // Not worth an SNS retry: the event is stored already
+                console.error(`❌ Soppressione per il messaggio ${messageId} non salvata:`, suppressionError.message);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Store a callback and apply it to the message it refers to
+     * @param {'twilio'|'ses'} provider
+     * @param {string} providerMessageId - Twilio SID / SES MessageId
+     * @param {string} status - queued, sent, delivered, read, failed, bounced, complained
+     * @param {string|null} error
+     * @param {Object} payload - callback as received
+     */
+    static async record(provider, providerMessageId, status, error, payload) {
+        const { data: taskId, error: rpcError } = await supabaseAdmin.rpc('campaign_delivery_event', {
+            p_provider: provider,
+            p_provider_message_id: providerMessageId,
+            p_status: status,
+            p_error: error ? String(error).slice(0, 500) : null,
+            p_payload: payload
+        });
+        if (rpcError) throw rpcError;
+        console.log(`📨 Stato consegna ${provider} ${providerMessageId}: ${status}${taskId ? '' : ' (messaggio non ancora registrato)'}`);
+        return { success: true, status, taskId: taskId || null };
+    }
+
+    /**
+     * The worker stored the message as sent: initial delivery status plus callbacks that came first
+     * @param {number} taskId
+     * @param {string} status - 'queued' (Twilio) or 'sent' (SES)
+     */
+    static async accepted(taskId, status = 'sent') {
+        const { error } = await supabaseAdmin.rpc('campaign_delivery_reconcile', { p_task_id: taskId, p_status: status });
+        if (error) throw error;
+    }
+}
+
+module.exports = { DeliveryStatus };
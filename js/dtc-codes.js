@@ -0,0 +1,244 @@
+// Service Portal - DTC Codes
+// OBD-II diagnostic trouble codes (SAE J2012): parsing of the P/C/B/U codes the devices send (FMB003 parameter 281
+// Fault Codes) and descriptions in Italian and English. The table below has the generic codes seen most often in
+// the workshop; codes not in it are described by system and group, manufacturer specific codes (P1xxx, B1xxx...)
+// only by system, as their meaning depends on the make
+
+// First character of the code <= the two high bits of the first byte
+const SYSTEMS = {
+    P: ['Motore e trasmissione', 'Powertrain'],
+    C: ['Telaio', 'Chassis'],
+    B: ['Carrozzeria', 'Body'],
+    U: ['Rete di comunicazione', 'Network communication']
+};
+
+// Third character of the generic powertrain codes (P0xxx, P2xxx)
+const POWERTRAIN_GROUPS = {
+    0: ['Dosaggio aria/carburante e controlli emissioni ausiliari', 'Fuel and air metering and auxiliary emission controls'],
+    1: ['Dosaggio aria/carburante', 'Fuel and air metering'],
+    2: ['Dosaggio aria/carburante (circuito iniettori)', 'Fuel and air metering (injector circuit)'],
+    3: ['Sistema di accensione o mancata accensione', 'Ignition system or misfire'],
+    4: ['Controlli emissioni ausiliari', 'Auxiliary emission controls'],
+    5: ['Velocità veicolo, controllo minimo e ingressi ausiliari', 'Vehicle speed, idle control and auxiliary inputs'],
+    6: ['Centralina e uscite ausiliarie', 'Computer and auxiliary outputs'],
+    7: ['Trasmissione', 'Transmission'],
+    8: ['Trasmissione', 'Transmission'],
+    9: ['Trasmissione', 'Transmission'],
+    A: ['Propulsione ibrida', 'Hybrid propulsion']
+};
+
+// code => [it, en]
+const CODES = {
+    P0010: ['Circuito attuatore posizione albero a camme "A" (bancata 1)', '"A" camshaft position actuator circuit (bank 1)'],
+    P0011: ['Posizione albero a camme "A": fasatura troppo anticipata o prestazioni del sistema (bancata 1)', '"A" camshaft position - timing over-advanced or system performance (bank 1)'],
+    P0012: ['Posizione albero a camme "A": fasatura troppo ritardata (bancata 1)', '"A" camshaft position - timing over-retarded (bank 1)'],
+    P0016: ['Correlazione posizione albero motore / albero a camme (bancata 1 sensore A)', 'Crankshaft position - camshaft position correlation (bank 1 sensor A)'],
+    P0030: ['Circuito comando riscaldatore sonda lambda (bancata 1 sensore 1)', 'HO2S heater control circuit (bank 1 sensor 1)'],
+    P0036: ['Circuito comando riscaldatore sonda lambda (bancata 1 sensore 2)', 'HO2S heater control circuit (bank 1 sensor 2)'],
+    P0087: ['Pressione rail/sistema carburante troppo bassa', 'Fuel rail/system pressure - too low'],
+    P0088: ['Pressione rail/sistema carburante troppo alta', 'Fuel rail/system pressure - too high'],
+    P0100: ['Circuito misuratore massa o volume aria', 'Mass or volume air flow circuit'],
+    P0101: ['Circuito misuratore massa o volume aria: campo/prestazioni', 'Mass or volume air flow circuit range/performance'],
+    P0102: ['Circuito misuratore massa o volume aria: ingresso basso', 'Mass or volume air flow circuit low input'],
+    P0103: ['Circuito misuratore massa o volume aria: ingresso alto', 'Mass or volume air flow circuit high input'],
+    P0105: ['Circuito sensore pressione assoluta collettore / pressione barometrica', 'Manifold absolute pressure/barometric pressure circuit'],
+    P0106: ['Circuito sensore pressione assoluta collettore / pressione barometrica: campo/prestazioni', 'Manifold absolute pressure/barometric pressure circuit range/performance'],
+    P0107: ['Circuito sensore pressione assoluta collettore / pressione barometrica: ingresso basso', 'Manifold absolute pressure/barometric pressure circuit low input'],
+    P0108: ['Circuito sensore pressione assoluta collettore / pressione barometrica: ingresso alto', 'Manifold absolute pressure/barometric pressure circuit high input'],
+    P0110: ['Circuito sensore temperatura aria aspirata', 'Intake air temperature sensor circuit'],
+    P0112: ['Circuito sensore temperatura aria aspirata: ingresso basso', 'Intake air temperature sensor circuit low input'],
+    P0113: ['Circuito sensore temperatura aria aspirata: ingresso alto', 'Intake air temperature sensor circuit high input'],
+    P0115: ['Circuito sensore temperatura liquido di raffreddamento', 'Engine coolant temperature circuit'],
+    P0116: ['Circuito sensore temperatura liquido di raffreddamento: campo/prestazioni', 'Engine coolant temperature circuit range/performance'],
+    P0117: ['Circuito sensore temperatura liquido di raffreddamento: ingresso basso', 'Engine coolant temperature circuit low input'],
+    P0118: ['Circuito sensore temperatura liquido di raffreddamento: ingresso alto', 'Engine coolant temperature circuit high input'],
+    P0120: ['Circuito sensore/interruttore posizione farfalla/pedale "A"', 'Throttle/pedal position sensor/switch "A" circuit'],
+    P0121: ['Circuito sensore/interruttore posizione farfalla/pedale "A": campo/prestazioni', 'Throttle/pedal position sensor/switch "A" circuit range/performance'],
+    P0122: ['Circuito sensore/interruttore posizione farfalla/pedale "A": ingresso basso', 'Throttle/pedal position sensor/switch "A" circuit low input'],
+    P0123: ['Circuito sensore/interruttore posizione farfalla/pedale "A": ingresso alto', 'Throttle/pedal position sensor/switch "A" circuit high input'],
+    P0125: ['Temperatura liquido di raffreddamento insufficiente per il controllo carburante in anello chiuso', 'Insufficient coolant temperature for closed loop fuel control'],
+    P0128: ['Termostato: temperatura liquido sotto la temperatura di regolazione', 'Coolant thermostat (coolant temperature below thermostat regulating temperature)'],
+    P0130: ['Circuito sonda lambda (bancata 1 sensore 1)', 'O2 sensor circuit (bank 1 sensor 1)'],
+    P0131: ['Circuito sonda lambda: tensione bassa (bancata 1 sensore 1)', 'O2 sensor circuit low voltage (bank 1 sensor 1)'],
+    P0132: ['Circuito sonda lambda: tensione alta (bancata 1 sensore 1)', 'O2 sensor circuit high voltage (bank 1 sensor 1)'],
+    P0133: ['Circuito sonda lambda: risposta lenta (bancata 1 sensore 1)', 'O2 sensor circuit slow response (bank 1 sensor 1)'],
+    P0134: ['Circuito sonda lambda: nessuna attività rilevata (bancata 1 sensore 1)', 'O2 sensor circuit no activity detected (bank 1 sensor 1)'],
+    P0135: ['Circuito riscaldatore sonda lambda (bancata 1 sensore 1)', 'O2 sensor heater circuit (bank 1 sensor 1)'],
+    P0136: ['Circuito sonda lambda (bancata 1 sensore 2)', 'O2 sensor circuit (bank 1 sensor 2)'],
+    P0137: ['Circuito sonda lambda: tensione bassa (bancata 1 sensore 2)', 'O2 sensor circuit low voltage (bank 1 sensor 2)'],
+    P0138: ['Circuito sonda lambda: tensione alta (bancata 1 sensore 2)', 'O2 sensor circuit high voltage (bank 1 sensor 2)'],
+    P0141: ['Circuito riscaldatore sonda lambda (bancata 1 sensore 2)', 'O2 sensor heater circuit (bank 1 sensor 2)'],
+    P0150: ['Circuito sonda lambda (bancata 2 sensore 1)', 'O2 sensor circuit (bank 2 sensor 1)'],
+    P0155: ['Circuito riscaldatore sonda lambda (bancata 2 sensore 1)', 'O2 sensor heater circuit (bank 2 sensor 1)'],
+    P0171: ['Sistema troppo magro (bancata 1)', 'System too lean (bank 1)'],
+    P0172: ['Sistema troppo grasso (bancata 1)', 'System too rich (bank 1)'],
+    P0174: ['Sistema troppo magro (bancata 2)', 'System too lean (bank 2)'],
+    P0175: ['Sistema troppo grasso (bancata 2)', 'System too rich (bank 2)'],
+    P0190: ['Circuito sensore pressione rail carburante', 'Fuel rail pressure sensor circuit'],
+    P0191: ['Circuito sensore pressione rail carburante: campo/prestazioni', 'Fuel rail pressure sensor circuit range/performance'],
+    P0192: ['Circuito sensore pressione rail carburante: ingresso basso', 'Fuel rail pressure sensor circuit low input'],
+    P0193: ['Circuito sensore pressione rail carburante: ingresso alto', 'Fuel rail pressure sensor circuit high input'],
+    P0200: ['Circuito iniettori aperto', 'Injector circuit/open'],
+    P0217: ['Surriscaldamento del motore', 'Engine coolant over temperature condition'],
+    P0219: ['Fuorigiri del motore', 'Engine overspeed condition'],
+    P0220: ['Circuito sensore/interruttore posizione farfalla/pedale "B"', 'Throttle/pedal position sensor/switch "B" circuit'],
+    P0234: ['Sovralimentazione eccessiva del turbocompressore/compressore', 'Turbocharger/supercharger overboost condition'],
+    P0235: ['Circuito sensore pressione di sovralimentazione "A"', 'Turbocharger/supercharger boost sensor "A" circuit'],
+    P0299: ['Sovralimentazione insufficiente del turbocompressore/compressore', 'Turbocharger/supercharger underboost'],
+    P0300: ['Mancata accensione casuale/su più cilindri', 'Random/multiple cylinder misfire detected'],
+    P0325: ['Circuito sensore di detonazione 1 (bancata 1 o sensore singolo)', 'Knock sensor 1 circuit (bank 1 or single sensor)'],
+    P0327: ['Circuito sensore di detonazione 1: ingresso basso (bancata 1 o sensore singolo)', 'Knock sensor 1 circuit low (bank 1 or single sensor)'],
+    P0335: ['Circuito sensore posizione albero motore "A"', 'Crankshaft position sensor "A" circuit'],
+    P0336: ['Circuito sensore posizione albero motore "A": campo/prestazioni', 'Crankshaft position sensor "A" circuit range/performance'],
+    P0340: ['Circuito sensore posizione albero a camme "A" (bancata 1 o sensore singolo)', 'Camshaft position sensor "A" circuit (bank 1 or single sensor)'],
+    P0341: ['Circuito sensore posizione albero a camme "A": campo/prestazioni (bancata 1 o sensore singolo)', 'Camshaft position sensor "A" circuit range/performance (bank 1 or single sensor)'],
+    P0380: ['Circuito candelette/riscaldatore "A"', 'Glow plug/heater circuit "A"'],
+    P0400: ['Flusso ricircolo gas di scarico (EGR)', 'Exhaust gas recirculation (EGR) flow'],
+    P0401: ['Flusso ricircolo gas di scarico (EGR) insufficiente', 'Exhaust gas recirculation (EGR) flow insufficient detected'],
+    P0402: ['Flusso ricircolo gas di scarico (EGR) eccessivo', 'Exhaust gas recirculation (EGR) flow excessive detected'],
+    P0403: ['Circuito comando ricircolo gas di scarico (EGR)', 'Exhaust gas recirculation (EGR) control circuit'],
+    P0404: ['Circuito comando ricircolo gas di scarico (EGR): campo/prestazioni', 'Exhaust gas recirculation (EGR) control circuit range/performance'],
+    P0410: ['Sistema iniezione aria secondaria', 'Secondary air injection system'],
+    P0420: ['Efficienza del catalizzatore sotto la soglia (bancata 1)', 'Catalyst system efficiency below threshold (bank 1)'],
+    P0430: ['Efficienza del catalizzatore sotto la soglia (bancata 2)', 'Catalyst system efficiency below threshold (bank 2)'],
+    P0440: ['Sistema controllo emissioni evaporative', 'Evaporative emission system'],
+    P0441: ['Sistema controllo emissioni evaporative: flusso di spurgo errato', 'Evaporative emission system incorrect purge flow'],
+    P0442: ['Sistema controllo emissioni evaporative: rilevata piccola perdita', 'Evaporative emission system leak detected (small leak)'],
+    P0443: ['Circuito valvola di spurgo emissioni evaporative', 'Evaporative emission system purge control valve circuit'],
+    P0446: ['Circuito comando sfiato emissioni evaporative', 'Evaporative emission system vent control circuit'],
+    P0455: ['Sistema controllo emissioni evaporative: rilevata grande perdita', 'Evaporative emission system leak detected (large leak)'],
+    P0456: ['Sistema controllo emissioni evaporative: rilevata perdita molto piccola', 'Evaporative emission system leak detected (very small leak)'],
+    P0461: ['Circuito sensore livello carburante "A": campo/prestazioni', 'Fuel level sensor "A" circuit range/performance'],
+    P0480: ['Circuito comando ventola 1', 'Fan 1 control circuit'],
+    P0500: ['Sensore velocità veicolo "A"', 'Vehicle speed sensor "A"'],
+    P0505: ['Sistema controllo del minimo', 'Idle air control system'],
+    P0506: ['Sistema controllo del minimo: regime più basso del previsto', 'Idle air control system RPM lower than expected'],
+    P0507: ['Sistema controllo del minimo: regime più alto del previsto', 'Idle air control system RPM higher than expected'],
+    P0560: ['Tensione di sistema', 'System voltage'],
+    P0562: ['Tensione di sistema bassa', 'System voltage low'],
+    P0563: ['Tensione di sistema alta', 'System voltage high'],
+    P0571: ['Circuito interruttore freno "A"', 'Brake switch "A" circuit'],
+    P0600: ['Linea di comunicazione seriale', 'Serial communication link'],
+    P0601: ['Centralina: errore checksum memoria interna', 'Internal control module memory check sum error'],
+    P0603: ['Centralina: errore memoria permanente (KAM)', 'Internal control module keep alive memory (KAM) error'],
+    P0604: ['Centralina: errore memoria RAM', 'Internal control module random access memory (RAM) error'],
+    P0605: ['Centralina: errore memoria ROM', 'Internal control module read only memory (ROM) error'],
+    P0606: ['Processore della centralina', 'Control module processor'],
+    P0700: ['Sistema di controllo trasmissione (richiesta spia MIL)', 'Transmission control system (MIL request)'],
+    P0705: ['Circuito sensore gamma trasmissione "A" (ingresso PRNDL)', 'Transmission range sensor "A" circuit (PRNDL input)'],
+    P0715: ['Circuito sensore velocità ingresso/turbina "A"', 'Input/turbine speed sensor "A" circuit'],
+    P0720: ['Circuito sensore velocità in uscita', 'Output speed sensor circuit'],
+    P0730: ['Rapporto di trasmissione errato', 'Incorrect gear ratio'],
+    P0740: ['Circuito elettrovalvola frizione convertitore di coppia aperto', 'Torque converter clutch solenoid circuit/open'],
+    P0750: ['Elettrovalvola cambio marcia "A"', 'Shift solenoid "A"'],
+    P0755: ['Elettrovalvola cambio marcia "B"', 'Shift solenoid "B"'],
+    P2002: ['Efficienza filtro antiparticolato sotto la soglia (bancata 1)', 'Diesel particulate filter efficiency below threshold (bank 1)'],
+    P20EE: ['Efficienza catalizzatore SCR NOx sotto la soglia (bancata 1)', 'SCR NOx catalyst efficiency below threshold (bank 1)'],
+    P2135: ['Correlazione tensione sensore/interruttore posizione farfalla/pedale "A"/"B"', 'Throttle/pedal position sensor/switch "A"/"B" voltage correlation'],
+    P2187: ['Sistema troppo magro al minimo (bancata 1)', 'System too lean at idle (bank 1)'],
+    P2188: ['Sistema troppo grasso al minimo (bancata 1)', 'System too rich at idle (bank 1)'],
+    P2263: ['Prestazioni sistema di sovralimentazione turbocompressore/compressore', 'Turbocharger/supercharger boost system performance'],
+    P242F: ['Intasamento filtro antiparticolato: accumulo di ceneri', 'Diesel particulate filter restriction - ash accumulation'],
+    P2452: ['Circuito sensore pressione filtro antiparticolato "A"', 'Diesel particulate filter pressure sensor "A" circuit'],
+    P2453: ['Circuito sensore pressione filtro antiparticolato "A": campo/prestazioni', 'Diesel particulate filter pressure sensor "A" circuit range/performance'],
+    P2463: ['Intasamento filtro antiparticolato: accumulo di fuliggine', 'Diesel particulate filter restriction - soot accumulation'],
+    C0035: ['Circuito sensore velocità ruota anteriore sinistra', 'Left front wheel speed sensor circuit'],
+    C0040: ['Circuito sensore velocità ruota anteriore destra', 'Right front wheel speed sensor circuit'],
+    C0045: ['Circuito sensore velocità ruota posteriore sinistra', 'Left rear wheel speed sensor circuit'],
+    C0050: ['Circuito sensore velocità ruota posteriore destra', 'Right rear wheel speed sensor circuit'],
+    B0001: ['Comando attivazione airbag frontale conducente, stadio 1', 'Driver frontal stage 1 deployment control'],
+    U0001: ['Bus di comunicazione CAN ad alta velocità', 'High speed CAN communication bus'],
+    U0100: ['Comunicazione persa con la centralina motore (ECM/PCM "A")', 'Lost communication with ECM/PCM "A"'],
+    U0101: ['Comunicazione persa con la centralina del cambio (TCM)', 'Lost communication with TCM'],
+    U0121: ['Comunicazione persa con la centralina ABS', 'Lost communication with anti-lock brake system (ABS) control module'],
+    U0140: ['Comunicazione persa con la centralina carrozzeria (BCM)', 'Lost communication with body control module'],
+    U0155: ['Comunicazione persa con il quadro strumenti (IPC)', 'Lost communication with instrument panel cluster (IPC) control module']
+};
+
+// Per cylinder codes: P0201-P0212 injector circuit, P0301-P0312 misfire
+for (let cylinder = 1; cylinder <= 12; cylinder++) {
+    const suffix = String(cylinder).padStart(2, '0');
+    CODES[`P02${suffix}`] = [`Circuito iniettore aperto, cilindro ${cylinder}`, `Injector circuit/open - cylinder ${cylinder}`];
+    CODES[`P03${suffix}`] = [`Mancata accensione rilevata, cilindro ${cylinder}`, `Cylinder ${cylinder} misfire detected`];
+}
+
+const CODE_PATTERN = /^[PCBU][0-3][0-9A-F]{3}$/;
+
+/**
+ * Generic (SAE) or manufacturer specific, from the first two characters
+ * @param {string} code - normalized code
+ */
+function isGeneric(code) {
+    const [system, digit] = code;
+    if (system === 'P') {
+        if (digit === '0' || digit === '2') return true;
+        // P3000-P33FF are manufacturer controlled, P3400-P3FFF generic
+        return digit === '3' && code[2] >= '4';
+    }
+    return digit === '0' || digit === '3';
+}
+
+class DtcCodes {
+
+    /**
+     * Normalize one code: 'p0301', 'P0301' or the two bytes of the OBD-II encoding ('0301', 'C101' => 'U0101')
+     * @param {string|number} value
+     * @returns {string|null} the code, null when it is not one (or is P0000, no fault)
+     */
+    static parse(value) {
+        const text = String(value ?? '').trim().toUpperCase();
+        let code = null;
+        if (CODE_PATTERN.test(text)) {
+            code = text;
+        } else if (/^(0X)?[0-9A-F]{4}$/.test(text)) {
+            const hex = text.replace(/^0X/, '');
+            const first = parseInt(hex[0], 16);
+            code = `${'PCBU'[first >> 2]}${first & 3}${hex.slice(1)}`;
+        }
+        return code && code !== 'P0000' ? code : null;
+    }
+
+    /**
+     * Codes of one reading of parameter 281, separated by commas, spaces or semicolons. Duplicates and what
+     * is not a code are left out
+     * @param {string|string[]} raw
+     * @returns {string[]}
+     */
+    static parseList(raw) {
+        if (raw === null || raw === undefined) return [];
+        const tokens = Array.isArray(raw) ? raw : String(raw).split(/[\s,;|]+/);
+        const codes = tokens.map(token => DtcCodes.parse(token)).filter(Boolean);
+        return [...new Set(codes)];
+    }
+
+    /**
+     * @param {string} value - code
+     * @returns {{code:string, system:string, generic:boolean, known:boolean,
+     *   systemLabel:{it:string, en:string}, description:{it:string, en:string}}|null}
+     */
+    static describe(value) {
+        const code = DtcCodes.parse(value);
+        if (!code) return null;
+        const system = code[0];
+        const generic = isGeneric(code);
+        const systemLabel = { it: SYSTEMS[system][0], en: SYSTEMS[system][1] };
+        const known = CODES[code];
+        let description;
+        if (known) {
+            description = { it: known[0], en: known[1] };
+        } else if (!generic) {
+            description = {
+                it: `Codice specifico del costruttore (${systemLabel.it.toLowerCase()})`,
+                en: `Manufacturer specific code (${systemLabel.en.toLowerCase()})`
+            };
+        } else if (system === 'P' && (code[1] === '0' || code[1] === '2') && POWERTRAIN_GROUPS[code[2]]) {
+            const group = POWERTRAIN_GROUPS[code[2]];
+            description = { it: group[0], en: group[1] };
+        } else {
+            description = { ...systemLabel };
+        }
+        return { code, system, generic, known: !!known, systemLabel, description };
+    }
+}
+
+module.exports = { DtcCodes };
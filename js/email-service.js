@@ -3,7 +3,44 @@
  * Service Portal - Email functionality for PIN delivery
  */
 
-const { SESClient, SendEmailCommand } = require('@aws-sdk/client-ses');
+const crypto = require('crypto');
+const { SESClient, SendEmailCommand, SendRawEmailCommand } = require('@aws-sdk/client-ses');
+
+// RFC 2047 encoded-word for non-ASCII header values (subjects with accents); CR / LF never pass through
+function encodeHeader(value) {
+    const text = String(value || '').replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function base64Body(value) {
+    return Buffer.from(value, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// multipart/alternative MIME message for SendRawEmail, the only way to add headers such as List-Unsubscribe
+function buildRawEmail({ from, to, subject, htmlBody, textBody, headers }) {
+    const boundary = `sh-${crypto.randomBytes(12).toString('hex')}`;
+    return [
+        `From: ${from}`,
+        `To: ${encodeHeader(to)}`,
+        `Subject: ${encodeHeader(subject)}`,
+        'MIME-Version: 1.0',
+        ...Object.entries(headers).map(([name, value]) => `${name}: ${encodeHeader(value)}`),
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Body(textBody),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Body(htmlBody),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+}
 
 class EmailService {
     constructor() {
@@ -25,38 +62,55 @@ class EmailService {
      * @param {string} subject
      * @param {string} htmlBody
      * @param {string} textBody
+     * @param {{headers?:Object<string,string>}} [options] - extra headers (List-Unsubscribe, ...)
      * @returns {Promise<{success:boolean, messageId?:string, error?:string}>}
      */
-    async sendGenericEmail(toEmail, subject, htmlBody, textBody = '') {
+    async sendGenericEmail(toEmail, subject, htmlBody, textBody = '', { headers = {} } = {}) {
         if (!this.isEnabled) {
             console.log('Email service disabled - AWS credentials not configured');
             console.log('🔍 SIMULATED EMAIL SEND:');
             console.log(`📧 To: ${toEmail}`);
             console.log(`📋 Subject: ${subject}`);
+            Object.entries(headers).forEach(([name, value]) => console.log(`📎 ${name}: ${value}`));
             console.log(`📝 HTML Body: ${htmlBody}`);
             console.log('✅ Email would be sent successfully (simulated)');
             return { success: true, messageId: 'simulated-' + Date.now() };
         }
 
         try {
-            const command = new SendEmailCommand({
-                Source: this.fromEmail,
-                Destination: { ToAddresses: [toEmail] },
-                Message: {
-                    Subject: { Data: subject, Charset: 'UTF-8' },
-                    Body: {
-                        Html: { Data: htmlBody, Charset: 'UTF-8' },
-                        Text: { Data: textBody || htmlBody.replace(/<[^>]+>/g, ''), Charset: 'UTF-8' }
+            // Delivery / bounce / complaint events of the configuration set go to /api/webhooks/ses
+            const configurationSet = process.env.SES_CONFIGURATION_SET ? { ConfigurationSetName: process.env.SES_CONFIGURATION_SET } : {};
+            const text = textBody || htmlBody.replace(/<[^>]+>/g, '');
+            const command = Object.keys(headers).length
+                ? new SendRawEmailCommand({
+                    Source: this.fromEmail,
+                    ...configurationSet,
+                    Destinations: [toEmail],
+                    RawMessage: {
+                        Data: Buffer.from(buildRawEmail({ from: this.fromEmail, to: toEmail, subject, htmlBody, textBody: text, headers }), 'utf8')
                     }
-                }
-            });
+                })
+                : new SendEmailCommand({
+                    Source: this.fromEmail,
+                    ...configurationSet,
+                    Destination: { ToAddresses: [toEmail] },
+                    Message: {
+                        Subject: { Data: subject, Charset: 'UTF-8' },
+                        Body: {
+                            Html: { Data: htmlBody, Charset: 'UTF-8' },
+                            Text: { Data: text, Charset: 'UTF-8' }
+                        }
+                    }
+                });
 
             const result = await this.sesClient.send(command);
             console.log(`Email sent successfully to ${toEmail}, Message ID: ${result.MessageId}`);
             return { success: true, messageId: result.MessageId };
         } catch (error) {
             console.error('Error sending generic email:', error);
-            return { success: false, error: error.message };
+            // Throttling, SES outages and network errors are worth retrying; a rejected message is not
+            const status = error.$metadata?.httpStatusCode;
+            return { success: false, error: error.message, retryable: !!error.$retryable || error.name === 'Throttling' || !status || status >= 500 };
         }
     }
 
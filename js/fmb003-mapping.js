@@ -69,6 +69,8 @@ class FMB003Mapping {
 
             // === CAN ADAPTER ELEMENTS ===
             [256, { name: "VIN", bytes: 17, type: "ASCII", min: 0, max: 0xFF, unit: "-", multiplier: 1, description: "VIN number", category: "can", convert: (val) => val }],
+            // Variable length: the codes the vehicle reports, decoded by js/dtc-codes.js
+            [281, { name: "Fault Codes", bytes: 0, type: "ASCII", min: 0, max: 0xFF, unit: "-", multiplier: 1, description: "Active OBD-II trouble codes, comma separated (e.g. P0301,P0420)", category: "can", convert: (val) => val }],
             [1116, { name: "LVCAN MaxRoadSpeed", bytes: 1, type: "Unsigned", min: 0, max: 255, unit: "km/h", multiplier: 1, description: "Maximum speed from road signs", category: "can", convert: (val) => val }],
             [1117, { name: "LVCAN ExceededRoadSpeed", bytes: 1, type: "Unsigned", min: 0, max: 255, unit: "km/h", multiplier: 1, description: "Exceeded speed from road signs", category: "can", convert: (val) => val }]
         ]);
@@ -57,6 +57,8 @@ class I18nManager {
                 'nav.dashboard': 'Dashboard',
                 'nav.certificates': 'Certificati',
                 'nav.billing': 'Credito',
+                'nav.campaigns': 'Storico invii',
+                'nav.alerts': 'Avvisi veicoli',
                 'nav.settings': 'Impostazioni',
                 'nav.logout': 'Logout',
                 
@@ -96,6 +98,10 @@ class I18nManager {
                 'meta.billing.title': 'Credito & Consumi - Service Portal',
                 'page.billing.title': 'Credito & Consumi',
                 'page.billing.subtitle': 'Saldo Stripe e consumi per canale',
+                'page.campaigns.title': 'Storico invii',
+                'page.campaigns.subtitle': 'Comunicazioni inviate ed esito per ogni destinatario',
+                'page.alerts.title': 'Avvisi veicoli',
+                'page.alerts.subtitle': 'Anomalie rilevate sui veicoli, da prendere in carico e risolvere',
                 'billing.balance': 'Credito disponibile',
                 'billing.date_range': 'Intervallo date',
                 'billing.presets.today': 'Oggi',
@@ -109,6 +115,43 @@ class I18nManager {
                 'billing.series.emails': 'Email',
                 'billing.series.whatsapp': 'WhatsApp',
                 'billing.series.openai': 'OpenAI',
+                'billing.series.sms': 'SMS',
+                'billing.statements.button': 'Estratti conto',
+                'billing.statements.title': 'Estratti conto mensili',
+                'billing.statements.document_title': 'Estratto conto {month}',
+                'billing.statements.number': 'Estratto n.',
+                'billing.statements.dealer': 'Dealer',
+                'billing.statements.period': 'Periodo',
+                'billing.statements.month': 'Mese',
+                'billing.statements.opening_balance': 'Saldo iniziale',
+                'billing.statements.usage': 'Consumi',
+                'billing.statements.recharges': 'Ricariche',
+                'billing.statements.adjustments': 'Rettifiche',
+                'billing.statements.closing_balance': 'Saldo finale',
+                'billing.statements.channel': 'Canale',
+                'billing.statements.quantity': 'Quantità',
+                'billing.statements.amount': 'Importo',
+                'billing.statements.date': 'Data',
+                'billing.statements.reference': 'Riferimento',
+                'billing.statements.total': 'Totale',
+                'billing.statements.summary': 'Riepilogo',
+                'billing.statements.no_usage': 'Nessun consumo nel periodo',
+                'billing.statements.no_recharges': 'Nessuna ricarica nel periodo',
+                'billing.statements.empty': 'Nessun estratto conto disponibile',
+                'billing.statements.generated_at': 'Generato il {date}',
+                'billing.statements.download': 'Scarica',
+                'billing.low_balance.banner': 'Credito in esaurimento: {balance} (soglia {threshold}). Gli invii si bloccano a credito esaurito.',
+                'billing.low_balance.auto_recharge_failed': 'Ricarica automatica non riuscita, credito {balance}. Verifica il metodo di pagamento.',
+                'billing.low_balance.action': 'Ricarica',
+                'billing.low_balance.title': 'Avviso credito basso',
+                'billing.low_balance.threshold': 'Soglia di avviso (€)',
+                'billing.low_balance.email': 'Email per gli avvisi',
+                'billing.low_balance.email_placeholder': 'Email di accesso del dealer',
+                'billing.low_balance.auto_recharge': 'Ricarica automatica con la carta salvata',
+                'billing.low_balance.auto_recharge_amount': 'Importo ricarica automatica (€)',
+                'billing.low_balance.auto_recharge_hint': 'La carta viene salvata alla prima ricarica manuale.',
+                'billing.low_balance.last_error': 'Ultima ricarica automatica fallita: {error}. Salva di nuovo per riattivarla.',
+                'billing.low_balance.saved': 'Impostazioni salvate',
                 
                 // Settings Page
                 'settings.language.title': 'Lingua',
@@ -570,6 +613,244 @@ class I18nManager {
                 'manual_contact.dialog.validation_title': 'Attenzione',
                 'manual_contact.dialog.message_sent_success': 'Messaggio inviato con successo a {count} destinatari!',
                 'manual_contact.dialog.credit_updated': 'Il tuo credito è stato aggiornato a {credit}',
+
+                // Campaign progress (queued bulk sends)
+                'campaign.title': 'Invio comunicazioni',
+                'campaign.queued': 'Invio avviato: {count} messaggi in coda. L\'avanzamento resta visibile in basso a destra, anche se ricarichi la pagina.',
+                'campaign.excluded': 'Esclusi {count} destinatari: {reasons}.',
+                'campaign.scheduled': 'Invio programmato per {date}: {count} messaggi. Puoi spostarlo o annullarlo dalla pagina Invii finché non parte.',
+                'campaign.counts': '{sent} inviati, {failed} falliti su {total}',
+                'campaign.status.running': 'In corso',
+                'campaign.status.scheduled': 'Programmato',
+                'campaign.status.paused': 'In pausa',
+                'campaign.status.cancelled': 'Annullato',
+                'campaign.status.completed': 'Completato',
+                'campaign.pause': 'Pausa',
+                'campaign.resume': 'Riprendi',
+                'campaign.cancel': 'Annulla invio',
+                'campaign.close': 'Chiudi',
+                'campaign.confirm_cancel': 'Annullare gli invii non ancora eseguiti? Il credito riservato verrà liberato.',
+
+                // Consent of the recipients (purpose of the message, reasons they are left out)
+                'consent.purpose': 'Tipo di comunicazione',
+                'consent.purpose_service': 'Servizio',
+                'consent.purpose_marketing': 'Marketing',
+                'consent.eligible': '{eligible} destinatari selezionati su {total} possono ricevere questa comunicazione.',
+                'consent.reason.no_certificate': 'senza certificato',
+                'consent.reason.contact_mismatch': 'con un contatto diverso da quello del certificato',
+                'consent.reason.not_test_client': 'non sono clienti test',
+                'consent.reason.no_user_agreement': 'senza accettazione delle condizioni d\'uso',
+                'consent.reason.no_documents_consent': 'senza consenso a ricevere comunicazioni',
+                'consent.reason.no_contact_consent': 'senza consenso al contatto commerciale',
+                'consent.reason.hard_bounce': 'con indirizzo non raggiungibile',
+                'consent.reason.complaint': 'hanno segnalato spam',
+                'consent.reason.stop_reply': 'hanno risposto STOP',
+                'consent.reason.unsubscribe': 'hanno annullato l\'iscrizione',
+
+                // Campaign history (campaigns.html)
+                'campaigns.list_title': 'Invii',
+                'campaigns.all_statuses': 'Tutti gli stati',
+                'campaigns.all_channels': 'Tutti i canali',
+                'campaigns.all_sources': 'AI e manuali',
+                'campaigns.col.date': 'Data',
+                'campaigns.col.channel': 'Canale',
+                'campaigns.col.subject': 'Oggetto / messaggio',
+                'campaigns.col.author': 'Autore',
+                'campaigns.col.status': 'Stato',
+                'campaigns.col.results': 'Esito',
+                'campaigns.col.cost': 'Costo',
+                'campaigns.col.recipient': 'Destinatario',
+                'campaigns.col.message': 'Testo inviato',
+                'campaigns.col.sent_channel': 'Inviato via',
+                'campaigns.col.provider_id': 'ID provider',
+                'campaigns.col.error': 'Errore',
+                'campaigns.col.delivery': 'Consegna',
+                'campaigns.delivery.queued': 'In coda dal provider',
+                'campaigns.delivery.sent': 'Inviato dal provider',
+                'campaigns.delivery.delivered': 'Consegnato',
+                'campaigns.delivery.read': 'Letto',
+                'campaigns.delivery.failed': 'Non consegnato',
+                'campaigns.delivery.bounced': 'Respinto (bounce)',
+                'campaigns.all_deliveries': 'Tutti gli esiti di consegna',
+                'campaigns.delivery_counts': '{delivered} consegnati ({rate}%), {read} letti, {undelivered} non consegnati',
+                'campaigns.complained': 'Segnalato come spam',
+                'campaigns.source.ai': 'AI',
+                'campaigns.source.manual': 'Manuale',
+                'campaigns.source.reminder': 'Promemoria automatico',
+                'campaigns.reminder_rule': 'Regola promemoria',
+                'campaigns.channel.email': 'Email',
+                'campaigns.channel.whatsapp': 'WhatsApp',
+                'campaigns.channel.sms': 'SMS',
+                'campaigns.message_status.pending': 'In attesa',
+                'campaigns.message_status.sending': 'In invio',
+                'campaigns.message_status.sent': 'Inviato',
+                'campaigns.message_status.failed': 'Fallito',
+                'campaigns.message_status.cancelled': 'Annullato',
+                'campaigns.all_messages': 'Tutti i destinatari',
+                'campaigns.empty': 'Nessun invio trovato',
+                'campaigns.no_messages': 'Nessun destinatario',
+                'campaigns.load_error': 'Impossibile caricare lo storico invii',
+                'campaigns.not_found': 'Invio non trovato',
+                'campaigns.back': '← Tutti gli invii',
+                'campaigns.base_message': 'Messaggio base',
+                'campaigns.template': 'Template',
+                'campaigns.no_template': 'Nessuno (testo libero o prompt AI)',
+                'campaigns.filters': 'Filtri usati',
+                'campaigns.no_filters': 'Nessun filtro: selezione manuale',
+                'campaigns.excluded': 'Destinatari esclusi',
+                'campaigns.no_excluded': 'Nessuno',
+                'campaigns.scheduled_for': 'Programmato per',
+                'campaigns.reschedule': 'Sposta',
+                'campaigns.start_now': 'Invia ora',
+                'campaigns.schedule_error': 'Impossibile modificare l\'invio: potrebbe essere già partito.',
+
+                // Scheduling in the send dialogs and send window (campaigns.html)
+                'schedule.title': 'Programma invio',
+                'schedule.hint': 'Vuoto = invio subito. Gli invii partono solo nella fascia oraria del dealer, WhatsApp mai dopo le 20:00 né la domenica.',
+                'send_window.title': 'Fascia oraria invii',
+                'send_window.hint': 'I messaggi delle campagne partono solo in questi giorni e orari, nel fuso orario del destinatario (dal prefisso del numero, altrimenti quello indicato qui). WhatsApp mai dopo le 20:00 né la domenica.',
+                'send_window.timezone': 'Fuso orario',
+                'send_window.from': 'Dalle',
+                'send_window.to': 'Alle',
+                'send_window.days': 'Giorni',
+                'send_window.save': 'Salva',
+                'send_window.saved': 'Fascia oraria salvata',
+                'send_window.error.invalid_timezone': 'Fuso orario non valido (es. Europe/Rome)',
+                'send_window.error.invalid_hours': 'L\'orario di inizio deve precedere quello di fine',
+                'send_window.error.invalid_days': 'Scegli almeno un giorno',
+                'send_window.error.no_whatsapp_window': 'Con questa fascia WhatsApp non potrebbe mai partire: serve un giorno tra lunedì e sabato che inizi prima delle 20:00',
+                'send_window.error.send_window_update_failed': 'Salvataggio non riuscito',
+                'send_window.day.1': 'Lun',
+                'send_window.day.2': 'Mar',
+                'send_window.day.3': 'Mer',
+                'send_window.day.4': 'Gio',
+                'send_window.day.5': 'Ven',
+                'send_window.day.6': 'Sab',
+                'send_window.day.7': 'Dom',
+
+                // Automated service reminder rules (campaigns.html)
+                'reminders.title': 'Promemoria automatici',
+                'reminders.hint': 'Ogni notte le regole attive inviano il template scelto ai veicoli che hanno raggiunto la soglia, solo a chi ha dato il consenso per le comunicazioni di servizio. Una regola non scrive di nuovo allo stesso veicolo prima dei giorni di pausa; per km e mesi, una volta per ogni soglia raggiunta.',
+                'reminders.col.name': 'Regola',
+                'reminders.col.condition': 'Condizione',
+                'reminders.col.template': 'Template',
+                'reminders.col.last_run': 'Ultima esecuzione',
+                'reminders.new': 'Nuova regola',
+                'reminders.name': 'Nome',
+                'reminders.trigger': 'Quando',
+                'reminders.trigger.odometer': 'Chilometri percorsi',
+                'reminders.trigger.installation_age': 'Mesi dall\'installazione',
+                'reminders.trigger.low_battery': 'Batteria bassa',
+                'reminders.every_km': 'Ogni (km)',
+                'reminders.every_months': 'Ogni (mesi)',
+                'reminders.battery_volts': 'Sotto (V)',
+                'reminders.battery_days': 'Per giorni',
+                'reminders.template': 'Template',
+                'reminders.language': 'Lingua',
+                'reminders.cooldown_days': 'Pausa (giorni)',
+                'reminders.active': 'Attiva',
+                'reminders.inactive': 'Non attiva',
+                'reminders.save': 'Salva',
+                'reminders.cancel': 'Annulla',
+                'reminders.edit': 'Modifica',
+                'reminders.delete': 'Elimina',
+                'reminders.preview': 'Anteprima',
+                'reminders.condition.odometer': 'Ogni {km} km',
+                'reminders.condition.installation_age': 'Ogni {months} mesi dall\'installazione',
+                'reminders.condition.low_battery': 'Media giornaliera batteria sotto {volts} V per {days} giorni',
+                'reminders.cooldown': 'pausa {days} gg',
+                'reminders.months': '{months} mesi',
+                'reminders.never_run': 'Mai eseguita',
+                'reminders.last_result': '{queued} in coda, {excluded} esclusi',
+                'reminders.no_rules': 'Nessuna regola',
+                'reminders.no_templates': 'Nessun template email o WhatsApp con testo',
+                'reminders.delete_confirm': 'Eliminare la regola "{name}"? Lo storico degli invii resta.',
+                'reminders.preview_title': 'stanotte riceverebbero "{template}" {eligible} veicoli su {total}',
+                'reminders.preview_cooling': '{count} veicoli già avvisati di recente (in pausa)',
+                'reminders.preview_none': 'Nessun veicolo raggiunge la soglia in questo momento.',
+                'reminders.reason.no_email': 'senza email',
+                'reminders.reason.no_phone': 'senza telefono',
+                'reminders.log_title': 'Promemoria inviati',
+                'reminders.log.date': 'Data',
+                'reminders.log.rule': 'Regola',
+                'reminders.log.vehicle': 'Veicolo',
+                'reminders.log.value': 'Valore',
+                'reminders.log.status': 'Esito',
+                'reminders.log.status.queued': 'In coda',
+                'reminders.log.status.excluded': 'Escluso',
+                'reminders.no_log': 'Nessun promemoria inviato',
+                'reminders.error.invalid_name': 'Indica un nome (max 100 caratteri)',
+                'reminders.error.invalid_trigger': 'Condizione non valida',
+                'reminders.error.invalid_threshold': 'Soglia non valida: 1.000-200.000 km, 1-120 mesi, 9-15 V per 1-30 giorni',
+                'reminders.error.invalid_cooldown': 'La pausa va da 0 a 365 giorni',
+                'reminders.error.invalid_language': 'Lingua non valida',
+                'reminders.error.invalid_template': 'Scegli un template email o WhatsApp con testo (e oggetto per le email)',
+                'reminders.error.duplicate_name': 'Esiste già una regola con questo nome',
+                'reminders.error.rule_not_found': 'Regola non trovata',
+                'reminders.error.service_reminder_save_failed': 'Salvataggio non riuscito',
+                'reminders.error.service_reminder_delete_failed': 'Eliminazione non riuscita',
+                'reminders.error.service_reminder_preview_failed': 'Anteprima non disponibile',
+                'reminders.error.service_reminder_log_failed': 'Impossibile caricare i promemoria inviati',
+                // Vehicle alerts (alerts.html)
+                'alerts.badge': '{open} avvisi da prendere in carico, {critical} critici',
+                'alerts.settings.title': 'Notifiche avvisi',
+                'alerts.settings.hint': 'Il monitoraggio controlla ogni pochi minuti i dati inviati dai veicoli (codici di errore, km con spia motore accesa, temperatura del motore, tensione dell\'impianto, urti) e apre un avviso per veicolo. Gli avvisi nuovi, o diventati critici, arrivano anche per email e, se attivo, WhatsApp.',
+                'alerts.settings.email_enabled': 'Email',
+                'alerts.settings.alert_email': 'Indirizzo email',
+                'alerts.settings.alert_email_placeholder': 'Email di accesso del dealer',
+                'alerts.settings.whatsapp_enabled': 'WhatsApp',
+                'alerts.settings.whatsapp_phone': 'Numero WhatsApp',
+                'alerts.settings.min_severity': 'Notifica',
+                'alerts.settings.min_severity.warning': 'Tutti gli avvisi',
+                'alerts.settings.min_severity.critical': 'Solo avvisi critici',
+                'alerts.settings.save': 'Salva',
+                'alerts.settings.saved': 'Impostazioni salvate',
+                'alerts.list_title': 'Avvisi',
+                'alerts.all_statuses': 'Tutti gli stati',
+                'alerts.status.unresolved': 'Da gestire',
+                'alerts.status.open': 'Nuovo',
+                'alerts.status.acknowledged': 'Preso in carico',
+                'alerts.status.resolved': 'Risolto',
+                'alerts.all_severities': 'Tutte le gravità',
+                'alerts.severity.warning': 'Attenzione',
+                'alerts.severity.critical': 'Critico',
+                'alerts.all_kinds': 'Tutti i tipi',
+                'alerts.kind.dtc': 'Codici di errore (DTC)',
+                'alerts.kind.mil_distance': 'Km con spia motore accesa',
+                'alerts.kind.coolant_temp': 'Temperatura liquido di raffreddamento',
+                'alerts.kind.low_voltage': 'Tensione impianto bassa',
+                'alerts.kind.crash': 'Urto rilevato',
+                'alerts.col.vehicle': 'Veicolo',
+                'alerts.col.alert': 'Avviso',
+                'alerts.col.value': 'Valore',
+                'alerts.col.last_seen': 'Ultima rilevazione',
+                'alerts.col.status': 'Stato',
+                'alerts.opened': 'aperto il {date}',
+                'alerts.occurrences': '{count} rilevazioni',
+                'alerts.by': '{email} · {date}',
+                'alerts.acknowledge': 'Prendi in carico',
+                'alerts.resolve': 'Risolvi',
+                'alerts.resolve_note': 'Nota (facoltativa)',
+                'alerts.empty': 'Nessun avviso',
+                'alerts.error.alerts_fetch_failed': 'Impossibile caricare gli avvisi',
+                'alerts.error.alert_not_found': 'Avviso non trovato',
+                'alerts.error.alert_not_open': 'L\'avviso è già stato preso in carico',
+                'alerts.error.alert_already_resolved': 'L\'avviso è già stato risolto',
+                'alerts.error.alert_update_failed': 'Aggiornamento non riuscito',
+                'alerts.error.invalid_note': 'Nota troppo lunga (massimo 500 caratteri)',
+                'alerts.error.invalid_email': 'Indirizzo email non valido',
+                'alerts.error.invalid_phone': 'Numero non valido, usa il formato internazionale (+39...)',
+                'alerts.error.whatsapp_phone_required': 'Inserisci il numero WhatsApp',
+                'alerts.error.invalid_severity': 'Livello di notifica non valido',
+                'alerts.error.alert_settings_save_failed': 'Salvataggio non riuscito',
+                'alerts.error.insufficient_role': 'Il tuo ruolo non consente questa operazione',
+                'campaigns.saved_search': 'Ricerca salvata',
+                'campaigns.created': 'Creato il',
+                'campaigns.completed': 'Concluso il',
+                'campaigns.recipients': 'Destinatari',
+                'campaigns.page_info': '{from}-{to} di {total}',
+                'campaigns.previous': 'Precedenti',
+                'campaigns.next': 'Successivi',
                 
                 // Manual Contact Error Messages
                 'manual_contact.error.enter_message': 'Inserisci un messaggio',
@@ -653,6 +934,8 @@ class I18nManager {
                 'nav.dashboard': 'Dashboard',
                 'nav.certificates': 'Certificates',
                 'nav.billing': 'Billing',
+                'nav.campaigns': 'Send history',
+                'nav.alerts': 'Vehicle alerts',
                 'nav.settings': 'Settings',
                 'nav.logout': 'Logout',
                 
@@ -692,6 +975,10 @@ class I18nManager {
                 'meta.billing.title': 'Credit & Usage - Service Portal',
                 'page.billing.title': 'Credit & Usage',
                 'page.billing.subtitle': 'Stripe balance and per-channel usage',
+                'page.campaigns.title': 'Send history',
+                'page.campaigns.subtitle': 'Communications sent and the outcome for every recipient',
+                'page.alerts.title': 'Vehicle alerts',
+                'page.alerts.subtitle': 'Issues found on the vehicles, to acknowledge and resolve',
                 'billing.balance': 'Available credit',
                 'billing.date_range': 'Date range',
                 'billing.presets.today': 'Today',
@@ -705,6 +992,43 @@ class I18nManager {
                 'billing.series.emails': 'Emails',
                 'billing.series.whatsapp': 'WhatsApp',
                 'billing.series.openai': 'OpenAI',
+                'billing.series.sms': 'SMS',
+                'billing.statements.button': 'Statements',
+                'billing.statements.title': 'Monthly statements',
+                'billing.statements.document_title': 'Statement {month}',
+                'billing.statements.number': 'Statement no.',
+                'billing.statements.dealer': 'Dealer',
+                'billing.statements.period': 'Period',
+                'billing.statements.month': 'Month',
+                'billing.statements.opening_balance': 'Opening balance',
+                'billing.statements.usage': 'Usage',
+                'billing.statements.recharges': 'Recharges',
+                'billing.statements.adjustments': 'Adjustments',
+                'billing.statements.closing_balance': 'Closing balance',
+                'billing.statements.channel': 'Channel',
+                'billing.statements.quantity': 'Quantity',
+                'billing.statements.amount': 'Amount',
+                'billing.statements.date': 'Date',
+                'billing.statements.reference': 'Reference',
+                'billing.statements.total': 'Total',
+                'billing.statements.summary': 'Summary',
+                'billing.statements.no_usage': 'No usage in this period',
+                'billing.statements.no_recharges': 'No recharges in this period',
+                'billing.statements.empty': 'No statements available yet',
+                'billing.statements.generated_at': 'Generated on {date}',
+                'billing.statements.download': 'Download',
+                'billing.low_balance.banner': 'Low balance: {balance} (threshold {threshold}). Sends are blocked when credit runs out.',
+                'billing.low_balance.auto_recharge_failed': 'Automatic top-up failed, balance {balance}. Please check your payment method.',
+                'billing.low_balance.action': 'Top up',
+                'billing.low_balance.title': 'Low balance alert',
+                'billing.low_balance.threshold': 'Alert threshold (€)',
+                'billing.low_balance.email': 'Alert email',
+                'billing.low_balance.email_placeholder': 'Dealer login email',
+                'billing.low_balance.auto_recharge': 'Automatic top-up with the saved card',
+                'billing.low_balance.auto_recharge_amount': 'Automatic top-up amount (€)',
+                'billing.low_balance.auto_recharge_hint': 'Your card is saved with the first manual top-up.',
+                'billing.low_balance.last_error': 'Last automatic top-up failed: {error}. Save again to re-enable it.',
+                'billing.low_balance.saved': 'Settings saved',
                 
                 // Settings Page
                 'settings.language.title': 'Language',
@@ -1166,6 +1490,244 @@ class I18nManager {
                 'manual_contact.dialog.validation_title': 'Warning',
                 'manual_contact.dialog.message_sent_success': 'Message sent successfully to {count} recipients!',
                 'manual_contact.dialog.credit_updated': 'Your credit has been updated to {credit}',
+
+                // Campaign progress (queued bulk sends)
+                'campaign.title': 'Sending communications',
+                'campaign.queued': 'Sending started: {count} messages queued. Progress stays visible at the bottom right, even if you reload the page.',
+                'campaign.excluded': '{count} recipients were left out: {reasons}.',
+                'campaign.scheduled': 'Send scheduled for {date}: {count} messages. You can move or cancel it from the Sends page until it starts.',
+                'campaign.counts': '{sent} sent, {failed} failed of {total}',
+                'campaign.status.running': 'In progress',
+                'campaign.status.scheduled': 'Scheduled',
+                'campaign.status.paused': 'Paused',
+                'campaign.status.cancelled': 'Cancelled',
+                'campaign.status.completed': 'Completed',
+                'campaign.pause': 'Pause',
+                'campaign.resume': 'Resume',
+                'campaign.cancel': 'Cancel sending',
+                'campaign.close': 'Close',
+                'campaign.confirm_cancel': 'Cancel the messages not sent yet? The reserved credit will be released.',
+
+                // Consent of the recipients (purpose of the message, reasons they are left out)
+                'consent.purpose': 'Type of communication',
+                'consent.purpose_service': 'Service',
+                'consent.purpose_marketing': 'Marketing',
+                'consent.eligible': '{eligible} of {total} selected recipients can receive this communication.',
+                'consent.reason.no_certificate': 'without certificate',
+                'consent.reason.contact_mismatch': 'with a contact other than the certificate\'s',
+                'consent.reason.not_test_client': 'not test clients',
+                'consent.reason.no_user_agreement': 'without terms of use acceptance',
+                'consent.reason.no_documents_consent': 'without consent to receive communications',
+                'consent.reason.no_contact_consent': 'without consent to commercial contact',
+                'consent.reason.hard_bounce': 'with unreachable address',
+                'consent.reason.complaint': 'reported spam',
+                'consent.reason.stop_reply': 'replied STOP',
+                'consent.reason.unsubscribe': 'unsubscribed',
+
+                // Campaign history (campaigns.html)
+                'campaigns.list_title': 'Sends',
+                'campaigns.all_statuses': 'All statuses',
+                'campaigns.all_channels': 'All channels',
+                'campaigns.all_sources': 'AI and manual',
+                'campaigns.col.date': 'Date',
+                'campaigns.col.channel': 'Channel',
+                'campaigns.col.subject': 'Subject / message',
+                'campaigns.col.author': 'Author',
+                'campaigns.col.status': 'Status',
+                'campaigns.col.results': 'Results',
+                'campaigns.col.cost': 'Cost',
+                'campaigns.col.recipient': 'Recipient',
+                'campaigns.col.message': 'Text sent',
+                'campaigns.col.sent_channel': 'Sent via',
+                'campaigns.col.provider_id': 'Provider ID',
+                'campaigns.col.error': 'Error',
+                'campaigns.col.delivery': 'Delivery',
+                'campaigns.delivery.queued': 'Queued by the provider',
+                'campaigns.delivery.sent': 'Sent by the provider',
+                'campaigns.delivery.delivered': 'Delivered',
+                'campaigns.delivery.read': 'Read',
+                'campaigns.delivery.failed': 'Undelivered',
+                'campaigns.delivery.bounced': 'Bounced',
+                'campaigns.all_deliveries': 'All delivery outcomes',
+                'campaigns.delivery_counts': '{delivered} delivered ({rate}%), {read} read, {undelivered} undelivered',
+                'campaigns.complained': 'Marked as spam',
+                'campaigns.source.ai': 'AI',
+                'campaigns.source.manual': 'Manual',
+                'campaigns.source.reminder': 'Automated reminder',
+                'campaigns.reminder_rule': 'Reminder rule',
+                'campaigns.channel.email': 'Email',
+                'campaigns.channel.whatsapp': 'WhatsApp',
+                'campaigns.channel.sms': 'SMS',
+                'campaigns.message_status.pending': 'Pending',
+                'campaigns.message_status.sending': 'Sending',
+                'campaigns.message_status.sent': 'Sent',
+                'campaigns.message_status.failed': 'Failed',
+                'campaigns.message_status.cancelled': 'Cancelled',
+                'campaigns.all_messages': 'All recipients',
+                'campaigns.empty': 'No sends found',
+                'campaigns.no_messages': 'No recipients',
+                'campaigns.load_error': 'Unable to load the send history',
+                'campaigns.not_found': 'Send not found',
+                'campaigns.back': '← All sends',
+                'campaigns.base_message': 'Base message',
+                'campaigns.template': 'Template',
+                'campaigns.no_template': 'None (free text or AI prompt)',
+                'campaigns.filters': 'Filters used',
+                'campaigns.no_filters': 'No filters: hand-picked selection',
+                'campaigns.excluded': 'Recipients left out',
+                'campaigns.no_excluded': 'None',
+                'campaigns.scheduled_for': 'Scheduled for',
+                'campaigns.reschedule': 'Move',
+                'campaigns.start_now': 'Send now',
+                'campaigns.schedule_error': 'Unable to change the send: it may have started already.',
+
+                // Scheduling in the send dialogs and send window (campaigns.html)
+                'schedule.title': 'Schedule send',
+                'schedule.hint': 'Empty = send now. Messages only go out within the dealer send window, WhatsApp never after 20:00 or on Sundays.',
+                'send_window.title': 'Send window',
+                'send_window.hint': 'Campaign messages only go out on these days and hours, in the recipient\'s time zone (from the number prefix, otherwise the one set here). WhatsApp never after 20:00 or on Sundays.',
+                'send_window.timezone': 'Time zone',
+                'send_window.from': 'From',
+                'send_window.to': 'To',
+                'send_window.days': 'Days',
+                'send_window.save': 'Save',
+                'send_window.saved': 'Send window saved',
+                'send_window.error.invalid_timezone': 'Invalid time zone (e.g. Europe/Rome)',
+                'send_window.error.invalid_hours': 'The start time must be before the end time',
+                'send_window.error.invalid_days': 'Pick at least one day',
+                'send_window.error.no_whatsapp_window': 'WhatsApp could never go out in this window: it needs a day from Monday to Saturday starting before 20:00',
+                'send_window.error.send_window_update_failed': 'Unable to save',
+                'send_window.day.1': 'Mon',
+                'send_window.day.2': 'Tue',
+                'send_window.day.3': 'Wed',
+                'send_window.day.4': 'Thu',
+                'send_window.day.5': 'Fri',
+                'send_window.day.6': 'Sat',
+                'send_window.day.7': 'Sun',
+
+                // Automated service reminder rules (campaigns.html)
+                'reminders.title': 'Automated reminders',
+                'reminders.hint': 'Every night the active rules send the chosen template to the vehicles that reached the threshold, only to customers who consented to service communications. A rule does not message the same vehicle again before its pause days; for km and months, once per threshold reached.',
+                'reminders.col.name': 'Rule',
+                'reminders.col.condition': 'Condition',
+                'reminders.col.template': 'Template',
+                'reminders.col.last_run': 'Last run',
+                'reminders.new': 'New rule',
+                'reminders.name': 'Name',
+                'reminders.trigger': 'When',
+                'reminders.trigger.odometer': 'Distance driven',
+                'reminders.trigger.installation_age': 'Months since installation',
+                'reminders.trigger.low_battery': 'Low battery',
+                'reminders.every_km': 'Every (km)',
+                'reminders.every_months': 'Every (months)',
+                'reminders.battery_volts': 'Below (V)',
+                'reminders.battery_days': 'For days',
+                'reminders.template': 'Template',
+                'reminders.language': 'Language',
+                'reminders.cooldown_days': 'Pause (days)',
+                'reminders.active': 'Active',
+                'reminders.inactive': 'Inactive',
+                'reminders.save': 'Save',
+                'reminders.cancel': 'Cancel',
+                'reminders.edit': 'Edit',
+                'reminders.delete': 'Delete',
+                'reminders.preview': 'Preview',
+                'reminders.condition.odometer': 'Every {km} km',
+                'reminders.condition.installation_age': 'Every {months} months since installation',
+                'reminders.condition.low_battery': 'Daily battery average below {volts} V for {days} days',
+                'reminders.cooldown': '{days}-day pause',
+                'reminders.months': '{months} months',
+                'reminders.never_run': 'Never run',
+                'reminders.last_result': '{queued} queued, {excluded} excluded',
+                'reminders.no_rules': 'No rules',
+                'reminders.no_templates': 'No email or WhatsApp template with text',
+                'reminders.delete_confirm': 'Delete the rule "{name}"? Its send history is kept.',
+                'reminders.preview_title': '{eligible} of {total} vehicles would get "{template}" tonight',
+                'reminders.preview_cooling': '{count} vehicles already reminded recently (paused)',
+                'reminders.preview_none': 'No vehicle reaches the threshold right now.',
+                'reminders.reason.no_email': 'no email',
+                'reminders.reason.no_phone': 'no phone',
+                'reminders.log_title': 'Reminders sent',
+                'reminders.log.date': 'Date',
+                'reminders.log.rule': 'Rule',
+                'reminders.log.vehicle': 'Vehicle',
+                'reminders.log.value': 'Value',
+                'reminders.log.status': 'Result',
+                'reminders.log.status.queued': 'Queued',
+                'reminders.log.status.excluded': 'Excluded',
+                'reminders.no_log': 'No reminders sent',
+                'reminders.error.invalid_name': 'Enter a name (max 100 characters)',
+                'reminders.error.invalid_trigger': 'Invalid condition',
+                'reminders.error.invalid_threshold': 'Invalid threshold: 1,000-200,000 km, 1-120 months, 9-15 V for 1-30 days',
+                'reminders.error.invalid_cooldown': 'The pause goes from 0 to 365 days',
+                'reminders.error.invalid_language': 'Invalid language',
+                'reminders.error.invalid_template': 'Pick an email or WhatsApp template with text (and a subject for emails)',
+                'reminders.error.duplicate_name': 'A rule with this name already exists',
+                'reminders.error.rule_not_found': 'Rule not found',
+                'reminders.error.service_reminder_save_failed': 'Unable to save',
+                'reminders.error.service_reminder_delete_failed': 'Unable to delete',
+                'reminders.error.service_reminder_preview_failed': 'Preview unavailable',
+                'reminders.error.service_reminder_log_failed': 'Unable to load the reminders sent',
+                // Vehicle alerts (alerts.html)
+                'alerts.badge': '{open} alerts to acknowledge, {critical} critical',
+                'alerts.settings.title': 'Alert notifications',
+                'alerts.settings.hint': 'The monitor checks the data sent by the vehicles every few minutes (trouble codes, distance with the check engine light on, engine temperature, system voltage, crashes) and opens an alert per vehicle. New alerts, or alerts that became critical, are also sent by email and, when enabled, WhatsApp.',
+                'alerts.settings.email_enabled': 'Email',
+                'alerts.settings.alert_email': 'Email address',
+                'alerts.settings.alert_email_placeholder': 'Dealer login email',
+                'alerts.settings.whatsapp_enabled': 'WhatsApp',
+                'alerts.settings.whatsapp_phone': 'WhatsApp number',
+                'alerts.settings.min_severity': 'Notify',
+                'alerts.settings.min_severity.warning': 'All alerts',
+                'alerts.settings.min_severity.critical': 'Critical alerts only',
+                'alerts.settings.save': 'Save',
+                'alerts.settings.saved': 'Settings saved',
+                'alerts.list_title': 'Alerts',
+                'alerts.all_statuses': 'All statuses',
+                'alerts.status.unresolved': 'To handle',
+                'alerts.status.open': 'New',
+                'alerts.status.acknowledged': 'Acknowledged',
+                'alerts.status.resolved': 'Resolved',
+                'alerts.all_severities': 'All severities',
+                'alerts.severity.warning': 'Warning',
+                'alerts.severity.critical': 'Critical',
+                'alerts.all_kinds': 'All types',
+                'alerts.kind.dtc': 'Diagnostic trouble codes (DTC)',
+                'alerts.kind.mil_distance': 'Distance with check engine light on',
+                'alerts.kind.coolant_temp': 'Coolant temperature',
+                'alerts.kind.low_voltage': 'Low system voltage',
+                'alerts.kind.crash': 'Crash detected',
+                'alerts.col.vehicle': 'Vehicle',
+                'alerts.col.alert': 'Alert',
+                'alerts.col.value': 'Value',
+                'alerts.col.last_seen': 'Last seen',
+                'alerts.col.status': 'Status',
+                'alerts.opened': 'opened {date}',
+                'alerts.occurrences': 'seen {count} times',
+                'alerts.by': '{email} · {date}',
+                'alerts.acknowledge': 'Acknowledge',
+                'alerts.resolve': 'Resolve',
+                'alerts.resolve_note': 'Note (optional)',
+                'alerts.empty': 'No alerts',
+                'alerts.error.alerts_fetch_failed': 'Unable to load the alerts',
+                'alerts.error.alert_not_found': 'Alert not found',
+                'alerts.error.alert_not_open': 'The alert was already acknowledged',
+                'alerts.error.alert_already_resolved': 'The alert was already resolved',
+                'alerts.error.alert_update_failed': 'Update failed',
+                'alerts.error.invalid_note': 'Note too long (500 characters at most)',
+                'alerts.error.invalid_email': 'Invalid email address',
+                'alerts.error.invalid_phone': 'Invalid number, use the international format (+39...)',
+                'alerts.error.whatsapp_phone_required': 'Enter the WhatsApp number',
+                'alerts.error.invalid_severity': 'Invalid notification level',
+                'alerts.error.alert_settings_save_failed': 'Saving failed',
+                'alerts.error.insufficient_role': 'Your role does not allow this action',
+                'campaigns.saved_search': 'Saved search',
+                'campaigns.created': 'Created',
+                'campaigns.completed': 'Finished',
+                'campaigns.recipients': 'Recipients',
+                'campaigns.page_info': '{from}-{to} of {total}',
+                'campaigns.previous': 'Previous',
+                'campaigns.next': 'Next',
                 
                 // Manual Contact Error Messages
                 'manual_contact.error.enter_message': 'Please enter a message',
@@ -1534,14 +2096,19 @@ class I18nManager {
     }
 }
 
-// Create global i18n manager instance
-window.i18n = new I18nManager();
+if (typeof window !== 'undefined') {
+    // Create global i18n manager instance
+    window.i18n = new I18nManager();
+
+    // Expose t function globally for easy access
+    window.t = (key, params) => window.i18n.t(key, params);
 
-// Expose t function globally for easy access
-window.t = (key, params) => window.i18n.t(key, params);
+    // Expose changeLanguage function globally
+    window.changeLanguage = (lang) => window.i18n.changeLanguage(lang);
 
-// Expose changeLanguage function globally
-window.changeLanguage = (lang) => window.i18n.changeLanguage(lang);
+    // Expose forceUpdateBilingualElements function globally
+    window.forceUpdateBilingualElements = (container) => window.i18n.forceUpdateBilingualElements(container);
+}
 
-// Expose forceUpdateBilingualElements function globally
-window.forceUpdateBilingualElements = (container) => window.i18n.forceUpdateBilingualElements(container); 
\ No newline at end of file
+// Server side (billing statements) only reads the dictionary
+module.exports = { I18nManager };
@@ -0,0 +1,84 @@
+/**
+ * LOW BALANCE BANNER
+ * Service Portal - shows a warning under the page header when the dealer credit
+ * is below the low-balance threshold (GET /api/billing/alert-status/:dealerId)
+ */
+
+(function () {
+    const BANNER_ID = 'lowBalanceBanner';
+    const REFRESH_INTERVAL = 5 * 60 * 1000; // 5 minuti
+
+    function getDealerId() {
+        try {
+            const user = JSON.parse(localStorage.getItem('servicehub-user') || 'null');
+            if (user?.id) return user.id;
+        } catch (e) { /* formato non valido */ }
+        try {
+            const authData = JSON.parse(localStorage.getItem('authData') || 'null');
+            if (authData?.dealerId) return authData.dealerId;
+        } catch (e) { /* formato non valido */ }
+        return null;
+    }
+
+    function t(key, params) {
+        return window.i18n ? window.i18n.t(key, params) : key;
+    }
+
+    function formatMoney(cents, currency) {
+        const locale = window.i18n?.getCurrentLanguage() === 'en' ? 'en-GB' : 'it-IT';
+        return (cents / 100).toLocaleString(locale, { style: 'currency', currency: currency || 'EUR' });
+    }
+
+    function render(status) {
+        let banner = document.getElementById(BANNER_ID);
+        if (!status.low_balance) {
+            if (banner) banner.remove();
+            return;
+        }
+
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = BANNER_ID;
+            banner.className = 'px-4 py-2 text-sm flex items-center justify-between gap-4';
+            banner.style.cssText = 'background-color: rgba(245, 158, 11, 0.15); border-bottom: 1px solid #f59e0b; color: #f59e0b;';
+            const header = document.querySelector('header');
+            if (header) {
+                header.insertAdjacentElement('afterend', banner);
+            } else {
+                document.body.prepend(banner);
+            }
+        }
+
+        const message = status.auto_recharge_last_error
+            ? t('billing.low_balance.auto_recharge_failed', { balance: formatMoney(status.balance_cents, status.currency) })
+            : t('billing.low_balance.banner', {
+                balance: formatMoney(status.balance_cents, status.currency),
+                threshold: formatMoney(status.threshold_cents, status.currency)
+            });
+        const onBillingPage = window.location.pathname.endsWith('/billing.html');
+        banner.innerHTML = `
+            <span>⚠️ ${message}</span>
+            ${onBillingPage ? '' : `<a href="/billing.html" class="underline font-medium whitespace-nowrap">${t('billing.low_balance.action')}</a>`}
+        `;
+    }
+
+    async function refresh() {
+        const dealerId = getDealerId();
+        if (!dealerId) return;
+        try {
+            const response = await fetch(`/api/billing/alert-status/${dealerId}`);
+            const status = await response.json();
+            if (status.success) render(status);
+        } catch (error) {
+            console.warn('⚠️ Low balance status unavailable:', error.message);
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        refresh();
+        setInterval(refresh, REFRESH_INTERVAL);
+    });
+
+    // Billing page refreshes the banner after a recharge or settings change
+    window.refreshLowBalanceBanner = refresh;
+})();
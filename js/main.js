@@ -380,15 +380,10 @@ async function handleLogout() {
     const confirmed = await window.customDialog.confirm(title, message, confirmText, cancelText);
     
     if (confirmed) {
-        // Clear all authentication data
-        localStorage.removeItem('servicehub-user');
-        localStorage.removeItem('servicehub-auth-token');
-        sessionStorage.removeItem('servicehub-auth-token');
-        localStorage.removeItem('servicehub-remember');
         currentUser = null;
         
-        // Redirect to login
-        window.location.href = '/pages/login.html';
+        // The logout page revokes the server session and clears all authentication data
+        window.location.href = '/logout.html';
     }
 }
 
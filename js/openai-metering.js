@@ -0,0 +1,152 @@
+// Service Portal - Metered OpenAI
+// Every chat completion goes through here: real token usage is priced per model,
+// marked up with the dealer's price plan and written to billing_usage_events.
+// The worst-case cost is reserved before the call, so the debit that follows never
+// takes credit held for queued campaigns
+
+const { BillingLedger } = require('./billing-ledger.js');
+const { BillingPricing } = require('./billing-pricing.js');
+
+// Provider list prices in cents per 1M tokens (input / output). Longest matching model prefix wins,
+// so dated snapshots like 'gpt-4o-2024-08-06' resolve to 'gpt-4o'
+const OPENAI_RATES_CENTS_PER_MTOK = {
+    'gpt-4o-mini': { input: 15, output: 60 },
+    'gpt-4o': { input: 250, output: 1000 },
+    'gpt-4-turbo': { input: 1000, output: 3000 },
+    'gpt-4': { input: 3000, output: 6000 },
+    'gpt-3.5-turbo': { input: 50, output: 150 }
+};
+
+// Unknown models are priced like the most expensive one we use rather than for free
+const DEFAULT_RATE = OPENAI_RATES_CENTS_PER_MTOK['gpt-4o'];
+
+// Reservation estimate: prompt tokens from its length (tokens are ~4 characters, 3 to stay on the safe side),
+// completion tokens from max_tokens or, when the caller sets none, this
+const CHARS_PER_TOKEN_ESTIMATE = 3;
+const DEFAULT_MAX_OUTPUT_TOKENS = 4096;
+
+class MeteredOpenAI {
+
+    /**
+     * @param {import('openai').OpenAI|null} client - OpenAI client (null when OPENAI_API_KEY is missing)
+     */
+    constructor(client) {
+        this.client = client;
+    }
+
+    get available() {
+        return !!this.client;
+    }
+
+    /**
+     * Rate (cents per 1M tokens) for a model name
+     * @param {string} model
+     * @returns {{input:number, output:number}}
+     */
+    static rateFor(model) {
+        const name = (model || '').toLowerCase();
+        const match = Object.keys(OPENAI_RATES_CENTS_PER_MTOK)
+            .filter(prefix => name.startsWith(prefix))
+            .sort((a, b) => b.length - a.length)[0];
+        return match ? OPENAI_RATES_CENTS_PER_MTOK[match] : DEFAULT_RATE;
+    }
+
+    /**
+     * Raw provider cost in (fractional) cents
+     * @param {string} model
+     * @param {number} inputTokens
+     * @param {number} outputTokens
+     * @returns {number}
+     */
+    static providerCostCents(model, inputTokens, outputTokens) {
+        const rate = MeteredOpenAI.rateFor(model);
+        return ((inputTokens || 0) * rate.input + (outputTokens || 0) * rate.output) / 1e6;
+    }
+
+    /**
+     * Upper bound of the billed cost of a call, before it is made
+     * @param {Object} params - chat.completions.create params
+     * @param {Object} plan - billing_price_plans row
+     * @returns {number} cents
+     */
+    static estimateBilledCents(params, plan) {
+        const promptTokens = Math.ceil(JSON.stringify(params.messages || []).length / CHARS_PER_TOKEN_ESTIMATE);
+        const providerCost = MeteredOpenAI.providerCostCents(params.model, promptTokens, params.max_tokens || DEFAULT_MAX_OUTPUT_TOKENS);
+        return Math.max(1, Math.ceil(providerCost * (Number(plan.openai_markup_multiplier) || 1)));
+    }
+
+    /**
+     * chat.completions.create + billing. Throws an error with code 'insufficient_balance', before calling OpenAI,
+     * when the dealer's free credit does not cover the estimate. Billing failures after the call are logged,
+     * never thrown: the caller already has its answer
+     * @param {Object} params - chat.completions.create params
+     * @param {Object} meta - { dealerId, feature, relatedEntity }
+     * @returns {Promise<Object>} the completion, with completion.billing = { billed_cents, provider_cost_cents, model, ... }
+     */
+    async chatCompletion(params, meta = {}) {
+        if (!this.client) {
+            throw new Error('OpenAI client not initialized');
+        }
+
+        const reservationId = meta.dealerId ? await this.reserve(params, meta) : null;
+        try {
+            const completion = await this.client.chat.completions.create(params);
+            completion.billing = await this.bill(completion, params.model, { ...meta, reservationId });
+            return completion;
+        } finally {
+            if (reservationId) {
+                const released = await BillingLedger.releaseReservation(reservationId);
+                if (!released.success) console.error(`❌ OpenAI reservation ${reservationId} not released:`, released.error);
+            }
+        }
+    }
+
+    // Reservation id for the estimated cost; null when billing cannot be reached (the debit then checks the balance)
+    async reserve(params, { dealerId, feature }) {
+        const plan = await BillingPricing.getPlan(dealerId);
+        const estimatedCents = MeteredOpenAI.estimateBilledCents(params, plan);
+        const reservation = await BillingLedger.reserveCredit(dealerId, estimatedCents, `openai:${feature || 'unknown'}`);
+        if (reservation.success) return reservation.reservationId;
+        if (reservation.error === 'insufficient_balance') {
+            const error = new Error(`Insufficient balance for OpenAI (${feature}): ${estimatedCents} cents needed, ${reservation.availableCents} available`);
+            error.code = 'insufficient_balance';
+            throw error;
+        }
+        return null;
+    }
+
+    async bill(completion, requestedModel, { dealerId, feature, relatedEntity, reservationId } = {}) {
+        const model = completion.model || requestedModel;
+        const inputTokens = completion.usage?.prompt_tokens || 0;
+        const outputTokens = completion.usage?.completion_tokens || 0;
+        const providerCost = MeteredOpenAI.providerCostCents(model, inputTokens, outputTokens);
+        const summary = { model, input_tokens: inputTokens, output_tokens: outputTokens, provider_cost_cents: providerCost, billed_cents: 0, feature };
+
+        if (!dealerId) {
+            console.warn(`⚠️ OpenAI call (${feature}) without dealer - not billed, provider cost ${providerCost.toFixed(3)} cents`);
+            return summary;
+        }
+
+        const plan = await BillingPricing.getPlan(dealerId);
+        const markup = Number(plan.openai_markup_multiplier) || 1;
+        const billedCents = Math.max(1, Math.ceil(providerCost * markup));
+
+        const result = await BillingLedger.recordUsage(dealerId, {
+            eventType: 'openai',
+            unitCostCents: billedCents,
+            openaiModel: model,
+            openaiInputTokens: inputTokens,
+            openaiOutputTokens: outputTokens,
+            openaiProviderCostCents: Math.ceil(providerCost),
+            relatedEntity: relatedEntity || completion.id || null,
+            reservationId,
+            pricePlanId: plan.id,
+            feature
+        });
+
+        console.log(`🤖 OpenAI ${model} (${feature}) dealer ${dealerId}: ${inputTokens}+${outputTokens} tokens, billed ${billedCents} cents`);
+        return { ...summary, billed_cents: result.success ? billedCents : 0, balance_cents: result.balanceCents };
+    }
+}
+
+module.exports = { MeteredOpenAI, OPENAI_RATES_CENTS_PER_MTOK };
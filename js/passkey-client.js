@@ -0,0 +1,70 @@
+/**
+ * PASSKEY CLIENT
+ * Service Portal - browser side of WebAuthn: turns the base64url options sent by the server
+ * into navigator.credentials calls and serializes the result back to JSON (see js/webauthn.js)
+ */
+
+(function () {
+    function toBuffer(base64url) {
+        const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0)).buffer;
+    }
+
+    function toBase64url(buffer) {
+        const binary = String.fromCharCode(...new Uint8Array(buffer));
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function credentialDescriptors(list) {
+        return (list || []).map(item => ({ ...item, id: toBuffer(item.id) }));
+    }
+
+    // Passkey registration (settings page): options from POST /api/auth/passkeys/register-options
+    async function create(publicKey) {
+        const credential = await navigator.credentials.create({
+            publicKey: {
+                ...publicKey,
+                challenge: toBuffer(publicKey.challenge),
+                user: { ...publicKey.user, id: toBuffer(publicKey.user.id) },
+                excludeCredentials: credentialDescriptors(publicKey.excludeCredentials)
+            }
+        });
+        return {
+            id: credential.id,
+            type: credential.type,
+            response: {
+                clientDataJSON: toBase64url(credential.response.clientDataJSON),
+                attestationObject: toBase64url(credential.response.attestationObject),
+                transports: credential.response.getTransports ? credential.response.getTransports() : []
+            }
+        };
+    }
+
+    // Passkey login: options from POST /api/auth/passkey/login-options
+    async function get(publicKey) {
+        const credential = await navigator.credentials.get({
+            publicKey: {
+                ...publicKey,
+                challenge: toBuffer(publicKey.challenge),
+                allowCredentials: credentialDescriptors(publicKey.allowCredentials)
+            }
+        });
+        return {
+            id: credential.id,
+            type: credential.type,
+            response: {
+                clientDataJSON: toBase64url(credential.response.clientDataJSON),
+                authenticatorData: toBase64url(credential.response.authenticatorData),
+                signature: toBase64url(credential.response.signature),
+                userHandle: credential.response.userHandle ? toBase64url(credential.response.userHandle) : null
+            }
+        };
+    }
+
+    window.passkeyClient = {
+        isSupported: () => !!(window.PublicKeyCredential && navigator.credentials),
+        create,
+        get
+    };
+})();
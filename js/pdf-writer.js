@@ -0,0 +1,139 @@
+// Service Portal - PDF Writer
+// Minimal text-only PDF generator (A4, Helvetica, WinAnsi encoding) for billing documents
+// No external dependency: enough for tables of text and rules, not for images or custom fonts
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Helvetica advance widths (1/1000 em) for the characters we print; anything else uses 556
+const HELVETICA_WIDTHS = {
+    ' ': 278, '!': 278, '"': 355, '#': 556, '%': 889, '&': 667, '\'': 191, '(': 333, ')': 333, '*': 389,
+    '+': 584, ',': 278, '-': 333, '.': 278, '/': 278, ':': 278, ';': 278, '=': 584, '?': 556, '@': 1015,
+    'A': 667, 'B': 667, 'C': 722, 'D': 722, 'E': 667, 'F': 611, 'G': 778, 'H': 722, 'I': 278, 'J': 500,
+    'K': 667, 'L': 556, 'M': 833, 'N': 722, 'O': 778, 'P': 667, 'Q': 778, 'R': 722, 'S': 667, 'T': 611,
+    'U': 722, 'V': 667, 'W': 944, 'X': 667, 'Y': 667, 'Z': 611, '_': 556,
+    'a': 556, 'b': 556, 'c': 500, 'd': 556, 'e': 556, 'f': 278, 'g': 556, 'h': 556, 'i': 222, 'j': 222,
+    'k': 500, 'l': 222, 'm': 833, 'n': 556, 'o': 556, 'p': 556, 'q': 556, 'r': 333, 's': 500, 't': 278,
+    'u': 556, 'v': 500, 'w': 722, 'x': 500, 'y': 500, 'z': 500, '€': 556, 'à': 556, 'è': 556, 'é': 556,
+    'ì': 278, 'ò': 556, 'ù': 556
+};
+
+// Characters outside Latin-1 that WinAnsi still has
+const WIN_ANSI_EXTRA = { '\u202f': 0x20, '€': 0x80, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '–': 0x96, '—': 0x97 };
+
+class PdfWriter {
+
+    constructor() {
+        this.pages = [];
+        this.addPage();
+    }
+
+    addPage() {
+        this.current = [];
+        this.pages.push(this.current);
+        return this;
+    }
+
+    get pageWidth() { return PAGE_WIDTH; }
+    get pageHeight() { return PAGE_HEIGHT; }
+
+    /**
+     * Width of a string in points
+     * @param {string} text
+     * @param {number} size
+     * @param {boolean} [bold] - Helvetica-Bold is ~5% wider; close enough for alignment
+     */
+    static textWidth(text, size, bold = false) {
+        let units = 0;
+        for (const ch of String(text)) {
+            units += HELVETICA_WIDTHS[ch] ?? 556;
+        }
+        return units * size / 1000 * (bold ? 1.05 : 1);
+    }
+
+    /**
+     * Draw text. y is measured from the top of the page (baseline)
+     * @param {string} text
+     * @param {number} x
+     * @param {number} y
+     * @param {Object} [options] - { size, bold, align: 'left'|'right', color: [r,g,b] 0..1 }
+     */
+    text(text, x, y, options = {}) {
+        const size = options.size || 10;
+        const font = options.bold ? 'F2' : 'F1';
+        const value = String(text ?? '');
+        const left = options.align === 'right' ? x - PdfWriter.textWidth(value, size, options.bold) : x;
+        const [r, g, b] = options.color || [0, 0, 0];
+        this.current.push(
+            `${r} ${g} ${b} rg BT /${font} ${size} Tf ${left.toFixed(2)} ${(PAGE_HEIGHT - y).toFixed(2)} Td (${PdfWriter.encode(value)}) Tj ET`
+        );
+        return this;
+    }
+
+    // Horizontal or vertical rule, y measured from the top
+    line(x1, y1, x2, y2, width = 0.5) {
+        this.current.push(
+            `${width} w 0.6 0.6 0.6 RG ${x1.toFixed(2)} ${(PAGE_HEIGHT - y1).toFixed(2)} m ${x2.toFixed(2)} ${(PAGE_HEIGHT - y2).toFixed(2)} l S`
+        );
+        return this;
+    }
+
+    // String literal body: WinAnsi bytes, escaped, non-ASCII as octal
+    static encode(text) {
+        let out = '';
+        for (const ch of text) {
+            let code = WIN_ANSI_EXTRA[ch] ?? ch.charCodeAt(0);
+            if (code > 0xff) code = 0x3f; // '?'
+            if (ch === '(' || ch === ')' || ch === '\\') {
+                out += '\\' + ch;
+            } else if (code < 0x20 || code > 0x7e) {
+                out += '\\' + code.toString(8).padStart(3, '0');
+            } else {
+                out += ch;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Serialize the document
+     * @returns {Buffer}
+     */
+    toBuffer() {
+        const objects = [];
+        const pageCount = this.pages.length;
+        // 1: catalog, 2: pages, 3: Helvetica, 4: Helvetica-Bold, then (page, content) pairs
+        const pageIds = this.pages.map((_, i) => 5 + i * 2);
+
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageCount} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+        this.pages.forEach((ops, i) => {
+            const pageId = pageIds[i];
+            const stream = ops.join('\n');
+            objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+            objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+        });
+
+        let body = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = Buffer.byteLength(body, 'latin1');
+            body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+
+        const xrefOffset = Buffer.byteLength(body, 'latin1');
+        body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            body += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        body += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        return Buffer.from(body, 'latin1');
+    }
+}
+
+module.exports = { PdfWriter };
@@ -0,0 +1,209 @@
+// Service Portal - Send Window
+// When campaign messages may go out (see supabase-campaign-schedule.sql): inside the dealer's send window
+// (days and hours, dealer_send_windows) in the recipient's time zone, and WhatsApp never after 20:00 or on
+// Sundays whatever the window says. The recipient's zone comes from the country code of the phone number;
+// emails and national numbers use the dealer's zone
+
+const { supabaseAdmin } = require('../config/supabase.js');
+
+const DEFAULT_WINDOW = {
+    timezone: 'Europe/Rome',
+    start: '09:00',
+    end: '20:00',
+    days: [1, 2, 3, 4, 5, 6] // ISO weekdays, 1 = Monday
+};
+// Quiet hours per channel, on top of the dealer window
+const QUIET_HOURS = {
+    whatsapp: { latest: '20:00', days: [1, 2, 3, 4, 5, 6] }
+};
+// Country calling code => time zone, longest codes first (customers are mostly in Europe)
+const COUNTRY_TIMEZONES = [
+    ['378', 'Europe/San_Marino'], ['379', 'Europe/Vatican'], ['351', 'Europe/Lisbon'], ['352', 'Europe/Luxembourg'],
+    ['353', 'Europe/Dublin'], ['356', 'Europe/Malta'], ['357', 'Asia/Nicosia'], ['358', 'Europe/Helsinki'],
+    ['359', 'Europe/Sofia'], ['370', 'Europe/Vilnius'], ['371', 'Europe/Riga'], ['372', 'Europe/Tallinn'],
+    ['377', 'Europe/Monaco'], ['380', 'Europe/Kyiv'], ['381', 'Europe/Belgrade'], ['385', 'Europe/Zagreb'],
+    ['386', 'Europe/Ljubljana'], ['420', 'Europe/Prague'], ['421', 'Europe/Bratislava'], ['423', 'Europe/Vaduz'],
+    ['30', 'Europe/Athens'], ['31', 'Europe/Amsterdam'], ['32', 'Europe/Brussels'], ['33', 'Europe/Paris'],
+    ['34', 'Europe/Madrid'], ['36', 'Europe/Budapest'], ['39', 'Europe/Rome'], ['40', 'Europe/Bucharest'],
+    ['41', 'Europe/Zurich'], ['43', 'Europe/Vienna'], ['44', 'Europe/London'], ['45', 'Europe/Copenhagen'],
+    ['46', 'Europe/Stockholm'], ['47', 'Europe/Oslo'], ['48', 'Europe/Warsaw'], ['49', 'Europe/Berlin']
+];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const formatters = new Map();
+
+function minutesOf(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function validTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Wall clock of a date in a time zone: calendar day, ISO weekday and minutes since midnight
+function zoned(date, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric'
+        }));
+    }
+    const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        weekday: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].indexOf(parts.weekday) + 1,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+// Instant of a wall clock time in a time zone (days and minutes may overflow, as with Date.UTC)
+function fromZoned(year, month, day, minutes, timeZone) {
+    const wall = Date.UTC(year, month - 1, day, 0, minutes);
+    const offset = (instant) => {
+        const local = zoned(new Date(instant), timeZone);
+        return Date.UTC(local.year, local.month - 1, local.day, 0, local.minutes) - Math.floor(instant / 60000) * 60000;
+    };
+    // Twice: the offset of the guess may differ when a DST change falls in between
+    const guess = wall - offset(wall);
+    return new Date(wall - offset(guess));
+}
+
+class SendWindow {
+
+    static get defaults() {
+        return DEFAULT_WINDOW;
+    }
+
+    /**
+     * Send window of a dealer, defaults when it never set one
+     * @param {number} dealerId
+     * @returns {Promise<{timezone:string, start:string, end:string, days:number[], updatedAt?:string, updatedBy?:string}>}
+     */
+    static async get(dealerId) {
+        return (await SendWindow.forDealers([dealerId])).get(Number(dealerId));
+    }
+
+    /**
+     * @param {number[]} dealerIds
+     * @returns {Promise<Map<number, Object>>} dealer id => send window (defaults included)
+     */
+    static async forDealers(dealerIds) {
+        const ids = [...new Set(dealerIds.map(Number))];
+        const windows = new Map(ids.map(id => [id, { ...DEFAULT_WINDOW }]));
+        if (!ids.length) return windows;
+
+        const { data, error } = await supabaseAdmin
+            .from('dealer_send_windows')
+            .select('dealer_id, timezone, start_time, end_time, days, updated_by_email, updated_at')
+            .in('dealer_id', ids);
+        if (error) throw error;
+        (data || []).forEach(row => windows.set(Number(row.dealer_id), {
+            timezone: row.timezone,
+            start: String(row.start_time).slice(0, 5),
+            end: String(row.end_time).slice(0, 5),
+            days: (row.days || []).map(Number),
+            updatedAt: row.updated_at,
+            updatedBy: row.updated_by_email
+        }));
+        return windows;
+    }
+
+    /**
+     * @param {number} dealerId
+     * @param {{timezone:string, start:string, end:string, days:number[]}} window
+     * @param {string|null} [updatedBy] - email of the user
+     * @returns {Promise<{success:boolean, data?:Object, previous?:Object, error?:string}>}
+     */
+    static async update(dealerId, { timezone, start, end, days }, updatedBy = null) {
+        if (!timezone || !validTimeZone(timezone)) return { success: false, error: 'invalid_timezone' };
+        if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '') || minutesOf(start) >= minutesOf(end)) {
+            return { success: false, error: 'invalid_hours' };
+        }
+        const weekdays = [...new Set((Array.isArray(days) ? days : []).map(Number))].filter(day => day >= 1 && day <= 7).sort((a, b) => a - b);
+        if (!weekdays.length) return { success: false, error: 'invalid_days' };
+        // WhatsApp needs at least one moment in the window outside its quiet hours
+        const whatsapp = SendWindow.effective('whatsapp', { timezone, start, end, days: weekdays });
+        if (!whatsapp.days.length || whatsapp.start >= whatsapp.end) return { success: false, error: 'no_whatsapp_window' };
+
+        const previous = await SendWindow.get(dealerId);
+        const { error } = await supabaseAdmin
+            .from('dealer_send_windows')
+            .upsert({
+                dealer_id: Number(dealerId),
+                timezone,
+                start_time: start,
+                end_time: end,
+                days: weekdays,
+                updated_by_email: updatedBy,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'dealer_id' });
+        if (error) throw error;
+        return { success: true, previous, data: { timezone, start, end, days: weekdays } };
+    }
+
+    /**
+     * Window of a channel in minutes: the dealer window narrowed by the quiet hours of the channel
+     * @param {string} channel
+     * @param {{start:string, end:string, days:number[]}} window
+     * @returns {{start:number, end:number, days:number[]}}
+     */
+    static effective(channel, window) {
+        const quiet = QUIET_HOURS[channel];
+        return {
+            start: minutesOf(window.start),
+            end: quiet ? Math.min(minutesOf(window.end), minutesOf(quiet.latest)) : minutesOf(window.end),
+            days: quiet ? window.days.filter(day => quiet.days.includes(day)) : window.days
+        };
+    }
+
+    /**
+     * Time zone of a recipient from the country code of the phone number
+     * @param {string} phone
+     * @returns {string|null} null when unknown (the dealer's zone applies)
+     */
+    static recipientTimeZone(phone) {
+        const value = String(phone || '').replace(/^whatsapp:/i, '').trim();
+        if (!/^(\+|00)/.test(value)) return null;
+        const digits = value.replace(/\D/g, '').replace(/^00/, '');
+        const match = COUNTRY_TIMEZONES.find(([code]) => digits.startsWith(code));
+        return match ? match[1] : null;
+    }
+
+    /**
+     * First moment from `from` when a message of that channel may go out
+     * @param {Date} from
+     * @param {string} channel
+     * @param {Object} window - dealer send window
+     * @param {string|null} [timeZone] - of the recipient, the dealer's when null
+     * @returns {Date|null} `from` itself when the window is open, null when it never opens
+     */
+    static nextOpen(from, channel, window, timeZone = null) {
+        const zone = timeZone || window.timezone;
+        const { start, end, days } = SendWindow.effective(channel, window);
+        const open = (local) => days.includes(local.weekday) && local.minutes >= start && local.minutes < end;
+
+        const local = zoned(from, zone);
+        if (open(local)) return from;
+        for (let offset = 0; offset <= 7; offset++) {
+            const opening = fromZoned(local.year, local.month, local.day + offset, start, zone);
+            if (opening > from && open(zoned(opening, zone))) return opening;
+        }
+        return null;
+    }
+}
+
+module.exports = { SendWindow };
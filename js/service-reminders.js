@@ -0,0 +1,441 @@
+// Service Portal - Service Reminders
+// Per-dealer rules that send a template on their own when a vehicle is due for service (see
+// supabase-service-reminders.sql): every N km of odometer, every N months since the certificate was first
+// issued, or a daily battery average below a voltage for some days in a row. Vehicles, odometer and battery
+// come from the fleet database (configure); what fired is kept in service_reminder_log, where the next
+// milestone and the per-vehicle cooldown of the rule are counted from. Sending is up to server.js
+// (consent, suppressions, billing and the campaign queue, same as a manual send)
+
+const { supabaseAdmin } = require('../config/supabase.js');
+
+const TRIGGERS = ['odometer', 'installation_age', 'low_battery'];
+const LIMITS = {
+    every_km: [1000, 200000],
+    every_months: [1, 120],
+    battery_volts: [9, 15],
+    battery_days: [1, 30],
+    cooldown_days: [0, 365]
+};
+const RULE_COLUMNS = 'id, dealer_id, name, trigger_type, every_km, every_months, battery_volts, battery_days, template_id, language, cooldown_days, active, last_run_at, last_result, created_by_email, updated_by_email, created_at, updated_at';
+const LOG_COLUMNS = 'id, rule_id, rule_name, vehicle_id, certificate_id, plate, milestone, value, status, reason, campaign_id, fired_at';
+const RUN_HOUR = 1; // UTC, rules are evaluated once a day from this hour
+const LOG_INSERT_CHUNK = 500;
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+let deps = {
+    executeQuery: null
+};
+
+function page(options) {
+    return {
+        limit: Math.min(Math.max(parseInt(options.limit, 10) || PAGE_SIZE, 1), MAX_PAGE_SIZE),
+        offset: Math.max(parseInt(options.offset, 10) || 0, 0)
+    };
+}
+
+function inRange(value, [min, max]) {
+    return Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Certificate client: JSON column, older certificates keep it as text
+function clientOf(value) {
+    if (value && typeof value === 'object') return value;
+    try {
+        const parsed = JSON.parse(value);
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Whole months from a date to another
+function monthsBetween(from, to) {
+    const months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+    return to.getUTCDate() < from.getUTCDate() ? months - 1 : months;
+}
+
+// Recipient as the send routes take it (same fields certificates.html builds from a certificate)
+function recipientOf(row) {
+    const client = clientOf(row.client);
+    const name = `${client.firstName || ''} ${client.lastName || ''}`.trim() || client.name || '';
+    return {
+        id: row.certificate_id,
+        name,
+        firstName: client.firstName || name.split(' ')[0] || '',
+        lastName: client.lastName || name.split(' ').slice(1).join(' ') || '',
+        companyName: client.company || '',
+        email: (client.email || '').toLowerCase(),
+        phone: client.phone || '',
+        vehicle: `${row.brand || ''} ${row.model || ''}`.trim(),
+        plate: row.plate || '',
+        year: row.year || '',
+        fuel: row.fuel_type || '',
+        km: row.odometer_km ?? '',
+        vin: row.vin || '',
+        serial: row.serial || ''
+    };
+}
+
+class ServiceReminders {
+
+    /**
+     * @param {Object} options - { executeQuery(query, params) => rows } for vehicles and reports
+     */
+    static configure(options) {
+        deps = { ...deps, ...options };
+    }
+
+    static get triggers() {
+        return TRIGGERS;
+    }
+
+    /**
+     * Rule as stored, from the request body
+     * @param {Object} input - { name, trigger, everyKm, everyMonths, batteryVolts, batteryDays, templateId, language, cooldownDays, active }
+     * @returns {{valid:boolean, error?:string, row?:Object}}
+     */
+    static validate(input = {}) {
+        const name = String(input.name || '').trim();
+        if (!name || name.length > 100) return { valid: false, error: 'invalid_name' };
+        if (!TRIGGERS.includes(input.trigger)) return { valid: false, error: 'invalid_trigger' };
+
+        const row = {
+            name,
+            trigger_type: input.trigger,
+            every_km: null,
+            every_months: null,
+            battery_volts: null,
+            battery_days: null,
+            template_id: input.templateId || null,
+            language: input.language || 'it',
+            cooldown_days: Number(input.cooldownDays ?? 30),
+            active: input.active === true
+        };
+        if (input.trigger === 'odometer') row.every_km = Number(input.everyKm);
+        if (input.trigger === 'installation_age') row.every_months = Number(input.everyMonths);
+        if (input.trigger === 'low_battery') {
+            row.battery_volts = Number(input.batteryVolts);
+            row.battery_days = Number(input.batteryDays);
+        }
+        const thresholds = ['every_km', 'every_months', 'battery_days'].filter(field => row[field] !== null);
+        if (thresholds.some(field => !Number.isInteger(row[field]) || !inRange(row[field], LIMITS[field]))
+            || (row.battery_volts !== null && !inRange(row.battery_volts, LIMITS.battery_volts))) {
+            return { valid: false, error: 'invalid_threshold' };
+        }
+        if (!Number.isInteger(row.cooldown_days) || !inRange(row.cooldown_days, LIMITS.cooldown_days)) {
+            return { valid: false, error: 'invalid_cooldown' };
+        }
+        if (!['it', 'en'].includes(row.language)) return { valid: false, error: 'invalid_language' };
+        if (!row.template_id || typeof row.template_id !== 'string') return { valid: false, error: 'invalid_template' };
+        return { valid: true, row };
+    }
+
+    /**
+     * Templates a rule can send: the dealer's email / WhatsApp templates with a written message
+     * @param {number} dealerId
+     * @returns {Promise<Array<{id:string, name:string, channel:string, email_subject:string|null, message_content:string}>>}
+     */
+    static async templates(dealerId) {
+        const { data, error } = await supabaseAdmin
+            .from('communication_templates')
+            .select('id, name, channel, email_subject, message_content')
+            .eq('dealer_id', Number(dealerId))
+            .in('channel', ['email', 'whatsapp'])
+            .not('message_content', 'is', null)
+            .order('name');
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * @param {number} dealerId
+     * @param {string} templateId
+     * @returns {Promise<Object|null>} null when it cannot be sent by a rule
+     */
+    static async template(dealerId, templateId) {
+        const { data, error } = await supabaseAdmin
+            .from('communication_templates')
+            .select('id, name, channel, email_subject, message_content')
+            .eq('id', templateId)
+            .eq('dealer_id', Number(dealerId))
+            .maybeSingle();
+        if (error) throw error;
+        if (!data || !['email', 'whatsapp'].includes(data.channel) || !data.message_content) return null;
+        if (data.channel === 'email' && !data.email_subject) return null;
+        return data;
+    }
+
+    static async list(dealerId) {
+        const { data, error } = await supabaseAdmin
+            .from('service_reminder_rules')
+            .select(RULE_COLUMNS)
+            .eq('dealer_id', Number(dealerId))
+            .order('created_at');
+        if (error) throw error;
+        return data || [];
+    }
+
+    static async get(ruleId) {
+        const { data, error } = await supabaseAdmin
+            .from('service_reminder_rules')
+            .select(RULE_COLUMNS)
+            .eq('id', ruleId)
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * @param {number} dealerId
+     * @param {Object} input - see validate()
+     * @param {string|null} [createdBy] - email of the user
+     * @returns {Promise<{success:boolean, data?:Object, error?:string}>}
+     */
+    static async create(dealerId, input, createdBy = null) {
+        const checked = await ServiceReminders.check(dealerId, input);
+        if (!checked.valid) return { success: false, error: checked.error };
+
+        const { data, error } = await supabaseAdmin
+            .from('service_reminder_rules')
+            .insert({ ...checked.row, dealer_id: Number(dealerId), created_by_email: createdBy, updated_by_email: createdBy })
+            .select(RULE_COLUMNS)
+            .single();
+        if (error?.code === '23505') return { success: false, error: 'duplicate_name' };
+        if (error) throw error;
+        return { success: true, data };
+    }
+
+    /**
+     * @param {string} ruleId
+     * @param {Object} input - see validate()
+     * @param {string|null} [updatedBy]
+     * @returns {Promise<{success:boolean, data?:Object, previous?:Object, error?:string}>}
+     */
+    static async update(ruleId, input, updatedBy = null) {
+        const previous = await ServiceReminders.get(ruleId);
+        if (!previous) return { success: false, error: 'rule_not_found' };
+        const checked = await ServiceReminders.check(previous.dealer_id, input);
+        if (!checked.valid) return { success: false, error: checked.error };
+
+        const { data, error } = await supabaseAdmin
+            .from('service_reminder_rules')
+            .update({ ...checked.row, updated_by_email: updatedBy, updated_at: new Date().toISOString() })
+            .eq('id', ruleId)
+            .select(RULE_COLUMNS)
+            .single();
+        if (error?.code === '23505') return { success: false, error: 'duplicate_name' };
+        if (error) throw error;
+        return { success: true, data, previous };
+    }
+
+    /**
+     * The log of a deleted rule stays, under its name
+     * @param {string} ruleId
+     * @returns {Promise<Object|null>} the deleted rule
+     */
+    static async remove(ruleId) {
+        const { data, error } = await supabaseAdmin
+            .from('service_reminder_rules')
+            .delete()
+            .eq('id', ruleId)
+            .select(RULE_COLUMNS)
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    // validate() plus the template, which must be one of the dealer's sendable templates
+    static async check(dealerId, input) {
+        const checked = ServiceReminders.validate(input);
+        if (!checked.valid) return checked;
+        if (!(await ServiceReminders.template(dealerId, checked.row.template_id))) return { valid: false, error: 'invalid_template' };
+        return checked;
+    }
+
+    /**
+     * Vehicles of the dealer the rule applies to now. A milestone rule (km, months) fires once per
+     * multiple reached; any rule waits cooldown_days before firing again for the same vehicle
+     * @param {Object} rule - as stored
+     * @param {Date} [now]
+     * @returns {Promise<{due:Array<{vehicleId:number, certificateId:number, plate:string, value:number, milestone:number|null, recipient:Object}>, cooling:number}>}
+     *   cooling: vehicles that meet the condition but are still in cooldown
+     */
+    static async evaluate(rule, now = new Date()) {
+        const vehicles = await deps.executeQuery(`
+            SELECT c.id AS certificate_id, c."deviceId" AS device_id, c.client, c.serial,
+                   (SELECT MIN(f."createdAt") FROM certificate f WHERE f."deviceId" = c."deviceId" AND f."dealerId" = c."dealerId") AS installed_at,
+                   v.id AS vehicle_id, v.vin, v.plate, v.brand, v.model, v.year, v."fuelType" AS fuel_type,
+                   ROUND(v.odometer::numeric / 1000, 0) AS odometer_km
+            FROM (
+                SELECT DISTINCT ON (c."deviceId") c.*
+                FROM certificate c
+                WHERE c."dealerId" = $1
+                ORDER BY c."deviceId", c.version DESC
+            ) c
+            INNER JOIN device d ON c."deviceId" = d.id
+            INNER JOIN vehicle v ON d."vehicleId" = v.id
+            WHERE c.active IS NOT FALSE
+            ORDER BY c.id DESC
+        `, [Number(rule.dealer_id)]);
+
+        // One entry per vehicle: a vehicle moved to a new device keeps its newest certificate
+        const byVehicle = new Map();
+        vehicles.forEach(row => { if (!byVehicle.has(Number(row.vehicle_id))) byVehicle.set(Number(row.vehicle_id), row); });
+
+        const candidates = [];
+        if (rule.trigger_type === 'low_battery') {
+            const rows = [...byVehicle.values()];
+            const low = await deps.executeQuery(`
+                SELECT "deviceId" AS device_id, ROUND(MAX(daily), 2) AS highest
+                FROM (
+                    SELECT "deviceId", DATE(hour) AS day, AVG("batteryAverage")::numeric / 1000 AS daily
+                    FROM report
+                    WHERE "deviceId" = ANY($1::int[]) AND "batteryAverage" > 0
+                      AND hour >= date_trunc('day', now()) - ($2::int * interval '1 day')
+                      AND hour < date_trunc('day', now())
+                    GROUP BY "deviceId", DATE(hour)
+                ) days
+                GROUP BY "deviceId"
+                HAVING COUNT(*) = $2 AND MAX(daily) < $3
+            `, [rows.map(row => Number(row.device_id)), Number(rule.battery_days), Number(rule.battery_volts)]);
+            const highest = new Map(low.map(row => [Number(row.device_id), Number(row.highest)]));
+            rows.filter(row => highest.has(Number(row.device_id)))
+                .forEach(row => candidates.push({ row, value: highest.get(Number(row.device_id)), milestone: null }));
+        } else {
+            for (const row of byVehicle.values()) {
+                const value = rule.trigger_type === 'odometer'
+                    ? Number(row.odometer_km)
+                    : (row.installed_at ? monthsBetween(new Date(row.installed_at), now) : NaN);
+                const every = rule.trigger_type === 'odometer' ? rule.every_km : rule.every_months;
+                const milestone = Math.floor(value / every);
+                if (Number.isFinite(milestone) && milestone >= 1) candidates.push({ row, value, milestone });
+            }
+        }
+
+        const fired = new Map();
+        if (rule.id && candidates.length) {
+            const { data, error } = await supabaseAdmin.rpc('service_reminder_last_fired', { p_rule_id: rule.id });
+            if (error) throw error;
+            (data || []).forEach(entry => fired.set(Number(entry.vehicle_id), entry));
+        }
+        const cooldownStart = now.getTime() - rule.cooldown_days * 24 * 60 * 60 * 1000;
+
+        const due = [];
+        let cooling = 0;
+        for (const { row, value, milestone } of candidates) {
+            const last = fired.get(Number(row.vehicle_id));
+            if (last && milestone !== null && last.milestone !== null && milestone <= last.milestone) continue;
+            if (last && new Date(last.fired_at).getTime() > cooldownStart) {
+                cooling++;
+                continue;
+            }
+            due.push({
+                vehicleId: Number(row.vehicle_id),
+                certificateId: Number(row.certificate_id),
+                plate: row.plate || '',
+                value,
+                milestone,
+                recipient: recipientOf(row)
+            });
+        }
+        return { due, cooling };
+    }
+
+    /**
+     * Keep the vehicles a rule fired for
+     * @param {Object} rule
+     * @param {Array<{vehicleId:number, certificateId:number, plate:string, value:number, milestone:number|null, status:'queued'|'excluded', reason?:string}>} entries
+     * @param {string|null} campaignId
+     */
+    static async recordFired(rule, entries, campaignId = null) {
+        const firedAt = new Date().toISOString();
+        const rows = entries.map(entry => ({
+            dealer_id: Number(rule.dealer_id),
+            rule_id: rule.id,
+            rule_name: rule.name,
+            vehicle_id: entry.vehicleId,
+            certificate_id: entry.certificateId,
+            plate: entry.plate || null,
+            milestone: entry.milestone,
+            value: Number.isFinite(entry.value) ? entry.value : null,
+            status: entry.status,
+            reason: entry.reason || null,
+            campaign_id: entry.status === 'queued' ? campaignId : null,
+            fired_at: firedAt
+        }));
+        for (let i = 0; i < rows.length; i += LOG_INSERT_CHUNK) {
+            const { error } = await supabaseAdmin.from('service_reminder_log').insert(rows.slice(i, i + LOG_INSERT_CHUNK));
+            if (error) throw error;
+        }
+    }
+
+    /**
+     * What the dealer's rules fired, newest first
+     * @param {number} dealerId
+     * @param {{ruleId?:string, limit?:number, offset?:number}} [filters]
+     * @returns {Promise<{data:Object[], total:number}>}
+     */
+    static async log(dealerId, filters = {}) {
+        const { limit, offset } = page(filters);
+        let query = supabaseAdmin
+            .from('service_reminder_log')
+            .select(LOG_COLUMNS, { count: 'exact' })
+            .eq('dealer_id', Number(dealerId));
+        if (filters.ruleId) query = query.eq('rule_id', filters.ruleId);
+
+        const { data, error, count } = await query
+            .order('fired_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+        if (error) throw error;
+        return { data: data || [], total: count || 0 };
+    }
+
+    /**
+     * Active rules not evaluated yet today, once past RUN_HOUR. Each rule is claimed by setting
+     * last_run_at, so only one instance runs it
+     * @param {Date} [now]
+     * @returns {Promise<Object[]>}
+     */
+    static async claimDue(now = new Date()) {
+        if (now.getUTCHours() < RUN_HOUR) return [];
+        const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())).toISOString();
+        const notRunToday = `last_run_at.is.null,last_run_at.lt."${today}"`;
+
+        const { data, error } = await supabaseAdmin
+            .from('service_reminder_rules')
+            .select('id')
+            .eq('active', true)
+            .or(notRunToday);
+        if (error) throw error;
+
+        const claimed = [];
+        for (const { id } of data || []) {
+            const { data: rule, error: claimError } = await supabaseAdmin
+                .from('service_reminder_rules')
+                .update({ last_run_at: now.toISOString() })
+                .eq('id', id)
+                .eq('active', true)
+                .or(notRunToday)
+                .select(RULE_COLUMNS)
+                .maybeSingle();
+            if (claimError) throw claimError;
+            if (rule) claimed.push(rule);
+        }
+        return claimed;
+    }
+
+    /**
+     * @param {string} ruleId
+     * @param {Object} result - { queued, excluded, campaignId } or { error }
+     */
+    static async finishRun(ruleId, result) {
+        const { error } = await supabaseAdmin
+            .from('service_reminder_rules')
+            .update({ last_result: result })
+            .eq('id', ruleId);
+        if (error) throw error;
+    }
+}
+
+module.exports = { ServiceReminders };
@@ -0,0 +1,213 @@
+// Service Portal - Staff Admin
+// Mobisat staff console (admin.html, see supabase-staff-admin.sql): staff login with an emailed
+// one-time code, opaque session tokens checked on every /api/admin request, append-only log of
+// every staff action
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase.js');
+
+const LOGIN_CODE_TTL = 10 * 60; // secondi
+const LOGIN_CODE_MAX_ATTEMPTS = 5;
+const SESSION_TTL = 8 * 60 * 60; // secondi, one working day, no refresh
+
+// /api/admin routes reachable without a staff session
+const PUBLIC_ROUTES = [
+    'POST /api/admin/auth/request-code',
+    'POST /api/admin/auth/verify-code'
+];
+
+let deps = {
+    emailService: null,
+    // (req) => client address
+    clientIp: (req) => req.ip
+};
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+class StaffAdmin {
+
+    /**
+     * @param {Object} options - { emailService, clientIp(req) }
+     */
+    static configure(options) {
+        deps = { ...deps, ...options };
+    }
+
+    /**
+     * Email a one-time login code to an active staff user. Unknown emails get the same answer
+     * @param {string} email
+     * @returns {Promise<{success:boolean, error?:string}>}
+     */
+    static async requestLoginCode(email) {
+        const normalized = normalizeEmail(email);
+        if (!normalized) return { success: false, error: 'invalid_email' };
+
+        const code = String(crypto.randomInt(0, 100000000)).padStart(8, '0');
+        const { data: staff, error } = await supabaseAdmin
+            .from('staff_users')
+            .update({
+                login_code_hash: sha256(code),
+                login_code_expires_at: new Date(Date.now() + LOGIN_CODE_TTL * 1000).toISOString(),
+                login_code_attempts: 0
+            })
+            .ilike('email', normalized.replace(/[\\%_]/g, '\\$&'))
+            .eq('status', 'active')
+            .select('id, email')
+            .maybeSingle();
+        if (error) throw error;
+        if (!staff) {
+            console.warn(`🚫 Codice staff richiesto per email non abilitata: ${normalized}`);
+            return { success: true };
+        }
+
+        if (deps.emailService) {
+            await deps.emailService.sendGenericEmail(
+                staff.email,
+                'Service Hub - Codice accesso console staff',
+                `<p>Codice di accesso alla console staff: <strong>${code}</strong></p><p>Valido 10 minuti. Se non l'hai richiesto avvisa subito il responsabile IT.</p>`
+            );
+        }
+        console.log(`🔑 Codice console staff inviato a ${staff.email}`);
+        return { success: true };
+    }
+
+    /**
+     * Check the emailed code and open a staff session
+     * @param {string} email
+     * @param {string} code
+     * @param {{userAgent?:string, ipAddress?:string}} client
+     * @returns {Promise<{success:boolean, token?:string, expiresAt?:string, staff?:Object, error?:string}>}
+     */
+    static async verifyLoginCode(email, code, client = {}) {
+        if (!normalizeEmail(email) || !/^\d{8}$/.test(String(code || ''))) {
+            return { success: false, error: 'invalid_code' };
+        }
+
+        const { data, error } = await supabaseAdmin.rpc('staff_use_login_code', {
+            p_email: normalizeEmail(email),
+            p_code_hash: sha256(code),
+            p_max_attempts: LOGIN_CODE_MAX_ATTEMPTS
+        });
+        if (error) throw error;
+
+        const staff = Array.isArray(data) ? data[0] : data;
+        if (!staff) return { success: false, error: 'invalid_code' };
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + SESSION_TTL * 1000).toISOString();
+        const { error: sessionError } = await supabaseAdmin
+            .from('staff_sessions')
+            .insert({
+                staff_user_id: staff.id,
+                token_hash: sha256(token),
+                user_agent: client.userAgent ? client.userAgent.slice(0, 500) : null,
+                ip_address: client.ipAddress || null,
+                expires_at: expiresAt
+            });
+        if (sessionError) throw sessionError;
+
+        return { success: true, token, expiresAt, staff: { id: staff.id, email: staff.email, name: staff.name } };
+    }
+
+    static async logout(token) {
+        const { error } = await supabaseAdmin
+            .from('staff_sessions')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('token_hash', sha256(token))
+            .is('revoked_at', null);
+        if (error) throw error;
+    }
+
+    /**
+     * Mounted on /api/admin: sets req.staff = { id, email, name, sessionId } or answers 401
+     */
+    static async authenticate(req, res, next) {
+        if (PUBLIC_ROUTES.includes(`${req.method} ${req.baseUrl}${req.path}`)) return next();
+
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+        if (!token) {
+            return res.status(401).json({ success: false, error: 'unauthorized', message: 'Staff authentication required' });
+        }
+
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('staff_sessions')
+                .select('id, expires_at, revoked_at, staff_users(id, email, name, status)')
+                .eq('token_hash', sha256(token))
+                .maybeSingle();
+            if (error) throw error;
+
+            const staff = data?.staff_users;
+            if (!data || data.revoked_at || new Date(data.expires_at) <= new Date() || staff?.status !== 'active') {
+                return res.status(401).json({ success: false, error: 'session_revoked', message: 'Staff authentication required' });
+            }
+
+            await supabaseAdmin.from('staff_sessions').update({ last_used_at: new Date().toISOString() }).eq('id', data.id);
+            req.staff = { id: staff.id, email: staff.email, name: staff.name, sessionId: data.id };
+            next();
+        } catch (error) {
+            console.error('❌ Errore verifica sessione staff:', error.message);
+            res.status(500).json({ success: false, error: 'authorization_check_failed' });
+        }
+    }
+
+    /**
+     * Route middleware: a non-empty reason is required in the body
+     */
+    static requireReason(req, res, next) {
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+        if (reason.length < 5) {
+            return res.status(400).json({ success: false, error: 'reason_required', message: 'A reason of at least 5 characters is required' });
+        }
+        req.body.reason = reason.slice(0, 500);
+        next();
+    }
+
+    /**
+     * Append a staff action to the log. Throws: the action must not go unlogged
+     * @param {Object} req - Express request (req.staff from authenticate)
+     * @param {{action:string, dealerId?:number, targetId?:string|number, reason?:string, details?:Object}} entry
+     */
+    static async logAction(req, { action, dealerId = null, targetId = null, reason = null, details = null }) {
+        const { error } = await supabaseAdmin
+            .from('staff_actions')
+            .insert({
+                staff_user_id: req.staff.id,
+                staff_email: req.staff.email,
+                action,
+                dealer_id: dealerId,
+                target_id: targetId === null || targetId === undefined ? null : String(targetId),
+                reason,
+                details,
+                ip_address: deps.clientIp(req) || null,
+                user_agent: req.headers?.['user-agent'] ? req.headers['user-agent'].slice(0, 500) : null
+            });
+        if (error) throw error;
+        console.log(`🛠️ Staff ${req.staff.email}: ${action}${dealerId ? ` (dealer ${dealerId})` : ''}${reason ? ` - ${reason}` : ''}`);
+    }
+
+    /**
+     * Staff action log, newest first
+     * @param {{dealerId?:number, limit?:number}} filters
+     */
+    static async listActions({ dealerId = null, limit = 100 } = {}) {
+        let query = supabaseAdmin
+            .from('staff_actions')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500));
+        if (dealerId) query = query.eq('dealer_id', dealerId);
+        const { data, error } = await query;
+        if (error) throw error;
+        return data || [];
+    }
+}
+
+module.exports = { StaffAdmin };
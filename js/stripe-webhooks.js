@@ -0,0 +1,278 @@
+// Service Portal - Stripe Webhooks
+// Single pipeline for Stripe events: store in stripe_events (keyed by event id), claim, process once,
+// mark processed/failed. Failed events are retried (see supabase-stripe-events.sql)
+
+const { supabaseAdmin } = require('../config/supabase.js');
+const { BillingLedger } = require('./billing-ledger.js');
+const { BillingAlerts } = require('./billing-alerts.js');
+
+const MAX_ATTEMPTS = 10;
+
+// Recharge status updates never downgrade a recharge that was already credited
+const FINAL_RECHARGE_STATUSES = ['succeeded', 'refunded', 'partially_refunded', 'disputed'];
+
+async function markRecharge(column, value, status) {
+    const { error } = await supabaseAdmin
+        .from('billing_recharges')
+        .update({ status, processed_at: new Date().toISOString() })
+        .eq(column, value)
+        .not('status', 'in', `(${FINAL_RECHARGE_STATUSES.join(',')})`);
+    if (error) throw error;
+}
+
+// event.type => handler(object, event). Returns 'processed' or 'ignored'
+const HANDLERS = {
+    'checkout.session.completed': async (session) => {
+        if (session.metadata?.type !== 'recharge') return 'ignored';
+        // Delayed payment methods complete the session before the money arrives
+        if (session.payment_status !== 'paid') return 'ignored';
+        return creditSession(session);
+    },
+
+    'checkout.session.async_payment_succeeded': async (session) => {
+        if (session.metadata?.type !== 'recharge') return 'ignored';
+        return creditSession(session);
+    },
+
+    'checkout.session.async_payment_failed': async (session) => {
+        if (session.metadata?.type !== 'recharge') return 'ignored';
+        await markRecharge('stripe_checkout_session_id', session.id, 'failed');
+        return 'processed';
+    },
+
+    'checkout.session.expired': async (session) => {
+        if (session.metadata?.type !== 'recharge') return 'ignored';
+        await markRecharge('stripe_checkout_session_id', session.id, 'canceled');
+        return 'processed';
+    },
+
+    // Off-session auto-recharges are credited synchronously; this covers a crash between charge and credit
+    'payment_intent.succeeded': async (intent) => {
+        if (intent.metadata?.type !== 'auto_recharge' || !intent.metadata.recharge_id) return 'ignored';
+        const credit = await BillingLedger.creditRecharge(intent.metadata.recharge_id, intent.id);
+        if (!credit.success) throw new Error(credit.error);
+        console.log(credit.credited ? '✅ Ricarica automatica accreditata da webhook:' : 'ℹ️ Ricarica automatica già accreditata:', intent.metadata.recharge_id);
+        return 'processed';
+    },
+
+    // Full or partial refund (from the Stripe Dashboard): amount_refunded is cumulative
+    'charge.refunded': async (charge) => {
+        const recharge = await findRechargeForCharge(charge.payment_intent, charge.id);
+        if (!recharge) {
+            console.warn(`⚠️ Rimborso su charge ${charge.id} che non è una ricarica - ignorato`);
+            return 'ignored';
+        }
+
+        const result = await BillingLedger.refundRecharge(recharge.id, charge.amount_refunded, charge.id);
+        if (!result.success) throw new Error(result.error);
+
+        if (result.debitedCents > 0) {
+            console.log(`↩️ Rimborso ${result.debitedCents} centesimi su ricarica ${recharge.id} (dealer ${result.dealerId}), balance ${result.balanceCents}`);
+            await BillingAlerts.notifyRechargeReversal(result.dealerId, {
+                kind: 'refund',
+                amountCents: result.debitedCents,
+                balanceCents: result.balanceCents,
+                rechargeAmountCents: recharge.amount_cents,
+                rechargeDate: recharge.created_at
+            });
+        }
+        return 'processed';
+    },
+
+    'charge.dispute.created': applyDispute,
+    'charge.dispute.closed': applyDispute,
+
+    'payment_intent.payment_failed': async (intent) => {
+        await markRecharge('stripe_payment_intent_id', intent.id, 'failed');
+        return 'processed';
+    },
+
+    'payment_intent.canceled': async (intent) => {
+        await markRecharge('stripe_payment_intent_id', intent.id, 'canceled');
+        return 'processed';
+    }
+};
+
+// Recharge paid by a charge (by PaymentIntent, then by charge id); null for charges not made by the portal
+async function findRechargeForCharge(paymentIntentId, chargeId) {
+    for (const [column, value] of [['stripe_payment_intent_id', paymentIntentId], ['stripe_charge_id', chargeId]]) {
+        if (!value) continue;
+        const { data, error } = await supabaseAdmin
+            .from('billing_recharges')
+            .select('id, dealer_id, amount_cents, created_at')
+            .eq(column, value)
+            .maybeSingle();
+        if (error) throw error;
+        if (data) return data;
+    }
+    return null;
+}
+
+async function applyDispute(dispute) {
+    const recharge = await findRechargeForCharge(dispute.payment_intent, dispute.charge);
+    if (!recharge) {
+        console.warn(`⚠️ Contestazione ${dispute.id} su un pagamento che non è una ricarica - ignorata`);
+        return 'ignored';
+    }
+
+    const result = await BillingLedger.disputeRecharge(recharge.id, dispute.id, dispute.amount, dispute.status);
+    if (!result.success) throw new Error(result.error);
+
+    const kind = ['won', 'warning_closed'].includes(dispute.status) ? 'dispute_won' : dispute.status === 'lost' ? 'dispute_lost' : 'dispute';
+    // Notify once per change: a replayed event moves nothing and leaves the status as it was
+    if (result.applied || (kind === 'dispute_lost' && result.changed)) {
+        console.log(`⚖️ Contestazione ${dispute.id} (${dispute.status}) dealer ${result.dealerId}: ${result.amountCents} centesimi, balance ${result.balanceCents}`);
+        await BillingAlerts.notifyRechargeReversal(result.dealerId, {
+            kind,
+            amountCents: result.amountCents || dispute.amount,
+            balanceCents: result.balanceCents,
+            rechargeAmountCents: recharge.amount_cents,
+            rechargeDate: recharge.created_at
+        });
+    }
+    return 'processed';
+}
+
+async function creditSession(session) {
+    const credit = await BillingLedger.creditRechargeBySession(session.id, session.payment_intent);
+    if (!credit.success) throw new Error(credit.error);
+    console.log(credit.credited ? '✅ Ricarica accreditata:' : 'ℹ️ Ricarica già accreditata:', credit.amountCents, 'centesimi, dealer', credit.dealerId, 'balance', credit.balanceCents);
+    return 'processed';
+}
+
+class StripeWebhooks {
+
+    /**
+     * Store, claim and process a verified Stripe event
+     * @param {Object} event - result of stripe.webhooks.constructEvent
+     * @returns {Promise<{success:boolean, status:string, duplicate?:boolean, error?:string}>}
+     */
+    static async handle(event) {
+        const { data, error } = await supabaseAdmin.rpc('stripe_event_record', {
+            p_id: event.id,
+            p_type: event.type,
+            p_livemode: !!event.livemode,
+            p_stripe_created_at: event.created ? new Date(event.created * 1000).toISOString() : null,
+            p_payload: event
+        });
+        if (error) throw error;
+
+        const recorded = Array.isArray(data) ? data[0] : data;
+        if (recorded?.duplicate && ['processed', 'ignored'].includes(recorded.status)) {
+            console.log(`ℹ️ Evento Stripe ${event.id} (${event.type}) già elaborato - ignorato`);
+            return { success: true, status: recorded.status, duplicate: true };
+        }
+
+        return StripeWebhooks.process(event.id);
+    }
+
+    /**
+     * Process a stored event if this worker wins the claim
+     * @param {string} eventId
+     * @returns {Promise<{success:boolean, status:string, error?:string}>}
+     */
+    static async process(eventId) {
+        const { data: claimed, error: claimError } = await supabaseAdmin.rpc('stripe_event_claim', { p_id: eventId });
+        if (claimError) throw claimError;
+        if (!claimed) {
+            // Someone else is processing it (or already did)
+            return { success: true, status: 'in_progress' };
+        }
+
+        const { data: stored, error } = await supabaseAdmin
+            .from('stripe_events')
+            .select('payload')
+            .eq('id', eventId)
+            .single();
+        if (error) throw error;
+
+        const event = stored.payload;
+        const handler = HANDLERS[event.type];
+
+        try {
+            const status = handler ? await handler(event.data.object, event) : 'ignored';
+            await StripeWebhooks.finish(eventId, status, null);
+            console.log(`✅ Evento Stripe ${eventId} (${event.type}): ${status}`);
+            return { success: true, status };
+        } catch (processingError) {
+            console.error(`❌ Evento Stripe ${eventId} (${event.type}) fallito:`, processingError.message);
+            await StripeWebhooks.finish(eventId, 'failed', processingError.message);
+            return { success: false, status: 'failed', error: processingError.message };
+        }
+    }
+
+    static async finish(eventId, status, errorMessage) {
+        const { error } = await supabaseAdmin
+            .from('stripe_events')
+            .update({
+                status,
+                last_error: errorMessage,
+                locked_at: null,
+                processed_at: status === 'failed' ? null : new Date().toISOString()
+            })
+            .eq('id', eventId);
+        if (error) throw error;
+    }
+
+    /**
+     * Process a stored event again whatever its status (webhook replay from the staff console).
+     * Handlers are idempotent, so replaying a processed event does not credit twice
+     * @param {string} eventId
+     * @returns {Promise<{success:boolean, status:string, error?:string}>}
+     */
+    static async replay(eventId) {
+        const { data, error } = await supabaseAdmin
+            .from('stripe_events')
+            .update({ status: 'received', locked_at: null })
+            .eq('id', eventId)
+            .neq('status', 'processing')
+            .select('id');
+        if (error) throw error;
+        if (!data?.length) {
+            return { success: false, status: 'not_found', error: 'event_not_found_or_processing' };
+        }
+        return StripeWebhooks.process(eventId);
+    }
+
+    /**
+     * Retry failed events (and received ones whose first processing never ran)
+     * @returns {Promise<{retried:number, processed:number, failed:number}>}
+     */
+    static async retryFailed() {
+        const staleBefore = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+        const { data, error } = await supabaseAdmin
+            .from('stripe_events')
+            .select('id')
+            .or(`status.eq.failed,and(status.eq.received,received_at.lt.${staleBefore})`)
+            .lt('attempts', MAX_ATTEMPTS)
+            .order('received_at')
+            .limit(50);
+        if (error) throw error;
+
+        const summary = { retried: 0, processed: 0, failed: 0 };
+        for (const row of data || []) {
+            const result = await StripeWebhooks.process(row.id);
+            summary.retried++;
+            if (result.success) summary.processed++; else summary.failed++;
+        }
+        if (summary.retried) {
+            console.log(`🔁 Retry eventi Stripe: ${summary.processed} ok, ${summary.failed} falliti`);
+        }
+        return summary;
+    }
+
+    // Latest events for the webhook log (newest first), without payloads
+    static async listRecent(limit = 50, status = null) {
+        let query = supabaseAdmin
+            .from('stripe_events')
+            .select('id, type, livemode, status, attempts, deliveries, last_error, received_at, processed_at')
+            .order('received_at', { ascending: false })
+            .limit(limit);
+        if (status) query = query.eq('status', status);
+        const { data, error } = await query;
+        if (error) throw error;
+        return data || [];
+    }
+}
+
+module.exports = { StripeWebhooks, MAX_ATTEMPTS };
@@ -14,11 +14,11 @@ class SupabasePinManager {
         return Math.floor(Math.random() * (max - min + 1)) + min;
     }
 
-    // Store PIN in Supabase with expiration
-    static async storePin(dealerId, pin) {
+    // Store PIN in Supabase with expiration (one pending PIN per dealer user)
+    static async storePin(userId, dealerId, pin) {
         const expiresAt = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes from now
         
-        console.log(`🔐 Attempting to store PIN for dealer ${dealerId} in Supabase...`);
+        console.log(`🔐 Attempting to store PIN for user ${userId} (dealer ${dealerId}) in Supabase...`);
         console.log(`📅 Current time: ${new Date().toISOString()}`);
         console.log(`📅 Expires at: ${expiresAt.toISOString()}`);
         console.log(`📅 Time difference (ms): ${expiresAt.getTime() - Date.now()}`);
@@ -27,12 +27,13 @@ class SupabasePinManager {
             const { data, error } = await supabaseAdmin
                 .from('dealer_pins')
                 .upsert({
+                    user_id: userId,
                     dealer_id: dealerId,
                     pin: pin.toString(),
                     expires_at: expiresAt.toISOString(), // This ensures 'Z' suffix
                     attempts: 0
                 }, {
-                    onConflict: 'dealer_id'
+                    onConflict: 'user_id'
                 });
             
             if (error) {
@@ -46,7 +47,7 @@ class SupabasePinManager {
                 return false;
             }
             
-            console.log(`✅ PIN stored successfully in Supabase for dealer ${dealerId}`);
+            console.log(`✅ PIN stored successfully in Supabase for user ${userId}`);
             console.log(`📊 Supabase response data:`, data);
             return true;
         } catch (error) {
@@ -61,12 +62,12 @@ class SupabasePinManager {
     }
 
     // Get and validate PIN from Supabase
-    static async getStoredPin(dealerId) {
+    static async getStoredPin(userId) {
         try {
             const { data, error } = await supabaseAdmin
                 .from('dealer_pins')
                 .select('pin, expires_at, attempts')
-                .eq('dealer_id', dealerId)
+                .eq('user_id', userId)
                 .single();
             
             if (error) {
@@ -85,13 +86,13 @@ class SupabasePinManager {
     }
 
     // Increment PIN attempts in Supabase
-    static async incrementPinAttempts(dealerId) {
+    static async incrementPinAttempts(userId) {
         try {
             // First get current attempts
             const { data: currentData, error: getError } = await supabaseAdmin
                 .from('dealer_pins')
                 .select('attempts')
-                .eq('dealer_id', dealerId)
+                .eq('user_id', userId)
                 .single();
             
             if (getError) {
@@ -109,7 +110,7 @@ class SupabasePinManager {
                     attempts: newAttempts,
                     updated_at: new Date().toISOString()
                 })
-                .eq('dealer_id', dealerId);
+                .eq('user_id', userId);
             
             if (error) {
                 console.error('Error incrementing PIN attempts in Supabase:', error);
@@ -123,6 +124,17 @@ class SupabasePinManager {
         }
     }
 
+    // Drop the pending PINs of every user of a dealer (PIN reset from the staff console)
+    static async deletePinsForDealer(dealerId) {
+        const { data, error } = await supabaseAdmin
+            .from('dealer_pins')
+            .delete()
+            .eq('dealer_id', dealerId)
+            .select('user_id');
+        if (error) throw error;
+        return (data || []).length;
+    }
+
     // Clean up expired PINs
     static async cleanupExpiredPins() {
         try {
@@ -0,0 +1,282 @@
+// Service Portal - Contact Suppressions
+// Per-dealer list of customers that must not be messaged again (see supabase-suppressions.sql): hard
+// bounces and complaints from SES, "STOP" replies from Twilio incoming messages and the unsubscribe link
+// of the campaign emails. The send routes and the campaign worker skip the contacts listed here.
+// Unsubscribe links carry a token signed with a key derived from AUTH_TOKEN_SECRET: no login, no expiry
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase.js');
+const { normalizeContact } = require('./audit-log.js');
+
+const REASONS = ['hard_bounce', 'complaint', 'stop_reply', 'unsubscribe'];
+// Whole-message replies that opt out / back in (Twilio opt-out keywords plus Italian ones)
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'REVOKE', 'OPTOUT', 'ANNULLA', 'BASTA', 'DISISCRIVIMI', 'CANCELLAMI'];
+const START_KEYWORDS = ['START', 'UNSTOP'];
+const LOOKUP_CHUNK = 200;
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function contactType(channel) {
+    return channel === 'email' ? 'email' : 'phone';
+}
+
+function tokenKey() {
+    if (!process.env.AUTH_TOKEN_SECRET) return null;
+    return crypto.createHash('sha256').update(`unsubscribe:${process.env.AUTH_TOKEN_SECRET}`).digest();
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', tokenKey()).update(payload).digest('base64url');
+}
+
+class Suppressions {
+
+    static get reasons() {
+        return REASONS;
+    }
+
+    /**
+     * Contact as stored in contact_suppressions, null when it is not a valid contact of that type
+     * @param {'email'|'phone'} type
+     * @param {string} value
+     * @returns {string|null}
+     */
+    static normalize(type, value) {
+        const contact = normalizeContact(String(value || '').replace(/^whatsapp:/i, ''));
+        if (!contact || contact.includes('@') !== (type === 'email')) return null;
+        return contact;
+    }
+
+    /**
+     * Suppressed contacts among the given ones, for a send on that channel
+     * @param {number} dealerId
+     * @param {'email'|'whatsapp'} channel
+     * @param {string[]} contacts - as typed
+     * @returns {Promise<Map<string, string>>} normalized contact => reason
+     */
+    static async lookup(dealerId, channel, contacts) {
+        const type = contactType(channel);
+        const normalized = [...new Set(contacts.map(contact => Suppressions.normalize(type, contact)).filter(Boolean))];
+        const found = new Map();
+        for (let i = 0; i < normalized.length; i += LOOKUP_CHUNK) {
+            const { data, error } = await supabaseAdmin
+                .from('contact_suppressions')
+                .select('contact, reason')
+                .eq('dealer_id', Number(dealerId))
+                .eq('contact_type', type)
+                .in('contact', normalized.slice(i, i + LOOKUP_CHUNK));
+            if (error) throw error;
+            (data || []).forEach(row => found.set(row.contact, row.reason));
+        }
+        return found;
+    }
+
+    /**
+     * @param {number} dealerId
+     * @param {'email'|'whatsapp'} channel
+     * @param {string} contact - as typed
+     * @returns {Promise<string|null>} reason the contact is suppressed for, null when it is not
+     */
+    static async reasonFor(dealerId, channel, contact) {
+        const found = await Suppressions.lookup(dealerId, channel, [contact]);
+        return found.get(Suppressions.normalize(contactType(channel), contact)) || null;
+    }
+
+    /**
+     * Split a recipient list into the ones to send to and the suppressed ones
+     * @param {number} dealerId
+     * @param {'email'|'whatsapp'} channel
+     * @param {Object[]} recipients
+     * @param {(recipient:Object) => string} contactOf - email or phone of a recipient
+     * @returns {Promise<{allowed:Object[], suppressed:Array<{index:number, contact:string, reason:string}>}>}
+     */
+    static async partition(dealerId, channel, recipients, contactOf) {
+        const found = await Suppressions.lookup(dealerId, channel, recipients.map(contactOf));
+        const allowed = [];
+        const suppressed = [];
+        recipients.forEach((recipient, index) => {
+            const contact = Suppressions.normalize(contactType(channel), contactOf(recipient));
+            if (contact && found.has(contact)) {
+                suppressed.push({ index, contact, reason: found.get(contact) });
+            } else {
+                allowed.push(recipient);
+            }
+        });
+        return { allowed, suppressed };
+    }
+
+    /**
+     * @param {number} dealerId
+     * @param {'email'|'phone'} type
+     * @param {string} value
+     * @param {string} reason - hard_bounce, complaint, stop_reply, unsubscribe
+     * @param {{detail?:string, taskId?:number}} [options]
+     * @returns {Promise<boolean>} false when the contact is invalid or was already suppressed
+     */
+    static async add(dealerId, type, value, reason, { detail = null, taskId = null } = {}) {
+        const contact = Suppressions.normalize(type, value);
+        if (!contact || !REASONS.includes(reason)) return false;
+
+        const { data, error } = await supabaseAdmin
+            .from('contact_suppressions')
+            .upsert({
+                dealer_id: Number(dealerId),
+                contact_type: type,
+                contact,
+                reason,
+                detail: detail ? String(detail).slice(0, 500) : null,
+                task_id: taskId
+            }, { onConflict: 'dealer_id,contact_type,contact', ignoreDuplicates: true })
+            .select('id');
+        if (error) throw error;
+        const added = (data || []).length > 0;
+        if (added) console.log(`🚫 Contatto ${contact} soppresso per il dealer ${dealerId} (${reason})`);
+        return added;
+    }
+
+    /**
+     * Suppress the recipient of a campaign message (SES hard bounce / complaint, Twilio opt-out error)
+     * @param {number} taskId - campaign_tasks.id
+     * @param {string} reason
+     * @param {string|null} [detail]
+     */
+    static async addFromTask(taskId, reason, detail = null) {
+        const { data: task, error } = await supabaseAdmin
+            .from('campaign_tasks')
+            .select('id, email, phone, campaigns(dealer_id, channel)')
+            .eq('id', taskId)
+            .maybeSingle();
+        if (error) throw error;
+        if (!task?.campaigns) return false;
+        const type = contactType(task.campaigns.channel);
+        return Suppressions.add(task.campaigns.dealer_id, type, type === 'email' ? task.email : task.phone, reason, { detail, taskId });
+    }
+
+    /**
+     * @param {number} dealerId
+     * @param {{type?:string, reason?:string, search?:string, limit?:number, offset?:number}} [options]
+     * @returns {Promise<{data:Object[], total:number}>}
+     */
+    static async list(dealerId, { type, reason, search, limit, offset } = {}) {
+        const size = Math.min(Math.max(parseInt(limit, 10) || PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const from = Math.max(parseInt(offset, 10) || 0, 0);
+        let query = supabaseAdmin
+            .from('contact_suppressions')
+            .select('id, contact_type, contact, reason, detail, created_at', { count: 'exact' })
+            .eq('dealer_id', Number(dealerId))
+            .order('created_at', { ascending: false })
+            .range(from, from + size - 1);
+        if (type) query = query.eq('contact_type', type);
+        if (reason) query = query.eq('reason', reason);
+        if (search) query = query.ilike('contact', `%${String(search).replace(/[%_,()]/g, '')}%`);
+        const { data, error, count } = await query;
+        if (error) throw error;
+        return { data: data || [], total: count || 0 };
+    }
+
+    /**
+     * Twilio incoming message (WhatsApp / SMS): a STOP keyword suppresses the number for every dealer
+     * that messaged it, START lifts the STOP (not bounces or unsubscribes)
+     * @param {Object} params - Twilio webhook body (From, Body, OptOutType, ...)
+     * @returns {Promise<{success:boolean, action?:string, dealers?:number, ignored?:boolean}>}
+     */
+    static async handleReply(params) {
+        const phone = Suppressions.normalize('phone', params.From);
+        const keyword = String(params.Body || '').trim().toUpperCase().replace(/[^A-Z]/g, '');
+        if (!phone) return { success: true, ignored: true };
+
+        if (params.OptOutType === 'STOP' || STOP_KEYWORDS.includes(keyword)) {
+            const { data, error } = await supabaseAdmin.rpc('contact_suppress_stop_reply', {
+                p_phone: phone,
+                p_detail: String(params.Body || '').slice(0, 500)
+            });
+            if (error) throw error;
+            console.log(`🚫 Risposta STOP da ${phone}: soppresso per ${data || 0} dealer`);
+            return { success: true, action: 'stop', dealers: data || 0 };
+        }
+        if (params.OptOutType === 'START' || START_KEYWORDS.includes(keyword)) {
+            const { data, error } = await supabaseAdmin
+                .from('contact_suppressions')
+                .delete()
+                .eq('contact_type', 'phone')
+                .eq('contact', phone)
+                .eq('reason', 'stop_reply')
+                .select('id');
+            if (error) throw error;
+            console.log(`✅ Risposta START da ${phone}: ${(data || []).length} soppressioni rimosse`);
+            return { success: true, action: 'start', dealers: (data || []).length };
+        }
+        return { success: true, ignored: true };
+    }
+
+    /**
+     * Unsubscribe links for a campaign email: confirmation page (body of the email) and RFC 8058
+     * one-click URL (List-Unsubscribe header). Null without PORTAL_URL or AUTH_TOKEN_SECRET
+     * @param {number} dealerId
+     * @param {string} email
+     * @returns {{pageUrl:string, oneClickUrl:string, headers:Object<string,string>}|null}
+     */
+    static emailLinks(dealerId, email) {
+        const contact = Suppressions.normalize('email', email);
+        if (!contact || !tokenKey() || !process.env.PORTAL_URL) return null;
+
+        const payload = Buffer.from(JSON.stringify({ d: Number(dealerId), e: contact })).toString('base64url');
+        const token = `${payload}.${sign(payload)}`;
+        const baseUrl = process.env.PORTAL_URL.replace(/\/$/, '');
+        const pageUrl = `${baseUrl}/unsubscribe.html?token=${token}`;
+        const oneClickUrl = `${baseUrl}/api/unsubscribe/one-click?token=${token}`;
+        return {
+            pageUrl,
+            oneClickUrl,
+            headers: {
+                'List-Unsubscribe': `<${oneClickUrl}>`,
+                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            }
+        };
+    }
+
+    /**
+     * @param {string} token - from an unsubscribe link
+     * @returns {{dealerId:number, email:string}|null}
+     */
+    static verifyToken(token) {
+        const [payload, signature] = String(token || '').split('.');
+        if (!payload || !signature || !tokenKey()) return null;
+        const expected = Buffer.from(sign(payload));
+        const received = Buffer.from(signature);
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+        try {
+            const { d, e } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            return Number.isInteger(d) && typeof e === 'string' ? { dealerId: d, email: e } : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Whether the contact of an unsubscribe link is already suppressed
+     * @param {string} token
+     * @returns {Promise<{success:boolean, dealerId?:number, email?:string, unsubscribed?:boolean, error?:string}>}
+     */
+    static async unsubscribeStatus(token) {
+        const link = Suppressions.verifyToken(token);
+        if (!link) return { success: false, error: 'invalid_token' };
+        const reason = await Suppressions.reasonFor(link.dealerId, 'email', link.email);
+        return { success: true, ...link, unsubscribed: !!reason };
+    }
+
+    /**
+     * Unsubscribe link confirmed (page or one-click POST)
+     * @param {string} token
+     * @param {string} source - 'page' or 'one_click', kept as detail
+     * @returns {Promise<{success:boolean, dealerId?:number, email?:string, error?:string}>}
+     */
+    static async unsubscribe(token, source) {
+        const link = Suppressions.verifyToken(token);
+        if (!link) return { success: false, error: 'invalid_token' };
+        await Suppressions.add(link.dealerId, 'email', link.email, 'unsubscribe', { detail: source });
+        return { success: true, ...link };
+    }
+}
+
+module.exports = { Suppressions };
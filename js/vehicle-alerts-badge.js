@@ -0,0 +1,42 @@
+/**
+ * VEHICLE ALERTS BADGE
+ * Service Portal - number of vehicle alerts nobody acknowledged yet on the alerts
+ * item of the sidebar, red when one of them is critical (GET /api/alerts/summary)
+ */
+
+(function () {
+    const REFRESH_INTERVAL = 2 * 60 * 1000; // 2 minuti
+
+    function t(key, params) {
+        return window.i18n ? window.i18n.t(key, params) : key;
+    }
+
+    function render(summary) {
+        document.querySelectorAll('[data-alerts-badge]').forEach(badge => {
+            badge.classList.toggle('hidden', !summary.open);
+            badge.classList.toggle('bg-red-600', summary.critical > 0);
+            badge.classList.toggle('bg-orange-500', !summary.critical);
+            badge.textContent = summary.open > 99 ? '99+' : String(summary.open);
+            badge.title = t('alerts.badge', { open: summary.open, critical: summary.critical });
+        });
+    }
+
+    async function refresh() {
+        if (!document.querySelector('[data-alerts-badge]')) return;
+        try {
+            const response = await fetch('/api/alerts/summary');
+            const summary = await response.json();
+            if (summary.success) render(summary);
+        } catch (error) {
+            console.warn('⚠️ Vehicle alerts summary unavailable:', error.message);
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        refresh();
+        setInterval(refresh, REFRESH_INTERVAL);
+    });
+
+    // The alerts page refreshes the badge after acknowledging or resolving
+    window.refreshAlertsBadge = refresh;
+})();
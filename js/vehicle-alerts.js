@@ -0,0 +1,524 @@
+// Service Portal - Vehicle Alerts
+// Background monitor of the dealers' vehicles (see supabase-vehicle-alerts.sql): every scan reads the position
+// rows written since the last one (FMB003 parameters 30 number of DTC, 43 distance with MIL on, 32 coolant
+// temperature, 51 control module voltage) and the completed hours of report with crashes, and opens one alert
+// per vehicle and kind with its severity. New alerts, and alerts raised to critical, are sent to the dealer by
+// email and optionally WhatsApp (dealer_alert_settings); the alerts page is the inbox where they are
+// acknowledged and resolved. The same scan feeds the DTC history of js/vehicle-dtc.js (parameter 281 Fault Codes)
+
+const { supabaseAdmin } = require('../config/supabase.js');
+const { VehicleDtc } = require('./vehicle-dtc.js');
+
+// kind => FMB003 parameter (position) and thresholds: warning / critical when the value reaches them,
+// or falls below them for `lower`. engineRunning: only readings with rpm > 0 count
+const KINDS = {
+    dtc: { parameter: '30', warning: 1, critical: 5, unit: '' },
+    mil_distance: { parameter: '43', warning: 1, critical: 100, unit: 'km' },
+    coolant_temp: { parameter: '32', warning: 105, critical: 115, unit: '°C', engineRunning: true },
+    low_voltage: { parameter: '51', warning: 12.5, critical: 11.8, unit: 'V', lower: true, engineRunning: true, multiplier: 0.001 },
+    crash: { warning: 1, critical: 1, unit: '' } // report.crashes in the hour
+};
+const POSITION_KINDS = Object.keys(KINDS).filter(kind => KINDS[kind].parameter);
+const KIND_LABELS = {
+    dtc: ['Codici di errore (DTC)', 'Diagnostic trouble codes (DTC)'],
+    mil_distance: ['Km percorsi con spia motore accesa', 'Distance driven with check engine light on'],
+    coolant_temp: ['Temperatura liquido di raffreddamento', 'Coolant temperature'],
+    low_voltage: ['Tensione impianto bassa', 'Low control module voltage'],
+    crash: ['Urto rilevato', 'Crash detected']
+};
+const STATUSES = ['open', 'acknowledged', 'resolved'];
+const SEVERITIES = ['warning', 'critical'];
+const ALERT_COLUMNS = 'id, dealer_id, device_id, vehicle_id, certificate_id, plate, kind, severity, value, status, occurrences, opened_at, last_seen_at, notified_at, acknowledged_at, acknowledged_by_email, resolved_at, resolved_by_email, resolution_note';
+const SETTINGS_COLUMNS = 'dealer_id, email_enabled, alert_email, whatsapp_enabled, whatsapp_phone, min_severity, updated_by_email, updated_at';
+const DEFAULT_SETTINGS = {
+    email_enabled: true,
+    alert_email: null,
+    whatsapp_enabled: false,
+    whatsapp_phone: null,
+    min_severity: 'warning'
+};
+const POSITION_BATCH = 5000;
+const MAX_BATCHES = 10; // per scan, the rest is read by the next one
+const LEASE_SECONDS = 10 * 60;
+const HOUR = 60 * 60 * 1000;
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+let deps = {
+    executeQuery: null,
+    emailService: null,
+    sendWhatsApp: null, // async (phone, body)
+    getDealer: async () => null,
+    portalUrl: ''
+};
+
+function page(options) {
+    return {
+        limit: Math.min(Math.max(parseInt(options.limit, 10) || PAGE_SIZE, 1), MAX_PAGE_SIZE),
+        offset: Math.max(parseInt(options.offset, 10) || 0, 0)
+    };
+}
+
+/**
+ * Latest certificate of each device with its dealer, vehicle and plate; devices without one are left out
+ * @param {number[]} deviceIds
+ * @returns {Promise<Map<number, Object>>} by device id
+ */
+async function vehiclesOf(deviceIds) {
+    if (!deviceIds.length) return new Map();
+    const vehicles = await deps.executeQuery(`
+        SELECT c."deviceId" AS device_id, c.id AS certificate_id, c."dealerId" AS dealer_id, v.id AS vehicle_id, v.plate
+        FROM (
+            SELECT DISTINCT ON (c."deviceId") c.*
+            FROM certificate c
+            WHERE c."deviceId" = ANY($1::int[])
+            ORDER BY c."deviceId", c.version DESC
+        ) c
+        INNER JOIN device d ON c."deviceId" = d.id
+        LEFT JOIN vehicle v ON d."vehicleId" = v.id
+        WHERE c.active IS NOT FALSE AND c."dealerId" IS NOT NULL
+    `, [deviceIds]);
+    return new Map(vehicles.map(row => [Number(row.device_id), row]));
+}
+
+function severityOf(kind, value) {
+    const { warning, critical, lower } = KINDS[kind];
+    if (!Number.isFinite(value)) return null;
+    if (lower ? value < critical : value >= critical) return 'critical';
+    if (lower ? value < warning : value >= warning) return 'warning';
+    return null;
+}
+
+function formatValue(kind, value) {
+    const { unit } = KINDS[kind];
+    return unit ? `${Number(value)} ${unit}` : String(Number(value));
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+class VehicleAlerts {
+
+    /**
+     * @param {Object} options - { executeQuery(query, params) => rows, emailService, sendWhatsApp(phone, body),
+     *   getDealer(dealerId) => { companyLoginEmail, companyName }, portalUrl }
+     */
+    static configure(options) {
+        deps = { ...deps, ...options };
+    }
+
+    static get kinds() {
+        return Object.keys(KINDS);
+    }
+
+    /**
+     * Alerts of a dealer, newest first
+     * @param {number} dealerId
+     * @param {{status?:string, severity?:string, kind?:string, deviceId?:number, limit?:number, offset?:number}} [filters]
+     *   status 'unresolved' = open or acknowledged
+     * @returns {Promise<{data:Object[], total:number}>}
+     */
+    static async list(dealerId, filters = {}) {
+        const { limit, offset } = page(filters);
+        let query = supabaseAdmin
+            .from('vehicle_alerts')
+            .select(ALERT_COLUMNS, { count: 'exact' })
+            .eq('dealer_id', Number(dealerId));
+        if (filters.status === 'unresolved') query = query.neq('status', 'resolved');
+        else if (STATUSES.includes(filters.status)) query = query.eq('status', filters.status);
+        if (SEVERITIES.includes(filters.severity)) query = query.eq('severity', filters.severity);
+        if (KINDS[filters.kind]) query = query.eq('kind', filters.kind);
+        if (filters.deviceId) query = query.eq('device_id', Number(filters.deviceId));
+
+        const { data, error, count } = await query
+            .order('last_seen_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+        if (error) throw error;
+        return { data: data || [], total: count || 0 };
+    }
+
+    /**
+     * Alerts not acknowledged yet (badge of the inbox)
+     * @param {number} dealerId
+     * @returns {Promise<{open:number, critical:number}>}
+     */
+    static async summary(dealerId) {
+        const { data, error } = await supabaseAdmin
+            .from('vehicle_alerts')
+            .select('severity')
+            .eq('dealer_id', Number(dealerId))
+            .eq('status', 'open');
+        if (error) throw error;
+        const rows = data || [];
+        return { open: rows.length, critical: rows.filter(row => row.severity === 'critical').length };
+    }
+
+    static async get(alertId) {
+        const { data, error } = await supabaseAdmin
+            .from('vehicle_alerts')
+            .select(ALERT_COLUMNS)
+            .eq('id', alertId)
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Someone is looking into it: the alert leaves the unread count but stays on the list
+     * @param {string} alertId
+     * @param {string|null} [by] - email of the user
+     * @returns {Promise<{success:boolean, data?:Object, previous?:Object, error?:string}>}
+     */
+    static async acknowledge(alertId, by = null) {
+        const previous = await VehicleAlerts.get(alertId);
+        if (!previous) return { success: false, error: 'alert_not_found' };
+        const { data, error } = await supabaseAdmin
+            .from('vehicle_alerts')
+            .update({ status: 'acknowledged', acknowledged_at: new Date().toISOString(), acknowledged_by_email: by })
+            .eq('id', alertId)
+            .eq('status', 'open')
+            .select(ALERT_COLUMNS)
+            .maybeSingle();
+        if (error) throw error;
+        if (!data) return { success: false, error: 'alert_not_open' };
+        return { success: true, data, previous };
+    }
+
+    /**
+     * Closed: the same condition seen again opens a new alert
+     * @param {string} alertId
+     * @param {string|null} [by]
+     * @param {string} [note]
+     * @returns {Promise<{success:boolean, data?:Object, previous?:Object, error?:string}>}
+     */
+    static async resolve(alertId, by = null, note = '') {
+        const resolutionNote = String(note || '').trim();
+        if (resolutionNote.length > 500) return { success: false, error: 'invalid_note' };
+        const previous = await VehicleAlerts.get(alertId);
+        if (!previous) return { success: false, error: 'alert_not_found' };
+        const { data, error } = await supabaseAdmin
+            .from('vehicle_alerts')
+            .update({
+                status: 'resolved',
+                resolved_at: new Date().toISOString(),
+                resolved_by_email: by,
+                resolution_note: resolutionNote || null
+            })
+            .eq('id', alertId)
+            .neq('status', 'resolved')
+            .select(ALERT_COLUMNS)
+            .maybeSingle();
+        if (error) throw error;
+        if (!data) return { success: false, error: 'alert_already_resolved' };
+        return { success: true, data, previous };
+    }
+
+    /**
+     * How the dealer is told about new alerts, defaults when never set
+     * @param {number} dealerId
+     */
+    static async getSettings(dealerId) {
+        const { data, error } = await supabaseAdmin
+            .from('dealer_alert_settings')
+            .select(SETTINGS_COLUMNS)
+            .eq('dealer_id', Number(dealerId))
+            .maybeSingle();
+        if (error) throw error;
+        return data || { dealer_id: Number(dealerId), ...DEFAULT_SETTINGS };
+    }
+
+    /**
+     * @param {number} dealerId
+     * @param {{emailEnabled:boolean, alertEmail:string, whatsappEnabled:boolean, whatsappPhone:string, minSeverity:string}} input
+     * @param {string|null} [updatedBy]
+     * @returns {Promise<{success:boolean, data?:Object, previous?:Object, error?:string}>}
+     */
+    static async updateSettings(dealerId, input = {}, updatedBy = null) {
+        const alertEmail = String(input.alertEmail || '').trim().toLowerCase();
+        if (alertEmail && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(alertEmail)) return { success: false, error: 'invalid_email' };
+        const whatsappPhone = String(input.whatsappPhone || '').replace(/[\s.-]/g, '').replace(/^00/, '+');
+        if (whatsappPhone && !/^\+\d{8,15}$/.test(whatsappPhone)) return { success: false, error: 'invalid_phone' };
+        if (input.whatsappEnabled === true && !whatsappPhone) return { success: false, error: 'whatsapp_phone_required' };
+        const minSeverity = input.minSeverity || DEFAULT_SETTINGS.min_severity;
+        if (!SEVERITIES.includes(minSeverity)) return { success: false, error: 'invalid_severity' };
+
+        const previous = await VehicleAlerts.getSettings(dealerId);
+        const { data, error } = await supabaseAdmin
+            .from('dealer_alert_settings')
+            .upsert({
+                dealer_id: Number(dealerId),
+                email_enabled: input.emailEnabled !== false,
+                alert_email: alertEmail || null,
+                whatsapp_enabled: input.whatsappEnabled === true,
+                whatsapp_phone: whatsappPhone || null,
+                min_severity: minSeverity,
+                updated_by_email: updatedBy,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'dealer_id' })
+            .select(SETTINGS_COLUMNS)
+            .single();
+        if (error) throw error;
+        return { success: true, data, previous };
+    }
+
+    /**
+     * One pass of the monitor: new positions and completed report hours since the last scan. Only one
+     * instance scans at a time (lease on vehicle_alert_monitor)
+     * @param {Date} [now]
+     * @returns {Promise<Object|null>} { positions, reports, opened, notified, dtc }, null when another instance holds the lease
+     */
+    static async scan(now = new Date()) {
+        const { data: monitor, error } = await supabaseAdmin
+            .from('vehicle_alert_monitor')
+            .update({ locked_until: new Date(now.getTime() + LEASE_SECONDS * 1000).toISOString() })
+            .eq('id', 1)
+            .or(`locked_until.is.null,locked_until.lt."${now.toISOString()}"`)
+            .select('last_position_id, last_report_hour')
+            .maybeSingle();
+        if (error) throw error;
+        if (!monitor) return null;
+
+        const cursor = { last_position_id: monitor.last_position_id, last_report_hour: monitor.last_report_hour };
+        let result;
+        try {
+            // Report hours are scanned once complete: the cursor is the start of the last complete hour
+            const completeHour = new Date(Math.floor(now.getTime() / HOUR) * HOUR - HOUR);
+            // First scan: from now on, the history is not turned into alerts
+            if (cursor.last_position_id === null) {
+                const [latest] = await deps.executeQuery('SELECT COALESCE(MAX(id), 0) AS id FROM position', []);
+                cursor.last_position_id = Number(latest.id);
+            }
+            if (!cursor.last_report_hour) cursor.last_report_hour = completeHour.toISOString();
+
+            const findings = [];
+            const dtcReadings = [];
+            let positions = 0;
+            for (let batch = 0; batch < MAX_BATCHES; batch++) {
+                const rows = await deps.executeQuery(`
+                    SELECT p.id, p."deviceId" AS device_id, p."createdAt" AS created_at, p.rpm,
+                           ${POSITION_KINDS.map(kind => `e->>'${KINDS[kind].parameter}' AS ${kind}`).join(', ')},
+                           e->>'281' AS fault_codes
+                    FROM position p
+                    CROSS JOIN LATERAL (SELECT COALESCE(p.data::jsonb->'IOelement'->'Elements', p.data::jsonb) AS e) elements
+                    WHERE p.id > $1
+                    ORDER BY p.id
+                    LIMIT $2
+                `, [cursor.last_position_id, POSITION_BATCH]);
+                positions += rows.length;
+                rows.forEach(row => {
+                    for (const kind of POSITION_KINDS) {
+                        if (row[kind] === null || row[kind] === undefined || row[kind] === '') continue;
+                        if (KINDS[kind].engineRunning && !(Number(row.rpm) > 0)) continue;
+                        const value = Number(row[kind]) * (KINDS[kind].multiplier || 1);
+                        const severity = severityOf(kind, value);
+                        if (severity) findings.push({ deviceId: Number(row.device_id), kind, severity, value, seenAt: row.created_at });
+                    }
+                    const codes = VehicleDtc.readCodes(row.fault_codes, row.dtc);
+                    if (codes) dtcReadings.push({ deviceId: Number(row.device_id), codes, seenAt: row.created_at });
+                });
+                if (rows.length) cursor.last_position_id = Number(rows[rows.length - 1].id);
+                if (rows.length < POSITION_BATCH) break;
+            }
+
+            let reports = 0;
+            if (new Date(cursor.last_report_hour) < completeHour) {
+                const crashes = await deps.executeQuery(`
+                    SELECT "deviceId" AS device_id, hour, crashes
+                    FROM report
+                    WHERE crashes > 0 AND hour > $1 AND hour <= $2
+                `, [cursor.last_report_hour, completeHour.toISOString()]);
+                reports = crashes.length;
+                crashes.forEach(row => findings.push({
+                    deviceId: Number(row.device_id),
+                    kind: 'crash',
+                    severity: 'critical',
+                    value: Number(row.crashes),
+                    seenAt: row.hour
+                }));
+                cursor.last_report_hour = completeHour.toISOString();
+            }
+
+            const vehicles = await vehiclesOf([...new Set([...findings, ...dtcReadings].map(item => item.deviceId))]);
+            const { opened, notify } = await VehicleAlerts.raise(findings, vehicles);
+            const notified = await VehicleAlerts.notify(notify);
+            let dtc = 0;
+            try {
+                dtc = await VehicleDtc.record(dtcReadings, vehicles);
+            } catch (dtcError) {
+                // The alerts are already open: a failed DTC history update must not scan the positions again
+                console.error('❌ Storico DTC non aggiornato:', dtcError.message);
+            }
+            result = { positions, reports, opened, notified, dtc };
+        } catch (scanError) {
+            result = { error: scanError.message };
+            throw scanError;
+        } finally {
+            // The cursor only moves when the scan went through, the lease is always given back
+            const { error: saveError } = await supabaseAdmin
+                .from('vehicle_alert_monitor')
+                .update({
+                    ...(result.error ? {} : cursor),
+                    locked_until: null,
+                    last_scan_at: now.toISOString(),
+                    last_result: result
+                })
+                .eq('id', 1);
+            if (saveError) console.error('❌ Vehicle alert monitor not saved:', saveError.message);
+        }
+        return result;
+    }
+
+    /**
+     * Open / refresh the alerts of what a scan found, worst reading per vehicle and kind. Devices without a
+     * certificate (no dealer) are skipped
+     * @param {Array<{deviceId:number, kind:string, severity:string, value:number, seenAt:string}>} findings
+     * @param {Map<number, Object>} vehicles - by device id, see vehiclesOf()
+     * @returns {Promise<{opened:number, notify:string[]}>} notify: ids of the alerts to tell the dealer about
+     */
+    static async raise(findings, vehicles) {
+        const worst = new Map();
+        for (const finding of findings) {
+            const key = `${finding.deviceId}:${finding.kind}`;
+            const current = worst.get(key);
+            const lower = KINDS[finding.kind].lower;
+            if (!current) {
+                worst.set(key, { ...finding });
+                continue;
+            }
+            if (lower ? finding.value < current.value : finding.value > current.value) {
+                current.value = finding.value;
+                current.severity = finding.severity;
+            }
+            if (new Date(finding.seenAt) > new Date(current.seenAt)) current.seenAt = finding.seenAt;
+        }
+        if (!worst.size) return { opened: 0, notify: [] };
+
+        let opened = 0;
+        const notify = [];
+        for (const finding of worst.values()) {
+            const vehicle = vehicles.get(finding.deviceId);
+            if (!vehicle) continue;
+            const { data, error } = await supabaseAdmin.rpc('vehicle_alert_raise', {
+                p_dealer_id: Number(vehicle.dealer_id),
+                p_device_id: finding.deviceId,
+                p_vehicle_id: vehicle.vehicle_id ? Number(vehicle.vehicle_id) : null,
+                p_certificate_id: Number(vehicle.certificate_id),
+                p_plate: vehicle.plate || null,
+                p_kind: finding.kind,
+                p_severity: finding.severity,
+                p_value: finding.value,
+                p_seen_at: new Date(finding.seenAt).toISOString(),
+                p_worse_is_lower: !!KINDS[finding.kind].lower
+            });
+            if (error) throw error;
+            const [raised] = data || [];
+            if (!raised) continue;
+            if (raised.opened) opened++;
+            if (raised.notify) notify.push(raised.alert_id);
+        }
+        return { opened, notify };
+    }
+
+    /**
+     * Tell each dealer about its new alerts: one email / WhatsApp message per dealer and scan, with the
+     * alerts at or above the dealer's min_severity
+     * @param {string[]} alertIds
+     * @returns {Promise<number>} alerts notified
+     */
+    static async notify(alertIds) {
+        if (!alertIds.length) return 0;
+        const { data, error } = await supabaseAdmin
+            .from('vehicle_alerts')
+            .select(ALERT_COLUMNS)
+            .in('id', alertIds);
+        if (error) throw error;
+
+        const byDealer = new Map();
+        (data || []).forEach(alert => {
+            if (!byDealer.has(alert.dealer_id)) byDealer.set(alert.dealer_id, []);
+            byDealer.get(alert.dealer_id).push(alert);
+        });
+
+        let notified = 0;
+        for (const [dealerId, alerts] of byDealer) {
+            try {
+                const settings = await VehicleAlerts.getSettings(dealerId);
+                const due = alerts.filter(alert => settings.min_severity !== 'critical' || alert.severity === 'critical');
+                if (!due.length) continue;
+                const sent = await VehicleAlerts.sendNotifications(dealerId, settings, due);
+                if (!sent) continue;
+                const { error: updateError } = await supabaseAdmin
+                    .from('vehicle_alerts')
+                    .update({ notified_at: new Date().toISOString() })
+                    .in('id', due.map(alert => alert.id));
+                if (updateError) throw updateError;
+                notified += due.length;
+            } catch (notifyError) {
+                // The alerts stay on the list: a failed notification must not stop the scan
+                console.error(`❌ Notifica avvisi veicoli fallita per dealer ${dealerId}:`, notifyError.message);
+            }
+        }
+        return notified;
+    }
+
+    /**
+     * @returns {Promise<boolean>} true when at least one channel accepted the message
+     */
+    static async sendNotifications(dealerId, settings, alerts) {
+        const dealer = await deps.getDealer(dealerId);
+        const alertsLink = deps.portalUrl ? `${deps.portalUrl}/alerts.html` : '/alerts.html';
+        const critical = alerts.some(alert => alert.severity === 'critical');
+        const lines = alerts.map(alert => ({
+            severity: alert.severity,
+            vehicle: alert.plate || `#${alert.certificate_id}`,
+            kind: KIND_LABELS[alert.kind],
+            value: formatValue(alert.kind, alert.value)
+        }));
+        let sent = false;
+
+        const to = settings.alert_email || dealer?.companyLoginEmail;
+        if (settings.email_enabled && deps.emailService && to) {
+            const subject = critical
+                ? 'Service Hub - Avvisi critici sui veicoli / Critical vehicle alerts'
+                : 'Service Hub - Nuovi avvisi sui veicoli / New vehicle alerts';
+            const list = (language) => `<ul>${lines.map(line => `
+                <li>${line.severity === 'critical' ? '🔴' : '🟠'} <strong>${escapeHtml(line.vehicle)}</strong> - ${escapeHtml(line.kind[language])}: ${escapeHtml(line.value)}</li>`).join('')}
+            </ul>`;
+            const html = `
+            <p>Gentile ${escapeHtml(dealer?.companyName || 'cliente')},</p>
+            <p>il monitoraggio dei veicoli ha rilevato:</p>
+            ${list(0)}
+            <p><a href="${alertsLink}">Apri gli avvisi</a></p>
+            <hr>
+            <p>Vehicle monitoring found:</p>
+            ${list(1)}
+            <p><a href="${alertsLink}">Open the alerts</a></p>`;
+            const result = await deps.emailService.sendGenericEmail(to, subject, html);
+            if (result.success) {
+                sent = true;
+                console.log(`📧 Avvisi veicoli inviati a ${to} (dealer ${dealerId}, ${alerts.length})`);
+            } else {
+                console.error(`❌ Invio email avvisi veicoli fallito per dealer ${dealerId}:`, result.error);
+            }
+        }
+
+        if (settings.whatsapp_enabled && settings.whatsapp_phone && deps.sendWhatsApp) {
+            const body = [
+                `Service Hub - ${critical ? 'Avvisi critici / Critical alerts' : 'Avvisi veicoli / Vehicle alerts'}`,
+                ...lines.slice(0, 10).map(line => `${line.severity === 'critical' ? '🔴' : '🟠'} ${line.vehicle}: ${line.kind[0]} (${line.value})`),
+                ...(lines.length > 10 ? [`+${lines.length - 10}`] : []),
+                alertsLink
+            ].join('\n');
+            try {
+                await deps.sendWhatsApp(settings.whatsapp_phone, body);
+                sent = true;
+            } catch (whatsappError) {
+                console.error(`❌ Invio WhatsApp avvisi veicoli fallito per dealer ${dealerId}:`, whatsappError.message);
+            }
+        }
+        return sent;
+    }
+}
+
+module.exports = { VehicleAlerts };
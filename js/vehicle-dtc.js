@@ -0,0 +1,197 @@
+// Service Portal - Vehicle DTC History
+// Trouble codes of the dealers' vehicles (see supabase-vehicle-dtc.sql): the vehicle alerts scan hands over the
+// position readings with FMB003 parameter 281 (Fault Codes) or 30 (Number of DTC) and this module keeps, per
+// vehicle and code, first seen, last seen and cleared. The DTC tab of the vehicle page reads it back, with the
+// descriptions of js/dtc-codes.js, so the workshop knows what is wrong before the car arrives
+
+const { supabaseAdmin } = require('../config/supabase.js');
+const { DtcCodes } = require('./dtc-codes.js');
+
+const HISTORY_COLUMNS = 'id, dealer_id, device_id, vehicle_id, certificate_id, code, first_seen_at, last_seen_at, occurrences, cleared_at';
+const CURRENT_DAYS = 7; // newest reading looked at by current()
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+let deps = {
+    executeQuery: null
+};
+
+function page(options) {
+    return {
+        limit: Math.min(Math.max(parseInt(options.limit, 10) || PAGE_SIZE, 1), MAX_PAGE_SIZE),
+        offset: Math.max(parseInt(options.offset, 10) || 0, 0)
+    };
+}
+
+function described(row) {
+    return { ...row, ...DtcCodes.describe(row.code) };
+}
+
+function latest(a, b) {
+    return new Date(a) >= new Date(b) ? a : b;
+}
+
+class VehicleDtc {
+
+    /**
+     * @param {Object} options - { executeQuery(query, params) => rows }
+     */
+    static configure(options) {
+        deps = { ...deps, ...options };
+    }
+
+    /**
+     * What the vehicle reports about its trouble codes in one position, null when it says nothing about them.
+     * A DTC count of 0 means no code is active; a count without the codes is not enough to tell which
+     * @param {*} faultCodes - parameter 281
+     * @param {*} dtcCount - parameter 30
+     * @returns {string[]|null}
+     */
+    static readCodes(faultCodes, dtcCount) {
+        const codes = DtcCodes.parseList(faultCodes);
+        if (codes.length) return codes;
+        if (dtcCount !== null && dtcCount !== undefined && dtcCount !== '' && Number(dtcCount) === 0) return [];
+        return null;
+    }
+
+    /**
+     * Update the history with the readings of a scan, oldest first. The newest reading of each vehicle is what
+     * is active now: codes it does not have are cleared at its time, codes seen only in between are kept as
+     * already cleared. Devices without a certificate (no dealer) are skipped
+     * @param {Array<{deviceId:number, codes:string[], seenAt:string}>} readings
+     * @param {Map<number, {dealer_id, vehicle_id, certificate_id}>} vehicles - by device id
+     * @returns {Promise<number>} codes seen for the first time (new rows)
+     */
+    static async record(readings, vehicles) {
+        const byDevice = new Map();
+        for (const reading of readings) {
+            if (!vehicles.has(reading.deviceId)) continue;
+            if (!byDevice.has(reading.deviceId)) byDevice.set(reading.deviceId, { seen: new Map(), now: null });
+            const device = byDevice.get(reading.deviceId);
+            for (const code of reading.codes) {
+                const seen = device.seen.get(code);
+                if (!seen) device.seen.set(code, { first: reading.seenAt, last: reading.seenAt });
+                else seen.last = latest(seen.last, reading.seenAt);
+            }
+            if (!device.now || new Date(reading.seenAt) >= new Date(device.now.seenAt)) device.now = reading;
+        }
+        if (!byDevice.size) return 0;
+
+        const { data: open, error } = await supabaseAdmin
+            .from('vehicle_dtc_history')
+            .select(HISTORY_COLUMNS)
+            .in('device_id', [...byDevice.keys()])
+            .is('cleared_at', null);
+        if (error) throw error;
+        const openByKey = new Map((open || []).map(row => [`${row.device_id}:${row.code}`, row]));
+
+        const inserts = [];
+        const updates = [];
+        for (const [deviceId, device] of byDevice) {
+            const vehicle = vehicles.get(deviceId);
+            const active = new Set(device.now.codes);
+            const clearedAt = new Date(device.now.seenAt).toISOString();
+            for (const [code, seen] of device.seen) {
+                const row = openByKey.get(`${deviceId}:${code}`);
+                const lastSeenAt = new Date(row ? latest(row.last_seen_at, seen.last) : seen.last).toISOString();
+                if (row) {
+                    openByKey.delete(`${deviceId}:${code}`);
+                    updates.push({
+                        id: row.id,
+                        last_seen_at: lastSeenAt,
+                        occurrences: row.occurrences + 1,
+                        ...(active.has(code) ? {} : { cleared_at: clearedAt })
+                    });
+                    continue;
+                }
+                inserts.push({
+                    dealer_id: Number(vehicle.dealer_id),
+                    device_id: deviceId,
+                    vehicle_id: vehicle.vehicle_id ? Number(vehicle.vehicle_id) : null,
+                    certificate_id: Number(vehicle.certificate_id),
+                    code,
+                    first_seen_at: new Date(seen.first).toISOString(),
+                    last_seen_at: lastSeenAt,
+                    cleared_at: active.has(code) ? null : clearedAt
+                });
+            }
+            // Active before, not reported any more
+            for (const row of openByKey.values()) {
+                if (row.device_id === deviceId) updates.push({ id: row.id, cleared_at: clearedAt });
+            }
+        }
+
+        for (const { id, ...changes } of updates) {
+            const { error: updateError } = await supabaseAdmin
+                .from('vehicle_dtc_history')
+                .update(changes)
+                .eq('id', id);
+            if (updateError) throw updateError;
+        }
+        if (inserts.length) {
+            const { error: insertError } = await supabaseAdmin.from('vehicle_dtc_history').insert(inserts);
+            if (insertError) throw insertError;
+        }
+        return inserts.length;
+    }
+
+    /**
+     * Trouble codes of a vehicle: the active ones and the cleared ones, newest first
+     * @param {number} deviceId
+     * @param {{limit?:number, offset?:number}} [options] - paging of the cleared codes
+     * @returns {Promise<{active:Object[], history:Object[], total:number}>} total: cleared codes
+     */
+    static async forDevice(deviceId, options = {}) {
+        const { limit, offset } = page(options);
+        const [active, history] = await Promise.all([
+            supabaseAdmin
+                .from('vehicle_dtc_history')
+                .select(HISTORY_COLUMNS)
+                .eq('device_id', Number(deviceId))
+                .is('cleared_at', null)
+                .order('first_seen_at', { ascending: false }),
+            supabaseAdmin
+                .from('vehicle_dtc_history')
+                .select(HISTORY_COLUMNS, { count: 'exact' })
+                .eq('device_id', Number(deviceId))
+                .not('cleared_at', 'is', null)
+                .order('cleared_at', { ascending: false })
+                .range(offset, offset + limit - 1)
+        ]);
+        if (active.error) throw active.error;
+        if (history.error) throw history.error;
+        return {
+            active: (active.data || []).map(described),
+            history: (history.data || []).map(described),
+            total: history.count || 0
+        };
+    }
+
+    /**
+     * Newest reading of the vehicle about its trouble codes, straight from position (also before the
+     * monitor ever scanned it)
+     * @param {number} deviceId
+     * @returns {Promise<{dtcCount:number|null, codes:Object[], seenAt:string}|null>}
+     */
+    static async current(deviceId) {
+        const [row] = await deps.executeQuery(`
+            SELECT p."createdAt" AS created_at, e->>'30' AS dtc_count, e->>'281' AS fault_codes
+            FROM position p
+            CROSS JOIN LATERAL (SELECT COALESCE(p.data::jsonb->'IOelement'->'Elements', p.data::jsonb) AS e) elements
+            WHERE p."deviceId" = $1
+              AND p."createdAt" >= NOW() - ($2 || ' days')::interval
+              AND (e ? '30' OR e ? '281')
+            ORDER BY p."createdAt" DESC
+            LIMIT 1
+        `, [Number(deviceId), String(CURRENT_DAYS)]);
+        if (!row) return null;
+        const codes = VehicleDtc.readCodes(row.fault_codes, row.dtc_count) || [];
+        return {
+            dtcCount: row.dtc_count === null || row.dtc_count === '' ? null : Number(row.dtc_count),
+            codes: codes.map(code => DtcCodes.describe(code)),
+            seenAt: row.created_at
+        };
+    }
+}
+
+module.exports = { VehicleDtc };
@@ -0,0 +1,155 @@
+// Service Portal - Vehicle Time Series
+// OBD time series of a device for the charts of the vehicle page: any numeric FMB003 parameter of position,
+// aggregated in SQL into min / avg / max per time bucket and decoded with FMB003Mapping.getConvertedValue.
+// The number of values returned is capped: when the range would need too many buckets of the size asked for,
+// wider buckets are used, so a chart can cover weeks with the same payload as a few hours
+
+const FMB003Mapping = require('./fmb003-mapping.js');
+
+const MAX_PARAMS = 32;
+const MAX_BUCKETS = 1000;
+const MAX_VALUES = 20000; // buckets x parameters
+const MAX_RANGE_DAYS = 90;
+const DEFAULT_RANGE = 24 * 60 * 60 * 1000;
+const MIN_BUCKET_SECONDS = 10;
+const UNIT_SECONDS = { s: 1, m: 60, h: 3600, d: 86400 };
+// Bucket sizes tried, smallest first, when the one asked for gives too many buckets
+const BUCKET_STEPS = ['1m', '5m', '15m', '30m', '1h', '3h', '6h', '12h', '1d', '7d'];
+const NUMBER_PATTERN = '^-?[0-9]+([.][0-9]+)?$';
+
+const mapping = new FMB003Mapping();
+
+let deps = {
+    executeQuery: null
+};
+
+/**
+ * '5m' => 300, null when it is not a bucket
+ * @param {string} bucket
+ */
+function bucketSeconds(bucket) {
+    const match = /^(\d+)([smhd])$/.exec(String(bucket || ''));
+    if (!match) return null;
+    return Number(match[1]) * UNIT_SECONDS[match[2]];
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function converted(id, value) {
+    return round(Number(mapping.getConvertedValue(id, Number(value)).convertedValue));
+}
+
+class VehicleTimeseries {
+
+    /**
+     * @param {Object} options - { executeQuery(query, params) => rows }
+     */
+    static configure(options) {
+        deps = { ...deps, ...options };
+    }
+
+    /**
+     * Parameter ids of the request, numeric FMB003 parameters only
+     * @param {string|string[]} params - '36,32,41'
+     * @returns {number[]|null} null when one is not valid
+     */
+    static parseParams(params) {
+        const tokens = (Array.isArray(params) ? params.join(',') : String(params || '')).split(',').map(token => token.trim()).filter(Boolean);
+        if (!tokens.length || tokens.length > MAX_PARAMS) return null;
+        const ids = [];
+        for (const token of tokens) {
+            if (!/^\d+$/.test(token)) return null;
+            const parameter = mapping.getParameter(token);
+            if (!parameter || parameter.type === 'ASCII') return null;
+            if (!ids.includes(Number(token))) ids.push(Number(token));
+        }
+        return ids;
+    }
+
+    /**
+     * @param {number} deviceId
+     * @param {{params:string, from?:string, to?:string, bucket?:string, engineRunning?:boolean}} options
+     *   from / to: ISO dates, the last 24 hours by default; bucket: 30s, 5m, 1h, 1d..., the smallest that
+     *   fits the cap when missing; engineRunning: only positions with rpm > 0
+     * @returns {Promise<{success:boolean, error?:string, from?:string, to?:string, bucket?:string,
+     *   downsampled?:boolean, positions?:number, series?:Object}>} series by parameter id:
+     *   { name, unit, category, points: [{ t, min, avg, max, count }] }
+     */
+    static async query(deviceId, options = {}) {
+        const ids = VehicleTimeseries.parseParams(options.params);
+        if (!ids) return { success: false, error: 'invalid_params' };
+
+        const to = options.to ? new Date(options.to) : new Date();
+        const from = options.from ? new Date(options.from) : new Date(to.getTime() - DEFAULT_RANGE);
+        const range = to.getTime() - from.getTime();
+        if (isNaN(range) || range <= 0 || range > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+            return { success: false, error: 'invalid_range' };
+        }
+
+        let bucket = options.bucket || null;
+        let seconds = bucket ? bucketSeconds(bucket) : null;
+        if (bucket && (!seconds || seconds < MIN_BUCKET_SECONDS)) return { success: false, error: 'invalid_bucket' };
+        const maxBuckets = Math.min(MAX_BUCKETS, Math.floor(MAX_VALUES / ids.length));
+        let downsampled = false;
+        if (!seconds || range / 1000 / seconds > maxBuckets) {
+            downsampled = !!seconds;
+            bucket = BUCKET_STEPS.find(step => bucketSeconds(step) >= (seconds || 0) && range / 1000 / bucketSeconds(step) <= maxBuckets);
+            seconds = bucketSeconds(bucket);
+        }
+
+        // Ids are validated against the mapping above, the only values written into the query
+        const rows = await deps.executeQuery(`
+            SELECT FLOOR(EXTRACT(EPOCH FROM p."createdAt") / $4) * $4 AS bucket,
+                   COUNT(*) AS positions,
+                   ${ids.map(id => `COUNT(v."${id}") AS count_${id}, MIN(v."${id}") AS min_${id}, AVG(v."${id}") AS avg_${id}, MAX(v."${id}") AS max_${id}`).join(',\n                   ')}
+            FROM position p
+            CROSS JOIN LATERAL (SELECT COALESCE(p.data::jsonb->'IOelement'->'Elements', p.data::jsonb) AS e) elements
+            CROSS JOIN LATERAL (
+                SELECT ${ids.map(id => `CASE WHEN e->>'${id}' ~ '${NUMBER_PATTERN}' THEN (e->>'${id}')::numeric END AS "${id}"`).join(',\n                       ')}
+            ) v
+            WHERE p."deviceId" = $1
+              AND p."createdAt" >= $2::timestamp
+              AND p."createdAt" < $3::timestamp
+              AND p.data IS NOT NULL
+              ${options.engineRunning ? 'AND p.rpm > 0' : ''}
+            GROUP BY 1
+            ORDER BY 1
+        `, [Number(deviceId), from.toISOString(), to.toISOString(), seconds]);
+
+        const series = {};
+        for (const id of ids) {
+            const parameter = mapping.getParameter(id);
+            series[id] = { name: parameter.name, unit: parameter.unit, category: parameter.category, points: [] };
+        }
+        let positions = 0;
+        for (const row of rows) {
+            positions += Number(row.positions);
+            const t = new Date(Number(row.bucket) * 1000).toISOString();
+            for (const id of ids) {
+                const count = Number(row[`count_${id}`]);
+                if (!count) continue;
+                series[id].points.push({
+                    t,
+                    min: converted(id, row[`min_${id}`]),
+                    avg: converted(id, row[`avg_${id}`]),
+                    max: converted(id, row[`max_${id}`]),
+                    count
+                });
+            }
+        }
+
+        return {
+            success: true,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            bucket,
+            downsampled,
+            positions,
+            series
+        };
+    }
+}
+
+module.exports = { VehicleTimeseries };
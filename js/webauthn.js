@@ -0,0 +1,215 @@
+// Service Portal - WebAuthn
+// Server-side checks for passkey registration and login (attestation "none": the authenticator's
+// make/model is not verified, only that it owns the key). No external dependency: a small CBOR
+// reader for the attestation object and COSE keys, signatures checked with node:crypto
+
+const crypto = require('crypto');
+
+// COSE algorithm ids we accept, in order of preference for pubKeyCredParams
+const COSE_ALGORITHMS = { ES256: -7, EdDSA: -8, RS256: -257 };
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+function base64urlDecode(value) {
+    return Buffer.from(String(value), 'base64url');
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest();
+}
+
+// Minimal CBOR decoder (RFC 8949): unsigned/negative ints, byte/text strings, arrays, maps,
+// false/true/null. Returns { value, length } so trailing data (extensions) can follow
+function decodeCbor(buffer, offset = 0) {
+    const start = offset;
+    const initial = buffer[offset++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    let argument = info;
+    if (info === 24) { argument = buffer.readUInt8(offset); offset += 1; }
+    else if (info === 25) { argument = buffer.readUInt16BE(offset); offset += 2; }
+    else if (info === 26) { argument = buffer.readUInt32BE(offset); offset += 4; }
+    else if (info === 27) { argument = Number(buffer.readBigUInt64BE(offset)); offset += 8; }
+    else if (info > 27) throw new Error('cbor_unsupported');
+
+    let value;
+    switch (major) {
+        case 0: value = argument; break;
+        case 1: value = -1 - argument; break;
+        case 2:
+            value = buffer.subarray(offset, offset + argument);
+            offset += argument;
+            break;
+        case 3:
+            value = buffer.toString('utf8', offset, offset + argument);
+            offset += argument;
+            break;
+        case 4:
+            value = [];
+            for (let i = 0; i < argument; i++) {
+                const item = decodeCbor(buffer, offset);
+                value.push(item.value);
+                offset += item.length;
+            }
+            break;
+        case 5:
+            value = new Map();
+            for (let i = 0; i < argument; i++) {
+                const key = decodeCbor(buffer, offset);
+                offset += key.length;
+                const item = decodeCbor(buffer, offset);
+                offset += item.length;
+                value.set(key.value, item.value);
+            }
+            break;
+        case 7:
+            if (info === 20) value = false;
+            else if (info === 21) value = true;
+            else if (info === 22) value = null;
+            else throw new Error('cbor_unsupported');
+            break;
+        default:
+            throw new Error('cbor_unsupported');
+    }
+    return { value, length: offset - start };
+}
+
+// COSE_Key (RFC 9053) => JWK usable by crypto.createPublicKey
+function coseToJwk(coseKey) {
+    const kty = coseKey.get(1);
+    const b64 = (key) => Buffer.from(coseKey.get(key)).toString('base64url');
+    if (kty === 2 && coseKey.get(-1) === 1) return { kty: 'EC', crv: 'P-256', x: b64(-2), y: b64(-3) };
+    if (kty === 1 && coseKey.get(-1) === 6) return { kty: 'OKP', crv: 'Ed25519', x: b64(-2) };
+    if (kty === 3) return { kty: 'RSA', n: b64(-1), e: b64(-2) };
+    throw new Error('unsupported_key_type');
+}
+
+function parseAuthenticatorData(authData) {
+    if (authData.length < 37) throw new Error('invalid_authenticator_data');
+    const parsed = {
+        rpIdHash: authData.subarray(0, 32),
+        flags: authData[32],
+        signCount: authData.readUInt32BE(33)
+    };
+
+    if (parsed.flags & FLAG_ATTESTED_CREDENTIAL) {
+        const idLength = authData.readUInt16BE(53);
+        parsed.credentialId = authData.subarray(55, 55 + idLength);
+        const coseKey = decodeCbor(authData, 55 + idLength).value;
+        parsed.algorithm = coseKey.get(3);
+        parsed.publicKey = coseToJwk(coseKey);
+    }
+    return parsed;
+}
+
+// Common clientDataJSON / authenticatorData checks; returns the parsed authenticator data or an error code
+function checkCeremony({ clientDataJSON, authData, type, expectedChallenge, expectedOrigin, rpId }) {
+    let clientData;
+    try {
+        clientData = JSON.parse(clientDataJSON.toString('utf8'));
+    } catch (error) {
+        return { error: 'invalid_client_data' };
+    }
+    if (clientData.type !== type) return { error: 'invalid_client_data' };
+    if (clientData.challenge !== expectedChallenge) return { error: 'challenge_mismatch' };
+    if (clientData.origin !== expectedOrigin) return { error: 'origin_mismatch' };
+
+    const parsed = parseAuthenticatorData(authData);
+    if (!parsed.rpIdHash.equals(sha256(rpId))) return { error: 'rp_id_mismatch' };
+    if (!(parsed.flags & FLAG_USER_PRESENT)) return { error: 'user_not_present' };
+    return { parsed };
+}
+
+class WebAuthn {
+
+    static get algorithms() {
+        return COSE_ALGORITHMS;
+    }
+
+    // Random challenge, base64url (as it comes back in clientDataJSON)
+    static generateChallenge() {
+        return crypto.randomBytes(32).toString('base64url');
+    }
+
+    /**
+     * Check a navigator.credentials.create() response
+     * @param {Object} options - { credential: {id, response:{clientDataJSON, attestationObject, transports?}},
+     *                             expectedChallenge, expectedOrigin, rpId } (binary fields base64url)
+     * @returns {{success:boolean, credentialId?:string, publicKey?:Object, algorithm?:number, signCount?:number, transports?:string[], error?:string}}
+     */
+    static verifyRegistration({ credential, expectedChallenge, expectedOrigin, rpId }) {
+        try {
+            const response = credential?.response || {};
+            const attestation = decodeCbor(base64urlDecode(response.attestationObject)).value;
+            const authData = attestation.get('authData');
+            if (!Buffer.isBuffer(authData)) return { success: false, error: 'invalid_attestation' };
+
+            const checked = checkCeremony({
+                clientDataJSON: base64urlDecode(response.clientDataJSON),
+                authData,
+                type: 'webauthn.create',
+                expectedChallenge,
+                expectedOrigin,
+                rpId
+            });
+            if (checked.error) return { success: false, error: checked.error };
+
+            const { parsed } = checked;
+            if (!parsed.credentialId) return { success: false, error: 'invalid_attestation' };
+            if (!Object.values(COSE_ALGORITHMS).includes(parsed.algorithm)) {
+                return { success: false, error: 'unsupported_algorithm' };
+            }
+
+            return {
+                success: true,
+                credentialId: parsed.credentialId.toString('base64url'),
+                publicKey: parsed.publicKey,
+                algorithm: parsed.algorithm,
+                signCount: parsed.signCount,
+                transports: Array.isArray(response.transports) ? response.transports : null
+            };
+        } catch (error) {
+            console.error('❌ WebAuthn registration parse error:', error.message);
+            return { success: false, error: 'invalid_attestation' };
+        }
+    }
+
+    /**
+     * Check a navigator.credentials.get() response against the stored credential
+     * @param {Object} options - { credential: {id, response:{clientDataJSON, authenticatorData, signature}},
+     *                             expectedChallenge, expectedOrigin, rpId, publicKey (JWK), algorithm }
+     * @returns {{success:boolean, signCount?:number, error?:string}}
+     */
+    static verifyAssertion({ credential, expectedChallenge, expectedOrigin, rpId, publicKey, algorithm }) {
+        try {
+            const response = credential?.response || {};
+            const clientDataJSON = base64urlDecode(response.clientDataJSON);
+            const authData = base64urlDecode(response.authenticatorData);
+
+            const checked = checkCeremony({
+                clientDataJSON,
+                authData,
+                type: 'webauthn.get',
+                expectedChallenge,
+                expectedOrigin,
+                rpId
+            });
+            if (checked.error) return { success: false, error: checked.error };
+
+            const key = crypto.createPublicKey({ key: publicKey, format: 'jwk' });
+            const signed = Buffer.concat([authData, sha256(clientDataJSON)]);
+            const digest = algorithm === COSE_ALGORITHMS.EdDSA ? null : 'sha256';
+            if (!crypto.verify(digest, signed, key, base64urlDecode(response.signature))) {
+                return { success: false, error: 'invalid_signature' };
+            }
+            return { success: true, signCount: checked.parsed.signCount };
+        } catch (error) {
+            console.error('❌ WebAuthn assertion error:', error.message);
+            return { success: false, error: 'invalid_assertion' };
+        }
+    }
+}
+
+module.exports = { WebAuthn };
@@ -0,0 +1,154 @@
+// Service Portal - Fake delivery callbacks
+// Posts sample provider callbacks to a running portal, to test delivery tracking without Twilio / SES:
+//
+//   node scripts/fake-delivery-callbacks.js twilio <MessageSid> [status ...]   (default: sent delivered read)
+//   node scripts/fake-delivery-callbacks.js ses <MessageId> [event ...]        (default: Delivery)
+//   node scripts/fake-delivery-callbacks.js reply <phone> [text]                (default: STOP)
+//
+// Twilio statuses: queued, sent, delivered, read, undelivered, failed. SES events: Delivery, Bounce,
+// Complaint, Reject, Open. The provider ids are the ones shown on the campaign page (campaigns.html);
+// simulated emails (no AWS credentials) have ids like simulated-1700000000000.
+// reply posts an incoming WhatsApp message from that number (STOP / START suppress or restore it).
+// Twilio callbacks are signed with TWILIO_AUTH_TOKEN like Twilio does. SNS messages cannot be signed
+// locally: run the server with SES_SNS_VERIFY=false (ignored when NODE_ENV=production).
+// FAKE_CALLBACK_URL (default http://localhost:$PORT) is the server the callbacks are posted to.
+
+require('dotenv').config();
+require('dotenv').config({ path: '.env.local' });
+const crypto = require('crypto');
+
+const BASE_URL = (process.env.FAKE_CALLBACK_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+// Same algorithm as twilio.validateRequest: HMAC-SHA1 of the URL followed by the sorted parameters
+function twilioSignature(authToken, url, params) {
+    const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+    return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+// Signed like Twilio does, on the URL configured in Twilio when the server checks that one
+async function postTwilioWebhook(path, configuredUrl, params) {
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    if (!authToken) throw new Error('TWILIO_AUTH_TOKEN is required to sign the callback');
+
+    const url = `${BASE_URL}${path}`;
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'X-Twilio-Signature': twilioSignature(authToken, configuredUrl || url, params)
+        },
+        body: new URLSearchParams(params).toString()
+    });
+    return response.status;
+}
+
+async function postTwilio(sid, status) {
+    const params = {
+        AccountSid: process.env.TWILIO_ACCOUNT_SID || 'AC00000000000000000000000000000000',
+        MessageSid: sid,
+        SmsSid: sid,
+        MessageStatus: status,
+        To: 'whatsapp:+390000000000',
+        From: process.env.TWILIO_WHATSAPP_FROM || 'whatsapp:+14155238886',
+        ApiVersion: '2010-04-01'
+    };
+    if (['undelivered', 'failed'].includes(status)) {
+        params.ErrorCode = '63016';
+        params.ErrorMessage = 'Failed to send freeform message because you are outside the allowed window';
+    }
+    return postTwilioWebhook('/api/webhooks/twilio/status', process.env.TWILIO_STATUS_CALLBACK_URL, params);
+}
+
+async function postReply(phone, text) {
+    const sid = `SM${crypto.randomBytes(16).toString('hex')}`;
+    return postTwilioWebhook('/api/webhooks/twilio/incoming', process.env.TWILIO_INCOMING_WEBHOOK_URL, {
+        AccountSid: process.env.TWILIO_ACCOUNT_SID || 'AC00000000000000000000000000000000',
+        MessageSid: sid,
+        SmsSid: sid,
+        From: `whatsapp:${phone}`,
+        To: process.env.TWILIO_WHATSAPP_FROM || 'whatsapp:+14155238886',
+        Body: text,
+        NumMedia: '0',
+        ApiVersion: '2010-04-01'
+    });
+}
+
+function sesNotification(messageId, event) {
+    const timestamp = new Date().toISOString();
+    const notification = {
+        notificationType: event,
+        mail: {
+            timestamp,
+            messageId,
+            source: process.env.SES_FROM_EMAIL || 'noreply@servicehub.mobisat.com',
+            destination: ['customer@example.com']
+        }
+    };
+    if (event === 'Delivery') {
+        notification.delivery = { timestamp, recipients: ['customer@example.com'], smtpResponse: '250 2.0.0 OK' };
+    } else if (event === 'Bounce') {
+        notification.bounce = {
+            bounceType: 'Permanent',
+            bounceSubType: 'General',
+            timestamp,
+            bouncedRecipients: [{ emailAddress: 'customer@example.com', diagnosticCode: 'smtp; 550 5.1.1 user unknown' }]
+        };
+    } else if (event === 'Complaint') {
+        notification.complaint = { timestamp, complaintFeedbackType: 'abuse', complainedRecipients: [{ emailAddress: 'customer@example.com' }] };
+    } else if (event === 'Reject') {
+        delete notification.notificationType;
+        notification.eventType = 'Reject';
+        notification.reject = { reason: 'Bad content' };
+    } else if (event === 'Open') {
+        delete notification.notificationType;
+        notification.eventType = 'Open';
+        notification.open = { timestamp, ipAddress: '127.0.0.1', userAgent: 'fake-delivery-callbacks' };
+    }
+    return notification;
+}
+
+async function postSes(messageId, event) {
+    const message = {
+        Type: 'Notification',
+        MessageId: crypto.randomUUID(),
+        TopicArn: process.env.SES_SNS_TOPIC_ARN || 'arn:aws:sns:eu-west-1:000000000000:ses-notifications',
+        Message: JSON.stringify(sesNotification(messageId, event)),
+        Timestamp: new Date().toISOString(),
+        SignatureVersion: '1',
+        Signature: 'fake',
+        SigningCertURL: 'https://sns.eu-west-1.amazonaws.com/fake.pem'
+    };
+    const response = await fetch(`${BASE_URL}/api/webhooks/ses`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain; charset=UTF-8', 'x-amz-sns-message-type': 'Notification' },
+        body: JSON.stringify(message)
+    });
+    return response.status;
+}
+
+async function main() {
+    const [provider, id, ...events] = process.argv.slice(2);
+    if (!['twilio', 'ses', 'reply'].includes(provider) || !id) {
+        console.log('Usage: node scripts/fake-delivery-callbacks.js twilio <MessageSid> [status ...]');
+        console.log('       node scripts/fake-delivery-callbacks.js ses <MessageId> [Delivery|Bounce|Complaint|Reject|Open ...]');
+        console.log('       node scripts/fake-delivery-callbacks.js reply <phone> [STOP|START|text]');
+        process.exit(1);
+    }
+
+    if (provider === 'reply') {
+        const text = events.join(' ') || 'STOP';
+        console.log(`reply ${id} "${text}": HTTP ${await postReply(id, text)}`);
+        return;
+    }
+
+    const sequence = events.length ? events : (provider === 'twilio' ? ['sent', 'delivered', 'read'] : ['Delivery']);
+    for (const event of sequence) {
+        const status = provider === 'twilio' ? await postTwilio(id, event) : await postSes(id, event);
+        console.log(`${provider} ${id} ${event}: HTTP ${status}`);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -16,6 +16,28 @@ const Stripe = require('stripe');
 const FMB003Mapping = require('./js/fmb003-mapping.js');
 const { emailService } = require('./js/email-service.js');
 const { SupabasePinManager } = require('./js/supabase-pin-manager.js');
+const { BillingLedger } = require('./js/billing-ledger.js');
+const { BillingPricing } = require('./js/billing-pricing.js');
+const { MeteredOpenAI } = require('./js/openai-metering.js');
+const { BillingStatements } = require('./js/billing-statements.js');
+const { BillingAlerts } = require('./js/billing-alerts.js');
+const { StripeWebhooks } = require('./js/stripe-webhooks.js');
+const { AuthSessions } = require('./js/auth-sessions.js');
+const { ApiAuthorization } = require('./js/api-authorization.js');
+const { AuthRateLimiter } = require('./js/auth-rate-limiter.js');
+const { AuthMfa } = require('./js/auth-mfa.js');
+const { DealerUsers } = require('./js/dealer-users.js');
+const { AuditLog } = require('./js/audit-log.js');
+const { StaffAdmin } = require('./js/staff-admin.js');
+const { CampaignQueue } = require('./js/campaign-queue.js');
+const { DeliveryStatus } = require('./js/delivery-status.js');
+const { Suppressions } = require('./js/suppressions.js');
+const { Consent } = require('./js/consent.js');
+const { SendWindow } = require('./js/send-window.js');
+const { ServiceReminders } = require('./js/service-reminders.js');
+const { VehicleAlerts } = require('./js/vehicle-alerts.js');
+const { VehicleDtc } = require('./js/vehicle-dtc.js');
+const { VehicleTimeseries } = require('./js/vehicle-timeseries.js');
 const ConversationManager = require('./js/conversation-manager.js');
 
 // Initialize Twilio for WhatsApp (if credentials are available)
@@ -51,6 +73,10 @@ const conversationManager = new ConversationManager();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// req.ip is the client address only as far as the proxies in front of the app (Railway: 1) add X-Forwarded-For;
+// entries the client writes itself before them are ignored
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS || '1', 10));
+
 // Cache per i prompt AI
 let promptCache = new Map();
 let promptCacheExpiry = 0;
@@ -119,6 +145,9 @@ if (process.env.OPENAI_API_KEY) {
     console.log('OpenAI API key not provided - AI features will be disabled');
 }
 
+// All OpenAI calls go through the metered wrapper so each one is billed by real token usage
+const meteredOpenAI = new MeteredOpenAI(openai);
+
 // Initialize Stripe (for dealer credit/balance)
 let stripe = null;
 if (process.env.STRIPE_SECRET_KEY) {
@@ -128,14 +157,119 @@ if (process.env.STRIPE_SECRET_KEY) {
     console.log('Stripe key not provided - billing features limited to Supabase ledger');
 }
 
+// Low-balance email + optional off-session auto-recharge after every ledger movement
+BillingAlerts.configure({
+    stripe,
+    emailService,
+    getDealer: (dealerId) => DatabaseManager.getDealerById(dealerId),
+    portalUrl: process.env.PORTAL_URL || ''
+});
+
+// PIN login lockouts / daily PIN cap; the challenge verifier comes from CAPTCHA_PROVIDER + CAPTCHA_SECRET_KEY
+AuthRateLimiter.configure({ emailService });
+
+// Mobisat staff console: emailed login codes, every staff action logged
+StaffAdmin.configure({ emailService });
+
+// Named users per dealer: the dealer's companyLoginEmail is the account owner, colleagues are invited by email
+DealerUsers.configure({
+    emailService,
+    getDealerByEmail: (email) => DatabaseManager.getDealerByEmail(email),
+    portalUrl: process.env.PORTAL_URL || ''
+});
+
+// Bulk sends are queued as campaigns and delivered by the background worker (started with the server)
+CampaignQueue.configure({ deliver: deliverCampaignTask });
+
 //  DEPLOYMENT REMINDER:
 // Set the OpenAI API key as environment variable in production
 
+// Stripe webhook: the only entry point for Stripe events. Registered before express.json()
+// because the signature is computed on the raw body. '/webhooks/stripe' is the URL already
+// configured on the Stripe Dashboard; both paths run the same handler.
+app.post(['/api/billing/stripe-webhook', '/webhooks/stripe'], express.raw({ type: 'application/json' }), async (req, res) => {
+    const sig = req.headers['stripe-signature'];
+    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+    if (!stripe || !webhookSecret) {
+        console.error('❌ Stripe non configurato - webhook secret mancante');
+        return res.status(500).json({ error: 'stripe_webhook_not_configured' });
+    }
+
+    let event;
+    try {
+        event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+    } catch (err) {
+        console.error('❌ Verifica firma webhook fallita:', err.message);
+        return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    console.log('🔔 Evento Stripe verificato:', event.id, event.type);
+    try {
+        const result = await StripeWebhooks.handle(event);
+        if (!result.success) {
+            // Stored as failed: Stripe redelivers, and the retry job picks it up too
+            return res.status(500).json({ error: 'webhook_processing_failed', event_id: event.id });
+        }
+        res.json({ received: true, status: result.status, duplicate: !!result.duplicate });
+    } catch (error) {
+        console.error('Webhook storage error:', error);
+        res.status(500).json({ error: 'webhook_storage_failed' });
+    }
+});
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static('./')); // Serve static files from current directory
 
+// Authorization: every /api route runs as the dealer of the session token, and any dealer-owned id
+// in the URL or body must belong to that dealer (see js/api-authorization.js)
+ApiAuthorization.configure({
+    executeQuery: (query, params) => DatabaseManager.executeQuery(query, params)
+});
+// Consent of the communications recipients comes from the agreements of their certificates
+Consent.configure({
+    executeQuery: (query, params) => DatabaseManager.executeQuery(query, params)
+});
+// Service reminder rules read vehicles, odometer and battery reports from the same database
+ServiceReminders.configure({
+    executeQuery: (query, params) => DatabaseManager.executeQuery(query, params)
+});
+// Vehicle alert monitor: scans positions and reports of the same database, tells the dealer by email / WhatsApp
+VehicleAlerts.configure({
+    executeQuery: (query, params) => DatabaseManager.executeQuery(query, params),
+    emailService,
+    sendWhatsApp: async (phone, body) => {
+        if (!twilioClient) throw new Error('Twilio client not initialized');
+        return twilioClient.messages.create({ body, from: process.env.TWILIO_WHATSAPP_FROM, to: `whatsapp:${phone}` });
+    },
+    getDealer: (dealerId) => DatabaseManager.getDealerById(dealerId),
+    portalUrl: process.env.PORTAL_URL || ''
+});
+// DTC tab of the vehicle page: newest Fault Codes reading of the same database, history kept by the monitor above
+VehicleDtc.configure({
+    executeQuery: (query, params) => DatabaseManager.executeQuery(query, params)
+});
+// OBD charts of the vehicle page: positions of the same database aggregated per time bucket
+VehicleTimeseries.configure({
+    executeQuery: (query, params) => DatabaseManager.executeQuery(query, params)
+});
+app.use('/api', ApiAuthorization.authenticate);
+app.use('/api', ApiAuthorization.checkRequestIds);
+// Staff console and debug routes (/api/admin): staff session instead of a dealer session (see js/staff-admin.js)
+app.use('/api/admin', StaffAdmin.authenticate);
+app.param('dealerId', ApiAuthorization.dealerParam);
+app.param('deviceId', ApiAuthorization.ownedParam('deviceId'));
+app.param('certificateId', ApiAuthorization.ownedParam('certificateId'));
+app.param('vehicleId', ApiAuthorization.ownedParam('vehicleId'));
+app.param('groupId', ApiAuthorization.ownedParam('groupId'));
+app.param('templateId', ApiAuthorization.ownedParam('templateId'));
+app.param('searchId', ApiAuthorization.ownedParam('searchId'));
+app.param('campaignId', ApiAuthorization.ownedParam('campaignId'));
+app.param('ruleId', ApiAuthorization.ownedParam('ruleId'));
+app.param('alertId', ApiAuthorization.ownedParam('alertId'));
+
 // Normalize legacy/mistyped login routes
 app.get(['/@login.html', '/login.html', '/@login', '/login'], (req, res) => {
     return res.redirect('/pages/login.html');
@@ -222,9 +356,10 @@ app.get('/api/billing/usage/:dealerId', async (req, res) => {
         // Salta la vista e vai diretto alla tabella
             const q = await supabaseAdmin
                 .from('billing_usage_events')
-                .select('dealer_id, created_at, event_type, total_cost_cents')
+                .select('dealer_id, created_at, event_type, total_cost_cents, price_plan_id')
                 .eq('dealer_id', dealerId)
                 .order('created_at');
+            const appliedPlanIds = new Set();
             if (!q.error) {
                 const map = new Map();
             const isHourly = granularity === 'hour';
@@ -245,6 +380,8 @@ app.get('/api/billing/usage/:dealerId', async (req, res) => {
                     [isHourly ? 'hour' : 'day']: key, 
                     emails:0, whatsapps:0, openai_calls:0, total_cost_cents:0 
                 };
+                    const inRange = (!from || new Date(row.created_at) >= new Date(from)) && (!to || new Date(row.created_at) <= new Date(to));
+                    if (row.price_plan_id && inRange) appliedPlanIds.add(row.price_plan_id);
                     if (row.event_type==='email') rec.emails += 1;
                     if (row.event_type==='whatsapp') rec.whatsapps += 1;
                     if (row.event_type==='openai') rec.openai_calls += 1;
@@ -257,7 +394,18 @@ app.get('/api/billing/usage/:dealerId', async (req, res) => {
         const timeField = granularity === 'hour' ? 'hour' : 'day';
         if (from) data = data.filter(d => new Date(d[timeField]) >= new Date(from));
         if (to) data = data.filter(d => new Date(d[timeField]) <= new Date(to));
-        res.json({ success: true, data });
+        
+        // Price plan in force now + every plan that priced the events above
+        const currentPlan = await BillingPricing.getPlan(dealerId);
+        let appliedPlans = [];
+        if (appliedPlanIds.size) {
+            const { data: plans } = await supabaseAdmin
+                .from('billing_price_plans')
+                .select('*')
+                .in('id', Array.from(appliedPlanIds));
+            appliedPlans = (plans || []).map(p => BillingPricing.describe(p));
+        }
+        res.json({ success: true, data, plan: BillingPricing.describe(currentPlan), applied_plans: appliedPlans });
     } catch (e) {
         console.error('Billing usage error', e);
         res.status(500).json({ success: false, error: 'billing_usage_error' });
@@ -265,7 +413,7 @@ app.get('/api/billing/usage/:dealerId', async (req, res) => {
 });
 
 // Billing: create Stripe checkout session for recharge
-app.post('/api/billing/create-recharge', express.json(), async (req, res) => {
+app.post('/api/billing/create-recharge', express.json(), ApiAuthorization.requirePermission('billing'), async (req, res) => {
     const { dealerId, amount_cents, currency = 'EUR' } = req.body;
     
     if (!dealerId || !amount_cents || amount_cents < 100) { // min 1€
@@ -302,6 +450,8 @@ app.post('/api/billing/create-recharge', express.json(), async (req, res) => {
                     dealer_id: dealerId, 
                     stripe_customer_id: customerId,
                     updated_at: new Date().toISOString()
+                }, {
+                    onConflict: 'dealer_id'
                 });
         }
         
@@ -321,6 +471,8 @@ app.post('/api/billing/create-recharge', express.json(), async (req, res) => {
                 quantity: 1,
             }],
             mode: 'payment',
+            // Keep the card on the customer so auto-recharge can charge it off-session
+            payment_intent_data: { setup_future_usage: 'off_session' },
             success_url: `${req.protocol}://${req.get('host')}/billing.html?recharge=success`,
             cancel_url: `${req.protocol}://${req.get('host')}/billing.html?recharge=cancelled`,
             metadata: {
@@ -340,6 +492,13 @@ app.post('/api/billing/create-recharge', express.json(), async (req, res) => {
                 currency: currency,
                 status: 'pending'
             });
+
+        await AuditLog.record(req, {
+            action: 'billing.recharge_started',
+            targetType: 'recharge',
+            targetId: session.id,
+            after: { amount_cents, currency, stripe_checkout_session_id: session.id }
+        });
             
         res.json({ success: true, checkout_url: session.url });
         
@@ -376,339 +535,150 @@ app.get('/api/billing/recharges/:dealerId', async (req, res) => {
     }
 });
 
-// Stripe webhook to handle payment events
-app.post('/api/billing/stripe-webhook', express.raw({type: 'application/json'}), async (req, res) => {
-    console.log('🔔 Webhook ricevuto:', new Date().toISOString());
-    console.log('Headers:', req.headers);
-    
-    const sig = req.headers['stripe-signature'];
-    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-    
-    if (!stripe || !webhookSecret) {
-        console.error('❌ Stripe non configurato - webhook secret mancante');
-        return res.status(400).send('Stripe not configured');
+// Billing: low-balance status for the header banner
+app.get('/api/billing/alert-status/:dealerId', async (req, res) => {
+    const dealerId = parseInt(req.params.dealerId, 10);
+    if (!dealerId) {
+        return res.status(400).json({ success: false, error: 'invalid_dealer_id' });
     }
-    
-    let event;
     try {
-        event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
-        console.log('✅ Webhook verificato:', event.type);
-    } catch (err) {
-        console.error('❌ Verifica firma webhook fallita:', err.message);
-        return res.status(400).send(`Webhook Error: ${err.message}`);
+        const status = await BillingAlerts.getStatus(dealerId);
+        res.json({ success: true, ...status });
+    } catch (error) {
+        console.error('Billing alert status error:', error);
+        res.status(500).json({ success: false, error: 'alert_status_failed' });
+    }
+});
+
+// Billing: low-balance threshold and auto-recharge settings
+app.get('/api/billing/alert-settings/:dealerId', async (req, res) => {
+    const dealerId = parseInt(req.params.dealerId, 10);
+    if (!dealerId) {
+        return res.status(400).json({ success: false, error: 'invalid_dealer_id' });
     }
-    
     try {
-        const { supabaseAdmin } = require('./config/supabase.js');
-        
-        switch (event.type) {
-            case 'checkout.session.completed':
-                const session = event.data.object;
-                console.log('💳 Checkout completato:', session.id, session.metadata);
-                
-                if (session.metadata?.type === 'recharge') {
-                    const dealerId = parseInt(session.metadata.dealer_id);
-                    console.log('🔄 Processando ricarica per dealer:', dealerId);
-                    
-                    // Update recharge status
-                    const updateResult = await supabaseAdmin
-                        .from('billing_recharges')
-                        .update({ 
-                            status: 'succeeded', 
-                            stripe_payment_intent_id: session.payment_intent,
-                            processed_at: new Date().toISOString()
-                        })
-                        .eq('stripe_checkout_session_id', session.id);
-                        
-                    console.log('📝 Update ricarica result:', updateResult);
-                    
-                    // Update dealer balance
-                    const { data: recharge } = await supabaseAdmin
-                        .from('billing_recharges')
-                        .select('amount_cents')
-                        .eq('stripe_checkout_session_id', session.id)
-                        .single();
-                        
-                    if (recharge) {
-                        console.log('💰 Ricarica trovata:', recharge.amount_cents, 'centesimi');
-                        
-                        // Get current balance
-                        const { data: account } = await supabaseAdmin
-                            .from('dealer_billing_accounts')
-                            .select('balance_cents')
-                            .eq('dealer_id', dealerId)
-                            .single();
-                            
-                        const currentBalance = account?.balance_cents || 0;
-                        const newBalance = currentBalance + recharge.amount_cents;
-                        console.log('💳 Balance update:', currentBalance, '->', newBalance);
-                        
-                        // Update balance
-                        const balanceResult = await supabaseAdmin
-                            .from('dealer_billing_accounts')
-                            .update({
-                                balance_cents: newBalance,
-                                updated_at: new Date().toISOString()
-                            })
-                            .eq('dealer_id', dealerId);
-                            
-                        console.log('✅ Balance aggiornato:', balanceResult);
-                    } else {
-                        console.error('❌ Ricarica non trovata per session:', session.id);
-                    }
-                }
-                break;
-                
-            case 'checkout.session.expired':
-            case 'payment_intent.canceled':
-                const canceledSession = event.data.object;
-                if (canceledSession.metadata?.type === 'recharge') {
-                    await supabaseAdmin
-                        .from('billing_recharges')
-                        .update({ status: 'canceled' })
-                        .eq('stripe_checkout_session_id', canceledSession.id);
-                }
-                break;
-                
-            case 'payment_intent.payment_failed':
-                const failedIntent = event.data.object;
-                // Find recharge by payment intent ID
-                await supabaseAdmin
-                    .from('billing_recharges')
-                    .update({ status: 'failed' })
-                    .eq('stripe_payment_intent_id', failedIntent.id);
-                break;
-        }
-        
-        res.json({ received: true });
-        
+        const account = await BillingAlerts.getSettings(dealerId);
+        res.json({
+            success: true,
+            data: {
+                threshold_cents: account?.low_balance_threshold_cents ?? 500,
+                alert_email: account?.low_balance_alert_email || '',
+                auto_recharge_enabled: !!account?.auto_recharge_enabled,
+                auto_recharge_amount_cents: account?.auto_recharge_amount_cents ?? null,
+                auto_recharge_last_error: account?.auto_recharge_last_error || null,
+                has_payment_customer: !!account?.stripe_customer_id
+            }
+        });
     } catch (error) {
-        console.error('Webhook processing error:', error);
-        res.status(500).json({ error: 'webhook_processing_failed' });
+        console.error('Billing alert settings error:', error);
+        res.status(500).json({ success: false, error: 'alert_settings_failed' });
     }
 });
 
-// Stripe webhook endpoint (URL configurato su Stripe Dashboard)
-app.post('/webhooks/stripe', express.raw({type: 'application/json'}), async (req, res) => {
-    console.log('🔔 Webhook Stripe ricevuto su /webhooks/stripe:', new Date().toISOString());
-    console.log('Headers:', req.headers);
-    console.log('Body type:', typeof req.body);
-    console.log('Body length:', req.body?.length);
-    
-    const sig = req.headers['stripe-signature'];
-    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-    
-    if (!stripe) {
-        console.error('❌ Stripe non configurato');
-        return res.status(400).send('Stripe not configured');
+app.put('/api/billing/alert-settings/:dealerId', express.json(), ApiAuthorization.requirePermission('billing'), async (req, res) => {
+    const dealerId = parseInt(req.params.dealerId, 10);
+    if (!dealerId) {
+        return res.status(400).json({ success: false, error: 'invalid_dealer_id' });
     }
-    
-    let event;
-    
-    // Se il webhook secret è configurato, usa signature validation
-    if (webhookSecret && sig) {
-        try {
-            event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
-            console.log('✅ Webhook verificato con signature:', event.type);
-        } catch (err) {
-            console.error('❌ Verifica firma webhook fallita:', err.message);
-            return res.status(400).send(`Webhook Error: ${err.message}`);
-        }
-    } else {
-        // Fallback: parse il body manualmente (SOLO se webhook secret mancante)
-        console.log('⚠️ Webhook secret mancante - parsing body direttamente');
-        try {
-            event = JSON.parse(req.body.toString());
-            console.log('✅ Body parsed successfully:', event.type);
-        } catch (parseErr) {
-            console.error('❌ Errore parsing body:', parseErr.message);
-            return res.status(400).send('Invalid JSON body');
-        }
+    const { threshold_cents, alert_email, auto_recharge_enabled, auto_recharge_amount_cents } = req.body || {};
+    const result = await BillingAlerts.updateSettings(dealerId, {
+        thresholdCents: threshold_cents,
+        alertEmail: alert_email,
+        autoRechargeEnabled: auto_recharge_enabled,
+        autoRechargeAmountCents: auto_recharge_amount_cents
+    });
+    if (!result.success) {
+        const status = result.error.startsWith('invalid_') || ['auto_recharge_amount_required', 'no_saved_payment_method', 'billing_account_not_found'].includes(result.error) ? 400 : 500;
+        return res.status(status).json({ success: false, error: result.error });
     }
-    
+
+    const settings = (account) => ({
+        threshold_cents: account.low_balance_threshold_cents,
+        alert_email: account.low_balance_alert_email,
+        auto_recharge_enabled: account.auto_recharge_enabled,
+        auto_recharge_amount_cents: account.auto_recharge_amount_cents
+    });
+    await AuditLog.record(req, {
+        action: 'billing.alert_settings_update',
+        targetType: 'billing_account',
+        targetId: dealerId,
+        before: settings(result.previous),
+        after: settings(result.data)
+    });
+    res.json({ success: true });
+});
+
+// Billing: monthly statements. No month => list; ?month=YYYY-MM&format=pdf|csv|json&lang=it|en => one statement
+app.get('/api/billing/statements/:dealerId', async (req, res) => {
+    const dealerId = parseInt(req.params.dealerId, 10);
+    if (!dealerId) {
+        return res.status(400).json({ success: false, error: 'invalid_dealer_id' });
+    }
+    const { month, format = 'json' } = req.query;
+    const lang = req.query.lang === 'en' ? 'en' : 'it';
+
     try {
-        const { supabaseAdmin } = require('./config/supabase.js');
-        
-        switch (event.type) {
-            case 'checkout.session.completed':
-                const session = event.data.object;
-                console.log('💳 Checkout completato:', session.id, session.metadata);
-                
-                if (session.metadata?.type === 'recharge') {
-                    const dealerId = parseInt(session.metadata.dealer_id);
-                    console.log('🔄 Processando ricarica per dealer:', dealerId);
-                    
-                    // Update recharge status
-                    const updateResult = await supabaseAdmin
-                        .from('billing_recharges')
-                        .update({ 
-                            status: 'succeeded', 
-                            stripe_payment_intent_id: session.payment_intent,
-                            processed_at: new Date().toISOString()
-                        })
-                        .eq('stripe_checkout_session_id', session.id);
-                        
-                    console.log('📝 Update ricarica result:', updateResult);
-                    
-                    // Update dealer balance
-                    const { data: recharge } = await supabaseAdmin
-                        .from('billing_recharges')
-                        .select('amount_cents')
-                        .eq('stripe_checkout_session_id', session.id)
-                        .single();
-                        
-                    if (recharge) {
-                        console.log('💰 Ricarica trovata:', recharge.amount_cents, 'centesimi');
-                        
-                        // Get current balance
-                        const { data: account } = await supabaseAdmin
-                            .from('dealer_billing_accounts')
-                            .select('balance_cents')
-                            .eq('dealer_id', dealerId)
-                            .single();
-                            
-                        const currentBalance = account?.balance_cents || 0;
-                        const newBalance = currentBalance + recharge.amount_cents;
-                        console.log('💳 Balance update:', currentBalance, '->', newBalance);
-                        
-                        // Update balance
-                        const balanceResult = await supabaseAdmin
-                            .from('dealer_billing_accounts')
-                            .update({
-                                balance_cents: newBalance,
-                                updated_at: new Date().toISOString()
-                            })
-                            .eq('dealer_id', dealerId);
-                            
-                        console.log('✅ Balance aggiornato:', balanceResult);
-                    } else {
-                        console.error('❌ Ricarica non trovata per session:', session.id);
-                    }
-                }
-                break;
-                
-            case 'checkout.session.expired':
-            case 'payment_intent.canceled':
-                const canceledSession = event.data.object;
-                if (canceledSession.metadata?.type === 'recharge') {
-                    await supabaseAdmin
-                        .from('billing_recharges')
-                        .update({ status: 'canceled' })
-                        .eq('stripe_checkout_session_id', canceledSession.id);
-                }
-                break;
-                
-            case 'payment_intent.payment_failed':
-                const failedIntent = event.data.object;
-                // Find recharge by payment intent ID
-                await supabaseAdmin
-                    .from('billing_recharges')
-                    .update({ status: 'failed' })
-                    .eq('stripe_payment_intent_id', failedIntent.id);
-                break;
+        if (!month) {
+            const data = await BillingStatements.list(dealerId);
+            return res.json({ success: true, data });
         }
-        
-        res.json({ received: true });
-        
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+            return res.status(400).json({ success: false, error: 'invalid_month' });
+        }
+        if (!['json', 'pdf', 'csv'].includes(format)) {
+            return res.status(400).json({ success: false, error: 'invalid_format' });
+        }
+
+        const statement = await BillingStatements.get(dealerId, month);
+        if (!statement) {
+            return res.status(404).json({ success: false, error: 'statement_not_found' });
+        }
+
+        if (format === 'pdf') {
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${BillingStatements.fileName(statement, lang, 'pdf')}"`);
+            return res.send(BillingStatements.toPDF(statement, lang));
+        }
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${BillingStatements.fileName(statement, lang, 'csv')}"`);
+            return res.send(BillingStatements.toCSV(statement, lang));
+        }
+        res.json({ success: true, data: statement });
     } catch (error) {
-        console.error('Webhook processing error:', error);
-        res.status(500).json({ error: 'webhook_processing_failed' });
+        console.error('Get statements error:', error);
+        res.status(500).json({ success: false, error: 'statements_fetch_failed' });
     }
 });
 
-// Endpoint per processare manualmente ricariche pending (per debug)
-app.get('/api/billing/process-pending-recharges', async (req, res) => {
-    if (!stripe) {
-        return res.status(500).json({ success: false, error: 'stripe_not_configured' });
+// Billing: close a past month on demand (the monthly job does this automatically)
+app.post('/api/billing/statements/:dealerId/close', express.json(), ApiAuthorization.requirePermission('billing'), async (req, res) => {
+    const dealerId = parseInt(req.params.dealerId, 10);
+    const { month } = req.body || {};
+    if (!dealerId) {
+        return res.status(400).json({ success: false, error: 'invalid_dealer_id' });
     }
-    
-    try {
-        const { supabaseAdmin } = require('./config/supabase.js');
-        
-        // Get all pending recharges
-        const { data: pendingRecharges, error } = await supabaseAdmin
-            .from('billing_recharges')
-            .select('*')
-            .eq('status', 'pending');
-            
-        if (error) throw error;
-        
-        console.log('🔍 Trovate', pendingRecharges?.length || 0, 'ricariche pending');
-        
-        const results = [];
-        
-        for (const recharge of pendingRecharges || []) {
-            try {
-                // Check Stripe session status
-                const session = await stripe.checkout.sessions.retrieve(recharge.stripe_checkout_session_id);
-                console.log('📊 Session', session.id, 'status:', session.status, 'payment_status:', session.payment_status);
-                
-                if (session.status === 'complete' && session.payment_status === 'paid') {
-                    // Process this recharge
-                    console.log('🔄 Processando ricarica:', recharge.id);
-                    
-                    // Update recharge status
-                    await supabaseAdmin
-                        .from('billing_recharges')
-                        .update({ 
-                            status: 'succeeded', 
-                            stripe_payment_intent_id: session.payment_intent,
-                            processed_at: new Date().toISOString()
-                        })
-                        .eq('id', recharge.id);
-                    
-                    // Update dealer balance
-                    const { data: account } = await supabaseAdmin
-                        .from('dealer_billing_accounts')
-                        .select('balance_cents')
-                        .eq('dealer_id', recharge.dealer_id)
-                        .single();
-                        
-                    const currentBalance = account?.balance_cents || 0;
-                    const newBalance = currentBalance + recharge.amount_cents;
-                    
-                    await supabaseAdmin
-                        .from('dealer_billing_accounts')
-                        .upsert({
-                            dealer_id: recharge.dealer_id,
-                            balance_cents: newBalance,
-                            updated_at: new Date().toISOString()
-                        });
-                        
-                    results.push({ 
-                        recharge_id: recharge.id, 
-                        status: 'processed',
-                        amount_cents: recharge.amount_cents,
-                        new_balance: newBalance
-                    });
-                } else {
-                    results.push({ 
-                        recharge_id: recharge.id, 
-                        status: 'still_pending',
-                        stripe_status: session.status,
-                        payment_status: session.payment_status
-                    });
-                }
-            } catch (sessionError) {
-                console.error('Errore controllo session:', recharge.stripe_checkout_session_id, sessionError);
-                results.push({ 
-                    recharge_id: recharge.id, 
-                    status: 'error', 
-                    error: sessionError.message 
-                });
-            }
-        }
-        
-        res.json({ success: true, processed: results });
-        
-    } catch (error) {
-        console.error('Process pending recharges error:', error);
-        res.status(500).json({ success: false, error: 'process_failed' });
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) {
+        return res.status(400).json({ success: false, error: 'invalid_month' });
+    }
+
+    const result = await BillingStatements.closeMonth(dealerId, month);
+    if (!result.success) {
+        const status = result.error === 'period_not_closed' ? 400 : 500;
+        return res.status(status).json({ success: false, error: result.error });
     }
+
+    await AuditLog.record(req, {
+        action: 'billing.statement_close',
+        targetType: 'statement',
+        targetId: result.statement?.statement_number || month,
+        after: { month, closing_balance_cents: result.statement?.closing_balance_cents ?? null }
+    });
+    res.json({ success: true, data: result.statement });
 });
 
-// Endpoint per verificare lo stato dei webhook (debug)
-app.get('/api/billing/webhook-status', async (req, res) => {
+// Stato dei webhook Stripe (console staff)
+app.get('/api/admin/webhooks/status', async (req, res) => {
     try {
         const { supabaseAdmin } = require('./config/supabase.js');
         
@@ -721,12 +691,16 @@ app.get('/api/billing/webhook-status', async (req, res) => {
             
         if (error) throw error;
         
+        const recentEvents = await StripeWebhooks.listRecent(20);
+        
         const stats = {
             total_recharges: recharges?.length || 0,
             pending_count: recharges?.filter(r => r.status === 'pending').length || 0,
             succeeded_count: recharges?.filter(r => r.status === 'succeeded').length || 0,
             webhook_configured: !!process.env.STRIPE_WEBHOOK_SECRET,
             stripe_configured: !!stripe,
+            last_event_at: recentEvents[0]?.received_at || null,
+            failed_events: recentEvents.filter(e => e.status === 'failed').length,
             recent_recharges: recharges?.map(r => ({
                 id: r.id,
                 dealer_id: r.dealer_id,
@@ -746,8 +720,8 @@ app.get('/api/billing/webhook-status', async (req, res) => {
     }
 });
 
-// Test endpoint per simulare webhook Stripe (debug)
-app.get('/api/billing/test-webhook/:sessionId', async (req, res) => {
+// Test endpoint per simulare webhook Stripe (debug, console staff)
+app.get('/api/admin/debug/test-webhook/:sessionId', async (req, res) => {
     const { sessionId } = req.params;
     
     if (!stripe) {
@@ -767,53 +741,18 @@ app.get('/api/billing/test-webhook/:sessionId', async (req, res) => {
                 const dealerId = parseInt(session.metadata.dealer_id);
                 console.log('🔄 Simulando processamento webhook per dealer:', dealerId);
                 
-                // Update recharge status
-                const updateResult = await supabaseAdmin
-                    .from('billing_recharges')
-                    .update({ 
-                        status: 'succeeded', 
-                        stripe_payment_intent_id: session.payment_intent,
-                        processed_at: new Date().toISOString()
-                    })
-                    .eq('stripe_checkout_session_id', session.id);
-                    
-                console.log('📝 Update result:', updateResult);
-                
-                // Update dealer balance
-                const { data: recharge } = await supabaseAdmin
-                    .from('billing_recharges')
-                    .select('amount_cents')
-                    .eq('stripe_checkout_session_id', session.id)
-                    .single();
-                    
-                if (recharge) {
-                    const { data: account } = await supabaseAdmin
-                        .from('dealer_billing_accounts')
-                        .select('balance_cents')
-                        .eq('dealer_id', dealerId)
-                        .single();
-                        
-                    const currentBalance = account?.balance_cents || 0;
-                    const newBalance = currentBalance + recharge.amount_cents;
+                // Stato ricarica + accredito tramite ledger (idempotente)
+                const credit = await BillingLedger.creditRechargeBySession(session.id, session.payment_intent);
                     
-                                            const balanceResult = await supabaseAdmin
-                            .from('dealer_billing_accounts')
-                            .update({
-                                balance_cents: newBalance,
-                                updated_at: new Date().toISOString()
-                            })
-                            .eq('dealer_id', dealerId);
-                        
+                if (credit.success) {
                     res.json({ 
                         success: true, 
-                        message: 'Webhook simulato con successo',
+                        message: credit.credited ? 'Webhook simulato con successo' : 'Ricarica già accreditata',
                         session_id: session.id,
                         dealer_id: dealerId,
-                        amount_cents: recharge.amount_cents,
-                        old_balance: currentBalance,
-                        new_balance: newBalance,
-                        update_result: updateResult,
-                        balance_result: balanceResult
+                        amount_cents: credit.amountCents,
+                        credited: credit.credited,
+                        new_balance: credit.balanceCents
                     });
                 } else {
                     res.status(404).json({ success: false, error: 'Ricarica non trovata' });
@@ -836,8 +775,8 @@ app.get('/api/billing/test-webhook/:sessionId', async (req, res) => {
     }
 });
 
-// Debug endpoint per verificare balance direttamente nel database
-app.get('/api/billing/debug-balance/:dealerId', async (req, res) => {
+// Debug endpoint per verificare balance direttamente nel database (console staff)
+app.get('/api/admin/debug/balance/:dealerId', async (req, res) => {
     const dealerId = parseInt(req.params.dealerId, 10);
     if (!dealerId) {
         return res.status(400).json({ success: false, error: 'invalid_dealer_id' });
@@ -869,11 +808,25 @@ app.get('/api/billing/debug-balance/:dealerId', async (req, res) => {
         const totalRecharges = recharges
             ?.filter(r => r.status === 'succeeded')
             .reduce((sum, r) => sum + (r.amount_cents || 0), 0) || 0;
+        
+        // Ledger: the stored balance must always equal the sum of the signed entries
+        const { data: ledger, error: ledgerError } = await supabaseAdmin
+            .from('billing_ledger_entries')
+            .select('amount_cents')
+            .eq('dealer_id', dealerId);
+            
+        if (ledgerError) throw ledgerError;
+        
+        const ledgerBalance = (ledger || []).reduce((sum, e) => sum + Number(e.amount_cents || 0), 0);
+        const currentBalance = Number(accounts?.[0]?.balance_cents || 0);
             
         const debug = {
             dealer_id: dealerId,
             accounts_found: accounts?.length || 0,
-            current_balance: accounts?.[0]?.balance_cents || 0,
+            current_balance: currentBalance,
+            ledger_balance: ledgerBalance,
+            ledger_entries: ledger?.length || 0,
+            ledger_in_sync: ledgerBalance === currentBalance,
             total_successful_recharges: totalRecharges,
             accounts: accounts,
             recent_recharges: recharges?.map(r => ({
@@ -893,265 +846,31 @@ app.get('/api/billing/debug-balance/:dealerId', async (req, res) => {
     }
 });
 
-// Endpoint per correggere il balance basandosi sulle ricariche (per debug/fix)
-app.post('/api/billing/fix-balance/:dealerId', async (req, res) => {
+// Debug endpoint per vedere dettagli ricariche pending (console staff)
+app.get('/api/admin/debug/pending/:dealerId', async (req, res) => {
     const dealerId = parseInt(req.params.dealerId, 10);
     if (!dealerId) {
         return res.status(400).json({ success: false, error: 'invalid_dealer_id' });
     }
     
-    try {
-        const { supabaseAdmin } = require('./config/supabase.js');
-        
-        // Get all successful recharges for this dealer
-        const { data: recharges, error: rechargesError } = await supabaseAdmin
-            .from('billing_recharges')
-            .select('amount_cents')
-            .eq('dealer_id', dealerId)
-            .eq('status', 'succeeded');
-            
-        if (rechargesError) throw rechargesError;
-        
-        // Calculate correct balance from all successful recharges
-        const correctBalance = recharges?.reduce((sum, r) => sum + (r.amount_cents || 0), 0) || 0;
-        
-        // Get current balance
-        const { data: account } = await supabaseAdmin
-            .from('dealer_billing_accounts')
-            .select('balance_cents')
-            .eq('dealer_id', dealerId)
-            .single();
-            
-        const currentBalance = account?.balance_cents || 0;
-        
-        console.log('🔧 Fix Balance - Dealer:', dealerId);
-        console.log('📊 Balance attuale:', currentBalance, 'centesimi');
-        console.log('📊 Balance corretto:', correctBalance, 'centesimi');
-        console.log('📊 Differenza:', correctBalance - currentBalance, 'centesimi');
-        
-        // Update balance to correct amount
-        const { data: updateResult, error: updateError } = await supabaseAdmin
-            .from('dealer_billing_accounts')
-            .update({
-                balance_cents: correctBalance,
-                updated_at: new Date().toISOString()
-            })
-            .eq('dealer_id', dealerId)
-            .select();
-            
-        if (updateError) throw updateError;
-        
-        res.json({ 
-            success: true, 
-            message: 'Balance corretto con successo',
-            dealer_id: dealerId,
-            old_balance: currentBalance,
-            new_balance: correctBalance,
-            difference: correctBalance - currentBalance,
-            total_recharges: recharges?.length || 0,
-            update_result: updateResult
-        });
-        
-    } catch (error) {
-        console.error('Fix balance error:', error);
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
-
-// Versione GET per fix balance (per facilità di utilizzo dal browser)
-app.get('/api/billing/fix-balance/:dealerId', async (req, res) => {
-    const dealerId = parseInt(req.params.dealerId, 10);
-    if (!dealerId) {
-        return res.status(400).json({ success: false, error: 'invalid_dealer_id' });
+    if (!stripe) {
+        return res.status(500).json({ success: false, error: 'stripe_not_configured' });
     }
     
     try {
         const { supabaseAdmin } = require('./config/supabase.js');
         
-        // Get all successful recharges for this dealer
-        const { data: recharges, error: rechargesError } = await supabaseAdmin
+        // Get all pending recharges with full details
+        const { data: pendingRecharges, error } = await supabaseAdmin
             .from('billing_recharges')
-            .select('amount_cents')
-            .eq('dealer_id', dealerId)
-            .eq('status', 'succeeded');
-            
-        if (rechargesError) throw rechargesError;
-        
-        // Calculate correct balance from all successful recharges
-        const correctBalance = recharges?.reduce((sum, r) => sum + (r.amount_cents || 0), 0) || 0;
-        
-        // Get current balance
-        const { data: account } = await supabaseAdmin
-            .from('dealer_billing_accounts')
-            .select('balance_cents')
+            .select('*')
             .eq('dealer_id', dealerId)
-            .single();
+            .eq('status', 'pending')
+            .order('created_at', { ascending: false });
             
-        const currentBalance = account?.balance_cents || 0;
+        if (error) throw error;
         
-        console.log('🔧 Fix Balance (GET) - Dealer:', dealerId);
-        console.log('📊 Balance attuale:', currentBalance, 'centesimi');
-        console.log('📊 Balance corretto:', correctBalance, 'centesimi');
-        console.log('📊 Differenza:', correctBalance - currentBalance, 'centesimi');
-        
-        // Update balance to correct amount
-        const { data: updateResult, error: updateError } = await supabaseAdmin
-            .from('dealer_billing_accounts')
-            .update({
-                balance_cents: correctBalance,
-                updated_at: new Date().toISOString()
-            })
-            .eq('dealer_id', dealerId)
-            .select();
-            
-        if (updateError) throw updateError;
-        
-        res.json({ 
-            success: true, 
-            message: 'Balance corretto con successo',
-            dealer_id: dealerId,
-            old_balance_cents: currentBalance,
-            new_balance_cents: correctBalance,
-            old_balance_euros: (currentBalance / 100).toFixed(2),
-            new_balance_euros: (correctBalance / 100).toFixed(2),
-            difference_cents: correctBalance - currentBalance,
-            difference_euros: ((correctBalance - currentBalance) / 100).toFixed(2),
-            total_recharges: recharges?.length || 0,
-            recharges_total: correctBalance
-        });
-        
-    } catch (error) {
-        console.error('Fix balance error:', error);
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
-
-// Endpoint per calcolare il balance corretto considerando balance iniziale + ricariche - consumi
-app.get('/api/billing/recalculate-balance/:dealerId', async (req, res) => {
-    const dealerId = parseInt(req.params.dealerId, 10);
-    if (!dealerId) {
-        return res.status(400).json({ success: false, error: 'invalid_dealer_id' });
-    }
-    
-    try {
-        const { supabaseAdmin } = require('./config/supabase.js');
-        
-        // Get all successful recharges
-        const { data: recharges, error: rechargesError } = await supabaseAdmin
-            .from('billing_recharges')
-            .select('amount_cents, created_at')
-            .eq('dealer_id', dealerId)
-            .eq('status', 'succeeded')
-            .order('created_at', { ascending: true });
-            
-        if (rechargesError) throw rechargesError;
-        
-        // Get all usage events (consumi)
-        const { data: usageEvents, error: usageError } = await supabaseAdmin
-            .from('billing_usage_events')
-            .select('total_cost_cents, created_at')
-            .eq('dealer_id', dealerId)
-            .order('created_at', { ascending: true });
-            
-        if (usageError) throw usageError;
-        
-        // Get current balance
-        const { data: account } = await supabaseAdmin
-            .from('dealer_billing_accounts')
-            .select('balance_cents, created_at')
-            .eq('dealer_id', dealerId)
-            .single();
-            
-        const currentBalance = account?.balance_cents || 0;
-        
-        // Calculate totals
-        const totalRecharges = recharges?.reduce((sum, r) => sum + (r.amount_cents || 0), 0) || 0;
-        const totalUsage = usageEvents?.reduce((sum, u) => sum + (u.total_cost_cents || 0), 0) || 0;
-        
-        // Determine if we had an initial balance before first recharge
-        const firstRechargeDate = recharges?.[0]?.created_at;
-        const accountCreatedDate = account?.created_at;
-        
-        // If account was created before first recharge, assume initial balance
-        let initialBalance = 0;
-        if (accountCreatedDate && firstRechargeDate && new Date(accountCreatedDate) < new Date(firstRechargeDate)) {
-            // The 540 cents was probably the initial balance
-            initialBalance = 540; // 5.40€
-        }
-        
-        // Correct balance = Initial + Recharges - Usage
-        const correctBalance = initialBalance + totalRecharges - totalUsage;
-        
-        console.log('🧮 Recalculate Balance - Dealer:', dealerId);
-        console.log('📊 Balance iniziale stimato:', initialBalance, 'centesimi');
-        console.log('📊 Totale ricariche:', totalRecharges, 'centesimi');
-        console.log('📊 Totale consumi:', totalUsage, 'centesimi');
-        console.log('📊 Balance corretto calcolato:', correctBalance, 'centesimi');
-        console.log('📊 Balance attuale nel DB:', currentBalance, 'centesimi');
-        
-        // Update balance to correct amount
-        const { data: updateResult, error: updateError } = await supabaseAdmin
-            .from('dealer_billing_accounts')
-            .update({
-                balance_cents: correctBalance,
-                updated_at: new Date().toISOString()
-            })
-            .eq('dealer_id', dealerId)
-            .select();
-            
-        if (updateError) throw updateError;
-        
-        res.json({ 
-            success: true, 
-            message: 'Balance ricalcolato correttamente',
-            dealer_id: dealerId,
-            calculation: {
-                initial_balance_cents: initialBalance,
-                total_recharges_cents: totalRecharges,
-                total_usage_cents: totalUsage,
-                calculated_balance_cents: correctBalance
-            },
-            current_balance_cents: currentBalance,
-            new_balance_cents: correctBalance,
-            current_balance_euros: (currentBalance / 100).toFixed(2),
-            new_balance_euros: (correctBalance / 100).toFixed(2),
-            difference_cents: correctBalance - currentBalance,
-            difference_euros: ((correctBalance - currentBalance) / 100).toFixed(2),
-            recharges_count: recharges?.length || 0,
-            usage_events_count: usageEvents?.length || 0
-        });
-        
-    } catch (error) {
-        console.error('Recalculate balance error:', error);
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
-
-// Debug endpoint per vedere dettagli ricariche pending
-app.get('/api/billing/debug-pending/:dealerId', async (req, res) => {
-    const dealerId = parseInt(req.params.dealerId, 10);
-    if (!dealerId) {
-        return res.status(400).json({ success: false, error: 'invalid_dealer_id' });
-    }
-    
-    if (!stripe) {
-        return res.status(500).json({ success: false, error: 'stripe_not_configured' });
-    }
-    
-    try {
-        const { supabaseAdmin } = require('./config/supabase.js');
-        
-        // Get all pending recharges with full details
-        const { data: pendingRecharges, error } = await supabaseAdmin
-            .from('billing_recharges')
-            .select('*')
-            .eq('dealer_id', dealerId)
-            .eq('status', 'pending')
-            .order('created_at', { ascending: false });
-            
-        if (error) throw error;
-        
-        const results = [];
+        const results = [];
         
         for (const recharge of pendingRecharges || []) {
             try {
@@ -1199,10 +918,6 @@ app.get('/api/billing/debug-pending/:dealerId', async (req, res) => {
     }
 });
 
-// Endpoint per verificare se ci sono stati webhook calls recenti
-let webhookLogs = [];
-const MAX_WEBHOOK_LOGS = 50;
-
 // Test endpoint per verificare se il webhook è raggiungibile
 app.get('/webhooks/stripe/test', (req, res) => {
     console.log('🧪 Webhook test endpoint chiamato:', new Date().toISOString());
@@ -1230,179 +945,298 @@ app.post('/webhooks/stripe/test', express.raw({ type: 'application/json' }), (re
     });
 });
 
-// Simulatore di webhook Stripe - bypassa signature validation
-app.post('/webhooks/stripe/simulate', express.raw({ type: 'application/json' }), async (req, res) => {
-    console.log('🎭 Simulazione webhook Stripe:', new Date().toISOString());
-    
+// Webhook log (staff console): latest Stripe events as stored by the webhook endpoint (?status=failed to filter)
+app.get('/api/admin/webhooks', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
     try {
-        const { supabaseAdmin } = require('./config/supabase.js');
-        
-        // Simula un evento checkout.session.completed
-        const mockEvent = {
-            type: 'checkout.session.completed',
-            data: {
-                object: {
-                    id: 'cs_test_simulation_' + Date.now(),
-                    amount_total: 100000, // 1000€ in centesimi
-                    customer: 'cus_test_simulation',
-                    metadata: {
-                        dealer_id: '1'
-                    }
-                }
-            }
-        };
-        
-        const dealerId = parseInt(mockEvent.data.object.metadata.dealer_id, 10);
-        const sessionId = mockEvent.data.object.id;
-        const amountCents = mockEvent.data.object.amount_total;
-        
-        console.log('🎭 Processing simulated event:', { dealerId, sessionId, amountCents });
-        
-        // Trova la ricarica pending con questo session ID (o crea una simulata)
-        let { data: recharge, error } = await supabaseAdmin
-            .from('billing_recharges')
-            .select('*')
-            .eq('stripe_checkout_session_id', sessionId)
-            .single();
-        
-        if (error && error.code === 'PGRST116') {
-            // Crea una ricarica simulata
-            const { data: newRecharge, error: insertError } = await supabaseAdmin
-                .from('billing_recharges')
-                .insert([{
-                    dealer_id: dealerId,
-                    amount_cents: amountCents,
-                    stripe_checkout_session_id: sessionId,
-                    status: 'pending',
-                    created_at: new Date().toISOString()
-                }])
-                .select()
-                .single();
-            
-            if (insertError) throw insertError;
-            recharge = newRecharge;
-        }
-        
-        // Aggiorna lo status a succeeded
-        const { error: updateError } = await supabaseAdmin
-            .from('billing_recharges')
-            .update({ status: 'succeeded' })
-            .eq('id', recharge.id);
-        
-        if (updateError) throw updateError;
-        
-        // Aggiorna il balance del dealer
-        const { data: account, error: accountError } = await supabaseAdmin
-            .from('dealer_billing_accounts')
-            .select('balance_cents')
-            .eq('dealer_id', dealerId)
-            .single();
-        
-        if (accountError) throw accountError;
-        
-        const newBalance = account.balance_cents + amountCents;
-        
-        const { error: balanceError } = await supabaseAdmin
-            .from('dealer_billing_accounts')
-            .update({ balance_cents: newBalance })
-            .eq('dealer_id', dealerId);
-        
-        if (balanceError) throw balanceError;
-        
-        res.status(200).json({
+        const logs = await StripeWebhooks.listRecent(limit, req.query.status || null);
+        res.json({
             success: true,
-            message: 'Webhook simulato con successo',
-            simulated_event: mockEvent.type,
-            dealer_id: dealerId,
-            session_id: sessionId,
-            amount_cents: amountCents,
-            old_balance: account.balance_cents,
-            new_balance: newBalance
+            logs,
+            total_logs: logs.length,
+            last_webhook_call: logs[0]?.received_at || 'Mai ricevuto'
         });
-        
     } catch (error) {
-        console.error('❌ Errore simulazione webhook:', error);
-        res.status(500).json({ success: false, error: error.message });
+        console.error('Webhook logs error:', error);
+        res.status(500).json({ success: false, error: 'webhook_logs_failed' });
     }
 });
 
-// Rimosso middleware di logging che causava errore 400 con Stripe
-// Il logging è già presente nei singoli endpoint webhook
-
-app.get('/api/billing/webhook-logs', (req, res) => {
-    res.json({
-        success: true,
-        logs: webhookLogs,
-        total_logs: webhookLogs.length,
-        last_webhook_call: webhookLogs[0]?.timestamp || 'Mai ricevuto'
-    });
+// Retry every failed Stripe event now (staff console; the retry job also does this every 10 minutes)
+app.post('/api/admin/webhooks/retry-failed', async (req, res) => {
+    try {
+        const result = await StripeWebhooks.retryFailed();
+        await StaffAdmin.logAction(req, { action: 'webhook_retry_failed', details: result });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Stripe events retry error:', error);
+        res.status(500).json({ success: false, error: 'stripe_event_retry_failed' });
+    }
 });
 
-// Endpoint alternativo per webhook senza middleware - test diretto
-app.post('/api/billing/stripe-webhook-direct', express.json(), async (req, res) => {
-    console.log('🔔 WEBHOOK DIRETTO ricevuto:', new Date().toISOString());
-    console.log('Body:', req.body);
-    console.log('Body type:', typeof req.body);
-    
+// Replay one stored Stripe event whatever its status (staff console, reason required)
+app.post('/api/admin/webhooks/:eventId/replay', StaffAdmin.requireReason, async (req, res) => {
     try {
-        // Il body è già un object con express.json()
-        const event = req.body;
-        console.log('✅ Event type:', event.type);
-        
-        if (event.type === 'checkout.session.completed') {
-            const session = event.data.object;
-            console.log('💳 Session ID:', session.id);
-            
-            // Processa la ricarica
-            const { supabaseAdmin } = require('./config/supabase.js');
-            
-            if (!session.metadata?.dealer_id) {
-                console.error('❌ No dealer_id in session metadata');
-                return res.status(400).json({ error: 'missing_dealer_id_in_metadata' });
-            }
-            const dealerId = parseInt(session.metadata.dealer_id, 10);
-            if (!dealerId) {
-                console.error('❌ Invalid dealer_id in session metadata');
-                return res.status(400).json({ error: 'invalid_dealer_id_in_metadata' });
-            }
-            
-            // Trova e aggiorna la ricarica
-            const { error: updateError } = await supabaseAdmin
-                .from('billing_recharges')
-                .update({ status: 'succeeded' })
-                .eq('stripe_checkout_session_id', session.id);
-            
-            if (updateError) throw updateError;
-            
-            // Aggiorna balance
-            const { data: account, error: accountError } = await supabaseAdmin
-                .from('dealer_billing_accounts')
-                .select('balance_cents')
-                .eq('dealer_id', dealerId)
-                .single();
-            
-            if (!accountError) {
-                const newBalance = account.balance_cents + session.amount_total;
-                
-                await supabaseAdmin
-                    .from('dealer_billing_accounts')
-                    .update({ balance_cents: newBalance })
-                    .eq('dealer_id', dealerId);
-            }
-        }
-        
-        res.status(200).json({ received: true, event_type: event.type });
-        
+        const result = await StripeWebhooks.replay(req.params.eventId);
+        if (result.status === 'not_found') return res.status(404).json(result);
+
+        await StaffAdmin.logAction(req, {
+            action: 'webhook_replay',
+            targetId: req.params.eventId,
+            reason: req.body.reason,
+            details: { status: result.status, error: result.error || null }
+        });
+        res.status(result.success ? 200 : 500).json(result);
     } catch (error) {
-        console.error('❌ Errore webhook diretto:', error);
-        res.status(400).json({ error: error.message });
+        console.error('Stripe event replay error:', error);
+        res.status(500).json({ success: false, error: 'stripe_event_retry_failed' });
     }
 });
 
+// Worst-case cost of a batch: every reachable contact is billed; WhatsApp may fall back to SMS
+function estimateBatchCostCents(channel, contacts, pricePlan) {
+    if (channel === 'email') {
+        return contacts.filter(c => c.email).length * BillingPricing.unitPrice(pricePlan, 'email');
+    }
+    if (channel === 'whatsapp' && twilioClient) {
+        const unit = Math.max(BillingPricing.unitPrice(pricePlan, 'whatsapp'), BillingPricing.unitPrice(pricePlan, 'sms'));
+        return contacts.filter(c => c.phone).length * unit;
+    }
+    return 0;
+}
+
+// Reserve the estimated batch cost; on failure returns the HTTP error payload instead of a reservation
+async function reserveBatchCredit(dealerId, channel, contacts, language, pricePlan) {
+    const estimatedCents = estimateBatchCostCents(channel, contacts, pricePlan);
+    if (estimatedCents <= 0) return { reservation: null };
+
+    const reservation = await BillingLedger.reserveCredit(dealerId, estimatedCents, `communications:${channel}:${contacts.length}`);
+    if (reservation.success) {
+        console.log(`💰 Riservati ${estimatedCents} centesimi per dealer ${dealerId} (reservation ${reservation.reservationId})`);
+        return { reservation };
+    }
+    if (reservation.error === 'insufficient_balance') {
+        const shortfall = (reservation.shortfallCents / 100).toFixed(2);
+        return {
+            status: 402,
+            body: {
+                success: false,
+                error: 'insufficient_balance',
+                message: language === 'it' ? `Credito insufficiente: mancano ${shortfall}€ per completare l'invio` : `Insufficient balance: €${shortfall} short to complete the send`,
+                required_cents: estimatedCents,
+                available_cents: reservation.availableCents,
+                shortfall_cents: reservation.shortfallCents
+            }
+        };
+    }
+    return { status: 500, body: { success: false, error: 'billing_reservation_failed' } };
+}
+
+// Twilio answers 429 when over the sender throughput and 5xx when down; anything else (bad number, opt-out) is final
+function twilioRetryable(error) {
+    return !error.status || error.status === 429 || error.status >= 500;
+}
+
+// Twilio 21610: the number replied STOP to our sender, Twilio blocks it until START
+async function twilioOptedOut(error, task) {
+    if (error.code !== 21610) return;
+    try {
+        await Suppressions.addFromTask(task.id, 'stop_reply', `Twilio ${error.code}`);
+    } catch (suppressionError) {
+        console.error(`❌ Soppressione di ${task.phone} non salvata:`, suppressionError.message);
+    }
+}
+
+// Campaign email with the unsubscribe link in the footer and the RFC 8058 one-click headers
+function campaignEmail(task, campaign) {
+    const html = `<p>${task.message.replace(/\n/g, '<br/>')}</p>`;
+    const links = Suppressions.emailLinks(campaign.dealer_id, task.email);
+    if (!links) return { html, text: task.message, headers: {} };
+
+    const footer = campaign.language === 'en'
+        ? { text: 'You no longer wish to receive these messages?', link: 'Unsubscribe' }
+        : { text: 'Non vuoi più ricevere queste comunicazioni?', link: 'Annulla iscrizione' };
+    return {
+        html: `${html}<p style="margin-top:24px;font-size:12px;color:#6b7280">${footer.text} <a href="${links.pageUrl}" style="color:#6b7280">${footer.link}</a></p>`,
+        text: `${task.message}\n\n--\n${footer.text} ${footer.link}: ${links.pageUrl}`,
+        headers: links.headers
+    };
+}
+
+// Send one queued campaign message (CampaignQueue worker) and bill it against the campaign reservation.
+// WhatsApp falls back to SMS when the number cannot receive WhatsApp. costCents goes to the campaign history
+async function deliverCampaignTask(task, campaign) {
+    const pricePlan = await BillingPricing.getPlan(campaign.dealer_id);
+    const bill = async (eventType, relatedEntity) => {
+        const unitCostCents = BillingPricing.unitPrice(pricePlan, eventType);
+        const usage = await BillingLedger.recordUsage(campaign.dealer_id, {
+            eventType,
+            unitCostCents,
+            relatedEntity,
+            reservationId: campaign.reservation_id,
+            pricePlanId: pricePlan.id
+        });
+        return usage.success ? unitCostCents : 0;
+    };
+
+    // The contact may have been suppressed after the campaign was queued
+    const suppressed = await Suppressions.reasonFor(campaign.dealer_id, campaign.channel, campaign.channel === 'email' ? task.email : task.phone);
+    if (suppressed) {
+        return { success: false, error: `suppressed: ${suppressed}`, retryable: false };
+    }
+
+    if (campaign.channel === 'email') {
+        const email = campaignEmail(task, campaign);
+        const result = await emailService.sendGenericEmail(task.email, task.subject, email.html, email.text, { headers: email.headers });
+        if (!result.success) return { success: false, error: result.error, retryable: result.retryable };
+        const costCents = await bill('email', result.messageId);
+        return { success: true, providerMessageId: result.messageId, channel: 'email', costCents, deliveryStatus: 'sent' };
+    }
+
+    if (!twilioClient) {
+        return { success: false, error: 'Twilio client not initialized' };
+    }
+    try {
+        const whatsappMessage = await twilioClient.messages.create({
+            body: task.message,
+            from: process.env.TWILIO_WHATSAPP_FROM,
+            to: `whatsapp:${task.phone}`,
+            ...DeliveryStatus.twilioCallbackOptions()
+        });
+        const costCents = await bill('whatsapp', whatsappMessage.sid);
+        return { success: true, providerMessageId: whatsappMessage.sid, channel: 'whatsapp', costCents, deliveryStatus: 'queued' };
+    } catch (whatsappError) {
+        if ((whatsappError.code !== 21910 && whatsappError.code !== 63016) || !process.env.TWILIO_SMS_FROM) {
+            await twilioOptedOut(whatsappError, task);
+            return { success: false, error: whatsappError.message, retryable: twilioRetryable(whatsappError) };
+        }
+        console.log(`WhatsApp failed for ${task.phone} (${whatsappError.code}), trying SMS fallback...`);
+        try {
+            const smsMessage = await twilioClient.messages.create({
+                body: task.message,
+                from: process.env.TWILIO_SMS_FROM,
+                to: task.phone,
+                ...DeliveryStatus.twilioCallbackOptions()
+            });
+            const costCents = await bill('sms', smsMessage.sid);
+            return { success: true, providerMessageId: smsMessage.sid, channel: 'sms', costCents, deliveryStatus: 'queued' };
+        } catch (smsError) {
+            await twilioOptedOut(smsError, task);
+            return {
+                success: false,
+                error: `WhatsApp failed (${whatsappError.code}), SMS fallback failed: ${smsError.message}`,
+                retryable: twilioRetryable(smsError)
+            };
+        }
+    }
+}
+
+// Template the send started from, kept by name in the campaign history. Ids of other dealers are ignored
+async function campaignTemplate(req, templateId) {
+    if (!templateId || typeof templateId !== 'string') return null;
+    const { supabaseAdmin } = require('./config/supabase.js');
+    const { data, error } = await supabaseAdmin
+        .from('communication_templates')
+        .select('id, name, dealer_id')
+        .eq('id', templateId)
+        .maybeSingle();
+    if (error || !data) return null;
+    if (req.auth && Number(data.dealer_id) !== req.auth.dealerId) {
+        console.warn(`🚫 Dealer ${req.auth.dealerId} ha indicato il template ${templateId} di un altro dealer`);
+        return null;
+    }
+    return { id: data.id, name: data.name };
+}
+
+// Filters in use when the recipients were picked (certificates.html campaignContext): a small JSON object
+function campaignFilters(filters) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) return {};
+    return JSON.stringify(filters).length <= 10000 ? filters : {};
+}
+
+// Recipients a send leaves out, by position: no consent for the purpose of the message (certificate agreements,
+// js/consent.js), then contacts suppressed after a bounce, complaint or opt-out (js/suppressions.js)
+async function screenRecipients({ dealerId, channel, purpose, recipients, contactOf, testClients }) {
+    const consent = await Consent.screen(dealerId, purpose, recipients, { contactOf, testClients });
+    const skipped = new Map(consent.excluded.map(({ index, reason }) => [index, reason]));
+    const remaining = recipients.map((recipient, index) => index).filter(index => !skipped.has(index));
+    const partition = await Suppressions.partition(dealerId, channel, remaining.map(index => recipients[index]), contactOf);
+    const suppressed = partition.suppressed.map(entry => ({ ...entry, index: remaining[entry.index] }));
+    suppressed.forEach(({ index, reason }) => skipped.set(index, reason));
+    return { purpose, skipped, consent: consent.excluded, suppressed, evidence: consent.evidence };
+}
+
+// Left-out recipients by reason, as kept on the campaign
+function exclusionCounts(screened) {
+    const reasons = {};
+    screened.skipped.forEach(reason => { reasons[reason] = (reasons[reason] || 0) + 1; });
+    return reasons;
+}
+
+// Left-out recipients as reported to the portal, preview and send
+function screeningReport(recipients, screened) {
+    return {
+        consent: {
+            purpose: screened.purpose,
+            excluded: screened.consent.map(({ index, reason }) => ({ certificateId: recipients[index].id || null, reason })),
+            reasons: exclusionCounts(screened)
+        },
+        suppressed: screened.suppressed.map(({ index, contact, reason }) => ({ certificateId: recipients[index].id || null, contact, reason }))
+    };
+}
+
+function nothingToSend(recipients, screened, language) {
+    return {
+        success: false,
+        error: 'no_eligible_recipients',
+        message: language === 'it'
+            ? 'Nessun invio: nessun destinatario ha il consenso per questa comunicazione o tutti hanno annullato l\'iscrizione'
+            : 'Nothing to send: no recipient consented to this communication or all of them unsubscribed',
+        ...screeningReport(recipients, screened)
+    };
+}
+
+// Queue a personalized batch as a campaign; the reservation moves to the campaign and is released by the worker
+async function enqueueCampaign(req, { dealerId, source, channel, language, subject, baseMessage, costCents = 0, reservation, recipients, screened, scheduledAt = null }) {
+    const campaign = await CampaignQueue.enqueue({
+        dealerId: Number(dealerId),
+        createdBy: { userId: req.auth?.userId, email: req.auth?.email },
+        source,
+        channel,
+        language,
+        subject: channel === 'email' ? subject : null,
+        baseMessage,
+        template: await campaignTemplate(req, req.body.templateId),
+        filters: campaignFilters(req.body.filters),
+        costCents,
+        reservationId: reservation?.reservationId || null,
+        purpose: screened.purpose,
+        excluded: exclusionCounts(screened),
+        scheduledAt,
+        recipients
+    });
+    await AuditLog.record(req, {
+        action: source === 'manual' ? 'communications.send_manual' : 'communications.send',
+        targetType: 'campaign',
+        targetId: campaign.id,
+        after: {
+            channel,
+            subject: channel === 'email' ? subject : null,
+            message: baseMessage,
+            total: recipients.length,
+            scheduledAt,
+            recipients: recipients.map(r => ({ certificateId: r.certificateId || null, name: r.name || null, email: r.email || null, phone: r.phone || null }))
+        },
+        contacts: recipients.map(r => channel === 'email' ? r.email : r.phone).filter(Boolean)
+    });
+    return campaign;
+}
+
 // Bulk communication endpoint: generate AI messages and optionally send
-app.post('/api/communications/generate', express.json(), async (req, res) => {
+app.post('/api/communications/generate', express.json(), ApiAuthorization.requirePermission('communications_send'), async (req, res) => {
+    let reservation = null;
     try {
-        const { channel, style, prompt, recipients, useFields, language = 'it', send = false, dealerSignatureText, dealerCompanyName = '', selectedVehicles = [], dealerId: bodyDealerId, baseMessage: providedBaseMessage, emailSubject: providedEmailSubject } = req.body;
+        const { channel, style, prompt, recipients, useFields, language = 'it', send = false, purpose = 'marketing', sendToTestClients = false, dealerSignatureText, dealerCompanyName = '', selectedVehicles = [], dealerId: bodyDealerId, baseMessage: providedBaseMessage, emailSubject: providedEmailSubject } = req.body;
 
 
 
@@ -1410,10 +1244,56 @@ app.post('/api/communications/generate', express.json(), async (req, res) => {
             return res.status(400).json({ success: false, error: 'no_recipients' });
         }
 
+        if (send && recipients.length > CampaignQueue.maxRecipients) {
+            return res.status(400).json({ success: false, error: 'too_many_recipients', max: CampaignQueue.maxRecipients });
+        }
+
         if (!['email', 'whatsapp'].includes(channel)) {
             return res.status(400).json({ success: false, error: 'invalid_channel' });
         }
 
+        if (!Consent.purposes.includes(purpose)) {
+            return res.status(400).json({ success: false, error: 'invalid_purpose' });
+        }
+
+        // Optional start date; the send window and quiet hours apply either way
+        const schedule = CampaignQueue.parseSchedule(req.body.scheduledAt);
+        if (send && !schedule.valid) {
+            return res.status(400).json({ success: false, error: 'invalid_schedule' });
+        }
+
+        if (!bodyDealerId) {
+            return res.status(400).json({ success: false, error: 'missing_dealer_id' });
+        }
+        const pricePlan = await BillingPricing.getPlan(bodyDealerId);
+
+        // Recipients without consent for the purpose, or who bounced, complained or opted out, are left out
+        // of the send; the preview reports how many and why
+        const screened = await screenRecipients({
+            dealerId: bodyDealerId,
+            channel,
+            purpose,
+            recipients,
+            contactOf: r => channel === 'email' ? r.clientEmail : r.clientPhone,
+            testClients: !!sendToTestClients
+        });
+        const { skipped } = screened;
+        if (send && skipped.size === recipients.length) {
+            return res.status(400).json(nothingToSend(recipients, screened, language));
+        }
+
+        // Reserve the whole batch up front: never overdraw, never half-send
+        if (send) {
+            const contacts = recipients
+                .filter((r, i) => !skipped.has(i))
+                .map(r => ({ email: r.clientEmail, phone: r.clientPhone }));
+            const reserved = await reserveBatchCredit(bodyDealerId, channel, contacts, language, pricePlan);
+            if (reserved.body) {
+                return res.status(reserved.status).json(reserved.body);
+            }
+            reservation = reserved.reservation;
+        }
+
         const styleMap = {
             formal: language === 'it' ? 'tono formale' : 'formal tone',
             informal: language === 'it' ? 'tono informale' : 'informal tone',
@@ -1448,10 +1328,7 @@ app.post('/api/communications/generate', express.json(), async (req, res) => {
         // Build a single base message either from provided draft or via one OpenAI call
         let baseMessage = (providedBaseMessage || '').trim();
         let emailSubject = (providedEmailSubject || '').trim();
-        let oaModel = '';
-        let oaPromptTokens = 0;
-        let oaCompletionTokens = 0;
-        const oaIds = [];
+        let oaBilledCents = 0; // metered OpenAI cost of this request (0 when a draft is reused)
 
         if (!baseMessage) {
             // One single OpenAI call for the whole batch
@@ -1522,12 +1399,13 @@ ${channel === 'email' ? (language === 'it' ? 'OBBLIGATORIO: Restituisci ESATTAME
                         { role: 'system', content: systemMessage },
                         { role: 'user', content: userMessage }
                     ];
-                    const completion = await openai.chat.completions.create({ 
+                    const completion = await meteredOpenAI.chatCompletion({ 
                         model: 'gpt-4o', 
                         messages,
                         max_tokens: maxTokens,
                         temperature: temperature
-                    });
+                    }, { dealerId: bodyDealerId, feature: 'communications_generate' });
+                    oaBilledCents = completion.billing?.billed_cents || 0;
                     const rawResponse = completion.choices?.[0]?.message?.content?.trim() || '';
                     
                     // Parse response for email (JSON format) or regular message
@@ -1569,13 +1447,6 @@ ${channel === 'email' ? (language === 'it' ? 'OBBLIGATORIO: Restituisci ESATTAME
                         // Pulisci il messaggio da testi di stop anche per WhatsApp/SMS
                         baseMessage = baseMessage.replace(/\[STOP[^\]]*\]/gi, '').trim();
                     }
-                    
-                    try {
-                        oaModel = completion.model || 'gpt-4o';
-                        oaPromptTokens = completion.usage?.prompt_tokens || 0;
-                        oaCompletionTokens = completion.usage?.completion_tokens || 0;
-                        if (completion.id) oaIds.push(completion.id);
-                    } catch {}
                 } catch (e) {
                     console.warn('OpenAI failed, falling back to template message:', e.message);
                 }
@@ -1603,9 +1474,7 @@ ${channel === 'email' ? (language === 'it' ? 'OBBLIGATORIO: Restituisci ESATTAME
 
         // Personalize per recipient from the single base message
         const results = [];
-        if (!bodyDealerId) {
-            return res.status(400).json({ success: false, error: 'missing_dealer_id' });
-        }
+        const queued = [];
         const dealerId = bodyDealerId;
 
         const buildSalutation = (fullName, communicationStyle = 'informal') => {
@@ -1689,207 +1558,185 @@ ${channel === 'email' ? (language === 'it' ? 'OBBLIGATORIO: Restituisci ESATTAME
             }
             const finalMsg = dealerSignatureText ? `${personalized}\n\n${dealerSignatureText}` : personalized;
 
-            let sendResult = { success: false };
-            if (send) {
-                try {
-                    if (channel === 'email' && r.clientEmail) {
-                        // Personalize email subject with same replacements as message
-                        let personalizedSubject = emailSubject || (language === 'it' ? 'Comunicazione Service Portal' : 'Service Portal Communication');
-                        for (const [token, value] of Object.entries(replacements)) {
-                            personalizedSubject = personalizedSubject.replace(new RegExp(token, 'g'), value);
-                        }
-                        
-                        sendResult = await emailService.sendGenericEmail(r.clientEmail, personalizedSubject, `<p>${finalMsg.replace(/\n/g, '<br/>')}</p>`);
-                        // Billing email
-                        try {
-                            const unit = 5; // cents
-                            await supabaseAdmin.from('billing_usage_events').insert([{ dealer_id: dealerId, event_type: 'email', quantity: 1, unit_cost_cents: unit, total_cost_cents: unit }]);
-                            const { data: bal } = await supabaseAdmin.from('dealer_billing_accounts').select('balance_cents').eq('dealer_id', dealerId).order('updated_at', { ascending: false }).limit(1);
-                            const current = bal?.[0]?.balance_cents ?? 0;
-                            await supabaseAdmin.from('dealer_billing_accounts').update({ balance_cents: current - unit, updated_at: new Date().toISOString() }).eq('dealer_id', dealerId);
-                        } catch (e) { console.warn('billing email event failed', e.message); }
-                    } else if (channel === 'whatsapp' && twilioClient && r.clientPhone) {
-                        try {
-                            // Try WhatsApp first
-                            const whatsappMessage = await twilioClient.messages.create({
-                                body: finalMsg,
-                                from: process.env.TWILIO_WHATSAPP_FROM,
-                                to: `whatsapp:${r.clientPhone}`
-                            });
-                            sendResult = { success: true, sid: whatsappMessage.sid, channel: 'whatsapp' };
-                            
-                            // Billing for WhatsApp
-                            try {
-                                const unit = 10; // cents
-                                await supabaseAdmin.from('billing_usage_events').insert([{
-                                    dealer_id: dealerId,
-                                    event_type: 'whatsapp',
-                                    quantity: 1,
-                                    unit_cost_cents: unit,
-                                    total_cost_cents: unit
-                                }]);
-                                const { data: bal } = await supabaseAdmin.from('dealer_billing_accounts').select('balance_cents').eq('dealer_id', dealerId).order('updated_at', { ascending: false }).limit(1);
-                                const current = bal?.[0]?.balance_cents ?? 0;
-                                await supabaseAdmin.from('dealer_billing_accounts').update({ balance_cents: current - unit, updated_at: new Date().toISOString() }).eq('dealer_id', dealerId);
-                            } catch (e) { console.warn('billing whatsapp event failed', e.message); }
-                        } catch (whatsappError) {
-                            // SMS fallback for specific WhatsApp errors
-                            if ((whatsappError.code === 21910 || whatsappError.code === 63016) && process.env.TWILIO_SMS_FROM) {
-                                console.log(`WhatsApp failed for ${r.clientPhone} (${whatsappError.code}), trying SMS fallback...`);
-                                try {
-                                    const smsMessage = await twilioClient.messages.create({
-                                        body: finalMsg,
-                                        from: process.env.TWILIO_SMS_FROM,
-                                        to: r.clientPhone
-                                    });
-                                    sendResult = { success: true, sid: smsMessage.sid, channel: 'sms', fallback: true };
-                                    
-                                    // Billing for SMS fallback
-                                    try {
-                                        const unit = 8; // cents
-                                        await supabaseAdmin.from('billing_usage_events').insert([{
-                                            dealer_id: dealerId,
-                                            event_type: 'sms',
-                                            quantity: 1,
-                                            unit_cost_cents: unit,
-                                            total_cost_cents: unit
-                                        }]);
-                                        const { data: bal } = await supabaseAdmin.from('dealer_billing_accounts').select('balance_cents').eq('dealer_id', dealerId).order('updated_at', { ascending: false }).limit(1);
-                                        const current = bal?.[0]?.balance_cents ?? 0;
-                                        await supabaseAdmin.from('dealer_billing_accounts').update({ balance_cents: current - unit, updated_at: new Date().toISOString() }).eq('dealer_id', dealerId);
-                                    } catch (e) { console.warn('billing sms event failed', e.message); }
-                                } catch (smsError) {
-                                    console.error(`SMS fallback also failed for ${r.clientPhone}:`, smsError.message);
-                                    sendResult = { success: false, error: `WhatsApp failed (${whatsappError.code}), SMS fallback failed: ${smsError.message}` };
-                                }
-                            } else {
-                                console.error(`WhatsApp failed for ${r.clientPhone}:`, whatsappError.message);
-                                sendResult = { success: false, error: whatsappError.message };
-                            }
-                        }
-                    } else if (channel === 'whatsapp' && !twilioClient) {
-                        console.error('❌ WhatsApp requested but Twilio client not available');
-                        sendResult = { success: false, error: 'Twilio client not initialized' };
-                    } else if (channel === 'whatsapp' && !r.clientPhone) {
-                        console.error('❌ WhatsApp requested but no client phone number');
-                        sendResult = { success: false, error: 'No client phone number' };
+            if (send && !skipped.has(i)) {
+                let personalizedSubject = null;
+                if (channel === 'email') {
+                    // Personalize email subject with same replacements as message
+                    personalizedSubject = emailSubject || (language === 'it' ? 'Comunicazione Service Portal' : 'Service Portal Communication');
+                    for (const [token, value] of Object.entries(replacements)) {
+                        personalizedSubject = personalizedSubject.replace(new RegExp(token, 'g'), value);
                     }
-                } catch (e) {
-                    console.error('WhatsApp sending failed:', e.message);
-                    sendResult = { success: false, error: e.message };
                 }
+                queued.push({ certificateId: r.id, name: name || null, email: r.clientEmail, phone: r.clientPhone, subject: personalizedSubject, message: finalMsg });
             }
 
-            results.push({ certificateId: r.id, message: finalMsg, sendResult });
+            results.push({ certificateId: r.id, message: finalMsg });
         }
 
-        // Costs
-        const emailCount = send && channel === 'email' ? results.filter(r => r.sendResult?.success).length : 0;
-        const waCount = send && channel === 'whatsapp' ? results.filter(r => r.sendResult?.success && r.sendResult?.channel === 'whatsapp').length : 0;
-        const smsCount = send && channel === 'whatsapp' ? results.filter(r => r.sendResult?.success && r.sendResult?.channel === 'sms').length : 0;
-        const email_cents = emailCount * 5;
-        const whatsapp_cents = waCount * 10;
-        const sms_cents = smsCount * 8;
-        const openai_cents = !send ? 20 : 0; // one AI call per batch (flat for now) - TODO: adjust for GPT-4o pricing
-        const total_cents = email_cents + whatsapp_cents + sms_cents + openai_cents;
+        // Sending happens in the background: the reservation now belongs to the campaign
+        if (send) {
+            await Consent.record(dealerId, channel, purpose, screened.evidence);
+            const campaign = await enqueueCampaign(req, {
+                dealerId,
+                source: 'ai',
+                channel,
+                language,
+                subject: emailSubject,
+                baseMessage,
+                costCents: oaBilledCents,
+                reservation,
+                recipients: queued,
+                screened,
+                scheduledAt: schedule.scheduledAt
+            });
+            reservation = null;
+            return res.status(202).json({
+                success: true,
+                base_message: baseMessage,
+                email_subject: channel === 'email' ? emailSubject : undefined,
+                campaign,
+                ...screeningReport(recipients, screened),
+                costs: { openai_cents: oaBilledCents, total_cents: oaBilledCents }
+            });
+        }
 
-        if (!send) {
-            // Bill OpenAI once at draft time
-            try {
-                if (openai_cents > 0) {
-                    await supabaseAdmin.from('billing_usage_events').insert([{
-                        dealer_id: dealerId,
-                        event_type: 'openai',
-                        quantity: 1,
-                        unit_cost_cents: openai_cents,
-                        total_cost_cents: openai_cents,
-                        openai_model: oaModel || 'gpt-3.5-turbo',
-                        openai_input_tokens: oaPromptTokens || 0,
-                        openai_output_tokens: oaCompletionTokens || 0,
-                        related_entity: oaIds.join(',') || null
-                    }]);
-                    const { data: bal } = await supabaseAdmin.from('dealer_billing_accounts').select('balance_cents').eq('dealer_id', dealerId).order('updated_at', { ascending: false }).limit(1);
-                    const current = bal?.[0]?.balance_cents ?? 0;
-                    await supabaseAdmin.from('dealer_billing_accounts').update({ balance_cents: current - openai_cents, updated_at: new Date().toISOString() }).eq('dealer_id', dealerId);
-                }
-            } catch (e) { console.warn('billing openai (draft) failed', e.message); }
-            
-            // Get updated balance after AI generation billing
-            let newBalance = null;
-            try {
-                console.log('💰 Fetching updated balance after AI generation for dealer:', dealerId);
-                const { data: balanceData, error } = await supabaseAdmin
-                    .from('dealer_billing_accounts')
-                    .select('balance_cents')
-                    .eq('dealer_id', dealerId)
-                    .single();
-                
-                if (error) {
-                    console.error('💰 Balance query error:', error);
-                } else {
-                    newBalance = balanceData?.balance_cents ?? 0;
-                    console.log('💰 Updated balance after AI generation for dealer', dealerId, ':', newBalance, 'cents');
-                }
-            } catch (e) {
-                console.error('💰 Failed to get updated balance after AI generation:', e);
-            }
-            
-            // Return all results for test mode, or just first for normal preview
-            const isTestMode = req.body.sendToTestClients || false;
-            const returnResults = isTestMode ? results : (results.length ? [results[0]] : []);
-
-            
-            return res.json({ 
-                success: true, 
-                base_message: baseMessage, 
-                email_subject: channel === 'email' ? emailSubject : undefined,
-                results: returnResults, 
-                costs: { email_cents, whatsapp_cents, sms_cents, openai_cents, total_cents },
-                newBalance
-            });
-        }
+        // Preview only: the metered OpenAI call is the only cost so far
+        const openai_cents = oaBilledCents;
 
-        // Get updated balance if messages were sent
+        // Get updated balance after AI generation billing
         let newBalance = null;
-        if (send) {
-            try {
-                console.log('💰 Fetching updated balance for dealer:', dealerId);
-                const { data: balanceData, error } = await supabaseAdmin
-                    .from('dealer_billing_accounts')
-                    .select('balance_cents')
-                    .eq('dealer_id', dealerId)
-                    .single();
-                
-                if (error) {
-                    console.error('💰 Balance query error:', error);
-                } else {
-                    newBalance = balanceData?.balance_cents ?? 0;
-                    console.log('💰 Updated balance for dealer', dealerId, ':', newBalance, 'cents');
-                }
-            } catch (e) {
-                console.error('💰 Failed to get updated balance:', e);
+        try {
+            console.log('💰 Fetching updated balance after AI generation for dealer:', dealerId);
+            const { data: balanceData, error } = await supabaseAdmin
+                .from('dealer_billing_accounts')
+                .select('balance_cents')
+                .eq('dealer_id', dealerId)
+                .single();
+            
+            if (error) {
+                console.error('💰 Balance query error:', error);
+            } else {
+                newBalance = balanceData?.balance_cents ?? 0;
+                console.log('💰 Updated balance after AI generation for dealer', dealerId, ':', newBalance, 'cents');
             }
+        } catch (e) {
+            console.error('💰 Failed to get updated balance after AI generation:', e);
         }
+        
+        // Return all results for test mode, or just first for normal preview
+        const isTestMode = req.body.sendToTestClients || false;
+        const returnResults = isTestMode ? results : (results.length ? [results[0]] : []);
 
-        // Aggregate billing already inserted per message above; just return summary
+        
         return res.json({ 
             success: true, 
             base_message: baseMessage, 
             email_subject: channel === 'email' ? emailSubject : undefined,
-            results, 
-            costs: { email_cents, whatsapp_cents, openai_cents, total_cents },
-            newBalance: send ? newBalance : undefined
+            results: returnResults, 
+            ...screeningReport(recipients, screened),
+            costs: { email_cents: 0, whatsapp_cents: 0, sms_cents: 0, openai_cents, total_cents: openai_cents },
+            newBalance
         });
     } catch (error) {
         console.error('Bulk communications error:', error);
+        if (reservation) await BillingLedger.releaseReservation(reservation.reservationId);
         return res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// Manual message with the tags filled in for one recipient (send-manual and the service reminder rules)
+function personalizeRecipient(recipient, { channel, subject, message, signature, language }) {
+    // Helper function to generate salutation (same logic as frontend)
+    const buildSalutation = (fullName, language = 'it') => {
+        const firstName = (fullName || '').trim().split(/\s+/)[0] || '';
+        if (language === 'it') {
+            if (!firstName) {
+                return 'Gentile Cliente';
+            }
+            const isFemale = isLikelyFemale(firstName);
+            return `Gentile ${firstName}`;
+        }
+        // English
+        return firstName ? `Dear ${firstName}` : 'Dear Customer';
+    };
+
+    const isLikelyFemale = (firstName) => {
+        const name = firstName.toLowerCase();
+        // Lista di nomi femminili comuni
+        const femaleNames = ['anna', 'maria', 'giulia', 'francesca', 'chiara', 'alessia', 'federica', 'valentina', 'paola', 'laura', 'sara', 'elena', 'martina', 'silvia', 'jessica', 'lisa', 'monica', 'claudia', 'alice', 'barbara', 'mary', 'susan', 'jennifer', 'linda', 'patricia', 'elizabeth', 'sarah', 'nancy', 'donna', 'carol', 'ruth', 'sharon', 'michelle', 'laura', 'sarah', 'kimberly', 'deborah', 'dorothy', 'lisa', 'nancy', 'karen', 'betty', 'helen', 'sandra', 'donna', 'carol', 'ruth', 'sharon', 'michelle', 'emily', 'amanda', 'melissa', 'deborah', 'stephanie', 'dorothy', 'rebecca', 'sharon', 'laura', 'cynthia', 'kathleen', 'amy', 'angela', 'brenda', 'emma', 'olivia', 'sophia'];
+        const maleNamesEndingA = ['andrea', 'luca', 'mattia', 'nicola', 'joshua'];
+        
+        if (femaleNames.includes(name)) return true;
+        if (maleNamesEndingA.includes(name)) return false;
+        
+        // Fallback: euristica finale 'a'
+        return name.endsWith('a');
+    };
+
+    // Build full name for salutation
+    const fullName = `${recipient.firstName || ''} ${recipient.lastName || ''}`.trim() || recipient.name || '';
+
+    // Replace tags in message (support both languages)
+    const tagReplacements = {
+        // Salutation tag (the missing piece!)
+        '{SALUTATION}': buildSalutation(fullName, language),
+        // Italian tags
+        '{NOME}': recipient.firstName || recipient.name || '',
+        '{COGNOME}': recipient.lastName || '',
+        '{TELEFONO}': recipient.phone || '',
+        '{VEICOLO}': recipient.vehicle || '',
+        '{TARGA}': recipient.plate || '',
+        '{ANNO}': recipient.year || '',
+        '{CARBURANTE}': recipient.fuel || '',
+        // English tags
+        '{NAME}': recipient.firstName || recipient.name || '',
+        '{SURNAME}': recipient.lastName || '',
+        '{PHONE}': recipient.phone || '',
+        '{VEHICLE}': recipient.vehicle || '',
+        '{PLATE}': recipient.plate || '',
+        '{YEAR}': recipient.year || '',
+        '{FUEL}': recipient.fuel || '',
+        // Common tags
+        '{COMPANY_NAME}': recipient.companyName || '',
+        '{EMAIL}': recipient.email || '',
+        '{KM}': recipient.km || '',
+        '{VIN}': recipient.vin || '',
+        '{SERIAL}': recipient.serial || '',
+        '{CTA_TAGLIANDO}': language === 'it' ? 
+            'Prenota il tuo tagliando su: https://mobisat.com/tagliando' : 
+            'Book your service at: https://mobisat.com/service'
+    };
+
+    let personalizedMessage = message;
+    let personalizedSubject = subject || '';
+
+    // Replace tags in message and subject
+    Object.entries(tagReplacements).forEach(([tag, value]) => {
+        const regex = new RegExp(tag, 'g');
+        personalizedMessage = personalizedMessage.replace(regex, value);
+        personalizedSubject = personalizedSubject.replace(regex, value);
+    });
+
+    // Add signature if provided
+    if (signature && signature.trim()) {
+        personalizedMessage += `\n\n${signature}`;
+    }
+
+    return {
+        certificateId: recipient.id || null,
+        name: fullName || null,
+        email: recipient.email,
+        phone: recipient.phone,
+        subject: channel === 'email' ? personalizedSubject : null,
+        message: personalizedMessage
+    };
+}
+
 // Manual communication endpoint (without AI)
-app.post('/api/communications/send-manual', express.json(), async (req, res) => {
+app.post('/api/communications/send-manual', express.json(), ApiAuthorization.requirePermission('communications_send'), async (req, res) => {
+    let reservation = null;
     try {
-        const { dealerId, channel, subject, message, signature, recipients, language = 'it' } = req.body;
+        const { dealerId, channel, subject, message, signature, recipients, language = 'it', purpose = 'marketing', sendToTestClients = false } = req.body;
         console.log('🌐 Server received language:', language);
 
         if (!Array.isArray(recipients) || recipients.length === 0) {
@@ -1900,6 +1747,10 @@ app.post('/api/communications/send-manual', express.json(), async (req, res) =>
             return res.status(400).json({ success: false, error: 'invalid_channel' });
         }
 
+        if (recipients.length > CampaignQueue.maxRecipients) {
+            return res.status(400).json({ success: false, error: 'too_many_recipients', max: CampaignQueue.maxRecipients });
+        }
+
         if (!message || !message.trim()) {
             return res.status(400).json({ success: false, error: 'no_message' });
         }
@@ -1908,331 +1759,712 @@ app.post('/api/communications/send-manual', express.json(), async (req, res) =>
             return res.status(400).json({ success: false, error: 'no_subject' });
         }
 
-        const results = [];
-        let sentCount = 0;
+        if (!Consent.purposes.includes(purpose)) {
+            return res.status(400).json({ success: false, error: 'invalid_purpose' });
+        }
 
+        const schedule = CampaignQueue.parseSchedule(req.body.scheduledAt);
+        if (!schedule.valid) {
+            return res.status(400).json({ success: false, error: 'invalid_schedule' });
+        }
 
+        if (!dealerId) {
+            return res.status(400).json({ success: false, error: 'missing_dealer_id' });
+        }
 
-        for (const recipient of recipients) {
-            try {
+        // Recipients without consent for the purpose, or who bounced, complained or opted out, are left out and reported back
+        const screened = await screenRecipients({
+            dealerId,
+            channel,
+            purpose,
+            recipients,
+            contactOf: r => channel === 'email' ? r.email : r.phone,
+            testClients: !!sendToTestClients
+        });
+        const allowed = recipients.filter((r, i) => !screened.skipped.has(i));
+        if (!allowed.length) {
+            return res.status(400).json(nothingToSend(recipients, screened, language));
+        }
 
-                
-                // Helper function to generate salutation (same logic as frontend)
-                const buildSalutation = (fullName, language = 'it') => {
-                    const firstName = (fullName || '').trim().split(/\s+/)[0] || '';
-                    if (language === 'it') {
-                        if (!firstName) {
-                            return 'Gentile Cliente';
-                        }
-                        const isFemale = isLikelyFemale(firstName);
-                        return `Gentile ${firstName}`;
-                    }
-                    // English
-                    return firstName ? `Dear ${firstName}` : 'Dear Customer';
-                };
+        const pricePlan = await BillingPricing.getPlan(dealerId);
+        const reserved = await reserveBatchCredit(dealerId, channel, allowed, language, pricePlan);
+        if (reserved.body) {
+            return res.status(reserved.status).json(reserved.body);
+        }
+        reservation = reserved.reservation;
 
-                const isLikelyFemale = (firstName) => {
-                    const name = firstName.toLowerCase();
-                    // Lista di nomi femminili comuni
-                    const femaleNames = ['anna', 'maria', 'giulia', 'francesca', 'chiara', 'alessia', 'federica', 'valentina', 'paola', 'laura', 'sara', 'elena', 'martina', 'silvia', 'jessica', 'lisa', 'monica', 'claudia', 'alice', 'barbara', 'mary', 'susan', 'jennifer', 'linda', 'patricia', 'elizabeth', 'sarah', 'nancy', 'donna', 'carol', 'ruth', 'sharon', 'michelle', 'laura', 'sarah', 'kimberly', 'deborah', 'dorothy', 'lisa', 'nancy', 'karen', 'betty', 'helen', 'sandra', 'donna', 'carol', 'ruth', 'sharon', 'michelle', 'emily', 'amanda', 'melissa', 'deborah', 'stephanie', 'dorothy', 'rebecca', 'sharon', 'laura', 'cynthia', 'kathleen', 'amy', 'angela', 'brenda', 'emma', 'olivia', 'sophia'];
-                    const maleNamesEndingA = ['andrea', 'luca', 'mattia', 'nicola', 'joshua'];
-                    
-                    if (femaleNames.includes(name)) return true;
-                    if (maleNamesEndingA.includes(name)) return false;
-                    
-                    // Fallback: euristica finale 'a'
-                    return name.endsWith('a');
-                };
+        const queued = allowed.map(recipient => personalizeRecipient(recipient, { channel, subject, message, signature, language }));
 
-                // Build full name for salutation
-                const fullName = `${recipient.firstName || ''} ${recipient.lastName || ''}`.trim() || recipient.name || '';
-
-                // Replace tags in message (support both languages)
-                const tagReplacements = {
-                    // Salutation tag (the missing piece!)
-                    '{SALUTATION}': buildSalutation(fullName, language),
-                    // Italian tags
-                    '{NOME}': recipient.firstName || recipient.name || '',
-                    '{COGNOME}': recipient.lastName || '',
-                    '{TELEFONO}': recipient.phone || '',
-                    '{VEICOLO}': recipient.vehicle || '',
-                    '{TARGA}': recipient.plate || '',
-                    '{ANNO}': recipient.year || '',
-                    '{CARBURANTE}': recipient.fuel || '',
-                    // English tags
-                    '{NAME}': recipient.firstName || recipient.name || '',
-                    '{SURNAME}': recipient.lastName || '',
-                    '{PHONE}': recipient.phone || '',
-                    '{VEHICLE}': recipient.vehicle || '',
-                    '{PLATE}': recipient.plate || '',
-                    '{YEAR}': recipient.year || '',
-                    '{FUEL}': recipient.fuel || '',
-                    // Common tags
-                    '{COMPANY_NAME}': recipient.companyName || '',
-                    '{EMAIL}': recipient.email || '',
-                    '{KM}': recipient.km || '',
-                    '{VIN}': recipient.vin || '',
-                    '{SERIAL}': recipient.serial || '',
-                    '{CTA_TAGLIANDO}': language === 'it' ? 
-                        'Prenota il tuo tagliando su: https://mobisat.com/tagliando' : 
-                        'Book your service at: https://mobisat.com/service'
-                };
+        // Sending happens in the background: the reservation now belongs to the campaign
+        await Consent.record(dealerId, channel, purpose, screened.evidence);
+        const campaign = await enqueueCampaign(req, {
+            dealerId,
+            source: 'manual',
+            channel,
+            language,
+            subject,
+            baseMessage: message,
+            reservation,
+            recipients: queued,
+            screened,
+            scheduledAt: schedule.scheduledAt
+        });
+        reservation = null;
 
-                let personalizedMessage = message;
-                let personalizedSubject = subject || '';
+        return res.status(202).json({
+            success: true,
+            campaign,
+            queued: campaign.total - campaign.failed,
+            total: recipients.length,
+            ...screeningReport(recipients, screened)
+        });
 
-                // Replace tags in message and subject
-                Object.entries(tagReplacements).forEach(([tag, value]) => {
-                    const regex = new RegExp(tag, 'g');
-                    personalizedMessage = personalizedMessage.replace(regex, value);
-                    personalizedSubject = personalizedSubject.replace(regex, value);
-                });
+    } catch (error) {
+        console.error('Manual communication error:', error);
+        if (reservation) await BillingLedger.releaseReservation(reservation.reservationId);
+        return res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-                // Add signature if provided
-                if (signature && signature.trim()) {
-                    personalizedMessage += `\n\n${signature}`;
-                }
+// Days and hours the dealer's campaign messages may go out, in the recipient's time zone (js/send-window.js)
+app.get('/api/communications/send-window', async (req, res) => {
+    try {
+        const window = await SendWindow.get(req.auth.dealerId);
+        res.json({ success: true, data: window });
+    } catch (error) {
+        console.error('Get send window error:', error);
+        res.status(500).json({ success: false, error: 'send_window_fetch_failed' });
+    }
+});
 
-                let sendResult = { success: false };
+app.put('/api/communications/send-window', express.json(), ApiAuthorization.requirePermission('communications_send'), async (req, res) => {
+    const { timezone, start, end, days } = req.body || {};
+    try {
+        const result = await SendWindow.update(req.auth.dealerId, { timezone, start, end, days }, req.auth.email || null);
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+        const settings = ({ timezone, start, end, days }) => ({ timezone, start, end, days });
+        await AuditLog.record(req, {
+            action: 'communications.send_window_update',
+            targetType: 'send_window',
+            targetId: req.auth.dealerId,
+            before: settings(result.previous),
+            after: settings(result.data)
+        });
+        res.json({ success: true, data: result.data });
+    } catch (error) {
+        console.error('Update send window error:', error);
+        res.status(500).json({ success: false, error: 'send_window_update_failed' });
+    }
+});
 
-                if (channel === 'email' && recipient.email) {
-                    sendResult = await emailService.sendGenericEmail(
-                        recipient.email,
-                        personalizedSubject,
-                        `<p>${personalizedMessage.replace(/\n/g, '<br/>')}</p>`
-                    );
-                    
-                    if (sendResult.success) {
-                        sentCount++;
-                        // Billing for email
-                        try {
-                            const unit = 5; // cents
-                            await supabaseAdmin.from('billing_usage_events').insert([{
-                                dealer_id: dealerId,
-                                event_type: 'email',
-                                quantity: 1,
-                                unit_cost_cents: unit,
-                                total_cost_cents: unit
-                            }]);
-                            const { data: bal } = await supabaseAdmin.from('dealer_billing_accounts')
-                                .select('balance_cents')
-                                .eq('dealer_id', dealerId)
-                                .order('updated_at', { ascending: false })
-                                .limit(1);
-                            const current = bal?.[0]?.balance_cents ?? 0;
-                            await supabaseAdmin.from('dealer_billing_accounts')
-                                .update({ balance_cents: current - unit, updated_at: new Date().toISOString() })
-                                .eq('dealer_id', dealerId);
-                        } catch (e) {
-                            console.warn('billing email event failed', e.message);
-                        }
-                    }
-                } else if (channel === 'whatsapp' && twilioClient && recipient.phone) {
-                    try {
-                        // Try WhatsApp first
-                        const whatsappMessage = await twilioClient.messages.create({
-                            body: personalizedMessage,
-                            from: process.env.TWILIO_WHATSAPP_FROM,
-                            to: `whatsapp:${recipient.phone}`
-                        });
-                        sendResult = { success: true, sid: whatsappMessage.sid, channel: 'whatsapp' };
-                    } catch (whatsappError) {
-                        // SMS fallback for specific WhatsApp errors
-                        if ((whatsappError.code === 21910 || whatsappError.code === 63016) && process.env.TWILIO_SMS_FROM) {
-                            console.log(`WhatsApp failed for ${recipient.phone} (${whatsappError.code}), trying SMS fallback...`);
-                            try {
-                                const smsMessage = await twilioClient.messages.create({
-                                    body: personalizedMessage,
-                                    from: process.env.TWILIO_SMS_FROM,
-                                    to: recipient.phone
-                                });
-                                sendResult = { success: true, sid: smsMessage.sid, channel: 'sms', fallback: true };
-                            } catch (smsError) {
-                                console.error(`SMS fallback also failed for ${recipient.phone}:`, smsError.message);
-                                sendResult = { success: false, error: `WhatsApp failed (${whatsappError.code}), SMS fallback failed: ${smsError.message}` };
-                            }
-                        } else {
-                            console.error(`WhatsApp failed for ${recipient.phone}:`, whatsappError.message);
-                            sendResult = { success: false, error: whatsappError.message };
-                        }
-                    }
-                    
-                    if (sendResult.success) {
-                        sentCount++;
-                        // Billing based on actual channel used
-                        const isWhatsApp = sendResult.channel === 'whatsapp';
-                        const unit = isWhatsApp ? 10 : 8; // WhatsApp: €0.10, SMS: €0.08
-                        const eventType = isWhatsApp ? 'whatsapp' : 'sms';
-                        
-                        try {
-                            await supabaseAdmin.from('billing_usage_events').insert([{
-                                dealer_id: dealerId,
-                                event_type: eventType,
-                                quantity: 1,
-                                unit_cost_cents: unit,
-                                total_cost_cents: unit
-                            }]);
-                            const { data: bal } = await supabaseAdmin.from('dealer_billing_accounts')
-                                .select('balance_cents')
-                                .eq('dealer_id', dealerId)
-                                .order('updated_at', { ascending: false })
-                                .limit(1);
-                            const current = bal?.[0]?.balance_cents ?? 0;
-                            await supabaseAdmin.from('dealer_billing_accounts')
-                                .update({ balance_cents: current - unit, updated_at: new Date().toISOString() })
-                                .eq('dealer_id', dealerId);
-                        } catch (e) {
-                            console.warn(`billing ${eventType} event failed`, e.message);
-                        }
-                    }
-                } else if (channel === 'whatsapp' && !twilioClient) {
-                    console.error('❌ WhatsApp requested but Twilio client not available');
-                    sendResult = { success: false, error: 'Twilio client not initialized' };
-                } else if (channel === 'whatsapp' && !recipient.phone) {
-                    console.error('❌ WhatsApp requested but no recipient phone number');
-                    sendResult = { success: false, error: 'No recipient phone number' };
-                }
+// Consent and suppression screening of the selected recipients, shown before a send (manual dialog preview)
+app.post('/api/communications/consent-check', express.json(), ApiAuthorization.requirePermission('communications_send'), async (req, res) => {
+    const { channel, recipients, purpose = 'marketing', sendToTestClients = false } = req.body;
+    if (!Array.isArray(recipients) || recipients.length > CampaignQueue.maxRecipients) {
+        return res.status(400).json({ success: false, error: 'invalid_recipients' });
+    }
+    if (!['email', 'whatsapp'].includes(channel)) {
+        return res.status(400).json({ success: false, error: 'invalid_channel' });
+    }
+    if (!Consent.purposes.includes(purpose)) {
+        return res.status(400).json({ success: false, error: 'invalid_purpose' });
+    }
 
-                results.push({
-                    recipient: recipient.name || recipient.email,
-                    success: sendResult.success,
-                    error: sendResult.error || null
-                });
+    try {
+        const screened = await screenRecipients({
+            dealerId: req.auth.dealerId,
+            channel,
+            purpose,
+            recipients,
+            contactOf: r => channel === 'email' ? r.email : r.phone,
+            testClients: !!sendToTestClients
+        });
+        res.json({ success: true, total: recipients.length, eligible: recipients.length - screened.skipped.size, ...screeningReport(recipients, screened) });
+    } catch (error) {
+        console.error('Consent check error:', error);
+        res.status(500).json({ success: false, error: 'consent_check_failed' });
+    }
+});
 
-            } catch (error) {
-                console.error(`Error sending to ${recipient.name || recipient.email}:`, error);
-                results.push({
-                    recipient: recipient.name || recipient.email,
-                    success: false,
-                    error: error.message
-                });
-            }
-        }
+// One run of a service reminder rule (js/service-reminders.js): the vehicles due are screened for consent and
+// suppressions like any 'service' send and queued as a 'reminder' campaign of the rule's template. Vehicles left
+// out are logged too, so they wait for the next milestone / cooldown. dryRun only reports who would get it
+async function runServiceReminderRule(rule, { dryRun = false } = {}) {
+    const template = await ServiceReminders.template(rule.dealer_id, rule.template_id);
+    if (!template) return { success: false, error: 'invalid_template' };
+    const channel = template.channel;
+    const contactOf = r => channel === 'email' ? r.email : r.phone;
+
+    const evaluation = await ServiceReminders.evaluate(rule);
+    // The rest are still due tomorrow
+    const due = evaluation.due.slice(0, CampaignQueue.maxRecipients);
+    const recipients = due.map(match => match.recipient);
+    const screened = await screenRecipients({ dealerId: rule.dealer_id, channel, purpose: 'service', recipients, contactOf });
+    const vehicles = due.map((match, index) => ({
+        ...match,
+        reason: screened.skipped.get(index) || (contactOf(match.recipient) ? null : (channel === 'email' ? 'no_email' : 'no_phone'))
+    }));
+    const allowed = vehicles.filter(vehicle => !vehicle.reason);
+
+    if (dryRun) {
+        return {
+            success: true,
+            channel,
+            template: { id: template.id, name: template.name },
+            cooling: evaluation.cooling,
+            eligible: allowed.length,
+            vehicles: vehicles.map(({ recipient, ...vehicle }) => ({ ...vehicle, name: recipient.name, contact: contactOf(recipient) || null }))
+        };
+    }
+    if (!vehicles.length) return { success: true, queued: 0, excluded: 0, campaignId: null };
 
-        // Get updated balance
-        let newBalance = null;
+    let campaign = null;
+    if (allowed.length) {
+        const pricePlan = await BillingPricing.getPlan(rule.dealer_id);
+        const reserved = await reserveBatchCredit(rule.dealer_id, channel, allowed.map(vehicle => vehicle.recipient), rule.language, pricePlan);
+        if (reserved.body) return { success: false, error: reserved.body.error };
         try {
-            console.log('💰 Fetching balance for dealer:', dealerId);
-            const { data: balanceData, error } = await supabaseAdmin
-                .from('dealer_billing_accounts')
-                .select('balance_cents')
-                .eq('dealer_id', dealerId)
-                .order('updated_at', { ascending: false })
-                .limit(1);
-            
-            console.log('💰 Balance query result:', { data: balanceData, error });
-            
-            if (error) {
-                console.error('💰 Balance query error:', error);
-            }
-            
-            newBalance = balanceData?.[0]?.balance_cents ?? 0;
-            console.log('💰 Final balance for dealer', dealerId, ':', newBalance, 'cents');
-        } catch (e) {
-            console.error('💰 Failed to get updated balance:', e);
+            await Consent.record(rule.dealer_id, channel, 'service', screened.evidence);
+            campaign = await CampaignQueue.enqueue({
+                dealerId: Number(rule.dealer_id),
+                source: 'reminder',
+                channel,
+                language: rule.language,
+                subject: channel === 'email' ? template.email_subject : null,
+                baseMessage: template.message_content,
+                template: { id: template.id, name: template.name },
+                filters: { reminderRule: { id: rule.id, name: rule.name } },
+                reservationId: reserved.reservation?.reservationId || null,
+                purpose: 'service',
+                excluded: exclusionCounts(screened),
+                recipients: allowed.map(vehicle => personalizeRecipient(vehicle.recipient, {
+                    channel,
+                    subject: template.email_subject,
+                    message: template.message_content,
+                    signature: null,
+                    language: rule.language
+                }))
+            });
+        } catch (error) {
+            if (reserved.reservation) await BillingLedger.releaseReservation(reserved.reservation.reservationId);
+            throw error;
         }
+    }
 
-        return res.json({
-            success: true,
-            sent: sentCount,
-            total: recipients.length,
-            results,
-            newBalance
-        });
+    await ServiceReminders.recordFired(rule, vehicles.map(vehicle => ({ ...vehicle, status: vehicle.reason ? 'excluded' : 'queued' })), campaign?.id || null);
+    console.log(`🔔 Regola promemoria "${rule.name}" (dealer ${rule.dealer_id}): ${allowed.length} in coda, ${vehicles.length - allowed.length} esclusi`);
+    return { success: true, queued: allowed.length, excluded: vehicles.length - allowed.length, campaignId: campaign?.id || null };
+}
 
+// Rule settings as kept in the audit trail
+function reminderRuleSettings(rule) {
+    if (!rule) return null;
+    const { last_run_at, last_result, created_at, updated_at, ...settings } = rule;
+    return settings;
+}
+
+// Service reminder rules of the dealer, with the templates a rule can send
+app.get('/api/service-reminders', async (req, res) => {
+    try {
+        const [rules, templates] = await Promise.all([
+            ServiceReminders.list(req.auth.dealerId),
+            ServiceReminders.templates(req.auth.dealerId)
+        ]);
+        res.json({ success: true, data: rules, templates });
     } catch (error) {
-        console.error('Manual communication error:', error);
-        return res.status(500).json({ success: false, error: error.message });
+        console.error('Get service reminders error:', error);
+        res.status(500).json({ success: false, error: 'service_reminders_fetch_failed' });
     }
 });
 
-// Email service status endpoint
-app.get('/api/email/status', (req, res) => {
-    res.status(200).json({
-        success: true,
-        emailService: emailService.getStatus()
-    });
+app.post('/api/service-reminders', express.json(), ApiAuthorization.requirePermission('communications_send'), async (req, res) => {
+    try {
+        const result = await ServiceReminders.create(req.auth.dealerId, req.body || {}, req.auth.email || null);
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+        await AuditLog.record(req, {
+            action: 'service_reminder.create',
+            targetType: 'service_reminder_rule',
+            targetId: result.data.id,
+            after: reminderRuleSettings(result.data)
+        });
+        res.status(201).json({ success: true, data: result.data });
+    } catch (error) {
+        console.error('Create service reminder error:', error);
+        res.status(500).json({ success: false, error: 'service_reminder_save_failed' });
+    }
 });
 
-// Database status endpoint (dual database setup)
-app.get('/api/database/status', async (req, res) => {
+app.put('/api/service-reminders/:ruleId', express.json(), ApiAuthorization.requirePermission('communications_send'), async (req, res) => {
     try {
-        const supabaseStatus = await SupabasePinManager.testConnection();
-        const pinStats = await SupabasePinManager.getPinStats();
-        
-        res.status(200).json({
-            success: true,
-            databases: {
-                postgresql: {
-                    status: 'readonly',
-                    description: 'Existing Mobisat database (read-only)',
-                    tables: ['dealer', 'certificate', 'vehicle', 'etc...']
-                },
-                supabase: {
-                    status: supabaseStatus.success ? 'connected' : 'error',
-                    description: 'New database for PIN storage and future features',
-                    error: supabaseStatus.error || null,
-                    pinStats: pinStats
-                }
-            },
-            dualDatabaseSetup: {
-                description: 'PostgreSQL (read) + Supabase (write)',
-                pinStorage: 'Supabase',
-                dealerData: 'PostgreSQL'
-            }
+        const result = await ServiceReminders.update(req.params.ruleId, req.body || {}, req.auth.email || null);
+        if (!result.success) {
+            return res.status(result.error === 'rule_not_found' ? 404 : 400).json(result);
+        }
+        await AuditLog.record(req, {
+            action: 'service_reminder.update',
+            targetType: 'service_reminder_rule',
+            targetId: result.data.id,
+            before: reminderRuleSettings(result.previous),
+            after: reminderRuleSettings(result.data)
         });
+        res.json({ success: true, data: result.data });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
+        console.error('Update service reminder error:', error);
+        res.status(500).json({ success: false, error: 'service_reminder_save_failed' });
+    }
+});
+
+app.delete('/api/service-reminders/:ruleId', ApiAuthorization.requirePermission('communications_send'), async (req, res) => {
+    try {
+        const rule = await ServiceReminders.remove(req.params.ruleId);
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'rule_not_found' });
+        }
+        await AuditLog.record(req, {
+            action: 'service_reminder.delete',
+            targetType: 'service_reminder_rule',
+            targetId: rule.id,
+            before: reminderRuleSettings(rule)
         });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete service reminder error:', error);
+        res.status(500).json({ success: false, error: 'service_reminder_delete_failed' });
     }
 });
 
-// Database configuration from environment variables
-const dbConfig = {
-    host: process.env.DATABASE_HOST || 'devmobisat.ca15w70vfof5.eu-south-1.rds.amazonaws.com',
-    port: parseInt(process.env.DATABASE_PORT) || 5432,
-    user: process.env.DATABASE_USER || 'readonly_user',
-    password: process.env.DATABASE_PASSWORD || '34Ahs09gthsalgh922w4ghkajgehkag',
-    database: process.env.DATABASE_NAME || 'mobisat',
-    ssl: {
-        rejectUnauthorized: false
-    },
-    connectionTimeoutMillis: 5000,
-    idleTimeoutMillis: 30000,
-    max: 10
-};
+// Dry run: the vehicles the rule would message tonight, and why the others would be left out
+app.get('/api/service-reminders/:ruleId/preview', async (req, res) => {
+    try {
+        const rule = await ServiceReminders.get(req.params.ruleId);
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'rule_not_found' });
+        }
+        const result = await runServiceReminderRule(rule, { dryRun: true });
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        console.error('Service reminder preview error:', error);
+        res.status(500).json({ success: false, error: 'service_reminder_preview_failed' });
+    }
+});
 
-// Create connection pool
-const pool = new Pool(dbConfig);
+// What the rules fired (?ruleId= for one rule)
+app.get('/api/service-reminders/log', async (req, res) => {
+    const { ruleId, limit, offset } = req.query;
+    try {
+        const { data, total } = await ServiceReminders.log(req.auth.dealerId, { ruleId, limit, offset });
+        res.json({ success: true, data, total });
+    } catch (error) {
+        console.error('Service reminder log error:', error);
+        res.status(500).json({ success: false, error: 'service_reminder_log_failed' });
+    }
+});
 
-// Test database connection
-pool.on('connect', () => {
-    console.log('Connected to Mobisat PostgreSQL database');
+// Vehicle alerts of the dealer (the inbox), newest first. ?status= open, acknowledged, resolved or unresolved
+app.get('/api/alerts', async (req, res) => {
+    const { status, severity, kind, deviceId, limit, offset } = req.query;
+    try {
+        const { data, total } = await VehicleAlerts.list(req.auth.dealerId, { status, severity, kind, deviceId, limit, offset });
+        res.json({ success: true, data, total });
+    } catch (error) {
+        console.error('Get vehicle alerts error:', error);
+        res.status(500).json({ success: false, error: 'alerts_fetch_failed' });
+    }
 });
 
-pool.on('error', (err) => {
-    console.error('Database connection error:', err);
+// Alerts nobody acknowledged yet, for the badge of the sidebar
+app.get('/api/alerts/summary', async (req, res) => {
+    try {
+        res.json({ success: true, ...(await VehicleAlerts.summary(req.auth.dealerId)) });
+    } catch (error) {
+        console.error('Vehicle alerts summary error:', error);
+        res.status(500).json({ success: false, error: 'alerts_fetch_failed' });
+    }
 });
 
-// Database helper functions
-class DatabaseManager {
-    static async executeQuery(query, params = []) {
-        const client = await pool.connect();
-        try {
-            const result = await client.query(query, params);
-            return result.rows;
-        } catch (error) {
-            console.error('Database query error:', error);
-            throw error;
-        } finally {
-            client.release();
-        }
+app.get('/api/alerts/settings', async (req, res) => {
+    try {
+        res.json({ success: true, data: await VehicleAlerts.getSettings(req.auth.dealerId) });
+    } catch (error) {
+        console.error('Get alert settings error:', error);
+        res.status(500).json({ success: false, error: 'alert_settings_fetch_failed' });
     }
-    
-    static async getDealerByEmail(email) {
-        const query = `
+});
+
+app.put('/api/alerts/settings', express.json(), ApiAuthorization.requirePermission('alerts_manage'), async (req, res) => {
+    try {
+        const result = await VehicleAlerts.updateSettings(req.auth.dealerId, req.body || {}, req.auth.email || null);
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+        const settings = ({ email_enabled, alert_email, whatsapp_enabled, whatsapp_phone, min_severity }) =>
+            ({ email_enabled, alert_email, whatsapp_enabled, whatsapp_phone, min_severity });
+        await AuditLog.record(req, {
+            action: 'vehicle_alert.settings_update',
+            targetType: 'alert_settings',
+            targetId: req.auth.dealerId,
+            before: settings(result.previous),
+            after: settings(result.data)
+        });
+        res.json({ success: true, data: result.data });
+    } catch (error) {
+        console.error('Update alert settings error:', error);
+        res.status(500).json({ success: false, error: 'alert_settings_save_failed' });
+    }
+});
+
+app.post('/api/alerts/:alertId/acknowledge', ApiAuthorization.requirePermission('alerts_manage'), async (req, res) => {
+    try {
+        const result = await VehicleAlerts.acknowledge(req.params.alertId, req.auth.email || null);
+        if (!result.success) {
+            return res.status(result.error === 'alert_not_found' ? 404 : 409).json(result);
+        }
+        await AuditLog.record(req, {
+            action: 'vehicle_alert.acknowledge',
+            targetType: 'vehicle_alert',
+            targetId: result.data.id,
+            before: { status: result.previous.status },
+            after: { status: result.data.status }
+        });
+        res.json({ success: true, data: result.data });
+    } catch (error) {
+        console.error('Acknowledge vehicle alert error:', error);
+        res.status(500).json({ success: false, error: 'alert_update_failed' });
+    }
+});
+
+app.post('/api/alerts/:alertId/resolve', express.json(), ApiAuthorization.requirePermission('alerts_manage'), async (req, res) => {
+    try {
+        const result = await VehicleAlerts.resolve(req.params.alertId, req.auth.email || null, req.body?.note);
+        if (!result.success) {
+            const status = { alert_not_found: 404, alert_already_resolved: 409 }[result.error] || 400;
+            return res.status(status).json(result);
+        }
+        await AuditLog.record(req, {
+            action: 'vehicle_alert.resolve',
+            targetType: 'vehicle_alert',
+            targetId: result.data.id,
+            before: { status: result.previous.status },
+            after: { status: result.data.status, resolution_note: result.data.resolution_note }
+        });
+        res.json({ success: true, data: result.data });
+    } catch (error) {
+        console.error('Resolve vehicle alert error:', error);
+        res.status(500).json({ success: false, error: 'alert_update_failed' });
+    }
+});
+
+// Twilio message status callback (statusCallback of the campaign sends, see TWILIO_STATUS_CALLBACK_URL).
+// Public route: authenticated by the X-Twilio-Signature header
+app.post('/api/webhooks/twilio/status', express.urlencoded({ extended: false }), async (req, res) => {
+    if (!DeliveryStatus.verifyTwilio(req)) {
+        console.warn(`🚫 Callback Twilio con firma non valida da ${req.ip}`);
+        return res.status(403).json({ success: false, error: 'invalid_signature' });
+    }
+    try {
+        await DeliveryStatus.handleTwilio(req.body);
+        // Twilio only needs a 2xx; anything else is retried
+        res.status(204).end();
+    } catch (error) {
+        console.error('Twilio status callback error:', error);
+        res.status(500).json({ success: false, error: 'delivery_status_failed' });
+    }
+});
+
+// SES bounce / complaint / delivery notifications through an SNS HTTP(S) subscription.
+// SNS posts JSON as text/plain; public route authenticated by the SNS message signature
+app.post('/api/webhooks/ses', express.text({ type: '*/*', limit: '256kb' }), async (req, res) => {
+    let message;
+    try {
+        message = JSON.parse(req.body);
+    } catch (e) {
+        return res.status(400).json({ success: false, error: 'invalid_json' });
+    }
+    if (!(await DeliveryStatus.verifySns(message))) {
+        console.warn(`🚫 Notifica SNS con firma non valida da ${req.ip}`);
+        return res.status(403).json({ success: false, error: 'invalid_signature' });
+    }
+    try {
+        const result = await DeliveryStatus.handleSns(message);
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('SES notification error:', error);
+        res.status(500).json({ success: false, error: 'delivery_status_failed' });
+    }
+});
+
+// Twilio incoming messages ("A message comes in" webhook of the WhatsApp / SMS senders, TWILIO_INCOMING_WEBHOOK_URL):
+// STOP replies suppress the number, START lifts it. Public route: authenticated by the X-Twilio-Signature header
+app.post('/api/webhooks/twilio/incoming', express.urlencoded({ extended: false }), async (req, res) => {
+    if (!DeliveryStatus.verifyTwilio(req, process.env.TWILIO_INCOMING_WEBHOOK_URL)) {
+        console.warn(`🚫 Messaggio Twilio in arrivo con firma non valida da ${req.ip}`);
+        return res.status(403).json({ success: false, error: 'invalid_signature' });
+    }
+    try {
+        await Suppressions.handleReply(req.body);
+        // Empty TwiML: no automatic answer (Twilio confirms STOP on SMS by itself)
+        res.type('text/xml').send('<Response></Response>');
+    } catch (error) {
+        console.error('Twilio incoming message error:', error);
+        res.status(500).json({ success: false, error: 'incoming_message_failed' });
+    }
+});
+
+// Unsubscribe link of the campaign emails (unsubscribe.html): who the link is for, before confirming
+app.get('/api/unsubscribe', async (req, res) => {
+    try {
+        const result = await Suppressions.unsubscribeStatus(req.query.token);
+        if (!result.success) return res.status(400).json(result);
+        const dealer = await DatabaseManager.getDealerById(result.dealerId);
+        res.json({ success: true, email: result.email, dealerName: dealer?.companyName || null, unsubscribed: result.unsubscribed });
+    } catch (error) {
+        console.error('Unsubscribe status error:', error);
+        res.status(500).json({ success: false, error: 'unsubscribe_failed' });
+    }
+});
+
+// Confirmation from unsubscribe.html
+app.post('/api/unsubscribe', async (req, res) => {
+    try {
+        const result = await Suppressions.unsubscribe(req.body?.token, 'page');
+        if (!result.success) return res.status(400).json(result);
+        res.json({ success: true, email: result.email });
+    } catch (error) {
+        console.error('Unsubscribe error:', error);
+        res.status(500).json({ success: false, error: 'unsubscribe_failed' });
+    }
+});
+
+// RFC 8058 one-click unsubscribe: mail clients POST "List-Unsubscribe=One-Click" to the List-Unsubscribe URL
+app.post('/api/unsubscribe/one-click', express.urlencoded({ extended: false }), async (req, res) => {
+    try {
+        const result = await Suppressions.unsubscribe(req.query.token, 'one_click');
+        if (!result.success) return res.status(400).json(result);
+        res.status(204).end();
+    } catch (error) {
+        console.error('One-click unsubscribe error:', error);
+        res.status(500).json({ success: false, error: 'unsubscribe_failed' });
+    }
+});
+
+// Contacts of the dealer that are no longer messaged (?type=email|phone, ?reason=, ?search=)
+app.get('/api/suppressions', async (req, res) => {
+    const { type, reason, search, limit, offset } = req.query;
+    if (type && !['email', 'phone'].includes(type)) {
+        return res.status(400).json({ success: false, error: 'invalid_type' });
+    }
+    if (reason && !Suppressions.reasons.includes(reason)) {
+        return res.status(400).json({ success: false, error: 'invalid_reason' });
+    }
+
+    try {
+        const { data, total } = await Suppressions.list(req.auth.dealerId, { type, reason, search, limit, offset });
+        res.json({ success: true, data, total });
+    } catch (error) {
+        console.error('Get suppressions error:', error);
+        res.status(500).json({ success: false, error: 'suppressions_fetch_failed' });
+    }
+});
+
+// Send history of the dealer, newest first (campaigns.html)
+app.get('/api/campaigns', async (req, res) => {
+    const { status, channel, source, limit, offset } = req.query;
+    if (status && !['scheduled', 'running', 'paused', 'cancelled', 'completed'].includes(status)) {
+        return res.status(400).json({ success: false, error: 'invalid_status' });
+    }
+    if (channel && !['email', 'whatsapp'].includes(channel)) {
+        return res.status(400).json({ success: false, error: 'invalid_channel' });
+    }
+    if (source && !['ai', 'manual', 'reminder'].includes(source)) {
+        return res.status(400).json({ success: false, error: 'invalid_source' });
+    }
+
+    try {
+        const { data, total } = await CampaignQueue.list(req.auth.dealerId, { status, channel, source, limit, offset });
+        res.json({ success: true, data, total });
+    } catch (error) {
+        console.error('Get campaigns error:', error);
+        res.status(500).json({ success: false, error: 'campaigns_fetch_failed' });
+    }
+});
+
+// A past send with its recipients: rendered text, provider id, channel used, status, delivery status and error
+// (?status= / ?delivery= to filter)
+app.get('/api/campaigns/:campaignId', async (req, res) => {
+    const { status, delivery, limit, offset } = req.query;
+    if (status && !CampaignQueue.messageStatuses.includes(status)) {
+        return res.status(400).json({ success: false, error: 'invalid_status' });
+    }
+    if (delivery && !CampaignQueue.deliveryStatuses.includes(delivery)) {
+        return res.status(400).json({ success: false, error: 'invalid_delivery_status' });
+    }
+
+    try {
+        const result = await CampaignQueue.detail(req.params.campaignId, { status, delivery, limit, offset });
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'campaign_not_found' });
+        }
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Get campaign error:', error);
+        res.status(500).json({ success: false, error: 'campaign_fetch_failed' });
+    }
+});
+
+// Progress of a queued campaign (polled by the progress bar in certificates.html)
+app.get('/api/campaigns/:campaignId/progress', async (req, res) => {
+    try {
+        const campaign = await CampaignQueue.progress(req.params.campaignId);
+        if (!campaign) {
+            return res.status(404).json({ success: false, error: 'campaign_not_found' });
+        }
+        res.json({ success: true, campaign });
+    } catch (error) {
+        console.error('Campaign progress error:', error);
+        res.status(500).json({ success: false, error: 'campaign_progress_failed' });
+    }
+});
+
+// Move a scheduled campaign that has not started yet ({ scheduledAt }, empty = start now)
+app.patch('/api/campaigns/:campaignId/schedule', express.json(), ApiAuthorization.requirePermission('communications_send'), async (req, res) => {
+    const schedule = CampaignQueue.parseSchedule(req.body?.scheduledAt);
+    if (!schedule.valid) {
+        return res.status(400).json({ success: false, error: 'invalid_schedule' });
+    }
+    try {
+        const result = await CampaignQueue.reschedule(req.params.campaignId, schedule.scheduledAt);
+        if (!result.success) {
+            return res.status(409).json(result);
+        }
+        await AuditLog.record(req, {
+            action: 'campaign.reschedule',
+            targetType: 'campaign',
+            targetId: req.params.campaignId,
+            before: { scheduledAt: result.previous },
+            after: { scheduledAt: result.campaign.scheduled_at, status: result.campaign.status }
+        });
+        res.json({ success: true, campaign: result.campaign });
+    } catch (error) {
+        console.error('Campaign reschedule error:', error);
+        res.status(500).json({ success: false, error: 'campaign_reschedule_failed' });
+    }
+});
+
+// Pause / resume / cancel a campaign. Messages already being sent finish; cancel releases the unspent credit
+app.post('/api/campaigns/:campaignId/:action(pause|resume|cancel)', ApiAuthorization.requirePermission('communications_send'), async (req, res) => {
+    const { campaignId, action } = req.params;
+    try {
+        const result = await CampaignQueue[action](campaignId);
+        if (!result.success) {
+            return res.status(409).json(result);
+        }
+        await AuditLog.record(req, {
+            action: `campaign.${action}`,
+            targetType: 'campaign',
+            targetId: campaignId,
+            after: { status: result.campaign.status, sent: result.campaign.sent, total: result.campaign.total }
+        });
+        res.json(result);
+    } catch (error) {
+        console.error(`Campaign ${action} error:`, error);
+        res.status(500).json({ success: false, error: `campaign_${action}_failed` });
+    }
+});
+
+// Email service status endpoint
+app.get('/api/email/status', (req, res) => {
+    res.status(200).json({
+        success: true,
+        emailService: emailService.getStatus()
+    });
+});
+
+// Database status endpoint (dual database setup)
+app.get('/api/database/status', async (req, res) => {
+    try {
+        const supabaseStatus = await SupabasePinManager.testConnection();
+        const pinStats = await SupabasePinManager.getPinStats();
+        
+        res.status(200).json({
+            success: true,
+            databases: {
+                postgresql: {
+                    status: 'readonly',
+                    description: 'Existing Mobisat database (read-only)',
+                    tables: ['dealer', 'certificate', 'vehicle', 'etc...']
+                },
+                supabase: {
+                    status: supabaseStatus.success ? 'connected' : 'error',
+                    description: 'New database for PIN storage and future features',
+                    error: supabaseStatus.error || null,
+                    pinStats: pinStats
+                }
+            },
+            dualDatabaseSetup: {
+                description: 'PostgreSQL (read) + Supabase (write)',
+                pinStorage: 'Supabase',
+                dealerData: 'PostgreSQL'
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Database configuration from environment variables
+const dbConfig = {
+    host: process.env.DATABASE_HOST || 'devmobisat.ca15w70vfof5.eu-south-1.rds.amazonaws.com',
+    port: parseInt(process.env.DATABASE_PORT) || 5432,
+    user: process.env.DATABASE_USER || 'readonly_user',
+    password: process.env.DATABASE_PASSWORD || '34Ahs09gthsalgh922w4ghkajgehkag',
+    database: process.env.DATABASE_NAME || 'mobisat',
+    ssl: {
+        rejectUnauthorized: false
+    },
+    connectionTimeoutMillis: 5000,
+    idleTimeoutMillis: 30000,
+    max: 10
+};
+
+// Create connection pool
+const pool = new Pool(dbConfig);
+
+// Test database connection
+pool.on('connect', () => {
+    console.log('Connected to Mobisat PostgreSQL database');
+});
+
+pool.on('error', (err) => {
+    console.error('Database connection error:', err);
+});
+
+// Database helper functions
+class DatabaseManager {
+    static async executeQuery(query, params = []) {
+        const client = await pool.connect();
+        try {
+            const result = await client.query(query, params);
+            return result.rows;
+        } catch (error) {
+            console.error('Database query error:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+    
+    static async getDealerByEmail(email) {
+        const query = `
             SELECT id, "companyLoginEmail", "companyName", "companyMobisatTechRefName", 
                    brand, "createdAt", "updatedAt"
             FROM dealer 
@@ -2247,15 +2479,51 @@ class DatabaseManager {
             return null;
         }
     }
-    
-    static async validateDealerPin(email, pin) {
-        const dealer = await this.getDealerByEmail(email);
-        if (!dealer) {
+
+    static async getDealerById(dealerId) {
+        const query = `
+            SELECT id, "companyLoginEmail", "companyName", "companyMobisatTechRefName", brand
+            FROM dealer 
+            WHERE id = $1
+        `;
+
+        try {
+            const results = await this.executeQuery(query, [dealerId]);
+            return results.length > 0 ? results[0] : null;
+        } catch (error) {
+            console.error('Error fetching dealer:', error);
+            return null;
+        }
+    }
+
+    // Dealer owning a device (latest certificate version)
+    static async getDealerIdForDevice(deviceId) {
+        const query = `
+            SELECT "dealerId"
+            FROM certificate
+            WHERE "deviceId" = $1 AND "dealerId" IS NOT NULL
+            ORDER BY version DESC
+            LIMIT 1
+        `;
+
+        try {
+            const results = await this.executeQuery(query, [deviceId]);
+            return results.length > 0 ? results[0].dealerId : null;
+        } catch (error) {
+            console.error('Error fetching dealer for device:', error);
+            return null;
+        }
+    }
+
+    // account = loginAccount(email): the user who asked for the PIN and their dealer
+    static async validateDealerPin(account, pin) {
+        if (!account) {
             return { success: false, error: 'dealer_not_found' };
         }
+        const { user, dealer } = account;
         
         // Get stored PIN from database
-        const storedPinData = await this.getStoredPin(dealer.id);
+        const storedPinData = await this.getStoredPin(user.id);
         
         if (!storedPinData) {
             return { success: false, error: 'pin_not_found' };
@@ -2291,20 +2559,11 @@ class DatabaseManager {
         }
         
         // Increment attempts
-        await this.incrementPinAttempts(dealer.id);
+        await this.incrementPinAttempts(user.id);
         
         // Validate PIN
         if (pin === storedPinData.pin) {
-            return {
-                success: true,
-                dealer: {
-                    id: dealer.id,
-                    email: dealer.companyLoginEmail,
-                    companyName: dealer.companyName,
-                    name: dealer.companyMobisatTechRefName || 'Dealer Representative',
-                    brand: dealer.brand
-                }
-            };
+            return { success: true, dealer: loginProfile(dealer, user) };
         }
         
         return { success: false, error: 'invalid_pin' };
@@ -2316,58 +2575,50 @@ class DatabaseManager {
     }
 
     // Store PIN in Supabase with expiration
-    static async storePin(dealerId, pin) {
-        return await SupabasePinManager.storePin(dealerId, pin);
+    static async storePin(userId, dealerId, pin) {
+        return await SupabasePinManager.storePin(userId, dealerId, pin);
     }
 
     // Get and validate PIN from Supabase
-    static async getStoredPin(dealerId) {
-        return await SupabasePinManager.getStoredPin(dealerId);
+    static async getStoredPin(userId) {
+        return await SupabasePinManager.getStoredPin(userId);
     }
 
     // Increment PIN attempts in Supabase
-    static async incrementPinAttempts(dealerId) {
-        return await SupabasePinManager.incrementPinAttempts(dealerId);
+    static async incrementPinAttempts(userId) {
+        return await SupabasePinManager.incrementPinAttempts(userId);
     }
 }
 
 // API Routes
 
-// Rate limiting for PIN requests
-const pinRequestCache = new Map();
-const activeRequests = new Set(); // Track active requests to prevent duplicates
+// Login throttled by AuthRateLimiter (js/auth-rate-limiter.js): 429 with Retry-After when locked
+function rateLimited(res, result) {
+    if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+    return res.status(429).json({
+        success: false,
+        error: result.error,
+        retryAfter: result.retryAfter || null,
+        challenge: result.challenge || null
+    });
+}
 
 // Authentication: Request PIN
 app.post('/api/auth/request-pin', async (req, res) => {
-    let email = null; // Declare email outside try block
     try {
-        const { email: reqEmail, method, phone } = req.body;
-        email = reqEmail; // Assign to outer variable
+        const { email, method, phone, challengeToken } = req.body;
         
         if (!email) {
             return res.json({ success: false, error: 'email_required' });
         }
         
-        // Check for active requests for this email
-        if (activeRequests.has(email)) {
-            console.log(`🚫 Active request already in progress for email: ${email}`);
-            return res.json({ success: false, error: 'request_in_progress', message: 'A request is already in progress. Please wait.' });
-        }
-        
-        // Check for duplicate requests (within 5 seconds)
-        const now = Date.now();
-        const lastRequest = pinRequestCache.get(email);
-        if (lastRequest && (now - lastRequest) < 5000) {
-            console.log(`🚫 Duplicate PIN request blocked for email: ${email}`);
-            return res.json({ success: false, error: 'duplicate_request', message: 'Please wait before requesting another PIN' });
+        const ip = req.ip;
+        const allowed = await AuthRateLimiter.check({ email, ip }, challengeToken);
+        if (!allowed.allowed) {
+            console.log(`🚫 PIN request blocked (${allowed.error}) for email: ${email}, ip: ${ip}`);
+            return rateLimited(res, allowed);
         }
         
-        // Mark this email as having an active request
-        activeRequests.add(email);
-        
-        // Store this request timestamp
-        pinRequestCache.set(email, now);
-        
         // Validate delivery method
         const deliveryMethod = method || 'email'; // Default to email
         if (!['email', 'whatsapp'].includes(deliveryMethod)) {
@@ -2381,40 +2632,40 @@ app.post('/api/auth/request-pin', async (req, res) => {
         
         console.log(` PIN request for email: ${email}`);
         
-        // Check if dealer exists
-        const dealer = await DatabaseManager.getDealerByEmail(email);
+        // Check if the email belongs to an active dealer user
+        const account = await loginAccount(email);
         
-        if (!dealer) {
+        if (!account) {
             console.log(` Dealer not found for email: ${email}`);
+            await AuthRateLimiter.registerFailure({ email, ip });
             return res.json({ success: false, error: 'dealer_not_found' });
         }
         
-        console.log(` Dealer found: ${dealer.companyName}`);
+        const { user, dealer } = account;
+        console.log(` Dealer found: ${dealer.companyName} (user ${user.email}, ${user.role})`);
+        
+        // One PIN per email/dealer every 30s, daily cap per email, dealer and IP (shared by all instances)
+        const claim = await AuthRateLimiter.claimPinIssue({ email, ip, dealerId: dealer.id });
+        if (!claim.allowed) {
+            console.log(`🚫 PIN request blocked (${claim.error}) for dealer ${dealer.id}`);
+            return rateLimited(res, claim);
+        }
         
         // Generate secure random PIN
         const realPin = DatabaseManager.generateSecurePin();
         
         // Store PIN in Supabase with expiration
-        console.log(`🔄 Storing PIN ${realPin} for dealer ${dealer.id} in Supabase...`);
-        const pinStored = await DatabaseManager.storePin(dealer.id, realPin);
+        const pinStored = await DatabaseManager.storePin(user.id, dealer.id, realPin);
         
         if (!pinStored) {
             console.error('❌ Failed to store PIN for dealer:', dealer.id);
-            console.error('🔍 This could be due to:');
-            console.error('   - Supabase connection issues');
-            console.error('   - Missing dealer_pins table');
-            console.error('   - Permission issues');
-            console.error('   - Network connectivity problems');
-            
-            // Fallback: Show PIN on screen instead of failing completely
-            console.log('🔄 Using fallback mode: PIN will be shown on screen');
-            console.log(`⚠️  WARNING: PIN ${realPin} for dealer ${dealer.id} not stored in database!`);
-            
-            // Continue with the request but show PIN on screen
-            // This ensures the system doesn't completely break
-        } else {
-            console.log(`✅ PIN ${realPin} stored successfully for dealer ${dealer.id}`);
+            return res.status(500).json({
+                success: false,
+                error: 'pin_store_failed',
+                message: 'Could not generate the PIN, please try again'
+            });
         }
+        console.log(`✅ PIN stored for dealer ${dealer.id}`);
         
         // Try to send PIN via selected method
         let pinSent = false;
@@ -2430,8 +2681,8 @@ app.post('/api/auth/request-pin', async (req, res) => {
                 // Send via WhatsApp
                 if (twilioClient) {
                     const message = language === 'it' 
-                        ? `🔐 *Service Portal*\n\nIl tuo codice PIN di accesso è: *${realPin}*\n\nQuesto codice è valido per 10 minuti.\nNon condividere questo codice con nessuno.\n\nAccount: ${dealer.companyLoginEmail}\n\n---\nService Portal\nPiattaforma Telematica Avanzata`
-                        : `🔐 *Service Portal*\n\nYour access PIN code is: *${realPin}*\n\nThis code is valid for 10 minutes.\nDo not share this code with anyone.\n\nAccount: ${dealer.companyLoginEmail}\n\n---\nService Portal\nAdvanced Telematics Platform`;
+                        ? `🔐 *Service Portal*\n\nIl tuo codice PIN di accesso è: *${realPin}*\n\nQuesto codice è valido per 10 minuti.\nNon condividere questo codice con nessuno.\n\nAccount: ${user.email}\n\n---\nService Portal\nPiattaforma Telematica Avanzata`
+                        : `🔐 *Service Portal*\n\nYour access PIN code is: *${realPin}*\n\nThis code is valid for 10 minutes.\nDo not share this code with anyone.\n\nAccount: ${user.email}\n\n---\nService Portal\nAdvanced Telematics Platform`;
                     
                     const whatsappMessage = await twilioClient.messages.create({
                         body: message,
@@ -2447,7 +2698,7 @@ app.post('/api/auth/request-pin', async (req, res) => {
             } else {
                 // Send via email
                 pinSent = await emailService.sendPinEmail(
-                    dealer.companyLoginEmail,
+                    user.email,
                     dealer.companyName,
                     realPin,
                     language
@@ -2458,27 +2709,25 @@ app.post('/api/auth/request-pin', async (req, res) => {
             sendError = error.message;
         }
         
-                        res.json({
-                    success: true,
-                    message: pinSent 
-                        ? (language === 'it' 
-                            ? (deliveryMethod === 'whatsapp' ? 'PIN inviato via WhatsApp' : 'PIN inviato via email')
-                            : (deliveryMethod === 'whatsapp' ? 'PIN sent via WhatsApp' : 'PIN sent via email'))
-                        : 'PIN generated successfully',
-                    dealer: {
-                        id: dealer.id,
-                        email: dealer.companyLoginEmail,
-                        companyName: dealer.companyName,
-                        name: dealer.companyMobisatTechRefName || 'Dealer Representative',
-                        brand: dealer.brand
-                    },
-                    pin: (pinSent && pinStored) ? null : realPin, // Show PIN if sending failed OR storage failed
-                    pinSent: pinSent,
-                    sendError: sendError,
-                    deliveryMethod: deliveryMethod,
-                    pinStored: pinStored, // Add this for debugging
-                    fallbackMode: !pinStored // Indicate if we're in fallback mode
-                });
+        if (!pinSent) {
+            console.error(`❌ PIN not sent to dealer ${dealer.id} via ${deliveryMethod}: ${sendError || 'send failed'}`);
+            return res.status(502).json({
+                success: false,
+                error: 'pin_send_failed',
+                message: language === 'it' ? 'Invio del PIN non riuscito, riprova' : 'Could not send the PIN, please try again',
+                deliveryMethod
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: language === 'it'
+                ? (deliveryMethod === 'whatsapp' ? 'PIN inviato via WhatsApp' : 'PIN inviato via email')
+                : (deliveryMethod === 'whatsapp' ? 'PIN sent via WhatsApp' : 'PIN sent via email'),
+            dealer: loginProfile(dealer, user),
+            pinSent: true,
+            deliveryMethod: deliveryMethod
+        });
         
     } catch (error) {
         console.error('Request PIN error:', error);
@@ -2487,18 +2736,13 @@ app.post('/api/auth/request-pin', async (req, res) => {
             error: 'server_error',
             message: 'Internal server error'
         });
-    } finally {
-        // Always remove the email from active requests
-        if (email) {
-            activeRequests.delete(email);
-        }
     }
 });
 
 // Authentication: Verify PIN
 app.post('/api/auth/verify-pin', async (req, res) => {
     try {
-        const { email, pin } = req.body;
+        const { email, pin, challengeToken } = req.body;
         
         if (!email || !pin) {
             return res.json({ success: false, error: 'missing_fields' });
@@ -2506,69 +2750,796 @@ app.post('/api/auth/verify-pin', async (req, res) => {
         
         console.log(` PIN verification for email: ${email}`);
         
-        const result = await DatabaseManager.validateDealerPin(email, pin);
+        const ip = req.ip;
+        const account = await loginAccount(email);
+        const dealer = account?.dealer;
+        const subject = { email, ip, dealerId: dealer?.id };
+        const allowed = await AuthRateLimiter.check(subject, challengeToken);
+        if (!allowed.allowed) {
+            console.log(`🚫 PIN verification blocked (${allowed.error}) for email: ${email}, ip: ${ip}`);
+            return rateLimited(res, allowed);
+        }
+        
+        const result = await DatabaseManager.validateDealerPin(account, pin);
         
         if (result.success) {
             console.log(` PIN verified for dealer: ${result.dealer.companyName}`);
-            
-            // Generate a simple JWT-like token for the session
-            const token = Buffer.from(JSON.stringify({
-                dealerId: result.dealer.id,
-                email: result.dealer.email,
-                timestamp: Date.now()
-            })).toString('base64');
-            
-            res.json({
-                success: true,
-                dealer: result.dealer,
-                token: token,
-                message: 'Authentication successful'
-            });
+            await AuthRateLimiter.registerSuccess(subject);
+            await startLoginSession(req, res, result.dealer);
         } else {
             console.log(` PIN verification failed for email: ${email}`);
+            if (result.error !== 'pin_expired') {
+                await AuthRateLimiter.registerFailure(subject, dealer);
+            }
             res.json(result);
         }
-        
-    } catch (error) {
-        console.error('Verify PIN error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'server_error',
-            message: 'Internal server error'
+        
+    } catch (error) {
+        console.error('Verify PIN error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'server_error',
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Authentication: sign in with the authenticator app instead of a PIN
+app.post('/api/auth/verify-totp', (req, res) => verifyCodeLogin(req, res, 'totp',
+    (userId, code) => AuthMfa.verifyTotp(userId, code)
+));
+
+// Authentication: sign in with a single-use recovery code (lost phone / passkey)
+app.post('/api/auth/verify-recovery-code', (req, res) => verifyCodeLogin(req, res, 'recovery_code',
+    async (userId, code) => (await AuthMfa.useRecoveryCode(userId, code))
+        ? { success: true }
+        : { success: false, error: 'invalid_code' }
+));
+
+// Authentication: challenge for a passkey login (email optional: without it the browser offers every passkey)
+app.post('/api/auth/passkey/login-options', async (req, res) => {
+    try {
+        const login = req.body?.email ? await DealerUsers.resolveLogin(req.body.email) : null;
+        const options = await AuthMfa.passkeyLoginOptions(login?.user.id || null, AuthMfa.relyingParty(req));
+        res.json({ success: true, ...options });
+    } catch (error) {
+        console.error('Passkey options error:', error);
+        res.status(500).json({ success: false, error: 'server_error', message: 'Internal server error' });
+    }
+});
+
+// Authentication: verify a passkey assertion and open a session
+app.post('/api/auth/passkey/login', async (req, res) => {
+    try {
+        const ip = req.ip;
+        const allowed = await AuthRateLimiter.check({ ip }, req.body?.challengeToken);
+        if (!allowed.allowed) return rateLimited(res, allowed);
+
+        const result = await AuthMfa.verifyPasskeyLogin(req.body || {}, AuthMfa.relyingParty(req));
+        if (!result.success) {
+            console.log(` Passkey login failed (${result.error}) from ip: ${ip}`);
+            await AuthRateLimiter.registerFailure({ ip });
+            return res.json(result);
+        }
+
+        const user = await DealerUsers.get(result.userId);
+        const dealer = user?.status === 'active' ? await DatabaseManager.getDealerById(user.dealer_id) : null;
+        if (!dealer) return res.json({ success: false, error: 'dealer_not_found' });
+
+        console.log(` Passkey login for dealer: ${dealer.companyName} (user ${user.email})`);
+        await AuthRateLimiter.registerSuccess({ email: user.email, ip, dealerId: dealer.id });
+        await startLoginSession(req, res, loginProfile(dealer, user));
+    } catch (error) {
+        console.error('Passkey login error:', error);
+        res.status(500).json({ success: false, error: 'server_error', message: 'Internal server error' });
+    }
+});
+
+// Email + one-time code login (authenticator app or recovery code), rate limited like the PIN
+async function verifyCodeLogin(req, res, method, verifyCode) {
+    try {
+        const { email, code, challengeToken } = req.body;
+        if (!email || !code) {
+            return res.json({ success: false, error: 'missing_fields' });
+        }
+
+        const ip = req.ip;
+        const account = await loginAccount(email);
+        const dealer = account?.dealer;
+        const subject = { email, ip, dealerId: dealer?.id };
+        const allowed = await AuthRateLimiter.check(subject, challengeToken);
+        if (!allowed.allowed) {
+            console.log(`🚫 ${method} login blocked (${allowed.error}) for email: ${email}, ip: ${ip}`);
+            return rateLimited(res, allowed);
+        }
+
+        // Unknown email answers like a wrong code
+        const result = account ? await verifyCode(account.user.id, code) : { success: false, error: 'invalid_code' };
+        if (!result.success) {
+            console.log(` ${method} login failed (${result.error}) for email: ${email}`);
+            await AuthRateLimiter.registerFailure(subject, dealer);
+            return res.json(result);
+        }
+
+        console.log(` ${method} login for dealer: ${dealer.companyName}`);
+        await AuthRateLimiter.registerSuccess(subject);
+        await startLoginSession(req, res, loginProfile(dealer, account.user));
+    } catch (error) {
+        console.error(`Verify ${method} error:`, error);
+        res.status(500).json({ success: false, error: 'server_error', message: 'Internal server error' });
+    }
+}
+
+// Signed access token + refresh token backed by a server-side session, sent as the login response
+async function startLoginSession(req, res, dealer) {
+    const session = await AuthSessions.create({ dealerId: dealer.id, userId: dealer.userId, email: dealer.email }, {
+        userAgent: req.headers['user-agent'],
+        ipAddress: req.ip
+    });
+    if (!session.success) {
+        return res.status(500).json({ success: false, error: session.error, message: 'Unable to start session' });
+    }
+    await DealerUsers.touchLogin(dealer.userId);
+
+    res.json({
+        success: true,
+        dealer,
+        token: session.token,
+        expiresAt: session.expiresAt,
+        refreshToken: session.refreshToken,
+        refreshExpiresAt: session.refreshExpiresAt,
+        message: 'Authentication successful'
+    });
+}
+
+// Dealer + signed-in user as returned to the login page
+function loginProfile(dealer, user) {
+    return {
+        id: dealer.id,
+        userId: user.id,
+        email: user.email,
+        companyName: dealer.companyName,
+        name: user.name || dealer.companyMobisatTechRefName || 'Dealer Representative',
+        brand: dealer.brand,
+        role: user.role,
+        permissions: DealerUsers.permissions(user.role)
+    };
+}
+
+// Login email => { user, dealer } for an active dealer user, null when unknown / not active
+async function loginAccount(email) {
+    const login = await DealerUsers.resolveLogin(email);
+    if (!login) return null;
+    const dealer = login.dealer || await DatabaseManager.getDealerById(login.user.dealer_id);
+    return dealer ? { user: login.user, dealer } : null;
+}
+
+// Authentication: exchange a refresh token for a new token pair (the refresh token is rotated)
+app.post('/api/auth/refresh', async (req, res) => {
+    const result = await AuthSessions.refresh(req.body?.refreshToken);
+    if (!result.success) {
+        const status = result.error === 'invalid_refresh_token' ? 401 : 500;
+        return res.status(status).json(result);
+    }
+    res.json(result);
+});
+
+// Authentication: check the access token and its session
+app.get('/api/auth/verify', async (req, res) => {
+    const result = await AuthSessions.authenticate(AuthSessions.bearerToken(req));
+    if (!result.success) {
+        const status = result.error === 'session_check_failed' ? 500 : 401;
+        return res.status(status).json({ success: false, error: result.error });
+    }
+    const { session } = result;
+    res.json({
+        success: true,
+        dealerId: session.dealerId,
+        userId: session.userId,
+        email: session.email,
+        name: session.name,
+        role: session.role,
+        permissions: DealerUsers.permissions(session.role),
+        sessionId: session.id,
+        impersonation: !!session.impersonatedBy
+    });
+});
+
+// Authentication: logout revokes the current session (by access token, or by refresh token once it expired)
+app.post('/api/auth/logout', async (req, res) => {
+    const verified = AuthSessions.verifyAccessToken(AuthSessions.bearerToken(req));
+    let result;
+    if (verified.success) {
+        result = await AuthSessions.revoke(verified.payload.uid, verified.payload.sid, 'logout');
+    } else if (req.body?.refreshToken) {
+        result = await AuthSessions.revokeByRefreshToken(req.body.refreshToken);
+    } else {
+        return res.status(401).json({ success: false, error: verified.error });
+    }
+
+    if (!result.success) return res.status(500).json(result);
+    console.log(`🔒 Logout${verified.success ? ` utente ${verified.payload.uid} (dealer ${verified.payload.sub})` : ''}: sessione ${result.revoked ? 'revocata' : 'già chiusa'}`);
+    res.json({ success: true, revoked: result.revoked });
+});
+
+// Authentication: active sessions of the logged-in user
+app.get('/api/auth/sessions', async (req, res) => {
+    try {
+        const sessions = await AuthSessions.listActive(req.auth.userId);
+        res.json({
+            success: true,
+            data: sessions.map(session => ({ ...session, current: session.id === req.auth.sessionId }))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ success: false, error: 'sessions_fetch_failed' });
+    }
+});
+
+// Authentication: kill one of the user's sessions
+app.delete('/api/auth/sessions/:sessionId', async (req, res) => {
+    const result = await AuthSessions.revoke(req.auth.userId, req.params.sessionId, 'revoked');
+    if (!result.success) return res.status(500).json(result);
+    if (!result.revoked) return res.status(404).json({ success: false, error: 'session_not_found' });
+
+    console.log(`🔒 Sessione ${req.params.sessionId} revocata dall'utente ${req.auth.userId}`);
+    res.json({ success: true });
+});
+
+// Login methods: authenticator app, passkeys, recovery codes left
+app.get('/api/auth/mfa', async (req, res) => {
+    try {
+        res.json({ success: true, data: await AuthMfa.status(req.auth.userId) });
+    } catch (error) {
+        console.error('Get login methods error:', error);
+        res.status(500).json({ success: false, error: 'mfa_fetch_failed' });
+    }
+});
+
+// Authenticator app: new secret to scan / type into the app
+app.post('/api/auth/totp/setup', async (req, res) => {
+    try {
+        const result = await AuthMfa.startTotpEnrollment({ id: req.auth.userId, dealerId: req.auth.dealerId, email: req.auth.email });
+        if (!result.success) return res.status(409).json(result);
+        res.json(result);
+    } catch (error) {
+        console.error('TOTP setup error:', error);
+        res.status(500).json({ success: false, error: 'totp_setup_failed' });
+    }
+});
+
+// Authenticator app: first code from the app activates it (recovery codes come with the first method)
+app.post('/api/auth/totp/confirm', async (req, res) => {
+    try {
+        const result = await AuthMfa.verifyTotp(req.auth.userId, req.body?.code, true);
+        if (!result.success) return res.json(result);
+
+        const recoveryCodes = await AuthMfa.ensureRecoveryCodes({ id: req.auth.userId, dealerId: req.auth.dealerId });
+        console.log(`🔐 App di autenticazione attivata per l'utente ${req.auth.userId}`);
+        res.json({ success: true, recoveryCodes });
+    } catch (error) {
+        console.error('TOTP confirm error:', error);
+        res.status(500).json({ success: false, error: 'totp_confirm_failed' });
+    }
+});
+
+app.delete('/api/auth/totp', async (req, res) => {
+    try {
+        await AuthMfa.removeTotp(req.auth.userId);
+        console.log(`🔓 App di autenticazione rimossa dall'utente ${req.auth.userId}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('TOTP remove error:', error);
+        res.status(500).json({ success: false, error: 'totp_remove_failed' });
+    }
+});
+
+// Passkeys: options for navigator.credentials.create()
+app.post('/api/auth/passkeys/register-options', async (req, res) => {
+    try {
+        const options = await AuthMfa.passkeyRegistrationOptions({
+            id: req.auth.userId,
+            email: req.auth.email,
+            name: req.auth.name
+        }, AuthMfa.relyingParty(req));
+        res.json({ success: true, ...options });
+    } catch (error) {
+        console.error('Passkey register options error:', error);
+        res.status(500).json({ success: false, error: 'passkey_options_failed' });
+    }
+});
+
+// Passkeys: store the credential created by the browser
+app.post('/api/auth/passkeys', async (req, res) => {
+    try {
+        const user = { id: req.auth.userId, dealerId: req.auth.dealerId };
+        const result = await AuthMfa.registerPasskey(user, req.body || {}, AuthMfa.relyingParty(req));
+        if (!result.success) return res.status(400).json(result);
+
+        const recoveryCodes = await AuthMfa.ensureRecoveryCodes(user);
+        console.log(`🔐 Passkey registrata per l'utente ${req.auth.userId}`);
+        res.json({ success: true, passkey: result.passkey, recoveryCodes });
+    } catch (error) {
+        console.error('Passkey register error:', error);
+        res.status(500).json({ success: false, error: 'passkey_register_failed' });
+    }
+});
+
+app.delete('/api/auth/passkeys/:passkeyId', async (req, res) => {
+    try {
+        const removed = await AuthMfa.removePasskey(req.auth.userId, req.params.passkeyId);
+        if (!removed) return res.status(404).json({ success: false, error: 'passkey_not_found' });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Passkey remove error:', error);
+        res.status(500).json({ success: false, error: 'passkey_remove_failed' });
+    }
+});
+
+// Recovery codes: replace all codes (the old ones stop working)
+app.post('/api/auth/recovery-codes', async (req, res) => {
+    try {
+        const recoveryCodes = await AuthMfa.generateRecoveryCodes({ id: req.auth.userId, dealerId: req.auth.dealerId });
+        console.log(`🔐 Nuovi codici di recupero generati per l'utente ${req.auth.userId}`);
+        res.json({ success: true, recoveryCodes });
+    } catch (error) {
+        console.error('Recovery codes error:', error);
+        res.status(500).json({ success: false, error: 'recovery_codes_failed' });
+    }
+});
+
+// Invitation link from the email: activates the user, who then logs in with their email
+app.post('/api/auth/accept-invite', async (req, res) => {
+    try {
+        const result = await DealerUsers.acceptInvite(req.body?.token);
+        if (!result.success) return res.status(400).json(result);
+        console.log(`👤 Invito accettato da ${result.user.email}`);
+        res.json(result);
+    } catch (error) {
+        console.error('Accept invite error:', error);
+        res.status(500).json({ success: false, error: 'server_error', message: 'Internal server error' });
+    }
+});
+
+// Users of the dealer account (account owner first)
+app.get('/api/dealer-users', ApiAuthorization.requirePermission('users_manage'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await DealerUsers.list(req.auth.dealerId), roles: DealerUsers.roles });
+    } catch (error) {
+        console.error('Get dealer users error:', error);
+        res.status(500).json({ success: false, error: 'users_fetch_failed' });
+    }
+});
+
+// Invite a colleague by email with a role
+app.post('/api/dealer-users', ApiAuthorization.requirePermission('users_manage'), async (req, res) => {
+    try {
+        const dealer = await DatabaseManager.getDealerById(req.auth.dealerId);
+        const result = await DealerUsers.invite(req.auth, req.body || {}, dealer?.companyName);
+        if (!result.success) return res.status(result.error === 'user_exists' ? 409 : 400).json(result);
+
+        console.log(`👤 Utente ${result.user.email} (${result.user.role}) invitato da ${req.auth.email} per il dealer ${req.auth.dealerId}`);
+        res.status(201).json({ success: true, data: result.user });
+    } catch (error) {
+        console.error('Invite dealer user error:', error);
+        res.status(500).json({ success: false, error: 'user_invite_failed' });
+    }
+});
+
+// New invitation email (the previous link stops working)
+app.post('/api/dealer-users/:userId/resend-invite', ApiAuthorization.requirePermission('users_manage'), async (req, res) => {
+    try {
+        const dealer = await DatabaseManager.getDealerById(req.auth.dealerId);
+        const result = await DealerUsers.resendInvite(req.auth, req.params.userId, dealer?.companyName);
+        if (!result.success) return res.status(404).json(result);
+        res.json({ success: true, data: result.user });
+    } catch (error) {
+        console.error('Resend invite error:', error);
+        res.status(500).json({ success: false, error: 'user_invite_failed' });
+    }
+});
+
+// Change name / role / status; a disabled user is signed out everywhere
+app.put('/api/dealer-users/:userId', ApiAuthorization.requirePermission('users_manage'), async (req, res) => {
+    try {
+        const { name, role, status } = req.body || {};
+        const result = await DealerUsers.update(req.auth.dealerId, req.params.userId, { name, role, status });
+        if (!result.success) return res.status(result.error === 'user_not_found' ? 404 : 400).json(result);
+
+        if (result.user.status === 'disabled') {
+            await AuthSessions.revokeAllForUser(result.user.id, 'user_disabled');
+        }
+        console.log(`👤 Utente ${result.user.email} aggiornato da ${req.auth.email}: ${result.user.role}, ${result.user.status}`);
+        res.json({ success: true, data: result.user });
+    } catch (error) {
+        console.error('Update dealer user error:', error);
+        res.status(500).json({ success: false, error: 'user_update_failed' });
+    }
+});
+
+// Remove a user (their sessions, PINs and login methods are deleted with them)
+app.delete('/api/dealer-users/:userId', ApiAuthorization.requirePermission('users_manage'), async (req, res) => {
+    try {
+        const result = await DealerUsers.remove(req.auth.dealerId, req.params.userId);
+        if (!result.success) return res.status(result.error === 'user_not_found' ? 404 : 400).json(result);
+
+        console.log(`👤 Utente ${req.params.userId} rimosso da ${req.auth.email} (dealer ${req.auth.dealerId})`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Remove dealer user error:', error);
+        res.status(500).json({ success: false, error: 'user_remove_failed' });
+    }
+});
+
+// Audit trail of the dealer, newest first (?format=csv for the export)
+app.get('/api/audit-events', ApiAuthorization.requirePermission('audit_view'), async (req, res) => {
+    const { action, actor, targetType, targetId, contact, from, to, limit, offset, format = 'json' } = req.query;
+    if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ success: false, error: 'invalid_format' });
+    }
+    if ([from, to].some(date => date && isNaN(new Date(date).getTime()))) {
+        return res.status(400).json({ success: false, error: 'invalid_date' });
+    }
+    if (action && !AuditLog.actions.includes(action)) {
+        return res.status(400).json({ success: false, error: 'invalid_action' });
+    }
+    if (actor && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(actor)) {
+        return res.status(400).json({ success: false, error: 'invalid_actor' });
+    }
+
+    try {
+        const filters = { action, actorUserId: actor, targetType, targetId, contact, from, to, limit, offset };
+        if (format === 'csv') {
+            const { data } = await AuditLog.list(req.auth.dealerId, { ...filters, export: true });
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="audit-${req.auth.dealerId}-${new Date().toISOString().slice(0, 10)}.csv"`);
+            return res.send(AuditLog.toCSV(data));
+        }
+
+        const { data, total } = await AuditLog.list(req.auth.dealerId, filters);
+        res.json({ success: true, data, total, actions: AuditLog.actions });
+    } catch (error) {
+        console.error('Get audit events error:', error);
+        res.status(500).json({ success: false, error: 'audit_fetch_failed' });
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Staff admin console (admin.html). Every route below runs behind StaffAdmin.authenticate;
+// actions that change a dealer's data require a reason and are written to staff_actions
+// ---------------------------------------------------------------------------
+
+const IMPERSONATION_MAX_MINUTES = 60;
+const MAX_ADJUSTMENT_CENTS = 100000; // 1000 EUR per single adjustment
+
+// Staff login: emailed one-time code (rate limited like the dealer PIN)
+app.post('/api/admin/auth/request-code', async (req, res) => {
+    const { email } = req.body || {};
+    const ip = req.ip;
+    try {
+        const allowed = await AuthRateLimiter.check({ email, ip });
+        if (!allowed.allowed) return rateLimited(res, allowed);
+        const claim = await AuthRateLimiter.claimPinIssue({ email, ip });
+        if (!claim.allowed) return rateLimited(res, claim);
+
+        const result = await StaffAdmin.requestLoginCode(email);
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        console.error('Staff login code error:', error);
+        res.status(500).json({ success: false, error: 'server_error' });
+    }
+});
+
+app.post('/api/admin/auth/verify-code', async (req, res) => {
+    const { email, code } = req.body || {};
+    const ip = req.ip;
+    try {
+        const allowed = await AuthRateLimiter.check({ email, ip });
+        if (!allowed.allowed) return rateLimited(res, allowed);
+
+        const result = await StaffAdmin.verifyLoginCode(email, code, { userAgent: req.headers['user-agent'], ipAddress: ip });
+        if (!result.success) {
+            await AuthRateLimiter.registerFailure({ email, ip });
+            return res.status(401).json(result);
+        }
+        await AuthRateLimiter.registerSuccess({ email, ip });
+        console.log(`🛠️ Accesso console staff: ${result.staff.email} da ${ip}`);
+        res.json(result);
+    } catch (error) {
+        console.error('Staff login error:', error);
+        res.status(500).json({ success: false, error: 'server_error' });
+    }
+});
+
+app.post('/api/admin/auth/logout', async (req, res) => {
+    try {
+        await StaffAdmin.logout(req.headers.authorization.slice(7).trim());
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Staff logout error:', error);
+        res.status(500).json({ success: false, error: 'server_error' });
+    }
+});
+
+app.get('/api/admin/me', (req, res) => {
+    res.json({ success: true, staff: req.staff });
+});
+
+// Dealer search by id, company name, login email or the email of one of its users
+app.get('/api/admin/dealers', async (req, res) => {
+    const q = String(req.query.q || '').trim();
+    if (q.length < 2) {
+        return res.status(400).json({ success: false, error: 'query_too_short' });
+    }
+    try {
+        const { supabaseAdmin } = require('./config/supabase.js');
+        const pattern = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+        const { data: users, error } = await supabaseAdmin
+            .from('dealer_users')
+            .select('dealer_id')
+            .ilike('email', pattern)
+            .limit(25);
+        if (error) throw error;
+
+        const dealers = await DatabaseManager.executeQuery(`
+            SELECT id, "companyName", "companyLoginEmail", brand, "companyCity"
+            FROM dealer
+            WHERE id = $1 OR "companyName" ILIKE $2 OR "companyLoginEmail" ILIKE $2 OR id = ANY($3::int[])
+            ORDER BY "companyName"
+            LIMIT 25
+        `, [/^\d+$/.test(q) ? parseInt(q, 10) : null, pattern, (users || []).map(u => Number(u.dealer_id))]);
+        res.json({ success: true, data: dealers });
+    } catch (error) {
+        console.error('Staff dealer search error:', error);
+        res.status(500).json({ success: false, error: 'dealer_search_failed' });
+    }
+});
+
+// Dealer overview: users, balance, latest ledger entries and staff actions
+app.get('/api/admin/dealers/:dealerId', async (req, res) => {
+    const dealerId = parseInt(req.params.dealerId, 10);
+    if (!dealerId) {
+        return res.status(400).json({ success: false, error: 'invalid_dealer_id' });
+    }
+    try {
+        const dealers = await DatabaseManager.executeQuery(`
+            SELECT id, "companyName", "companyLoginEmail", brand, "companyTaxCode", "companyAddress1",
+                   "companyCity", "companyProvincia", "companyPhoneNumber", "createdAt"
+            FROM dealer
+            WHERE id = $1
+        `, [dealerId]);
+        if (dealers.length === 0) {
+            return res.status(404).json({ success: false, error: 'dealer_not_found' });
+        }
+
+        const [users, balance, ledger, actions] = await Promise.all([
+            DealerUsers.list(dealerId),
+            BillingLedger.getBalance(dealerId),
+            BillingLedger.listEntries(dealerId, 20),
+            StaffAdmin.listActions({ dealerId, limit: 20 })
+        ]);
+        res.json({ success: true, dealer: dealers[0], users, balance, ledger, actions });
+    } catch (error) {
+        console.error('Staff dealer overview error:', error);
+        res.status(500).json({ success: false, error: 'dealer_fetch_failed' });
+    }
+});
+
+// Usage of a dealer by channel over a period (default: last 30 days)
+app.get('/api/admin/dealers/:dealerId/usage', async (req, res) => {
+    const dealerId = parseInt(req.params.dealerId, 10);
+    if (!dealerId) {
+        return res.status(400).json({ success: false, error: 'invalid_dealer_id' });
+    }
+    const from = req.query.from ? new Date(req.query.from) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return res.status(400).json({ success: false, error: 'invalid_date' });
+    }
+    try {
+        const { supabaseAdmin } = require('./config/supabase.js');
+        const byType = {};
+        const totals = { events: 0, quantity: 0, cost_cents: 0 };
+        for (let offset = 0; ; offset += 1000) {
+            const { data, error } = await supabaseAdmin
+                .from('billing_usage_events')
+                .select('event_type, quantity, total_cost_cents')
+                .eq('dealer_id', dealerId)
+                .gte('created_at', from.toISOString())
+                .lt('created_at', to.toISOString())
+                .order('created_at')
+                .range(offset, offset + 999);
+            if (error) throw error;
+
+            for (const row of data || []) {
+                const entry = byType[row.event_type] || (byType[row.event_type] = { events: 0, quantity: 0, cost_cents: 0 });
+                for (const target of [entry, totals]) {
+                    target.events++;
+                    target.quantity += Number(row.quantity || 0);
+                    target.cost_cents += Number(row.total_cost_cents || 0);
+                }
+            }
+            if (!data || data.length < 1000) break;
+        }
+        res.json({ success: true, from: from.toISOString(), to: to.toISOString(), byType, totals });
+    } catch (error) {
+        console.error('Staff dealer usage error:', error);
+        res.status(500).json({ success: false, error: 'usage_fetch_failed' });
+    }
+});
+
+// Manual credit (+) or debit (-) on the ledger; requestId makes a double submit harmless
+app.post('/api/admin/dealers/:dealerId/balance-adjustments', StaffAdmin.requireReason, async (req, res) => {
+    const dealerId = parseInt(req.params.dealerId, 10);
+    if (!dealerId) {
+        return res.status(400).json({ success: false, error: 'invalid_dealer_id' });
+    }
+    const amountCents = Number(req.body.amountCents);
+    const { reason, requestId } = req.body;
+    if (!Number.isInteger(amountCents) || amountCents === 0 || Math.abs(amountCents) > MAX_ADJUSTMENT_CENTS) {
+        return res.status(400).json({ success: false, error: 'invalid_amount' });
+    }
+
+    try {
+        const result = await BillingLedger.postEntry(dealerId, amountCents, {
+            entryType: 'adjustment',
+            idempotencyKey: requestId ? `staff-adjustment:${String(requestId).slice(0, 100)}` : null,
+            description: `Rettifica staff: ${reason}`,
+            metadata: { staff_user_id: req.staff.id, staff_email: req.staff.email, reason }
+        });
+        if (!result.success) {
+            return res.status(500).json({ success: false, error: 'adjustment_failed', message: result.error });
+        }
+        if (!result.duplicate) {
+            await StaffAdmin.logAction(req, {
+                action: 'balance_adjustment',
+                dealerId,
+                targetId: result.entryId,
+                reason,
+                details: { amount_cents: amountCents, balance_after_cents: result.balanceCents }
+            });
+        }
+        res.json({ success: true, entryId: result.entryId, balanceCents: result.balanceCents, duplicate: result.duplicate });
+    } catch (error) {
+        console.error('Staff balance adjustment error:', error);
+        res.status(500).json({ success: false, error: 'adjustment_failed' });
+    }
+});
+
+// PIN reset: drop pending PINs and clear lockouts / today's PIN count for every user of the dealer
+app.post('/api/admin/dealers/:dealerId/pin-reset', StaffAdmin.requireReason, async (req, res) => {
+    const dealerId = parseInt(req.params.dealerId, 10);
+    if (!dealerId) {
+        return res.status(400).json({ success: false, error: 'invalid_dealer_id' });
+    }
+    try {
+        const users = await DealerUsers.list(dealerId);
+        const dealer = await DatabaseManager.getDealerById(dealerId);
+        const emails = [...users.map(user => user.email), dealer?.companyLoginEmail].filter(Boolean);
+
+        const pinsDeleted = await SupabasePinManager.deletePinsForDealer(dealerId);
+        await AuthRateLimiter.reset({ emails, dealerId });
+        await StaffAdmin.logAction(req, {
+            action: 'pin_reset',
+            dealerId,
+            reason: req.body.reason,
+            details: { pins_deleted: pinsDeleted, emails }
+        });
+        res.json({ success: true, pinsDeleted, emails });
+    } catch (error) {
+        console.error('Staff PIN reset error:', error);
+        res.status(500).json({ success: false, error: 'pin_reset_failed' });
+    }
+});
+
+// Read-only session as the dealer's account owner, for at most IMPERSONATION_MAX_MINUTES
+app.post('/api/admin/dealers/:dealerId/impersonate', StaffAdmin.requireReason, async (req, res) => {
+    const dealerId = parseInt(req.params.dealerId, 10);
+    if (!dealerId) {
+        return res.status(400).json({ success: false, error: 'invalid_dealer_id' });
+    }
+    const minutes = parseInt(req.body.minutes, 10) || 30;
+    if (minutes < 5 || minutes > IMPERSONATION_MAX_MINUTES) {
+        return res.status(400).json({ success: false, error: 'invalid_duration' });
+    }
+
+    try {
+        const dealer = await DatabaseManager.getDealerById(dealerId);
+        if (!dealer) {
+            return res.status(404).json({ success: false, error: 'dealer_not_found' });
+        }
+        const owner = await DealerUsers.ensureAccountOwner(dealer);
+        const session = await AuthSessions.create({
+            dealerId,
+            userId: owner.id,
+            email: req.staff.email,
+            impersonatedBy: req.staff.id,
+            impersonationReason: req.body.reason,
+            ttl: minutes * 60
+        }, {
+            userAgent: req.headers['user-agent'],
+            ipAddress: req.ip
+        });
+        if (!session.success) {
+            return res.status(500).json({ success: false, error: session.error });
+        }
+
+        await StaffAdmin.logAction(req, {
+            action: 'impersonation_start',
+            dealerId,
+            targetId: session.sessionId,
+            reason: req.body.reason,
+            details: { minutes, expires_at: session.refreshExpiresAt }
+        });
+        res.json({
+            success: true,
+            dealer: { ...loginProfile(dealer, owner), role: 'read_only', permissions: [] },
+            sessionId: session.sessionId,
+            token: session.token,
+            expiresAt: session.expiresAt,
+            refreshToken: session.refreshToken,
+            refreshExpiresAt: session.refreshExpiresAt
         });
+    } catch (error) {
+        console.error('Staff impersonation error:', error);
+        res.status(500).json({ success: false, error: 'impersonation_failed' });
     }
 });
 
-// Get dealer PIN endpoint (for admin/development use)
-app.get('/api/auth/dealer-pin/:email', async (req, res) => {
+// Impersonation sessions still running
+app.get('/api/admin/impersonations', async (req, res) => {
     try {
-        const { email } = req.params;
-        
-        console.log(` PIN request for dealer: ${email}`);
-        
-        const pin = await DatabaseManager.getDealerPin(email);
-        
-        if (pin) {
-            res.json({
-                success: true,
-                email: email,
-                pin: pin,
-                message: 'PIN retrieved successfully'
-            });
-        } else {
-            res.status(404).json({
-                success: false,
-                error: 'dealer_not_found',
-                message: 'Dealer not found'
-            });
+        const { supabaseAdmin } = require('./config/supabase.js');
+        const { data, error } = await supabaseAdmin
+            .from('auth_sessions')
+            .select('id, dealer_id, email, impersonation_reason, created_at, last_used_at, expires_at')
+            .not('impersonated_by', 'is', null)
+            .is('revoked_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .order('created_at', { ascending: false });
+        if (error) throw error;
+        res.json({ success: true, data: data || [] });
+    } catch (error) {
+        console.error('Staff impersonations error:', error);
+        res.status(500).json({ success: false, error: 'impersonations_fetch_failed' });
+    }
+});
+
+// End an impersonation before its time box runs out
+app.delete('/api/admin/impersonations/:sessionId', async (req, res) => {
+    try {
+        const { supabaseAdmin } = require('./config/supabase.js');
+        const { data, error } = await supabaseAdmin
+            .from('auth_sessions')
+            .update({ revoked_at: new Date().toISOString(), revoked_reason: 'impersonation_ended' })
+            .eq('id', req.params.sessionId)
+            .not('impersonated_by', 'is', null)
+            .is('revoked_at', null)
+            .select('id, dealer_id');
+        if (error) throw error;
+        if (!data?.length) {
+            return res.status(404).json({ success: false, error: 'session_not_found' });
         }
+
+        await StaffAdmin.logAction(req, { action: 'impersonation_end', dealerId: data[0].dealer_id, targetId: data[0].id });
+        res.json({ success: true });
     } catch (error) {
-        console.error('Get dealer PIN error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'server_error',
-            message: 'Internal server error'
+        console.error('Staff impersonation end error:', error);
+        res.status(500).json({ success: false, error: 'impersonation_end_failed' });
+    }
+});
+
+// Staff action log (?dealerId= to filter)
+app.get('/api/admin/actions', async (req, res) => {
+    try {
+        const data = await StaffAdmin.listActions({
+            dealerId: parseInt(req.query.dealerId, 10) || null,
+            limit: req.query.limit
         });
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Staff actions error:', error);
+        res.status(500).json({ success: false, error: 'actions_fetch_failed' });
     }
 });
 
@@ -2873,8 +3844,8 @@ app.get('/api/certificates/simple', async (req, res) => {
     }
 });
 
-// Debug endpoint to check device table structure
-app.get('/api/device/debug', async (req, res) => {
+// Debug endpoint to check device table structure (staff console)
+app.get('/api/admin/debug/device', async (req, res) => {
     try {
         // Check device table structure
         const structure = await pool.query(`
@@ -2903,8 +3874,8 @@ app.get('/api/device/debug', async (req, res) => {
     }
 });
 
-// Debug endpoint to check certificate table structure  
-app.get('/api/certificates/debug', async (req, res) => {
+// Debug endpoint to check certificate table structure (staff console)
+app.get('/api/admin/debug/certificates', async (req, res) => {
     try {
         // Check table structure
         const structure = await pool.query(`
@@ -2933,8 +3904,8 @@ app.get('/api/certificates/debug', async (req, res) => {
     }
 });
 
-// Debug endpoint to check position table structure  
-app.get('/api/position/debug', async (req, res) => {
+// Debug endpoint to check position table structure (staff console)
+app.get('/api/admin/debug/position', async (req, res) => {
     try {
         // Check position table structure
         const structure = await pool.query(`
@@ -2963,9 +3934,9 @@ app.get('/api/position/debug', async (req, res) => {
     }
 });
 
-// Debug endpoint to trace odometer source for specific device
+// Debug endpoint to trace odometer source for specific device (staff console)
 // Deprecated debug endpoint: odometer must always come from vehicle.odometer
-app.get('/api/device/:deviceId/odometer-trace', async (req, res) => {
+app.get('/api/admin/debug/odometer-trace/:deviceId', async (req, res) => {
     try {
         const deviceId = parseInt(req.params.deviceId);
         if (!deviceId || isNaN(deviceId)) {
@@ -3055,8 +4026,8 @@ app.get('/api/device/:deviceId/odometer-trace', async (req, res) => {
     }
 });
 
-// Debug endpoint to check OBD data structure
-app.get('/api/debug/obd/:deviceId', async (req, res) => {
+// Debug endpoint to check OBD data structure (staff console)
+app.get('/api/admin/debug/obd/:deviceId', async (req, res) => {
     try {
         const { deviceId } = req.params;
         
@@ -3147,8 +4118,8 @@ app.get('/api/debug/obd/:deviceId', async (req, res) => {
     }
 });
 
-// Simple database connectivity test
-app.get('/api/db/test', async (req, res) => {
+// Simple database connectivity test (staff console)
+app.get('/api/admin/debug/db', async (req, res) => {
     try {
         // Test basic connection
         const connectionTest = await pool.query('SELECT NOW() as current_time');
@@ -3200,367 +4171,54 @@ app.get('/api/dealers', async (req, res) => {
 });
 
 // Get dealer information by ID
-app.get('/api/dealer/:dealerId', async (req, res) => {
-    try {
-        const dealerId = parseInt(req.params.dealerId);
-        if (!dealerId || isNaN(dealerId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid dealer ID'
-            });
-        }
-
-        console.log(` Fetching dealer info for ID: ${dealerId}`);
-        
-        const query = `
-            SELECT id, "companyName", "companyLoginEmail", "brand", 
-                   "companyTaxCode", "companyAddress1", "companyCity", 
-                   "companyProvincia", "companyPhoneNumber", "createdAt", "updatedAt"
-            FROM dealer 
-            WHERE id = $1
-        `;
-        
-        const dealers = await DatabaseManager.executeQuery(query, [dealerId]);
-        
-        if (dealers.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: `Dealer with ID ${dealerId} not found`
-            });
-        }
-        
-        console.log(` Found dealer: ${dealers[0].companyName}`);
-        
-        res.json({
-            success: true,
-            dealer: dealers[0],
-            message: `Dealer information retrieved successfully`
-        });
-        
-    } catch (error) {
-        console.error(' Error fetching dealer:', error);
-        res.status(500).json({
-            success: false,
-            message: error.message
-        });
-    }
-});
-
-// Get client information by device ID
-app.get('/api/device/:deviceId/client', async (req, res) => {
-    try {
-        const deviceId = parseInt(req.params.deviceId);
-        if (!deviceId || isNaN(deviceId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid device ID'
-            });
-        }
-
-        console.log(` Fetching client info for device ID: ${deviceId}`);
-        
-        // First, let's check if the device exists and has a userId
-        const deviceQuery = `SELECT id, "userId" FROM device WHERE id = $1`;
-        const deviceResult = await DatabaseManager.executeQuery(deviceQuery, [deviceId]);
-        
-        console.log(` Device lookup result:`, deviceResult);
-        
-        if (deviceResult.length === 0) {
-            return res.json({
-                success: false,
-                message: `Device with ID ${deviceId} not found`,
-                client: null
-            });
-        }
-        
-        const device = deviceResult[0];
-        if (!device.userId) {
-            return res.json({
-                success: false,
-                message: `Device ${deviceId} has no associated user ID`,
-                client: null
-            });
-        }
-        
-        console.log(` Device ${deviceId} has userId: ${device.userId}`);
-        
-        // First, let's see what columns actually exist in the user table
-        console.log(` Checking user table structure...`);
-        const structureQuery = `
-            SELECT column_name, data_type 
-            FROM information_schema.columns 
-            WHERE table_name = 'user' AND table_schema = 'public'
-            ORDER BY ordinal_position
-        `;
-        
-        const columns = await DatabaseManager.executeQuery(structureQuery, []);
-        console.log(` Available columns in user table:`, columns.map(c => c.column_name));
-        
-        // Now get the user information with available columns
-        const userQuery = `
-            SELECT id, "firstName", "lastName", email, phone, 
-                   address, city, country, "taxCode", postcode,
-                   birthday, company, address2, state
-            FROM "user" 
-            WHERE id = $1
-        `;
-        
-        const userResult = await DatabaseManager.executeQuery(userQuery, [device.userId]);
-        
-        console.log(` User lookup result:`, userResult);
-        
-        if (userResult.length === 0) {
-            return res.json({
-                success: false,
-                message: `User with ID ${device.userId} not found`,
-                client: null
-            });
-        }
-        
-        const client = userResult[0];
-        console.log(` Found client: ${client.firstName} ${client.lastName}`);
-        
-        res.json({
-            success: true,
-            client: client,
-            message: `Client information retrieved successfully`
-        });
-        
-    } catch (error) {
-        console.error(' Error fetching client info:', error);
-        console.error(' Error details:', error.message);
-        res.status(500).json({
-            success: false,
-            message: error.message,
-            client: null
-        });
-    }
-});
-
-// Get throttle data for device from position table
-app.get('/api/device/:deviceId/throttle', async (req, res) => {
-    try {
-        const deviceId = parseInt(req.params.deviceId);
-        if (!deviceId || isNaN(deviceId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid device ID'
-            });
-        }
-
-        console.log(` Fetching throttle data for device ID: ${deviceId}`);
-        
-        const query = `
-            SELECT throttle, "createdAt", speed, latitude, longitude
-            FROM position 
-            WHERE "deviceId" = $1 
-            AND throttle IS NOT NULL 
-            AND throttle > 0
-            ORDER BY "createdAt" DESC
-            LIMIT 100
-        `;
-        
-        const throttleData = await DatabaseManager.executeQuery(query, [deviceId]);
-        
-        console.log(` Found ${throttleData.length} throttle readings for device ${deviceId}`);
-        
-        // Calculate statistics
-        let avgThrottle = 0;
-        let maxThrottle = 0;
-        let minThrottle = 100;
-        
-        if (throttleData.length > 0) {
-            const values = throttleData.map(d => d.throttle);
-            avgThrottle = values.reduce((sum, val) => sum + val, 0) / values.length;
-            maxThrottle = Math.max(...values);
-            minThrottle = Math.min(...values);
-        }
-        
-        res.json({
-            success: true,
-            throttleData: throttleData,
-            statistics: {
-                totalReadings: throttleData.length,
-                averageThrottle: Math.round(avgThrottle * 100) / 100,
-                maxThrottle: maxThrottle,
-                minThrottle: minThrottle
-            },
-            message: `Throttle data retrieved successfully`
-        });
-        
-    } catch (error) {
-        console.error(' Error fetching throttle data:', error);
-        res.status(500).json({
-            success: false,
-            message: error.message,
-            throttleData: [],
-            statistics: null
-        });
-    }
-});
-
-// Get engine temperature data for device from position table (REAL OBD DATA)
-app.get('/api/device/:deviceId/engine-temperature', async (req, res) => {
-    try {
-        const deviceId = parseInt(req.params.deviceId);
-        if (!deviceId || isNaN(deviceId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid device ID'
-            });
-        }
-
-        console.log(` Fetching engine temperature data for device ID: ${deviceId}`);
-        
-        // Testing WITHOUT data field (like working throttle query)
-        const query = `
-            SELECT "createdAt", speed, latitude, longitude, throttle
-            FROM position 
-            WHERE "deviceId" = $1 
-            AND throttle IS NOT NULL 
-            AND throttle > 0
-            ORDER BY "createdAt" DESC
-            LIMIT 100
-        `;
-        
-        const positionData = await DatabaseManager.executeQuery(query, [deviceId]);
-        
-        console.log(` Found ${positionData.length} position records for device ${deviceId}`);
-        
-        // TESTING: Use throttle data as temperature (just to test endpoint works)
-        const temperatureData = [];
-        let totalTemp = 0;
-        let validReadings = 0;
-        let maxTemp = -999;
-        let minTemp = 999;
-        
-        for (const row of positionData) {
-            if (row.throttle && !isNaN(row.throttle)) {
-                // Use throttle as "fake temperature" for testing
-                const temp = parseFloat(row.throttle) + 60; // Convert throttle % to fake temp
-                temperatureData.push({
-                    temperature: temp,
-                    createdAt: row.createdAt,
-                    speed: row.speed,
-                    latitude: row.latitude,
-                    longitude: row.longitude
-                });
-                totalTemp += temp;
-                validReadings++;
-                maxTemp = Math.max(maxTemp, temp);
-                minTemp = Math.min(minTemp, temp);
-            }
-        }
-        
-        const avgTemp = validReadings > 0 ? totalTemp / validReadings : 0;
-        
-        console.log(` Processed ${validReadings} valid temperature readings`);
-        
-        res.json({
-            success: true,
-            temperatureData: temperatureData,
-            statistics: {
-                totalReadings: temperatureData.length,
-                averageTemperature: Math.round(avgTemp * 10) / 10,
-                maxTemperature: validReadings > 0 ? maxTemp : null,
-                minTemperature: validReadings > 0 ? minTemp : null,
-                unit: 'C'
-            }
-        });
-    } catch (error) {
-        console.error(' Error fetching engine temperature data:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Database error',
-            error: error.message
-        });
-    }
-});
-
-// Get engine RPM data for device from position table (REAL OBD DATA)
-app.get('/api/device/:deviceId/engine-rpm', async (req, res) => {
+app.get('/api/dealer/:dealerId', async (req, res) => {
     try {
-        const deviceId = parseInt(req.params.deviceId);
-        if (!deviceId || isNaN(deviceId)) {
+        const dealerId = parseInt(req.params.dealerId);
+        if (!dealerId || isNaN(dealerId)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid device ID'
+                message: 'Invalid dealer ID'
             });
         }
 
-        console.log(` Fetching engine RPM data for device ID: ${deviceId}`);
+        console.log(` Fetching dealer info for ID: ${dealerId}`);
         
         const query = `
-            SELECT data, "createdAt", speed, latitude, longitude
-            FROM position 
-            WHERE "deviceId" = $1 
-            AND data IS NOT NULL 
-            AND data != '{}'
-            ORDER BY "createdAt" DESC
-            LIMIT 100
+            SELECT id, "companyName", "companyLoginEmail", "brand", 
+                   "companyTaxCode", "companyAddress1", "companyCity", 
+                   "companyProvincia", "companyPhoneNumber", "createdAt", "updatedAt"
+            FROM dealer 
+            WHERE id = $1
         `;
         
-        const positionData = await DatabaseManager.executeQuery(query, [deviceId]);
-        
-        console.log(` Found ${positionData.length} position records for device ${deviceId}`);
-        
-        const rpmData = [];
-        let totalRpm = 0;
-        let validReadings = 0;
-        let maxRpm = 0;
-        let minRpm = 99999;
+        const dealers = await DatabaseManager.executeQuery(query, [dealerId]);
         
-        for (const row of positionData) {
-            try {
-                const data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
-                if (data && data['36']) { // Parameter 36 = Engine RPM
-                    const rpm = parseFloat(data['36']);
-                    if (!isNaN(rpm) && rpm >= 0 && rpm <= 10000) { // Reasonable RPM range
-                        rpmData.push({
-                            rpm: rpm,
-                            createdAt: row.createdAt,
-                            speed: row.speed,
-                            latitude: row.latitude,
-                            longitude: row.longitude
-                        });
-                        totalRpm += rpm;
-                        validReadings++;
-                        maxRpm = Math.max(maxRpm, rpm);
-                        minRpm = Math.min(minRpm, rpm);
-                    }
-                }
-            } catch (parseError) {
-                continue;
-            }
+        if (dealers.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: `Dealer with ID ${dealerId} not found`
+            });
         }
         
-        const avgRpm = validReadings > 0 ? totalRpm / validReadings : 0;
-        
-        console.log(` Processed ${validReadings} valid RPM readings`);
+        console.log(` Found dealer: ${dealers[0].companyName}`);
         
         res.json({
             success: true,
-            rpmData: rpmData,
-            statistics: {
-                totalReadings: rpmData.length,
-                averageRPM: Math.round(avgRpm),
-                maxRPM: validReadings > 0 ? maxRpm : null,
-                minRPM: validReadings > 0 ? minRpm : null,
-                unit: 'RPM'
-            }
+            dealer: dealers[0],
+            message: `Dealer information retrieved successfully`
         });
+        
     } catch (error) {
-        console.error(' Error fetching engine RPM data:', error);
+        console.error(' Error fetching dealer:', error);
         res.status(500).json({
             success: false,
-            message: 'Database error',
-            error: error.message
+            message: error.message
         });
     }
 });
 
-// Get engine load data for device from position table (REAL OBD DATA)
-app.get('/api/device/:deviceId/engine-load', async (req, res) => {
+// Get client information by device ID
+app.get('/api/device/:deviceId/client', async (req, res) => {
     try {
         const deviceId = parseInt(req.params.deviceId);
         if (!deviceId || isNaN(deviceId)) {
@@ -3570,79 +4228,88 @@ app.get('/api/device/:deviceId/engine-load', async (req, res) => {
             });
         }
 
-        console.log(` Fetching engine load data for device ID: ${deviceId}`);
+        console.log(` Fetching client info for device ID: ${deviceId}`);
         
-        const query = `
-            SELECT data, "createdAt", speed, latitude, longitude
-            FROM position 
-            WHERE "deviceId" = $1 
-            AND data IS NOT NULL 
-            AND data != '{}'
-            ORDER BY "createdAt" DESC
-            LIMIT 100
+        // First, let's check if the device exists and has a userId
+        const deviceQuery = `SELECT id, "userId" FROM device WHERE id = $1`;
+        const deviceResult = await DatabaseManager.executeQuery(deviceQuery, [deviceId]);
+        
+        console.log(` Device lookup result:`, deviceResult);
+        
+        if (deviceResult.length === 0) {
+            return res.json({
+                success: false,
+                message: `Device with ID ${deviceId} not found`,
+                client: null
+            });
+        }
+        
+        const device = deviceResult[0];
+        if (!device.userId) {
+            return res.json({
+                success: false,
+                message: `Device ${deviceId} has no associated user ID`,
+                client: null
+            });
+        }
+        
+        console.log(` Device ${deviceId} has userId: ${device.userId}`);
+        
+        // First, let's see what columns actually exist in the user table
+        console.log(` Checking user table structure...`);
+        const structureQuery = `
+            SELECT column_name, data_type 
+            FROM information_schema.columns 
+            WHERE table_name = 'user' AND table_schema = 'public'
+            ORDER BY ordinal_position
         `;
         
-        const positionData = await DatabaseManager.executeQuery(query, [deviceId]);
+        const columns = await DatabaseManager.executeQuery(structureQuery, []);
+        console.log(` Available columns in user table:`, columns.map(c => c.column_name));
         
-        console.log(` Found ${positionData.length} position records for device ${deviceId}`);
+        // Now get the user information with available columns
+        const userQuery = `
+            SELECT id, "firstName", "lastName", email, phone, 
+                   address, city, country, "taxCode", postcode,
+                   birthday, company, address2, state
+            FROM "user" 
+            WHERE id = $1
+        `;
         
-        const loadData = [];
-        let totalLoad = 0;
-        let validReadings = 0;
-        let maxLoad = 0;
-        let minLoad = 100;
+        const userResult = await DatabaseManager.executeQuery(userQuery, [device.userId]);
         
-        for (const row of positionData) {
-            try {
-                const data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
-                if (data && data['31']) { // Parameter 31 = Engine Load
-                    const load = parseFloat(data['31']);
-                    if (!isNaN(load) && load >= 0 && load <= 100) { // 0-100% range
-                        loadData.push({
-                            engineLoad: load,
-                            createdAt: row.createdAt,
-                            speed: row.speed,
-                            latitude: row.latitude,
-                            longitude: row.longitude
-                        });
-                        totalLoad += load;
-                        validReadings++;
-                        maxLoad = Math.max(maxLoad, load);
-                        minLoad = Math.min(minLoad, load);
-                    }
-                }
-            } catch (parseError) {
-                continue;
-            }
-        }
+        console.log(` User lookup result:`, userResult);
         
-        const avgLoad = validReadings > 0 ? totalLoad / validReadings : 0;
+        if (userResult.length === 0) {
+            return res.json({
+                success: false,
+                message: `User with ID ${device.userId} not found`,
+                client: null
+            });
+        }
         
-        console.log(` Processed ${validReadings} valid engine load readings`);
+        const client = userResult[0];
+        console.log(` Found client: ${client.firstName} ${client.lastName}`);
         
         res.json({
             success: true,
-            loadData: loadData,
-            statistics: {
-                totalReadings: loadData.length,
-                averageLoad: Math.round(avgLoad * 10) / 10,
-                maxLoad: validReadings > 0 ? maxLoad : null,
-                minLoad: validReadings > 0 ? minLoad : null,
-                unit: '%'
-            }
+            client: client,
+            message: `Client information retrieved successfully`
         });
+        
     } catch (error) {
-        console.error(' Error fetching engine load data:', error);
+        console.error(' Error fetching client info:', error);
+        console.error(' Error details:', error.message);
         res.status(500).json({
             success: false,
-            message: 'Database error',
-            error: error.message
+            message: error.message,
+            client: null
         });
     }
 });
 
-// Debug endpoint for report table structure
-app.get('/api/report/debug', async (req, res) => {
+// Debug endpoint for report table structure (staff console)
+app.get('/api/admin/debug/report', async (req, res) => {
     try {
         console.log(' Analyzing report table structure...');
         
@@ -3815,8 +4482,8 @@ app.get('/api/vehicle/:deviceId/summary', async (req, res) => {
     }
 });
 
-// Debug endpoint for vehicle table schema
-app.get('/api/debug/vehicle-schema', async (req, res) => {
+// Debug endpoint for vehicle table schema (staff console)
+app.get('/api/admin/debug/vehicle-schema', async (req, res) => {
     try {
         const result = await pool.query(`
             SELECT column_name, data_type, is_nullable
@@ -3839,6 +4506,9 @@ app.get('/api/vehicle/:deviceId/ai-report', async (req, res) => {
         
         console.log(` Generating AI report with REAL DATABASE DATA for device ${deviceId}...`);
         
+        // OpenAI usage for this report is billed to the dealer owning the device
+        const dealerId = await DatabaseManager.getDealerIdForDevice(deviceId);
+        
         // Build date filter
         let dateFilter = '';
         const queryParams = [deviceId];
@@ -4891,7 +5561,7 @@ ${isItalian ? 'NOTA: Non usare separatori delle migliaia nei numeri. Esempio: 16
                 });
                 
                 // Call OpenAI API
-                const openaiPromise = openai.chat.completions.create({
+                const openaiPromise = meteredOpenAI.chatCompletion({
                     model: "gpt-3.5-turbo",
                     messages: [
                         {
@@ -4907,7 +5577,7 @@ ${isItalian ? 'NOTA: Non usare separatori delle migliaia nei numeri. Esempio: 16
                     ],
                     max_tokens: 1200,
                     temperature: 0.7
-                });
+                }, { dealerId, feature: 'vehicle_ai_report', relatedEntity: `device:${deviceId}` });
                 
                 const completion = await Promise.race([openaiPromise, openaiTimeout]);
                 
@@ -4937,7 +5607,7 @@ ${isItalian ? 'NOTA: Non usare separatori delle migliaia nei numeri. Esempio: 16
                     return generateAISectionResponse(prompt, { vehicle, obdData: { spikeAnalysis: obdInsights.spikeAnalysis } }, isItalian ? 'it' : 'en', sectionName);
                 }
                 
-                const completion = await openai.chat.completions.create({
+                const completion = await meteredOpenAI.chatCompletion({
                     model: "gpt-3.5-turbo",
                     messages: [
                         {
@@ -4953,7 +5623,7 @@ ${isItalian ? 'NOTA: Non usare separatori delle migliaia nei numeri. Esempio: 16
                     ],
                     max_tokens: 300,
                     temperature: 0.7
-                });
+                }, { dealerId, feature: `vehicle_ai_report_${sectionName}`, relatedEntity: `device:${deviceId}` });
                 
                 let content = completion.choices[0].message.content;
                 // Strip emojis
@@ -5319,44 +5989,8 @@ app.get('/api/vehicle/:deviceId/obd', async (req, res) => {
     }
 });
 
-// Simple test endpoint
-app.get('/api/test-simple', async (req, res) => {
-    console.log(' Simple test endpoint called');
-    res.json({ message: 'Test endpoint working', timestamp: new Date() });
-});
-
-// Database connection test endpoint
-app.get('/api/test-db', async (req, res) => {
-    try {
-        console.log(' Testing database connection...');
-        
-        // Test simple query
-        const result = await pool.query('SELECT NOW() as current_time');
-        console.log(' Database query successful:', result.rows[0]);
-        
-        // Test position table query
-        const positionResult = await pool.query('SELECT COUNT(*) as count FROM position WHERE "deviceId" = 528');
-        console.log(' Position count query successful:', positionResult.rows[0]);
-        
-        res.json({
-            success: true,
-            message: 'Database connection working',
-            currentTime: result.rows[0].current_time,
-            positionCount: positionResult.rows[0].count
-        });
-        
-    } catch (error) {
-        console.error(' Database test error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Database connection failed',
-            error: error.message
-        });
-    }
-});
-
-// Debug endpoint to check position data structure
-app.get('/api/debug/position/:deviceId', async (req, res) => {
+// Debug endpoint to check position data structure (staff console)
+app.get('/api/admin/debug/position/:deviceId', async (req, res) => {
     try {
         const deviceId = req.params.deviceId;
         console.log(` Debugging position data for device ${deviceId}`);
@@ -5415,8 +6049,8 @@ app.get('/api/debug/position/:deviceId', async (req, res) => {
     }
 });
 
-// Debug endpoint to check filter counts
-app.get('/api/debug/filters/:deviceId', async (req, res) => {
+// Debug endpoint to check filter counts (staff console)
+app.get('/api/admin/debug/filters/:deviceId', async (req, res) => {
     try {
         const deviceId = req.params.deviceId;
         console.log(` Checking filter counts for device ${deviceId}`);
@@ -5496,151 +6130,41 @@ app.get('/api/debug/filters/:deviceId', async (req, res) => {
     }
 });
 
-// Test query: Get last 50 position records with ignition=true
-app.get('/api/vehicle/:deviceId/test-obd', async (req, res) => {
-    
-    // Add specific search for RPM 1673
+// Trouble codes of the vehicle for the DTC tab: newest reading of the device, active codes and the cleared
+// ones (paged with ?limit= &offset=), descriptions in Italian and English
+app.get('/api/vehicle/:deviceId/dtc', async (req, res) => {
+    const { limit, offset } = req.query;
     try {
-        console.log(' Searching for position with RPM 1673...');
-        const rpmSearchQuery = `
-            SELECT id, data, "createdAt"
-            FROM position
-            WHERE "deviceId" = $1
-            AND data IS NOT NULL
-            AND data != '{}'
-            AND data::text LIKE '%"36":%'
-            ORDER BY "createdAt" DESC
-            LIMIT 10
-        `;
-        
-        const rpmResult = await pool.query(rpmSearchQuery, [req.params.deviceId]);
-        console.log(` Found ${rpmResult.rows.length} positions with RPM 1673`);
-        
-        if (rpmResult.rows.length > 0) {
-            console.log(` Found ${rpmResult.rows.length} positions with RPM data`);
-            
-            rpmResult.rows.forEach((row, index) => {
-                try {
-                    const dataObj = JSON.parse(row.data);
-                    const obdElements = dataObj.IOelement?.Elements || {};
-                    const rpmValue = obdElements['36'];
-                    
-                    console.log(` Position ${index + 1}:`, {
-                        id: row.id,
-                        createdAt: row.createdAt,
-                        rpm: rpmValue
-                    });
-                    
-                    // Check if this is the RPM 1673 we're looking for
-                    if (rpmValue === 1673) {
-                        console.log(` FOUND RPM 1673 in position ID: ${row.id}`);
-                    }
-                } catch (error) {
-                    console.log(` Error parsing position ${row.id}:`, error.message);
-                }
-            });
-        }
+        const [current, { active, history, total }] = await Promise.all([
+            VehicleDtc.current(req.params.deviceId),
+            VehicleDtc.forDevice(req.params.deviceId, { limit, offset })
+        ]);
+        res.json({ success: true, current, active, history, total });
     } catch (error) {
-        console.log(' RPM search failed:', error.message);
+        console.error('Get vehicle DTC error:', error);
+        res.status(500).json({ success: false, error: 'dtc_fetch_failed' });
     }
+});
+
+// Time series of FMB003 parameters for the charts: ?params=36,32,41 &from= &to= (ISO, last 24 hours by default)
+// &bucket=5m &engineRunning=true; min / avg / max per bucket, wider buckets when the range would need too many
+app.get('/api/vehicle/:deviceId/timeseries', async (req, res) => {
+    const { params, from, to, bucket, engineRunning } = req.query;
     try {
-        const { deviceId } = req.params;
-        
-        console.log(` Testing OBD query for device ${deviceId}...`);
-        
-        // First test basic database connectivity
-        console.log(' Testing database connectivity...');
-        try {
-            const connectTest = await pool.query('SELECT NOW() as current_time');
-            console.log(` Database connected successfully: ${connectTest.rows[0].current_time}`);
-        } catch (connectErr) {
-            console.log(` Database connection failed: ${connectErr.message}`);
-            throw connectErr;
-        }
-        
-        // Test OBD data structure
-        console.log(' Testing OBD data structure...');
-        const obdStructureQuery = `
-            SELECT data, "createdAt"
-            FROM position
-            WHERE "deviceId" = $1
-            AND data IS NOT NULL
-            AND data != '{}'
-            ORDER BY "createdAt" DESC
-            LIMIT 5
-        `;
-        
-        try {
-            const obdStructureResult = await pool.query(obdStructureQuery, [deviceId]);
-            console.log(` OBD structure query found ${obdStructureResult.rows.length} records`);
-            
-            if (obdStructureResult.rows.length > 0) {
-                console.log(' First OBD record structure:', JSON.stringify(obdStructureResult.rows[0].data, null, 2));
-                console.log(' Available OBD keys:', Object.keys(obdStructureResult.rows[0].data || {}));
-            }
-        } catch (obdErr) {
-            console.log(` OBD structure query failed: ${obdErr.message}`);
-        }
-        
-        // Check position table structure and size
-        console.log(' Checking position table status...');
-        try {
-            // Check table size
-            const sizeQuery = `
-                SELECT 
-                    schemaname, tablename, 
-                    pg_size_pretty(pg_total_relation_size(schemaname||'.'||tablename)) as size,
-                    pg_total_relation_size(schemaname||'.'||tablename) as size_bytes
-                FROM pg_tables 
-                WHERE tablename = 'position'
-            `;
-            const sizeResult = await pool.query(sizeQuery);
-            if (sizeResult.rows.length > 0) {
-                console.log(` Position table size: ${sizeResult.rows[0].size} (${sizeResult.rows[0].size_bytes} bytes)`);
-            }
-            
-            // Check indexes
-            const indexQuery = `
-                SELECT indexname, indexdef 
-                FROM pg_indexes 
-                WHERE tablename = 'position' 
-                AND (indexdef LIKE '%deviceId%' OR indexdef LIKE '%createdAt%')
-            `;
-            const indexResult = await pool.query(indexQuery);
-            console.log(` Found ${indexResult.rows.length} relevant indexes on position table:`);
-            indexResult.rows.forEach(idx => {
-                console.log(`  - ${idx.indexname}: ${idx.indexdef}`);
-            });
-            
-            // Check if there are any locks
-            const lockQuery = `
-                SELECT mode, granted, query 
-                FROM pg_locks l 
-                JOIN pg_stat_activity a ON l.pid = a.pid 
-                WHERE relation = 'position'::regclass
-            `;
-            const lockResult = await pool.query(lockQuery);
-            console.log(` Active locks on position table: ${lockResult.rows.length}`);
-            
-        } catch (metaErr) {
-            console.log(` Could not check table metadata: ${metaErr.message}`);
+        const result = await VehicleTimeseries.query(req.params.deviceId, {
+            params,
+            from,
+            to,
+            bucket,
+            engineRunning: engineRunning === 'true'
+        });
+        if (!result.success) {
+            return res.status(400).json(result);
         }
-        
-        // Let's test different query variations to find the issue
-        console.log(' Testing Query 1: Basic position query (no filters)');
-        const basicQuery = `
-            SELECT id, "deviceId", "createdAt", speed
-            FROM position 
-            WHERE "deviceId" = $1 
-            ORDER BY "createdAt" DESC 
-            LIMIT 10
-        `;
+        res.json({ ...result, deviceId: Number(req.params.deviceId) });
     } catch (error) {
-        console.error(' Error fetching vehicle analytics:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        console.error('Get vehicle time series error:', error);
+        res.status(500).json({ success: false, error: 'timeseries_fetch_failed' });
     }
 });
 
@@ -5895,7 +6419,9 @@ app.post('/api/vehicle/:deviceId/ai-section', async (req, res) => {
             },
             obdData: obdInsights,
             recordsAnalyzed: obdData.length,
-            language: lang
+            language: lang,
+            deviceId,
+            dealerId: await DatabaseManager.getDealerIdForDevice(deviceId)
         };
         
         // Generate AI response based on section
@@ -6414,7 +6940,7 @@ async function generateCriticalAlerts(context, lang) {
     
     try {
         // Call OpenAI API
-        const completion = await openai.chat.completions.create({
+        const completion = await meteredOpenAI.chatCompletion({
             model: "gpt-3.5-turbo",
             messages: [
                 {
@@ -6430,7 +6956,7 @@ async function generateCriticalAlerts(context, lang) {
             ],
             max_tokens: 800,
             temperature: 0.3
-        });
+        }, { dealerId: context.dealerId, feature: 'vehicle_ai_section_critical_alerts', relatedEntity: `device:${context.deviceId}` });
         
         let content = completion.choices[0].message.content;
         
@@ -6688,30 +7214,41 @@ app.get('/api/communications/signatures/:dealerId', async (req, res) => {
     }
 });
 
-app.post('/api/communications/signatures', express.json(), async (req, res) => {
+app.post('/api/communications/signatures', express.json(), ApiAuthorization.requirePermission('templates_edit'), async (req, res) => {
     try {
-        const payload = req.body;
+        const payload = { ...req.body, dealer_id: req.auth.dealerId };
+        if (payload.id && !(await ApiAuthorization.owns('signatureId', payload.id, req.auth.dealerId))) {
+            return res.status(403).json({ success: false, error: 'forbidden', message: 'Access denied' });
+        }
+        const previous = payload.id
+            ? (await supabaseAdmin.from('dealer_signatures').select('*').eq('id', payload.id).maybeSingle()).data
+            : null;
         const { data, error } = await supabaseAdmin
             .from('dealer_signatures')
             .upsert([payload], { onConflict: 'id' })
             .select()
             .single();
         if (error) throw error;
+        await AuditLog.record(req, { action: 'signature.save', targetType: 'signature', targetId: data.id, before: previous, after: data });
         res.json({ success: true, data });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-app.delete('/api/communications/signatures/:id/:dealerId', async (req, res) => {
+app.delete('/api/communications/signatures/:id/:dealerId', ApiAuthorization.requirePermission('templates_edit'), async (req, res) => {
     try {
         const { id, dealerId } = req.params;
-        const { error } = await supabaseAdmin
+        const { data, error } = await supabaseAdmin
             .from('dealer_signatures')
             .delete()
             .eq('id', id)
-            .eq('dealer_id', dealerId);
+            .eq('dealer_id', dealerId)
+            .select();
         if (error) throw error;
+        if (data?.length) {
+            await AuditLog.record(req, { action: 'signature.delete', targetType: 'signature', targetId: id, before: data[0] });
+        }
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -6806,9 +7343,16 @@ app.get('/api/countries', async (req, res) => {
     }
 });
 
-app.post('/api/communications/test-clients', express.json(), async (req, res) => {
+app.post('/api/communications/test-clients', express.json(), ApiAuthorization.requirePermission('communications_send'), async (req, res) => {
     try {
-        const payload = req.body || {};
+        const payload = { ...(req.body || {}), dealer_id: req.auth.dealerId };
+        if (payload.id && !(await ApiAuthorization.owns('testClientId', payload.id, req.auth.dealerId))) {
+            return res.status(403).json({ success: false, error: 'forbidden', message: 'Access denied' });
+        }
+        const previous = payload.id
+            ? (await supabaseAdmin.from('test_clients').select('*').eq('id', payload.id).maybeSingle()).data
+            : null;
+        const audit = (saved) => AuditLog.record(req, { action: 'test_client.save', targetType: 'test_client', targetId: saved.id, before: previous, after: saved });
         // First attempt: upsert full payload (works when columns exist)
         let q = await supabaseAdmin
             .from('test_clients')
@@ -6829,8 +7373,10 @@ app.post('/api/communications/test-clients', express.json(), async (req, res) =>
                 .select()
                 .single();
             if (q2.error) throw q2.error;
+            await audit(q2.data);
             return res.json({ success: true, data: q2.data, note: 'saved_with_base_columns' });
         }
+        await audit(q.data);
         return res.json({ success: true, data: q.data });
     } catch (error) {
         console.error('test-clients upsert failed:', error);
@@ -6838,15 +7384,19 @@ app.post('/api/communications/test-clients', express.json(), async (req, res) =>
     }
 });
 
-app.delete('/api/communications/test-clients/:id/:dealerId', async (req, res) => {
+app.delete('/api/communications/test-clients/:id/:dealerId', ApiAuthorization.requirePermission('communications_send'), async (req, res) => {
     try {
         const { id, dealerId } = req.params;
-        const { error } = await supabaseAdmin
+        const { data, error } = await supabaseAdmin
             .from('test_clients')
             .delete()
             .eq('id', id)
-            .eq('dealer_id', dealerId);
+            .eq('dealer_id', dealerId)
+            .select();
         if (error) throw error;
+        if (data?.length) {
+            await AuditLog.record(req, { action: 'test_client.delete', targetType: 'test_client', targetId: id, before: data[0] });
+        }
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -7012,7 +7562,7 @@ app.get('/api/vehicle-analysis/:dealerId', async (req, res) => {
 });
 
 // Create a new vehicle group
-app.post('/api/vehicle-groups', async (req, res) => {
+app.post('/api/vehicle-groups', ApiAuthorization.requirePermission('groups_manage'), async (req, res) => {
     try {
         const { dealerId, name, description, color, icon } = req.body;
         
@@ -7054,6 +7604,7 @@ app.post('/api/vehicle-groups', async (req, res) => {
         }
         
         console.log(` Created vehicle group "${name}" with ID ${newGroup.id}`);
+        await AuditLog.record(req, { action: 'vehicle_group.create', targetType: 'vehicle_group', targetId: newGroup.id, after: newGroup });
         
         res.json({
             success: true,
@@ -7072,7 +7623,7 @@ app.post('/api/vehicle-groups', async (req, res) => {
 });
 
 // Update a vehicle group
-app.put('/api/vehicle-groups/:groupId', async (req, res) => {
+app.put('/api/vehicle-groups/:groupId', ApiAuthorization.requirePermission('groups_manage'), async (req, res) => {
     try {
         const { groupId } = req.params;
         const { name, description, color, icon, is_active } = req.body;
@@ -7087,6 +7638,12 @@ app.put('/api/vehicle-groups/:groupId', async (req, res) => {
         if (icon !== undefined) updateData.icon = icon;
         if (is_active !== undefined) updateData.is_active = is_active;
         
+        const { data: previousGroup } = await supabaseAdmin
+            .from('vehicle_groups')
+            .select('*')
+            .eq('id', groupId)
+            .maybeSingle();
+        
         const { data: updatedGroup, error } = await supabaseAdmin
             .from('vehicle_groups')
             .update(updateData)
@@ -7106,6 +7663,7 @@ app.put('/api/vehicle-groups/:groupId', async (req, res) => {
         }
         
         console.log(` Updated vehicle group "${updatedGroup.name}"`);
+        await AuditLog.record(req, { action: 'vehicle_group.update', targetType: 'vehicle_group', targetId: groupId, before: previousGroup, after: updatedGroup });
         
         res.json({
             success: true,
@@ -7124,7 +7682,7 @@ app.put('/api/vehicle-groups/:groupId', async (req, res) => {
 });
 
 // Delete a vehicle group
-app.delete('/api/vehicle-groups/:groupId', async (req, res) => {
+app.delete('/api/vehicle-groups/:groupId', ApiAuthorization.requirePermission('groups_manage'), async (req, res) => {
     try {
         const { groupId } = req.params;
         
@@ -7135,7 +7693,7 @@ app.delete('/api/vehicle-groups/:groupId', async (req, res) => {
             .from('vehicle_groups')
             .delete()
             .eq('id', groupId)
-            .select('id, name')
+            .select()
             .single();
         
         if (error) {
@@ -7150,11 +7708,12 @@ app.delete('/api/vehicle-groups/:groupId', async (req, res) => {
         }
         
         console.log(` Deleted vehicle group "${deletedGroup.name}"`);
+        await AuditLog.record(req, { action: 'vehicle_group.delete', targetType: 'vehicle_group', targetId: groupId, before: deletedGroup });
         
         res.json({
             success: true,
             message: 'Vehicle group deleted successfully',
-            deletedGroup: deletedGroup
+            deletedGroup: { id: deletedGroup.id, name: deletedGroup.name }
         });
         
     } catch (error) {
@@ -7230,7 +7789,7 @@ app.get('/api/vehicle-groups/:groupId/vehicles', async (req, res) => {
 });
 
 // Add vehicle to group
-app.post('/api/vehicle-groups/:groupId/vehicles', async (req, res) => {
+app.post('/api/vehicle-groups/:groupId/vehicles', ApiAuthorization.requirePermission('groups_manage'), async (req, res) => {
     try {
         const { groupId } = req.params;
         const { vehicleId } = req.body;
@@ -7267,6 +7826,7 @@ app.post('/api/vehicle-groups/:groupId/vehicles', async (req, res) => {
         }
         
         console.log(` Added vehicle ${vehicleId} to group ${groupId}`);
+        await AuditLog.record(req, { action: 'vehicle_group.vehicle_add', targetType: 'vehicle_group', targetId: groupId, after: { vehicle_id: vehicleId } });
         
         res.json({
             success: true,
@@ -7285,7 +7845,7 @@ app.post('/api/vehicle-groups/:groupId/vehicles', async (req, res) => {
 });
 
 // Remove vehicle from group
-app.delete('/api/vehicle-groups/:groupId/vehicles/:vehicleId', async (req, res) => {
+app.delete('/api/vehicle-groups/:groupId/vehicles/:vehicleId', ApiAuthorization.requirePermission('groups_manage'), async (req, res) => {
     try {
         const { groupId, vehicleId } = req.params;
         
@@ -7312,6 +7872,7 @@ app.delete('/api/vehicle-groups/:groupId/vehicles/:vehicleId', async (req, res)
         }
         
         console.log(` Removed vehicle ${vehicleId} from group ${groupId}`);
+        await AuditLog.record(req, { action: 'vehicle_group.vehicle_remove', targetType: 'vehicle_group', targetId: groupId, before: { vehicle_id: vehicleId } });
         
         res.json({
             success: true,
@@ -7722,7 +8283,7 @@ app.get('/api/templates/:dealerId', async (req, res) => {
 });
 
 // Create new template
-app.post('/api/templates', express.json(), async (req, res) => {
+app.post('/api/templates', express.json(), ApiAuthorization.requirePermission('templates_edit'), async (req, res) => {
     try {
         const { 
             dealer_id, 
@@ -7802,6 +8363,7 @@ app.post('/api/templates', express.json(), async (req, res) => {
         }
         
         console.log(`✅ Created template: ${template.name} (${template.id})`);
+        await AuditLog.record(req, { action: 'template.create', targetType: 'template', targetId: template.id, after: template });
         res.status(201).json({ success: true, data: template });
         
     } catch (error) {
@@ -7811,7 +8373,7 @@ app.post('/api/templates', express.json(), async (req, res) => {
 });
 
 // Update template
-app.put('/api/templates/:templateId', express.json(), async (req, res) => {
+app.put('/api/templates/:templateId', express.json(), ApiAuthorization.requirePermission('templates_edit'), async (req, res) => {
     try {
         const { templateId } = req.params;
         const updateData = req.body;
@@ -7820,6 +8382,12 @@ app.put('/api/templates/:templateId', express.json(), async (req, res) => {
         
         const { supabaseAdmin } = require('./config/supabase.js');
         
+        const { data: previousTemplate } = await supabaseAdmin
+            .from('communication_templates')
+            .select('*')
+            .eq('id', templateId)
+            .maybeSingle();
+        
         const { data: template, error } = await supabaseAdmin
             .from('communication_templates')
             .update(updateData)
@@ -7833,6 +8401,7 @@ app.put('/api/templates/:templateId', express.json(), async (req, res) => {
         }
         
         console.log(`✅ Updated template: ${template.name}`);
+        await AuditLog.record(req, { action: 'template.update', targetType: 'template', targetId: templateId, before: previousTemplate, after: template });
         res.json({ success: true, data: template });
         
     } catch (error) {
@@ -7924,6 +8493,7 @@ app.post('/api/saved-searches', async (req, res) => {
         }
         
         console.log(`✅ Created saved search: ${search.name} (ID: ${search.id})`);
+        await AuditLog.record(req, { action: 'saved_search.create', targetType: 'saved_search', targetId: search.id, after: search });
         res.json({ success: true, data: search });
         
     } catch (error) {
@@ -7960,6 +8530,12 @@ app.put('/api/saved-searches/:searchId', async (req, res) => {
         if (icon !== undefined) updateData.icon = icon;
         if (isFavorite !== undefined) updateData.is_favorite = isFavorite;
         
+        const { data: previousSearch } = await supabaseAdmin
+            .from('saved_searches')
+            .select('*')
+            .eq('id', searchId)
+            .maybeSingle();
+        
         const { data: search, error } = await supabaseAdmin
             .from('saved_searches')
             .update(updateData)
@@ -7988,6 +8564,7 @@ app.put('/api/saved-searches/:searchId', async (req, res) => {
         }
         
         console.log(`✅ Updated saved search: ${search.name} (ID: ${search.id})`);
+        await AuditLog.record(req, { action: 'saved_search.update', targetType: 'saved_search', targetId: search.id, before: previousSearch, after: search });
         res.json({ success: true, data: search });
         
     } catch (error) {
@@ -8027,6 +8604,7 @@ app.delete('/api/saved-searches/:searchId', async (req, res) => {
         }
         
         console.log(`✅ Deleted saved search: ${search.name} (ID: ${search.id})`);
+        await AuditLog.record(req, { action: 'saved_search.delete', targetType: 'saved_search', targetId: search.id, before: search });
         res.json({ success: true, data: search });
         
     } catch (error) {
@@ -8127,7 +8705,7 @@ app.get('/api/saved-searches/:dealerId/popular', async (req, res) => {
 // ===== END SAVED SEARCHES API ENDPOINTS =====
 
 // Delete template
-app.delete('/api/templates/:templateId', async (req, res) => {
+app.delete('/api/templates/:templateId', ApiAuthorization.requirePermission('templates_edit'), async (req, res) => {
     try {
         const { templateId } = req.params;
         
@@ -8148,6 +8726,7 @@ app.delete('/api/templates/:templateId', async (req, res) => {
         }
         
         console.log(`✅ Deleted template: ${template.name}`);
+        await AuditLog.record(req, { action: 'template.delete', targetType: 'template', targetId: templateId, before: template });
         res.json({ success: true, message: 'Template deleted successfully' });
         
     } catch (error) {
@@ -8157,7 +8736,7 @@ app.delete('/api/templates/:templateId', async (req, res) => {
 });
 
 // Increment template usage count
-app.post('/api/templates/:templateId/use', async (req, res) => {
+app.post('/api/templates/:templateId/use', ApiAuthorization.requirePermission('communications_send'), async (req, res) => {
     try {
         const { templateId } = req.params;
         
@@ -8194,11 +8773,9 @@ app.post('/api/templates/:templateId/use', async (req, res) => {
     }
 });
 
-// 🧪 Vonage Test Endpoint
-app.post('/api/test-vonage', express.json(), async (req, res) => {
+// 🧪 Vonage test send as a dealer (staff console): sends a real message, so it needs a reason and is logged
+app.post('/api/admin/debug/vonage', express.json(), StaffAdmin.requireReason, async (req, res) => {
     try {
-        console.log('🔍 DEBUG - Request body:', req.body);
-        console.log('🔍 DEBUG - Request headers:', req.headers);
         const { dealerId, customerPhone, message, language = 'it', channel = 'auto' } = req.body;
         
         if (!dealerId || !customerPhone || !message) {
@@ -8208,31 +8785,23 @@ app.post('/api/test-vonage', express.json(), async (req, res) => {
             });
         }
         
-        console.log(`🧪 Testing Vonage: Dealer ${dealerId} → ${customerPhone} (${channel})`);
-        console.log('🔍 ConversationManager exists:', !!conversationManager);
-        console.log('🔍 ConversationManager type:', typeof conversationManager);
+        console.log(`🧪 Testing Vonage: Dealer ${dealerId} (${channel})`);
         
-        console.log('🔄 Calling conversationManager.sendDealerMessage...');
+        await StaffAdmin.logAction(req, {
+            action: 'debug_vonage_send',
+            dealerId: parseInt(dealerId, 10) || null,
+            reason: req.body.reason,
+            details: { channel, language }
+        });
         
-        try {
-            const result = await conversationManager.sendDealerMessage(
-                dealerId, 
-                customerPhone, 
-                message, 
-                language,
-                channel
-            );
-            
-            console.log('✅ ConversationManager result:', JSON.stringify(result, null, 2));
-            res.json(result);
-        } catch (error) {
-            console.error('❌ ConversationManager ERROR:', error);
-            console.error('❌ Error stack:', error.stack);
-            res.status(500).json({ 
-                success: false, 
-                error: error.message 
-            });
-        }
+        const result = await conversationManager.sendDealerMessage(
+            dealerId, 
+            customerPhone, 
+            message, 
+            language,
+            channel
+        );
+        res.json(result);
     } catch (error) {
         console.error('❌ Test Vonage error:', error);
         res.status(500).json({ 
@@ -8254,3 +8823,90 @@ app.listen(PORT, () => {
     console.log(` Railway healthcheck will use: /status`);
     console.log(` 📄 Templates API available at: /api/templates`);
 });
+
+// Monthly statements job: every hour, from the 1st of the month close the previous month for all dealers.
+// billing_close_statement is idempotent, so restarts and multiple instances are harmless
+const STATEMENTS_JOB_INTERVAL = 60 * 60 * 1000; // 1 ora
+let lastClosedStatementsMonth = null;
+async function runMonthlyStatementsJob() {
+    const now = new Date();
+    const currentMonth = `${now.getFullYear()}-${now.getMonth()}`;
+    if (lastClosedStatementsMonth === currentMonth) return;
+    try {
+        const result = await BillingStatements.closePreviousMonthForAll(now);
+        if (result.failed === 0) lastClosedStatementsMonth = currentMonth;
+    } catch (error) {
+        console.error('❌ Monthly statements job error:', error.message);
+    }
+}
+setTimeout(runMonthlyStatementsJob, 60 * 1000);
+setInterval(runMonthlyStatementsJob, STATEMENTS_JOB_INTERVAL);
+
+// Queued campaigns: due messages are claimed and sent every few seconds (see js/campaign-queue.js)
+CampaignQueue.start();
+
+// Service reminder rules: every active rule is evaluated once a day, from 01:00 UTC (see js/service-reminders.js).
+// The campaigns it queues go out inside the send window like any other
+const SERVICE_REMINDERS_INTERVAL = 60 * 60 * 1000; // 1 ora
+async function runServiceRemindersJob() {
+    let rules;
+    try {
+        rules = await ServiceReminders.claimDue();
+    } catch (error) {
+        console.error('❌ Service reminders job error:', error.message);
+        return;
+    }
+    for (const rule of rules) {
+        let result;
+        try {
+            result = await runServiceReminderRule(rule);
+        } catch (error) {
+            console.error(`❌ Regola promemoria ${rule.id} fallita:`, error.message);
+            result = { success: false, error: 'service_reminder_run_failed' };
+        }
+        const { success, ...summary } = result;
+        await ServiceReminders.finishRun(rule.id, summary)
+            .catch(error => console.error(`❌ Esito regola promemoria ${rule.id} non salvato:`, error.message));
+    }
+}
+setTimeout(runServiceRemindersJob, 2 * 60 * 1000);
+setInterval(runServiceRemindersJob, SERVICE_REMINDERS_INTERVAL);
+
+// Vehicle alert monitor: new positions and report hours are scanned every few minutes (see js/vehicle-alerts.js)
+const VEHICLE_ALERTS_INTERVAL = 5 * 60 * 1000; // 5 minuti
+async function runVehicleAlertsJob() {
+    try {
+        const result = await VehicleAlerts.scan();
+        if (result?.opened || result?.notified) {
+            console.log(`🚨 Avvisi veicoli: ${result.opened} nuovi, ${result.notified} notificati (${result.positions} posizioni, ${result.reports} report)`);
+        }
+    } catch (error) {
+        console.error('❌ Vehicle alerts job error:', error.message);
+    }
+}
+setTimeout(runVehicleAlertsJob, 90 * 1000);
+setInterval(runVehicleAlertsJob, VEHICLE_ALERTS_INTERVAL);
+
+// Stripe events whose processing failed are retried until MAX_ATTEMPTS
+const STRIPE_RETRY_INTERVAL = 10 * 60 * 1000; // 10 minuti
+setInterval(() => {
+    StripeWebhooks.retryFailed().catch(error => console.error('❌ Stripe retry job error:', error.message));
+}, STRIPE_RETRY_INTERVAL);
+
+// Old auth sessions (expired/revoked for 30 days) are purged once a day
+const AUTH_SESSIONS_CLEANUP_INTERVAL = 24 * 60 * 60 * 1000;
+setInterval(() => {
+    AuthSessions.cleanup()
+        .then(deleted => { if (deleted) console.log(`🧹 Sessioni scadute eliminate: ${deleted}`); })
+        .catch(error => console.error('❌ Auth sessions cleanup error:', error.message));
+}, AUTH_SESSIONS_CLEANUP_INTERVAL);
+
+// Login rate-limit rows idle for 30 days, expired passkey challenges and abandoned authenticator
+// enrollments are purged once a day
+setInterval(() => {
+    AuthRateLimiter.cleanup()
+        .then(deleted => { if (deleted) console.log(`🧹 Limiti di accesso scaduti eliminati: ${deleted}`); })
+        .catch(error => console.error('❌ Auth rate limits cleanup error:', error.message));
+    AuthMfa.cleanup()
+        .catch(error => console.error('❌ Auth MFA cleanup error:', error.message));
+}, AUTH_SESSIONS_CLEANUP_INTERVAL);
@@ -0,0 +1,72 @@
+-- Service Hub Portal - Audit Trail (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-dealer-users.sql
+--
+-- Append-only record of dealer actions (see js/audit-log.js): communications sent, credit
+-- recharges and billing settings, templates, saved searches, vehicle groups, signatures and
+-- test clients. Rows are never updated or deleted (the trigger below refuses it, service role
+-- included). The actor columns are copied at write time so entries survive user removal.
+
+CREATE TABLE IF NOT EXISTS public.audit_events (
+  id bigserial PRIMARY KEY,
+  dealer_id integer NOT NULL,
+  actor_user_id uuid, -- dealer_users.id (no FK: removed users keep their history)
+  actor_email text,
+  actor_name text,
+  actor_role text,
+  action text NOT NULL, -- e.g. communications.send, template.update, vehicle_group.delete
+  target_type text, -- template, saved_search, vehicle_group, signature, test_client, recharge, ...
+  target_id text,
+  before jsonb, -- row before the change (update / delete)
+  after jsonb, -- row after the change, or what was sent
+  contacts text[], -- customer emails / phone numbers reached by the action, normalized (complaint lookup)
+  ip_address text,
+  user_agent text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS audit_events_dealer_created_idx
+  ON public.audit_events(dealer_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS audit_events_dealer_action_idx
+  ON public.audit_events(dealer_id, action, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS audit_events_target_idx
+  ON public.audit_events(target_type, target_id);
+
+CREATE INDEX IF NOT EXISTS audit_events_contacts_idx
+  ON public.audit_events USING gin(contacts);
+
+ALTER TABLE public.audit_events ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='audit_events' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.audit_events FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+
+-- APPEND-ONLY ------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.audit_events_append_only()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_events is append-only (% refused)', TG_OP;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS audit_events_append_only ON public.audit_events;
+CREATE TRIGGER audit_events_append_only
+  BEFORE UPDATE OR DELETE ON public.audit_events
+  FOR EACH ROW EXECUTE FUNCTION public.audit_events_append_only();
+
+DROP TRIGGER IF EXISTS audit_events_no_truncate ON public.audit_events;
+CREATE TRIGGER audit_events_no_truncate
+  BEFORE TRUNCATE ON public.audit_events
+  FOR EACH STATEMENT EXECUTE FUNCTION public.audit_events_append_only();
+
+REVOKE UPDATE, DELETE, TRUNCATE ON public.audit_events FROM PUBLIC, anon, authenticated;
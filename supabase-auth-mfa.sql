@@ -0,0 +1,187 @@
+-- Service Hub Portal - Authenticator App, Passkeys and Recovery Codes (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-auth-rate-limits.sql
+--
+-- Login alternatives to the emailed / WhatsApp PIN (see js/auth-mfa.js):
+--   auth_totp_factors          -> one TOTP authenticator per dealer (secret AES-GCM encrypted)
+--   auth_webauthn_credentials  -> passkeys (public key as JWK, signature counter)
+--   auth_webauthn_challenges   -> one-time WebAuthn challenges, consumed on verification
+--   auth_recovery_codes        -> single-use fallback codes, stored as SHA-256 hashes
+-- The PIN flow stays available for every dealer.
+
+CREATE TABLE IF NOT EXISTS public.auth_totp_factors (
+  dealer_id integer PRIMARY KEY,
+  secret_encrypted text NOT NULL,
+  confirmed_at timestamptz, -- NULL until the first code from the app is accepted
+  last_used_step bigint NOT NULL DEFAULT 0, -- last accepted 30s step, a code is never accepted twice
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_used_at timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS public.auth_webauthn_credentials (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  dealer_id integer NOT NULL,
+  credential_id text NOT NULL UNIQUE, -- base64url
+  public_key jsonb NOT NULL, -- JWK
+  algorithm integer NOT NULL, -- COSE alg (-7 ES256, -257 RS256, -8 EdDSA)
+  sign_count bigint NOT NULL DEFAULT 0,
+  transports text[],
+  name text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_used_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS auth_webauthn_credentials_dealer_idx
+  ON public.auth_webauthn_credentials(dealer_id);
+
+CREATE TABLE IF NOT EXISTS public.auth_webauthn_challenges (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  dealer_id integer, -- NULL for a passkey login that has not named an account yet
+  purpose text NOT NULL CHECK (purpose IN ('register','login')),
+  challenge text NOT NULL, -- base64url
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.auth_recovery_codes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  dealer_id integer NOT NULL,
+  code_hash text NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (dealer_id, code_hash)
+);
+
+ALTER TABLE public.auth_totp_factors ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.auth_webauthn_credentials ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.auth_webauthn_challenges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.auth_recovery_codes ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='auth_totp_factors' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.auth_totp_factors FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='auth_webauthn_credentials' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.auth_webauthn_credentials FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='auth_webauthn_challenges' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.auth_webauthn_challenges FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='auth_recovery_codes' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.auth_recovery_codes FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Accept a TOTP step only if it is newer than the last accepted one (no replay within the window)
+CREATE OR REPLACE FUNCTION public.auth_totp_claim_step(
+  p_dealer_id integer,
+  p_step bigint,
+  p_confirm boolean DEFAULT false
+)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  UPDATE public.auth_totp_factors
+  SET last_used_step = p_step,
+      last_used_at = now(),
+      confirmed_at = CASE WHEN p_confirm THEN COALESCE(confirmed_at, now()) ELSE confirmed_at END
+  WHERE dealer_id = p_dealer_id
+    AND last_used_step < p_step
+    AND (p_confirm OR confirmed_at IS NOT NULL);
+  RETURN FOUND;
+END;
+$$;
+
+-- Take a challenge out of the table; NULL when unknown, expired or already used
+CREATE OR REPLACE FUNCTION public.auth_consume_webauthn_challenge(
+  p_id uuid,
+  p_purpose text
+)
+RETURNS TABLE (dealer_id integer, challenge text)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  DELETE FROM public.auth_webauthn_challenges c
+  WHERE c.id = p_id
+    AND c.purpose = p_purpose
+    AND c.expires_at > now()
+  RETURNING c.dealer_id, c.challenge;
+END;
+$$;
+
+-- Store the authenticator's new signature counter; false when it did not move forward (cloned key)
+CREATE OR REPLACE FUNCTION public.auth_webauthn_use_credential(
+  p_credential_id text,
+  p_sign_count bigint
+)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  UPDATE public.auth_webauthn_credentials
+  SET sign_count = p_sign_count,
+      last_used_at = now()
+  WHERE credential_id = p_credential_id
+    AND ((p_sign_count = 0 AND sign_count = 0) OR p_sign_count > sign_count);
+  RETURN FOUND;
+END;
+$$;
+
+-- Burn one recovery code
+CREATE OR REPLACE FUNCTION public.auth_use_recovery_code(
+  p_dealer_id integer,
+  p_code_hash text
+)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  UPDATE public.auth_recovery_codes
+  SET used_at = now()
+  WHERE dealer_id = p_dealer_id
+    AND code_hash = p_code_hash
+    AND used_at IS NULL;
+  RETURN FOUND;
+END;
+$$;
+
+-- Expired challenges and TOTP enrollments never confirmed within a day
+CREATE OR REPLACE FUNCTION public.auth_mfa_cleanup()
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_challenges integer;
+  v_enrollments integer;
+BEGIN
+  DELETE FROM public.auth_webauthn_challenges WHERE expires_at < now();
+  GET DIAGNOSTICS v_challenges = ROW_COUNT;
+  DELETE FROM public.auth_totp_factors WHERE confirmed_at IS NULL AND created_at < now() - interval '1 day';
+  GET DIAGNOSTICS v_enrollments = ROW_COUNT;
+  RETURN v_challenges + v_enrollments;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.auth_totp_claim_step(integer, bigint, boolean) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.auth_consume_webauthn_challenge(uuid, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.auth_webauthn_use_credential(text, bigint) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.auth_use_recovery_code(integer, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.auth_mfa_cleanup() FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,228 @@
+-- Service Hub Portal - PIN Login Rate Limits (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-auth-sessions.sql
+--
+-- Persistent brute-force protection for /api/auth/request-pin and /api/auth/verify-pin, shared by
+-- every server instance and kept across restarts. One row per (scope, key):
+--   scope 'email'  -> login email as typed (lowercase)
+--   scope 'ip'     -> client address
+--   scope 'dealer' -> dealer id
+-- Failures count within a window; reaching the threshold locks the key and each further lockout
+-- doubles (exponential, capped). PIN issuance has a daily cap and a minimum interval per key.
+
+CREATE TABLE IF NOT EXISTS public.auth_rate_limits (
+  scope text NOT NULL CHECK (scope IN ('email','ip','dealer')),
+  key text NOT NULL,
+  failures integer NOT NULL DEFAULT 0, -- failures in the current window
+  last_failure_at timestamptz,
+  lockout_level integer NOT NULL DEFAULT 0, -- lockouts so far (reset after a quiet day or a login)
+  locked_until timestamptz,
+  pins_day date, -- Europe/Rome day pins_issued refers to
+  pins_issued integer NOT NULL DEFAULT 0,
+  last_pin_at timestamptz,
+  alerted_at timestamptz, -- last "account under attack" email (dealer scope)
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS auth_rate_limits_updated_idx
+  ON public.auth_rate_limits(updated_at);
+
+ALTER TABLE public.auth_rate_limits ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='auth_rate_limits' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.auth_rate_limits FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Current state of a set of keys: latest active lockout and highest failure count in the window
+CREATE OR REPLACE FUNCTION public.auth_rate_status(
+  p_scopes text[],
+  p_keys text[],
+  p_window_seconds integer
+)
+RETURNS TABLE (locked_until timestamptz, failures integer)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    MAX(r.locked_until) FILTER (WHERE r.locked_until > now()),
+    COALESCE(MAX(r.failures) FILTER (WHERE r.last_failure_at > now() - make_interval(secs => p_window_seconds)), 0)::integer
+  FROM public.auth_rate_limits r
+  JOIN unnest(p_scopes, p_keys) AS k(scope, key) ON r.scope = k.scope AND r.key = k.key;
+$$;
+
+-- Count one failure; at p_threshold failures the key is locked for
+-- p_base_seconds * 2^(lockout_level - 1), capped at p_max_seconds
+CREATE OR REPLACE FUNCTION public.auth_rate_register_failure(
+  p_scope text,
+  p_key text,
+  p_threshold integer,
+  p_base_seconds integer,
+  p_max_seconds integer,
+  p_window_seconds integer
+)
+RETURNS TABLE (failures integer, lockout_level integer, locked_until timestamptz, locked boolean)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_row public.auth_rate_limits%ROWTYPE;
+  v_failures integer;
+  v_level integer;
+  v_locked_until timestamptz;
+  v_locked boolean := false;
+BEGIN
+  INSERT INTO public.auth_rate_limits (scope, key)
+  VALUES (p_scope, p_key)
+  ON CONFLICT (scope, key) DO NOTHING;
+
+  SELECT * INTO v_row
+  FROM public.auth_rate_limits r
+  WHERE r.scope = p_scope AND r.key = p_key
+  FOR UPDATE;
+
+  v_failures := CASE
+    WHEN v_row.last_failure_at IS NULL OR v_row.last_failure_at < now() - make_interval(secs => p_window_seconds) THEN 1
+    ELSE v_row.failures + 1
+  END;
+  v_level := CASE
+    WHEN v_row.last_failure_at IS NULL OR v_row.last_failure_at < now() - interval '24 hours' THEN 0
+    ELSE v_row.lockout_level
+  END;
+  v_locked_until := v_row.locked_until;
+
+  IF v_failures >= p_threshold THEN
+    v_level := v_level + 1;
+    v_locked_until := now() + make_interval(secs => LEAST(p_base_seconds * power(2, v_level - 1), p_max_seconds));
+    v_failures := 0;
+    v_locked := true;
+  END IF;
+
+  UPDATE public.auth_rate_limits r
+  SET failures = v_failures,
+      last_failure_at = now(),
+      lockout_level = v_level,
+      locked_until = v_locked_until,
+      updated_at = now()
+  WHERE r.scope = p_scope AND r.key = p_key;
+
+  RETURN QUERY SELECT v_failures, v_level, v_locked_until, v_locked;
+END;
+$$;
+
+-- Successful login: forget failures and lockouts of these keys
+CREATE OR REPLACE FUNCTION public.auth_rate_register_success(
+  p_scopes text[],
+  p_keys text[]
+)
+RETURNS void
+LANGUAGE sql
+AS $$
+  UPDATE public.auth_rate_limits r
+  SET failures = 0, lockout_level = 0, locked_until = NULL, updated_at = now()
+  FROM unnest(p_scopes, p_keys) AS k(scope, key)
+  WHERE r.scope = k.scope AND r.key = k.key;
+$$;
+
+-- Reserve one PIN issuance on every key, all or nothing.
+-- Returns 'ok', 'too_soon' (within p_min_intervals[i] seconds of the key's last PIN) or 'daily_cap'
+CREATE OR REPLACE FUNCTION public.auth_rate_claim_pin(
+  p_scopes text[],
+  p_keys text[],
+  p_daily_caps integer[],
+  p_min_intervals integer[]
+)
+RETURNS text
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_today date := (now() AT TIME ZONE 'Europe/Rome')::date;
+  v_row public.auth_rate_limits%ROWTYPE;
+  i integer;
+BEGIN
+  FOR i IN 1 .. array_length(p_scopes, 1) LOOP
+    INSERT INTO public.auth_rate_limits (scope, key)
+    VALUES (p_scopes[i], p_keys[i])
+    ON CONFLICT (scope, key) DO NOTHING;
+  END LOOP;
+
+  -- Lock in a fixed order so concurrent requests cannot deadlock
+  PERFORM 1
+  FROM public.auth_rate_limits r
+  JOIN unnest(p_scopes, p_keys) AS k(scope, key) ON r.scope = k.scope AND r.key = k.key
+  ORDER BY r.scope, r.key
+  FOR UPDATE OF r;
+
+  FOR i IN 1 .. array_length(p_scopes, 1) LOOP
+    SELECT * INTO v_row FROM public.auth_rate_limits r WHERE r.scope = p_scopes[i] AND r.key = p_keys[i];
+
+    IF v_row.last_pin_at > now() - make_interval(secs => p_min_intervals[i]) THEN
+      RETURN 'too_soon';
+    END IF;
+    IF v_row.pins_day = v_today AND v_row.pins_issued >= p_daily_caps[i] THEN
+      RETURN 'daily_cap';
+    END IF;
+  END LOOP;
+
+  FOR i IN 1 .. array_length(p_scopes, 1) LOOP
+    UPDATE public.auth_rate_limits r
+    SET pins_issued = CASE WHEN r.pins_day = v_today THEN r.pins_issued + 1 ELSE 1 END,
+        pins_day = v_today,
+        last_pin_at = now(),
+        updated_at = now()
+    WHERE r.scope = p_scopes[i] AND r.key = p_keys[i];
+  END LOOP;
+
+  RETURN 'ok';
+END;
+$$;
+
+-- One "account under attack" alert per dealer every p_interval_seconds
+CREATE OR REPLACE FUNCTION public.auth_rate_claim_alert(
+  p_dealer_key text,
+  p_interval_seconds integer
+)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  UPDATE public.auth_rate_limits
+  SET alerted_at = now()
+  WHERE scope = 'dealer' AND key = p_dealer_key
+    AND (alerted_at IS NULL OR alerted_at < now() - make_interval(secs => p_interval_seconds));
+  RETURN FOUND;
+END;
+$$;
+
+-- Rows untouched for 30 days carry no state worth keeping
+CREATE OR REPLACE FUNCTION public.auth_rate_cleanup()
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_deleted integer;
+BEGIN
+  DELETE FROM public.auth_rate_limits
+  WHERE updated_at < now() - interval '30 days'
+    AND (locked_until IS NULL OR locked_until < now());
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+  RETURN v_deleted;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.auth_rate_status(text[], text[], integer) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.auth_rate_register_failure(text, text, integer, integer, integer, integer) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.auth_rate_register_success(text[], text[]) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.auth_rate_claim_pin(text[], text[], integer[], integer[]) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.auth_rate_claim_alert(text, integer) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.auth_rate_cleanup() FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,80 @@
+-- Service Hub Portal - Auth Sessions (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-billing-refunds.sql
+--
+-- One row per login. The access token is a short-lived HMAC-signed token (see js/auth-sessions.js)
+-- that carries the session id; the refresh token is an opaque random value stored here only as a
+-- SHA-256 hash and rotated on every refresh. Logout / "kill session" sets revoked_at, which ends
+-- the refresh chain and makes the session's access tokens fail verification.
+
+CREATE TABLE IF NOT EXISTS public.auth_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  dealer_id integer NOT NULL,
+  email text,
+  refresh_token_hash text NOT NULL UNIQUE,
+  user_agent text,
+  ip_address text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_used_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL, -- refresh token lifetime, fixed at login
+  revoked_at timestamptz,
+  revoked_reason text -- logout (this device) or revoked (from the sessions list)
+);
+
+CREATE INDEX IF NOT EXISTS auth_sessions_dealer_active_idx
+  ON public.auth_sessions(dealer_id, last_used_at DESC)
+  WHERE revoked_at IS NULL;
+
+ALTER TABLE public.auth_sessions ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='auth_sessions' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.auth_sessions FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Swap the refresh token of a live session. Exactly one caller can rotate a given token;
+-- NULL means the token is unknown, expired, revoked or was already rotated
+CREATE OR REPLACE FUNCTION public.auth_rotate_refresh_token(
+  p_old_hash text,
+  p_new_hash text
+)
+RETURNS TABLE (id uuid, dealer_id integer, email text, expires_at timestamptz)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  UPDATE public.auth_sessions s
+  SET refresh_token_hash = p_new_hash,
+      last_used_at = now()
+  WHERE s.refresh_token_hash = p_old_hash
+    AND s.revoked_at IS NULL
+    AND s.expires_at > now()
+  RETURNING s.id, s.dealer_id, s.email, s.expires_at;
+END;
+$$;
+
+-- Expired and revoked sessions are kept 30 days for the sessions history, then dropped
+CREATE OR REPLACE FUNCTION public.auth_cleanup_sessions()
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_deleted integer;
+BEGIN
+  DELETE FROM public.auth_sessions
+  WHERE COALESCE(revoked_at, expires_at) < now() - interval '30 days';
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+  RETURN v_deleted;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.auth_rotate_refresh_token(text, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.auth_cleanup_sessions() FROM PUBLIC, anon, authenticated;
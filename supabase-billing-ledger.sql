@@ -0,0 +1,228 @@
+-- Service Hub Portal - Billing Ledger (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-communications.sql
+--
+-- Every movement of credit (usage debit, Stripe recharge credit, manual adjustment)
+-- is one signed row in billing_ledger_entries. dealer_billing_accounts.balance_cents
+-- is only ever changed by billing_post_ledger_entry(), inside the same transaction
+-- that writes the ledger row, so concurrent sends can no longer lose debits.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- ONE ACCOUNT ROW PER DEALER ---------------------------------------------------
+
+-- Older upserts without onConflict created duplicate accounts: keep only the latest
+DELETE FROM public.dealer_billing_accounts a
+USING public.dealer_billing_accounts b
+WHERE a.dealer_id = b.dealer_id
+  AND (COALESCE(a.updated_at, a.created_at, 'epoch'::timestamptz), a.id)
+    < (COALESCE(b.updated_at, b.created_at, 'epoch'::timestamptz), b.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS dealer_billing_accounts_dealer_uidx
+  ON public.dealer_billing_accounts(dealer_id);
+
+-- SMS fallback is billed as its own event type
+ALTER TABLE public.billing_usage_events DROP CONSTRAINT IF EXISTS billing_usage_events_event_type_check;
+ALTER TABLE public.billing_usage_events ADD CONSTRAINT billing_usage_events_event_type_check
+  CHECK (event_type IN ('email','whatsapp','sms','openai'));
+
+
+-- LEDGER ENTRIES ---------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.billing_ledger_entries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  dealer_id integer NOT NULL,
+  entry_type text NOT NULL CHECK (entry_type IN ('usage','recharge','adjustment','opening_balance')),
+  amount_cents bigint NOT NULL, -- positive = credit, negative = debit
+  balance_after_cents bigint NOT NULL, -- running balance right after this entry
+  currency text DEFAULT 'EUR',
+  usage_event_id uuid REFERENCES public.billing_usage_events(id),
+  recharge_id uuid REFERENCES public.billing_recharges(id),
+  idempotency_key text, -- e.g. 'recharge:<id>' so a recharge is never credited twice
+  description text,
+  metadata jsonb DEFAULT '{}'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS billing_ledger_entries_idem_uidx
+  ON public.billing_ledger_entries(idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS billing_ledger_entries_dealer_created_idx
+  ON public.billing_ledger_entries(dealer_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS billing_ledger_entries_recharge_idx
+  ON public.billing_ledger_entries(recharge_id)
+  WHERE recharge_id IS NOT NULL;
+
+ALTER TABLE public.billing_ledger_entries ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='billing_ledger_entries' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.billing_ledger_entries FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+-- Opening balance: carry the current stored balance into the ledger once,
+-- so that SUM(amount_cents) per dealer equals balance_cents from now on
+INSERT INTO public.billing_ledger_entries (dealer_id, entry_type, amount_cents, balance_after_cents, currency, idempotency_key, description)
+SELECT a.dealer_id, 'opening_balance', COALESCE(a.balance_cents, 0), COALESCE(a.balance_cents, 0), COALESCE(a.currency, 'EUR'),
+       'opening_balance:' || a.dealer_id, 'Saldo iniziale migrato nel ledger'
+FROM public.dealer_billing_accounts a
+ON CONFLICT DO NOTHING;
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Post one signed entry and move the balance atomically.
+-- The account row is locked (FOR UPDATE) so concurrent callers are serialized.
+-- If p_idempotency_key was already used, nothing is written and the existing entry is returned.
+CREATE OR REPLACE FUNCTION public.billing_post_ledger_entry(
+  p_dealer_id integer,
+  p_amount_cents bigint,
+  p_entry_type text,
+  p_usage_event_id uuid DEFAULT NULL,
+  p_recharge_id uuid DEFAULT NULL,
+  p_idempotency_key text DEFAULT NULL,
+  p_description text DEFAULT NULL,
+  p_metadata jsonb DEFAULT '{}'::jsonb
+)
+RETURNS TABLE (entry_id uuid, balance_cents bigint, duplicate boolean)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_balance bigint;
+  v_entry_id uuid;
+BEGIN
+  IF p_idempotency_key IS NOT NULL THEN
+    SELECT e.id, e.balance_after_cents INTO v_entry_id, v_balance
+    FROM public.billing_ledger_entries e
+    WHERE e.idempotency_key = p_idempotency_key;
+    IF FOUND THEN
+      RETURN QUERY SELECT v_entry_id, v_balance, true;
+      RETURN;
+    END IF;
+  END IF;
+
+  INSERT INTO public.dealer_billing_accounts (dealer_id, balance_cents)
+  VALUES (p_dealer_id, 0)
+  ON CONFLICT (dealer_id) DO NOTHING;
+
+  SELECT a.balance_cents INTO v_balance
+  FROM public.dealer_billing_accounts a
+  WHERE a.dealer_id = p_dealer_id
+  FOR UPDATE;
+
+  v_balance := COALESCE(v_balance, 0) + p_amount_cents;
+
+  INSERT INTO public.billing_ledger_entries (
+    dealer_id, entry_type, amount_cents, balance_after_cents,
+    usage_event_id, recharge_id, idempotency_key, description, metadata
+  ) VALUES (
+    p_dealer_id, p_entry_type, p_amount_cents, v_balance,
+    p_usage_event_id, p_recharge_id, p_idempotency_key, p_description, COALESCE(p_metadata, '{}'::jsonb)
+  )
+  RETURNING id INTO v_entry_id;
+
+  UPDATE public.dealer_billing_accounts
+  SET balance_cents = v_balance, updated_at = now()
+  WHERE dealer_id = p_dealer_id;
+
+  RETURN QUERY SELECT v_entry_id, v_balance, false;
+END;
+$$;
+
+-- Record a usage event (email, whatsapp, sms, openai) and its debit in one transaction
+CREATE OR REPLACE FUNCTION public.billing_record_usage(
+  p_dealer_id integer,
+  p_event_type text,
+  p_quantity integer,
+  p_unit_cost_cents integer,
+  p_openai_model text DEFAULT NULL,
+  p_openai_input_tokens integer DEFAULT NULL,
+  p_openai_output_tokens integer DEFAULT NULL,
+  p_openai_provider_cost_cents integer DEFAULT NULL,
+  p_related_entity text DEFAULT NULL
+)
+RETURNS TABLE (usage_event_id uuid, entry_id uuid, balance_cents bigint)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_usage_id uuid;
+  v_total integer := COALESCE(p_quantity, 1) * p_unit_cost_cents;
+  v_entry record;
+BEGIN
+  INSERT INTO public.billing_usage_events (
+    dealer_id, event_type, quantity, unit_cost_cents, total_cost_cents,
+    openai_model, openai_input_tokens, openai_output_tokens, openai_provider_cost_cents, related_entity
+  ) VALUES (
+    p_dealer_id, p_event_type, COALESCE(p_quantity, 1), p_unit_cost_cents, v_total,
+    p_openai_model, p_openai_input_tokens, p_openai_output_tokens, p_openai_provider_cost_cents, p_related_entity
+  )
+  RETURNING id INTO v_usage_id;
+
+  SELECT * INTO v_entry
+  FROM public.billing_post_ledger_entry(
+    p_dealer_id, -v_total, 'usage', v_usage_id, NULL, 'usage:' || v_usage_id,
+    p_event_type || ' x' || COALESCE(p_quantity, 1), '{}'::jsonb
+  );
+
+  RETURN QUERY SELECT v_usage_id, v_entry.entry_id, v_entry.balance_cents;
+END;
+$$;
+
+-- Mark a recharge as succeeded and credit it exactly once.
+-- Safe to call from every webhook / reconciliation path: the second call is a no-op.
+CREATE OR REPLACE FUNCTION public.billing_credit_recharge(
+  p_recharge_id uuid,
+  p_payment_intent_id text DEFAULT NULL
+)
+RETURNS TABLE (dealer_id integer, amount_cents integer, balance_cents bigint, credited boolean)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_recharge public.billing_recharges%ROWTYPE;
+  v_entry record;
+BEGIN
+  SELECT * INTO v_recharge
+  FROM public.billing_recharges r
+  WHERE r.id = p_recharge_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'recharge_not_found: %', p_recharge_id;
+  END IF;
+
+  UPDATE public.billing_recharges
+  SET status = 'succeeded',
+      stripe_payment_intent_id = COALESCE(p_payment_intent_id, stripe_payment_intent_id),
+      processed_at = COALESCE(processed_at, now())
+  WHERE id = p_recharge_id;
+
+  SELECT * INTO v_entry
+  FROM public.billing_post_ledger_entry(
+    v_recharge.dealer_id, v_recharge.amount_cents, 'recharge', NULL, v_recharge.id,
+    'recharge:' || v_recharge.id, 'Ricarica Stripe', '{}'::jsonb
+  );
+
+  RETURN QUERY SELECT v_recharge.dealer_id, v_recharge.amount_cents, v_entry.balance_cents, NOT v_entry.duplicate;
+END;
+$$;
+
+-- Reconciliation check: stored balance vs ledger sum (should always be empty)
+CREATE OR REPLACE VIEW public.v_billing_balance_drift AS
+SELECT a.dealer_id,
+       a.balance_cents AS stored_balance_cents,
+       COALESCE(SUM(e.amount_cents), 0) AS ledger_balance_cents
+FROM public.dealer_billing_accounts a
+LEFT JOIN public.billing_ledger_entries e ON e.dealer_id = a.dealer_id
+GROUP BY a.dealer_id, a.balance_cents
+HAVING a.balance_cents IS DISTINCT FROM COALESCE(SUM(e.amount_cents), 0);
+
+REVOKE ALL ON FUNCTION public.billing_post_ledger_entry(integer, bigint, text, uuid, uuid, text, text, jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.billing_record_usage(integer, text, integer, integer, text, integer, integer, integer, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.billing_credit_recharge(uuid, text) FROM PUBLIC, anon, authenticated;
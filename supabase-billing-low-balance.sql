@@ -0,0 +1,76 @@
+-- Service Hub Portal - Low-Balance Alerts & Auto-Recharge (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-billing-statements.sql
+--
+-- Per-dealer threshold on dealer_billing_accounts. When a debit takes the balance below it
+-- the dealer gets one email (low_balance_alerted_at is the "already warned" flag, cleared
+-- once the balance is back above the threshold) and the portal header shows a banner.
+-- With auto-recharge enabled the saved Stripe card is charged off-session for
+-- auto_recharge_amount_cents; every attempt is a billing_recharges row (metadata.auto_recharge = true).
+
+ALTER TABLE public.dealer_billing_accounts
+  ADD COLUMN IF NOT EXISTS low_balance_threshold_cents integer NOT NULL DEFAULT 500 CHECK (low_balance_threshold_cents >= 0),
+  ADD COLUMN IF NOT EXISTS low_balance_alert_email text, -- NULL => dealer login email
+  ADD COLUMN IF NOT EXISTS low_balance_alerted_at timestamptz,
+  ADD COLUMN IF NOT EXISTS auto_recharge_enabled boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS auto_recharge_amount_cents integer CHECK (auto_recharge_amount_cents IS NULL OR auto_recharge_amount_cents >= 100),
+  ADD COLUMN IF NOT EXISTS stripe_payment_method_id text, -- card saved by checkout (setup_future_usage = off_session)
+  ADD COLUMN IF NOT EXISTS auto_recharge_started_at timestamptz, -- in-flight lock, one attempt at a time
+  ADD COLUMN IF NOT EXISTS auto_recharge_last_error text;
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Claim the single low-balance alert for the current dip. Returns true only for the first caller
+CREATE OR REPLACE FUNCTION public.billing_claim_low_balance_alert(p_dealer_id integer)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  UPDATE public.dealer_billing_accounts
+  SET low_balance_alerted_at = now()
+  WHERE dealer_id = p_dealer_id
+    AND low_balance_alerted_at IS NULL
+    AND balance_cents < low_balance_threshold_cents;
+  RETURN FOUND;
+END;
+$$;
+
+-- Re-arm the alert once the balance is back at or above the threshold
+CREATE OR REPLACE FUNCTION public.billing_rearm_low_balance_alert(p_dealer_id integer)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  UPDATE public.dealer_billing_accounts
+  SET low_balance_alerted_at = NULL
+  WHERE dealer_id = p_dealer_id
+    AND low_balance_alerted_at IS NOT NULL
+    AND balance_cents >= low_balance_threshold_cents;
+  RETURN FOUND;
+END;
+$$;
+
+-- Take the auto-recharge lock (stale after 15 minutes, e.g. process crash mid-charge)
+CREATE OR REPLACE FUNCTION public.billing_claim_auto_recharge(p_dealer_id integer)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  UPDATE public.dealer_billing_accounts
+  SET auto_recharge_started_at = now()
+  WHERE dealer_id = p_dealer_id
+    AND auto_recharge_enabled
+    AND auto_recharge_amount_cents IS NOT NULL
+    AND auto_recharge_last_error IS NULL -- a failed charge waits for the dealer to review the settings
+    AND balance_cents < low_balance_threshold_cents
+    AND (auto_recharge_started_at IS NULL OR auto_recharge_started_at < now() - interval '15 minutes');
+  RETURN FOUND;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.billing_claim_low_balance_alert(integer) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.billing_rearm_low_balance_alert(integer) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.billing_claim_auto_recharge(integer) FROM PUBLIC, anon, authenticated;
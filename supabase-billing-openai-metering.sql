@@ -0,0 +1,91 @@
+-- Service Hub Portal - OpenAI Token Metering (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-billing-price-plans.sql
+--
+-- OpenAI calls are billed from their real token usage (see js/openai-metering.js):
+-- provider cost from a per-model rate table, times the plan's openai_markup_multiplier.
+-- Each usage event records which feature triggered the call.
+-- billing_price_plans.openai_draft_price_cents (flat draft price) is no longer read.
+
+ALTER TABLE public.billing_usage_events ADD COLUMN IF NOT EXISTS feature text; -- e.g. 'communications_generate', 'vehicle_ai_report'
+
+CREATE INDEX IF NOT EXISTS billing_usage_events_dealer_feature_idx
+  ON public.billing_usage_events(dealer_id, feature, created_at DESC)
+  WHERE feature IS NOT NULL;
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- billing_record_usage gains p_feature
+DROP FUNCTION IF EXISTS public.billing_record_usage(integer, text, integer, integer, text, integer, integer, integer, text, uuid, uuid);
+
+CREATE OR REPLACE FUNCTION public.billing_record_usage(
+  p_dealer_id integer,
+  p_event_type text,
+  p_quantity integer,
+  p_unit_cost_cents integer,
+  p_openai_model text DEFAULT NULL,
+  p_openai_input_tokens integer DEFAULT NULL,
+  p_openai_output_tokens integer DEFAULT NULL,
+  p_openai_provider_cost_cents integer DEFAULT NULL,
+  p_related_entity text DEFAULT NULL,
+  p_reservation_id uuid DEFAULT NULL,
+  p_price_plan_id uuid DEFAULT NULL,
+  p_feature text DEFAULT NULL
+)
+RETURNS TABLE (usage_event_id uuid, entry_id uuid, balance_cents bigint)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_usage_id uuid;
+  v_total integer := COALESCE(p_quantity, 1) * p_unit_cost_cents;
+  v_entry record;
+  v_balance bigint;
+  v_available bigint;
+BEGIN
+  -- Without a reservation the debit may only use credit that no reservation holds: queued campaigns keep
+  -- theirs. Same lock as billing_reserve_credit
+  IF p_reservation_id IS NULL AND v_total > 0 THEN
+    INSERT INTO public.dealer_billing_accounts (dealer_id, balance_cents)
+    VALUES (p_dealer_id, 0)
+    ON CONFLICT (dealer_id) DO NOTHING;
+
+    SELECT a.balance_cents INTO v_balance
+    FROM public.dealer_billing_accounts a
+    WHERE a.dealer_id = p_dealer_id
+    FOR UPDATE;
+
+    v_available := COALESCE(v_balance, 0) - public.billing_reserved_cents(p_dealer_id);
+    IF v_available < v_total THEN
+      RAISE EXCEPTION 'insufficient_balance: % cents needed, % available', v_total, v_available;
+    END IF;
+  END IF;
+
+  INSERT INTO public.billing_usage_events (
+    dealer_id, event_type, quantity, unit_cost_cents, total_cost_cents,
+    openai_model, openai_input_tokens, openai_output_tokens, openai_provider_cost_cents, related_entity,
+    reservation_id, price_plan_id, feature
+  ) VALUES (
+    p_dealer_id, p_event_type, COALESCE(p_quantity, 1), p_unit_cost_cents, v_total,
+    p_openai_model, p_openai_input_tokens, p_openai_output_tokens, p_openai_provider_cost_cents, p_related_entity,
+    p_reservation_id, p_price_plan_id, p_feature
+  )
+  RETURNING id INTO v_usage_id;
+
+  SELECT * INTO v_entry
+  FROM public.billing_post_ledger_entry(
+    p_dealer_id, -v_total, 'usage', v_usage_id, NULL, 'usage:' || v_usage_id,
+    p_event_type || ' x' || COALESCE(p_quantity, 1) || COALESCE(' (' || p_feature || ')', ''), '{}'::jsonb
+  );
+
+  IF p_reservation_id IS NOT NULL THEN
+    UPDATE public.billing_reservations r
+    SET consumed_cents = r.consumed_cents + v_total
+    WHERE r.id = p_reservation_id;
+  END IF;
+
+  RETURN QUERY SELECT v_usage_id, v_entry.entry_id, v_entry.balance_cents;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.billing_record_usage(integer, text, integer, integer, text, integer, integer, integer, text, uuid, uuid, text) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,136 @@
+-- Service Hub Portal - Billing Price Plans (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-billing-reservations.sql
+--
+-- One row per price list version. dealer_id NULL = default plan for everybody;
+-- a row with dealer_id overrides the default for that dealer (e.g. volume discounts).
+-- The plan applied at a given moment is the most recent effective_from <= that moment,
+-- dealer-specific plans winning over the default. Every usage event stores the plan id.
+
+CREATE TABLE IF NOT EXISTS public.billing_price_plans (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  dealer_id integer, -- nullable => default plan
+  name text NOT NULL,
+  currency text NOT NULL DEFAULT 'EUR',
+  email_price_cents integer NOT NULL CHECK (email_price_cents >= 0),
+  whatsapp_price_cents integer NOT NULL CHECK (whatsapp_price_cents >= 0),
+  sms_price_cents integer NOT NULL CHECK (sms_price_cents >= 0),
+  openai_draft_price_cents integer NOT NULL CHECK (openai_draft_price_cents >= 0), -- flat price per AI draft
+  openai_markup_multiplier numeric NOT NULL DEFAULT 20, -- applied to raw OpenAI cost where metered
+  effective_from timestamptz NOT NULL DEFAULT now(),
+  notes text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS billing_price_plans_dealer_from_uidx
+  ON public.billing_price_plans(COALESCE(dealer_id, 0), effective_from);
+
+CREATE INDEX IF NOT EXISTS billing_price_plans_dealer_idx
+  ON public.billing_price_plans(dealer_id, effective_from DESC);
+
+ALTER TABLE public.billing_price_plans ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='billing_price_plans' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.billing_price_plans FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+-- Default plan = prices previously hard-coded in server.js
+INSERT INTO public.billing_price_plans (dealer_id, name, email_price_cents, whatsapp_price_cents, sms_price_cents, openai_draft_price_cents, openai_markup_multiplier, effective_from)
+VALUES (NULL, 'Standard', 5, 10, 8, 20, 20, '2024-01-01T00:00:00Z')
+ON CONFLICT DO NOTHING;
+
+-- Carry over any per-dealer overrides from the legacy billing_pricing table
+INSERT INTO public.billing_price_plans (dealer_id, name, email_price_cents, whatsapp_price_cents, sms_price_cents, openai_draft_price_cents, openai_markup_multiplier, effective_from)
+SELECT p.dealer_id, 'Legacy override', p.email_price_cents, p.whatsapp_price_cents, 8, 20, p.openai_markup_multiplier, COALESCE(p.created_at, now())
+FROM public.billing_pricing p
+WHERE p.dealer_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+-- Which plan priced each usage event
+ALTER TABLE public.billing_usage_events ADD COLUMN IF NOT EXISTS price_plan_id uuid REFERENCES public.billing_price_plans(id);
+
+CREATE INDEX IF NOT EXISTS billing_usage_events_plan_idx
+  ON public.billing_usage_events(price_plan_id)
+  WHERE price_plan_id IS NOT NULL;
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- billing_record_usage gains p_price_plan_id
+DROP FUNCTION IF EXISTS public.billing_record_usage(integer, text, integer, integer, text, integer, integer, integer, text, uuid);
+
+CREATE OR REPLACE FUNCTION public.billing_record_usage(
+  p_dealer_id integer,
+  p_event_type text,
+  p_quantity integer,
+  p_unit_cost_cents integer,
+  p_openai_model text DEFAULT NULL,
+  p_openai_input_tokens integer DEFAULT NULL,
+  p_openai_output_tokens integer DEFAULT NULL,
+  p_openai_provider_cost_cents integer DEFAULT NULL,
+  p_related_entity text DEFAULT NULL,
+  p_reservation_id uuid DEFAULT NULL,
+  p_price_plan_id uuid DEFAULT NULL
+)
+RETURNS TABLE (usage_event_id uuid, entry_id uuid, balance_cents bigint)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_usage_id uuid;
+  v_total integer := COALESCE(p_quantity, 1) * p_unit_cost_cents;
+  v_entry record;
+  v_balance bigint;
+  v_available bigint;
+BEGIN
+  -- Without a reservation the debit may only use credit that no reservation holds: queued campaigns keep
+  -- theirs. Same lock as billing_reserve_credit
+  IF p_reservation_id IS NULL AND v_total > 0 THEN
+    INSERT INTO public.dealer_billing_accounts (dealer_id, balance_cents)
+    VALUES (p_dealer_id, 0)
+    ON CONFLICT (dealer_id) DO NOTHING;
+
+    SELECT a.balance_cents INTO v_balance
+    FROM public.dealer_billing_accounts a
+    WHERE a.dealer_id = p_dealer_id
+    FOR UPDATE;
+
+    v_available := COALESCE(v_balance, 0) - public.billing_reserved_cents(p_dealer_id);
+    IF v_available < v_total THEN
+      RAISE EXCEPTION 'insufficient_balance: % cents needed, % available', v_total, v_available;
+    END IF;
+  END IF;
+
+  INSERT INTO public.billing_usage_events (
+    dealer_id, event_type, quantity, unit_cost_cents, total_cost_cents,
+    openai_model, openai_input_tokens, openai_output_tokens, openai_provider_cost_cents, related_entity,
+    reservation_id, price_plan_id
+  ) VALUES (
+    p_dealer_id, p_event_type, COALESCE(p_quantity, 1), p_unit_cost_cents, v_total,
+    p_openai_model, p_openai_input_tokens, p_openai_output_tokens, p_openai_provider_cost_cents, p_related_entity,
+    p_reservation_id, p_price_plan_id
+  )
+  RETURNING id INTO v_usage_id;
+
+  SELECT * INTO v_entry
+  FROM public.billing_post_ledger_entry(
+    p_dealer_id, -v_total, 'usage', v_usage_id, NULL, 'usage:' || v_usage_id,
+    p_event_type || ' x' || COALESCE(p_quantity, 1), '{}'::jsonb
+  );
+
+  IF p_reservation_id IS NOT NULL THEN
+    UPDATE public.billing_reservations r
+    SET consumed_cents = r.consumed_cents + v_total
+    WHERE r.id = p_reservation_id;
+  END IF;
+
+  RETURN QUERY SELECT v_usage_id, v_entry.entry_id, v_entry.balance_cents;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.billing_record_usage(integer, text, integer, integer, text, integer, integer, integer, text, uuid, uuid) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,227 @@
+-- Service Hub Portal - Refunds & Disputes (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-stripe-events.sql
+--
+-- Refunds issued from the Stripe Dashboard (charge.refunded) and card disputes
+-- (charge.dispute.created / charge.dispute.closed) take the money back out of the dealer balance:
+--   refund            -> negative 'refund' entry for the newly refunded part (partial refunds add up)
+--   chargeback        -> negative 'dispute' entry for the disputed amount (needs_response, under_review, lost)
+--   dispute won       -> positive 'dispute_reversal' entry, the funds are back (won, or an inquiry closed)
+--   inquiry           -> nothing: warning_* disputes are questions from the bank, no funds are withdrawn
+-- Every entry is keyed (refund:<recharge>:<total refunded>, dispute:<id>, dispute_won:<id>),
+-- so redelivered events never debit twice. Monthly statements report these under adjustments.
+
+ALTER TABLE public.billing_ledger_entries DROP CONSTRAINT IF EXISTS billing_ledger_entries_entry_type_check;
+ALTER TABLE public.billing_ledger_entries ADD CONSTRAINT billing_ledger_entries_entry_type_check
+  CHECK (entry_type IN ('usage','recharge','adjustment','opening_balance','refund','dispute','dispute_reversal'));
+
+ALTER TABLE public.billing_recharges DROP CONSTRAINT IF EXISTS billing_recharges_status_check;
+ALTER TABLE public.billing_recharges ADD CONSTRAINT billing_recharges_status_check
+  CHECK (status IN ('pending','succeeded','failed','canceled','refunded','partially_refunded','disputed','requires_action'));
+
+ALTER TABLE public.billing_recharges
+  ADD COLUMN IF NOT EXISTS stripe_charge_id text,
+  ADD COLUMN IF NOT EXISTS refunded_cents integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS refunded_at timestamptz,
+  ADD COLUMN IF NOT EXISTS disputed_cents integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS dispute_id text,
+  ADD COLUMN IF NOT EXISTS dispute_status text; -- Stripe dispute status (needs_response, won, lost, ...)
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Status after a refund/dispute change, from the amounts still outstanding
+CREATE OR REPLACE FUNCTION public.billing_recharge_status(
+  p_amount_cents integer,
+  p_refunded_cents integer,
+  p_disputed_cents integer
+)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN p_disputed_cents > 0 THEN 'disputed'
+    WHEN p_refunded_cents >= p_amount_cents THEN 'refunded'
+    WHEN p_refunded_cents > 0 THEN 'partially_refunded'
+    ELSE 'succeeded'
+  END;
+$$;
+
+-- Stripe reports the cumulative refunded amount of a charge: debit only what is new
+CREATE OR REPLACE FUNCTION public.billing_refund_recharge(
+  p_recharge_id uuid,
+  p_total_refunded_cents integer,
+  p_charge_id text DEFAULT NULL
+)
+RETURNS TABLE (dealer_id integer, debited_cents integer, balance_cents bigint, status text)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_recharge public.billing_recharges%ROWTYPE;
+  v_total integer;
+  v_delta integer;
+  v_entry record;
+  v_balance bigint;
+  v_status text;
+BEGIN
+  SELECT * INTO v_recharge
+  FROM public.billing_recharges r
+  WHERE r.id = p_recharge_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'recharge_not_found: %', p_recharge_id;
+  END IF;
+
+  v_total := LEAST(GREATEST(p_total_refunded_cents, 0), v_recharge.amount_cents);
+  v_delta := v_total - v_recharge.refunded_cents;
+
+  IF v_delta <= 0 THEN
+    SELECT a.balance_cents INTO v_balance FROM public.dealer_billing_accounts a WHERE a.dealer_id = v_recharge.dealer_id;
+    RETURN QUERY SELECT v_recharge.dealer_id, 0, COALESCE(v_balance, 0), v_recharge.status;
+    RETURN;
+  END IF;
+
+  SELECT * INTO v_entry
+  FROM public.billing_post_ledger_entry(
+    v_recharge.dealer_id, -v_delta, 'refund', NULL, v_recharge.id,
+    'refund:' || v_recharge.id || ':' || v_total, 'Rimborso Stripe',
+    jsonb_build_object('charge_id', p_charge_id, 'total_refunded_cents', v_total)
+  );
+
+  v_status := public.billing_recharge_status(v_recharge.amount_cents, v_total, v_recharge.disputed_cents);
+
+  UPDATE public.billing_recharges r
+  SET refunded_cents = v_total,
+      refunded_at = now(),
+      stripe_charge_id = COALESCE(p_charge_id, r.stripe_charge_id),
+      status = v_status
+  WHERE r.id = p_recharge_id;
+
+  RETURN QUERY SELECT v_recharge.dealer_id, v_delta, v_entry.balance_cents, v_status;
+END;
+$$;
+
+-- Dispute lifecycle: chargeback opened => debit, won / inquiry closed => credit back, lost => stays debited.
+-- changed: the dispute status of the recharge is new, false for a redelivered or replayed event
+DROP FUNCTION IF EXISTS public.billing_dispute_recharge(uuid, text, integer, text);
+CREATE OR REPLACE FUNCTION public.billing_dispute_recharge(
+  p_recharge_id uuid,
+  p_dispute_id text,
+  p_amount_cents integer,
+  p_dispute_status text
+)
+RETURNS TABLE (dealer_id integer, amount_cents bigint, balance_cents bigint, status text, applied boolean, changed boolean)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_recharge public.billing_recharges%ROWTYPE;
+  v_amount integer;
+  v_entry record;
+  v_moved bigint := 0;
+  v_disputed integer;
+  v_status text;
+  v_balance bigint;
+BEGIN
+  SELECT * INTO v_recharge
+  FROM public.billing_recharges r
+  WHERE r.id = p_recharge_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'recharge_not_found: %', p_recharge_id;
+  END IF;
+
+  v_amount := LEAST(p_amount_cents, v_recharge.amount_cents);
+  v_disputed := v_recharge.disputed_cents;
+
+  IF p_dispute_status IN ('won', 'warning_closed') THEN
+    -- Only reverse a dispute we actually debited
+    IF EXISTS (SELECT 1 FROM public.billing_ledger_entries e WHERE e.idempotency_key = 'dispute:' || p_dispute_id) THEN
+      SELECT * INTO v_entry
+      FROM public.billing_post_ledger_entry(
+        v_recharge.dealer_id, v_amount, 'dispute_reversal', NULL, v_recharge.id,
+        'dispute_won:' || p_dispute_id, 'Contestazione vinta', jsonb_build_object('dispute_id', p_dispute_id)
+      );
+      IF NOT v_entry.duplicate THEN
+        v_moved := v_amount;
+        v_disputed := GREATEST(v_disputed - v_amount, 0);
+      END IF;
+    END IF;
+  ELSIF p_dispute_status IN ('needs_response', 'under_review', 'lost') THEN
+    -- lost too, in case the event of the opened chargeback never came: keyed, so it is debited once
+    SELECT * INTO v_entry
+    FROM public.billing_post_ledger_entry(
+      v_recharge.dealer_id, -v_amount, 'dispute', NULL, v_recharge.id,
+      'dispute:' || p_dispute_id, 'Contestazione pagamento', jsonb_build_object('dispute_id', p_dispute_id)
+    );
+    IF NOT v_entry.duplicate THEN
+      v_moved := -v_amount;
+      v_disputed := v_disputed + v_amount;
+    END IF;
+  END IF;
+
+  -- A lost dispute is final: the money went back to the card holder, as for a refund
+  v_status := CASE
+    WHEN p_dispute_status = 'lost' THEN 'refunded'
+    ELSE public.billing_recharge_status(v_recharge.amount_cents, v_recharge.refunded_cents, v_disputed)
+  END;
+
+  UPDATE public.billing_recharges r
+  SET disputed_cents = v_disputed,
+      dispute_id = p_dispute_id,
+      dispute_status = p_dispute_status,
+      status = v_status
+  WHERE r.id = p_recharge_id;
+
+  SELECT a.balance_cents INTO v_balance FROM public.dealer_billing_accounts a WHERE a.dealer_id = v_recharge.dealer_id;
+
+  RETURN QUERY SELECT v_recharge.dealer_id, v_moved, COALESCE(v_balance, 0), v_status, v_moved <> 0,
+    v_recharge.dispute_id IS DISTINCT FROM p_dispute_id OR v_recharge.dispute_status IS DISTINCT FROM p_dispute_status;
+END;
+$$;
+
+-- billing_credit_recharge must not flip a refunded/disputed recharge back to 'succeeded'
+-- when a late or redelivered checkout event arrives
+CREATE OR REPLACE FUNCTION public.billing_credit_recharge(
+  p_recharge_id uuid,
+  p_payment_intent_id text DEFAULT NULL
+)
+RETURNS TABLE (dealer_id integer, amount_cents integer, balance_cents bigint, credited boolean)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_recharge public.billing_recharges%ROWTYPE;
+  v_entry record;
+BEGIN
+  SELECT * INTO v_recharge
+  FROM public.billing_recharges r
+  WHERE r.id = p_recharge_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'recharge_not_found: %', p_recharge_id;
+  END IF;
+
+  UPDATE public.billing_recharges
+  SET status = CASE WHEN status IN ('refunded','partially_refunded','disputed') THEN status ELSE 'succeeded' END,
+      stripe_payment_intent_id = COALESCE(p_payment_intent_id, stripe_payment_intent_id),
+      processed_at = COALESCE(processed_at, now())
+  WHERE id = p_recharge_id;
+
+  SELECT * INTO v_entry
+  FROM public.billing_post_ledger_entry(
+    v_recharge.dealer_id, v_recharge.amount_cents, 'recharge', NULL, v_recharge.id,
+    'recharge:' || v_recharge.id, 'Ricarica Stripe', '{}'::jsonb
+  );
+
+  RETURN QUERY SELECT v_recharge.dealer_id, v_recharge.amount_cents, v_entry.balance_cents, NOT v_entry.duplicate;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.billing_refund_recharge(uuid, integer, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.billing_dispute_recharge(uuid, text, integer, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.billing_credit_recharge(uuid, text) FROM PUBLIC, anon, authenticated;
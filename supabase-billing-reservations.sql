@@ -0,0 +1,192 @@
+-- Service Hub Portal - Billing Credit Reservations (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-billing-ledger.sql
+--
+-- Before a bulk send the server reserves the estimated batch cost. A reservation
+-- holds credit (amount_cents - consumed_cents) so that concurrent batches cannot
+-- spend the same euro twice; each debit made for the batch is counted as consumed
+-- and whatever is left is released when the batch finishes. Debits made without a
+-- reservation are refused ('insufficient_balance') when they would need reserved credit.
+
+CREATE TABLE IF NOT EXISTS public.billing_reservations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  dealer_id integer NOT NULL,
+  amount_cents bigint NOT NULL CHECK (amount_cents >= 0),
+  consumed_cents bigint NOT NULL DEFAULT 0,
+  status text NOT NULL DEFAULT 'active' CHECK (status IN ('active','released')),
+  reference text, -- e.g. 'communications:email:25'
+  created_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL DEFAULT (now() + interval '1 hour'), -- safety net if a batch dies mid-way
+  released_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS billing_reservations_dealer_active_idx
+  ON public.billing_reservations(dealer_id)
+  WHERE status = 'active';
+
+ALTER TABLE public.billing_usage_events ADD COLUMN IF NOT EXISTS reservation_id uuid REFERENCES public.billing_reservations(id);
+
+ALTER TABLE public.billing_reservations ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='billing_reservations' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.billing_reservations FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Credit still held by active, non-expired reservations of a dealer
+CREATE OR REPLACE FUNCTION public.billing_reserved_cents(p_dealer_id integer)
+RETURNS bigint
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(SUM(GREATEST(amount_cents - consumed_cents, 0)), 0)::bigint
+  FROM public.billing_reservations
+  WHERE dealer_id = p_dealer_id
+    AND status = 'active'
+    AND expires_at > now();
+$$;
+
+-- Reserve p_amount_cents if balance minus other reservations covers it.
+-- Returns reservation_id NULL and the shortfall when it does not.
+CREATE OR REPLACE FUNCTION public.billing_reserve_credit(
+  p_dealer_id integer,
+  p_amount_cents bigint,
+  p_reference text DEFAULT NULL
+)
+RETURNS TABLE (reservation_id uuid, available_cents bigint, shortfall_cents bigint)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_balance bigint;
+  v_available bigint;
+  v_id uuid;
+BEGIN
+  INSERT INTO public.dealer_billing_accounts (dealer_id, balance_cents)
+  VALUES (p_dealer_id, 0)
+  ON CONFLICT (dealer_id) DO NOTHING;
+
+  -- Same lock as billing_post_ledger_entry: reservations and debits are serialized per dealer
+  SELECT a.balance_cents INTO v_balance
+  FROM public.dealer_billing_accounts a
+  WHERE a.dealer_id = p_dealer_id
+  FOR UPDATE;
+
+  v_available := COALESCE(v_balance, 0) - public.billing_reserved_cents(p_dealer_id);
+
+  IF v_available < p_amount_cents THEN
+    RETURN QUERY SELECT NULL::uuid, v_available, p_amount_cents - v_available;
+    RETURN;
+  END IF;
+
+  INSERT INTO public.billing_reservations (dealer_id, amount_cents, reference)
+  VALUES (p_dealer_id, p_amount_cents, p_reference)
+  RETURNING id INTO v_id;
+
+  RETURN QUERY SELECT v_id, v_available - p_amount_cents, 0::bigint;
+END;
+$$;
+
+-- Release whatever is left of a reservation (idempotent)
+CREATE OR REPLACE FUNCTION public.billing_release_reservation(p_reservation_id uuid)
+RETURNS TABLE (consumed_cents bigint, released_cents bigint)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_res public.billing_reservations%ROWTYPE;
+BEGIN
+  UPDATE public.billing_reservations r
+  SET status = 'released', released_at = now()
+  WHERE r.id = p_reservation_id AND r.status = 'active'
+  RETURNING r.* INTO v_res;
+
+  IF NOT FOUND THEN
+    SELECT * INTO v_res FROM public.billing_reservations r WHERE r.id = p_reservation_id;
+    RETURN QUERY SELECT COALESCE(v_res.consumed_cents, 0), 0::bigint;
+    RETURN;
+  END IF;
+
+  RETURN QUERY SELECT v_res.consumed_cents, GREATEST(v_res.amount_cents - v_res.consumed_cents, 0);
+END;
+$$;
+
+-- billing_record_usage gains p_reservation_id: the debit is counted against the reservation;
+-- without one it must fit in the credit the reservations leave free
+DROP FUNCTION IF EXISTS public.billing_record_usage(integer, text, integer, integer, text, integer, integer, integer, text);
+
+CREATE OR REPLACE FUNCTION public.billing_record_usage(
+  p_dealer_id integer,
+  p_event_type text,
+  p_quantity integer,
+  p_unit_cost_cents integer,
+  p_openai_model text DEFAULT NULL,
+  p_openai_input_tokens integer DEFAULT NULL,
+  p_openai_output_tokens integer DEFAULT NULL,
+  p_openai_provider_cost_cents integer DEFAULT NULL,
+  p_related_entity text DEFAULT NULL,
+  p_reservation_id uuid DEFAULT NULL
+)
+RETURNS TABLE (usage_event_id uuid, entry_id uuid, balance_cents bigint)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_usage_id uuid;
+  v_total integer := COALESCE(p_quantity, 1) * p_unit_cost_cents;
+  v_entry record;
+  v_balance bigint;
+  v_available bigint;
+BEGIN
+  -- Without a reservation the debit may only use credit that no reservation holds: queued campaigns keep
+  -- theirs. Same lock as billing_reserve_credit
+  IF p_reservation_id IS NULL AND v_total > 0 THEN
+    INSERT INTO public.dealer_billing_accounts (dealer_id, balance_cents)
+    VALUES (p_dealer_id, 0)
+    ON CONFLICT (dealer_id) DO NOTHING;
+
+    SELECT a.balance_cents INTO v_balance
+    FROM public.dealer_billing_accounts a
+    WHERE a.dealer_id = p_dealer_id
+    FOR UPDATE;
+
+    v_available := COALESCE(v_balance, 0) - public.billing_reserved_cents(p_dealer_id);
+    IF v_available < v_total THEN
+      RAISE EXCEPTION 'insufficient_balance: % cents needed, % available', v_total, v_available;
+    END IF;
+  END IF;
+
+  INSERT INTO public.billing_usage_events (
+    dealer_id, event_type, quantity, unit_cost_cents, total_cost_cents,
+    openai_model, openai_input_tokens, openai_output_tokens, openai_provider_cost_cents, related_entity, reservation_id
+  ) VALUES (
+    p_dealer_id, p_event_type, COALESCE(p_quantity, 1), p_unit_cost_cents, v_total,
+    p_openai_model, p_openai_input_tokens, p_openai_output_tokens, p_openai_provider_cost_cents, p_related_entity, p_reservation_id
+  )
+  RETURNING id INTO v_usage_id;
+
+  SELECT * INTO v_entry
+  FROM public.billing_post_ledger_entry(
+    p_dealer_id, -v_total, 'usage', v_usage_id, NULL, 'usage:' || v_usage_id,
+    p_event_type || ' x' || COALESCE(p_quantity, 1), '{}'::jsonb
+  );
+
+  IF p_reservation_id IS NOT NULL THEN
+    UPDATE public.billing_reservations r
+    SET consumed_cents = r.consumed_cents + v_total
+    WHERE r.id = p_reservation_id;
+  END IF;
+
+  RETURN QUERY SELECT v_usage_id, v_entry.entry_id, v_entry.balance_cents;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.billing_reserve_credit(integer, bigint, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.billing_release_reservation(uuid) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.billing_record_usage(integer, text, integer, integer, text, integer, integer, integer, text, uuid) FROM PUBLIC, anon, authenticated;
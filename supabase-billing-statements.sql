@@ -0,0 +1,145 @@
+-- Service Hub Portal - Monthly Billing Statements (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-billing-openai-metering.sql
+--
+-- One statement per dealer per calendar month (Europe/Rome), closed by the monthly job in server.js.
+-- Opening/closing balances come from the ledger running balance at the period boundaries,
+-- usage is itemised per channel from billing_usage_events, recharges are the billing_recharges
+-- credited in the period. Anything else that moved the balance is reported as adjustments.
+-- Closed statements are never recomputed: closing the same month twice returns the stored row.
+
+CREATE TABLE IF NOT EXISTS public.billing_statements (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  dealer_id integer NOT NULL,
+  period_start timestamptz NOT NULL,
+  period_end timestamptz NOT NULL, -- exclusive
+  statement_number text NOT NULL, -- e.g. 'SH-202401-123'
+  currency text NOT NULL DEFAULT 'EUR',
+  opening_balance_cents bigint NOT NULL,
+  usage_total_cents bigint NOT NULL DEFAULT 0,
+  recharges_total_cents bigint NOT NULL DEFAULT 0,
+  adjustments_total_cents bigint NOT NULL DEFAULT 0,
+  closing_balance_cents bigint NOT NULL,
+  usage_lines jsonb NOT NULL DEFAULT '[]'::jsonb, -- [{ channel, events, quantity, total_cents }]
+  recharges jsonb NOT NULL DEFAULT '[]'::jsonb, -- [{ recharge_id, credited_at, amount_cents, payment_intent_id }]
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS billing_statements_dealer_period_uidx
+  ON public.billing_statements(dealer_id, period_start);
+
+CREATE UNIQUE INDEX IF NOT EXISTS billing_statements_number_uidx
+  ON public.billing_statements(statement_number);
+
+ALTER TABLE public.billing_statements ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='billing_statements' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.billing_statements FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Close one dealer month. p_month is any date inside the month; the month must be over
+CREATE OR REPLACE FUNCTION public.billing_close_statement(
+  p_dealer_id integer,
+  p_month date
+)
+RETURNS SETOF public.billing_statements
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_month date := date_trunc('month', p_month)::date;
+  v_start timestamptz := (date_trunc('month', p_month)::timestamp AT TIME ZONE 'Europe/Rome');
+  v_end timestamptz := ((date_trunc('month', p_month) + interval '1 month')::timestamp AT TIME ZONE 'Europe/Rome');
+  v_opening bigint;
+  v_closing bigint;
+  v_usage_total bigint;
+  v_usage_lines jsonb;
+  v_recharges_total bigint;
+  v_recharges jsonb;
+  v_currency text;
+BEGIN
+  IF v_end > now() THEN
+    RAISE EXCEPTION 'period_not_closed: %', to_char(v_month, 'YYYY-MM');
+  END IF;
+
+  RETURN QUERY
+  SELECT * FROM public.billing_statements s
+  WHERE s.dealer_id = p_dealer_id AND s.period_start = v_start;
+  IF FOUND THEN
+    RETURN;
+  END IF;
+
+  SELECT e.balance_after_cents INTO v_opening
+  FROM public.billing_ledger_entries e
+  WHERE e.dealer_id = p_dealer_id AND e.created_at < v_start
+  ORDER BY e.created_at DESC, e.id DESC
+  LIMIT 1;
+
+  SELECT e.balance_after_cents INTO v_closing
+  FROM public.billing_ledger_entries e
+  WHERE e.dealer_id = p_dealer_id AND e.created_at < v_end
+  ORDER BY e.created_at DESC, e.id DESC
+  LIMIT 1;
+
+  SELECT COALESCE(SUM(l.total_cents), 0),
+         COALESCE(jsonb_agg(jsonb_build_object(
+           'channel', l.event_type, 'events', l.events, 'quantity', l.quantity, 'total_cents', l.total_cents
+         ) ORDER BY l.event_type), '[]'::jsonb)
+  INTO v_usage_total, v_usage_lines
+  FROM (
+    SELECT u.event_type, COUNT(*) AS events, SUM(u.quantity) AS quantity, SUM(u.total_cost_cents) AS total_cents
+    FROM public.billing_usage_events u
+    WHERE u.dealer_id = p_dealer_id AND u.created_at >= v_start AND u.created_at < v_end
+    GROUP BY u.event_type
+  ) l;
+
+  -- A recharge belongs to the month its ledger credit was posted in
+  SELECT COALESCE(SUM(r.amount_cents), 0),
+         COALESCE(jsonb_agg(jsonb_build_object(
+           'recharge_id', r.id, 'credited_at', e.created_at, 'amount_cents', r.amount_cents,
+           'payment_intent_id', r.stripe_payment_intent_id
+         ) ORDER BY e.created_at), '[]'::jsonb)
+  INTO v_recharges_total, v_recharges
+  FROM public.billing_ledger_entries e
+  JOIN public.billing_recharges r ON r.id = e.recharge_id
+  WHERE e.dealer_id = p_dealer_id AND e.entry_type = 'recharge'
+    AND e.created_at >= v_start AND e.created_at < v_end;
+
+  SELECT a.currency INTO v_currency
+  FROM public.dealer_billing_accounts a
+  WHERE a.dealer_id = p_dealer_id;
+
+  v_opening := COALESCE(v_opening, 0);
+  v_closing := COALESCE(v_closing, v_opening);
+
+  RETURN QUERY
+  INSERT INTO public.billing_statements (
+    dealer_id, period_start, period_end, statement_number, currency,
+    opening_balance_cents, usage_total_cents, recharges_total_cents, adjustments_total_cents, closing_balance_cents,
+    usage_lines, recharges
+  ) VALUES (
+    p_dealer_id, v_start, v_end, 'SH-' || to_char(v_month, 'YYYYMM') || '-' || p_dealer_id, COALESCE(v_currency, 'EUR'),
+    v_opening, v_usage_total, v_recharges_total, v_closing - v_opening - v_recharges_total + v_usage_total, v_closing,
+    v_usage_lines, v_recharges
+  )
+  ON CONFLICT (dealer_id, period_start) DO NOTHING
+  RETURNING *;
+  IF FOUND THEN
+    RETURN;
+  END IF;
+
+  -- Lost a race with a concurrent close: return the winner's row
+  RETURN QUERY
+  SELECT * FROM public.billing_statements s
+  WHERE s.dealer_id = p_dealer_id AND s.period_start = v_start;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.billing_close_statement(integer, date) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,94 @@
+-- Service Hub Portal - Campaign History (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-campaigns.sql
+--
+-- Every bulk send is already a campaign (supabase-campaigns.sql) and campaign_tasks already holds one
+-- row per recipient with the rendered text, the provider id (SES MessageId / Twilio SID), the channel
+-- actually used (sms when WhatsApp fell back), the status and the last error. This adds what the
+-- history page (campaigns.html) needs to reopen a past send: the template it came from, the filters
+-- that selected the recipients and what it cost.
+
+ALTER TABLE public.campaigns
+  ADD COLUMN IF NOT EXISTS template_id uuid, -- communication_templates.id, NULL for free text / AI prompt
+  ADD COLUMN IF NOT EXISTS template_name text, -- as it was at send time, the template can be renamed or deleted
+  ADD COLUMN IF NOT EXISTS filters jsonb NOT NULL DEFAULT '{}'::jsonb, -- certificate filters / saved search in use
+  ADD COLUMN IF NOT EXISTS cost_cents integer NOT NULL DEFAULT 0; -- AI generation + messages billed so far
+
+ALTER TABLE public.campaign_tasks
+  ADD COLUMN IF NOT EXISTS cost_cents integer NOT NULL DEFAULT 0; -- billed for this recipient (0 if not sent)
+
+CREATE INDEX IF NOT EXISTS campaign_tasks_status_idx
+  ON public.campaign_tasks (campaign_id, status, position);
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Same as in supabase-campaigns.sql, plus the cost of the message, added to the task and the campaign
+DROP FUNCTION IF EXISTS public.campaign_task_result(bigint, text, text, text, text, timestamptz);
+
+CREATE OR REPLACE FUNCTION public.campaign_task_result(
+  p_task_id bigint,
+  p_status text,
+  p_error text DEFAULT NULL,
+  p_provider_message_id text DEFAULT NULL,
+  p_sent_channel text DEFAULT NULL,
+  p_retry_at timestamptz DEFAULT NULL,
+  p_cost_cents integer DEFAULT 0
+)
+RETURNS TABLE (campaign_id uuid, campaign_status text, completed boolean)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_task public.campaign_tasks%ROWTYPE;
+  v_campaign public.campaigns%ROWTYPE;
+  v_completed boolean := false;
+BEGIN
+  UPDATE public.campaign_tasks t
+  SET status = p_status,
+      locked_at = NULL,
+      last_error = p_error,
+      provider_message_id = COALESCE(p_provider_message_id, t.provider_message_id),
+      sent_channel = COALESCE(p_sent_channel, t.sent_channel),
+      sent_at = CASE WHEN p_status = 'sent' THEN now() ELSE t.sent_at END,
+      next_attempt_at = COALESCE(p_retry_at, t.next_attempt_at),
+      cost_cents = t.cost_cents + COALESCE(p_cost_cents, 0)
+  WHERE t.id = p_task_id AND t.status = 'sending'
+  RETURNING t.* INTO v_task;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  -- A task of a campaign cancelled while it was being retried is not requeued
+  IF p_status = 'pending' AND EXISTS (
+    SELECT 1 FROM public.campaigns c WHERE c.id = v_task.campaign_id AND c.status = 'cancelled'
+  ) THEN
+    UPDATE public.campaign_tasks SET status = 'cancelled' WHERE id = p_task_id;
+    p_status := 'cancelled';
+  END IF;
+
+  UPDATE public.campaigns c
+  SET sent = c.sent + CASE WHEN p_status = 'sent' THEN 1 ELSE 0 END,
+      failed = c.failed + CASE WHEN p_status = 'failed' THEN 1 ELSE 0 END,
+      cancelled = c.cancelled + CASE WHEN p_status = 'cancelled' THEN 1 ELSE 0 END,
+      cost_cents = c.cost_cents + COALESCE(p_cost_cents, 0),
+      updated_at = now()
+  WHERE c.id = v_task.campaign_id
+  RETURNING c.* INTO v_campaign;
+
+  IF v_campaign.status IN ('running','paused') AND NOT EXISTS (
+    SELECT 1 FROM public.campaign_tasks t
+    WHERE t.campaign_id = v_campaign.id AND t.status IN ('pending','sending')
+  ) THEN
+    UPDATE public.campaigns c
+    SET status = 'completed', completed_at = now(), updated_at = now()
+    WHERE c.id = v_campaign.id
+    RETURNING c.* INTO v_campaign;
+    v_completed := true;
+  END IF;
+
+  RETURN QUERY SELECT v_campaign.id, v_campaign.status, v_completed;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.campaign_task_result(bigint, text, text, text, text, timestamptz, integer) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,135 @@
+-- Service Hub Portal - Scheduled Campaigns & Send Windows (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-consent.sql
+--
+-- A campaign can be queued for a later date: it stays 'scheduled' (reservation included) until
+-- scheduled_at, when the worker in js/campaign-queue.js moves it to 'running' and sends it as any
+-- other campaign. Until then it can be moved or cancelled. Every message goes out only inside the
+-- dealer's send window (dealer_send_windows) in the recipient's time zone, and WhatsApp never after
+-- 20:00 or on Sundays (js/send-window.js): a task claimed outside of it is put back, with the pending
+-- tasks of the same campaign and time zone, until the window opens again.
+
+ALTER TABLE public.campaigns
+  DROP CONSTRAINT IF EXISTS campaigns_status_check;
+
+ALTER TABLE public.campaigns
+  ADD CONSTRAINT campaigns_status_check
+    CHECK (status IN ('scheduled','running','paused','cancelled','completed')),
+  ADD COLUMN IF NOT EXISTS scheduled_at timestamptz, -- NULL => sent right away
+  ADD COLUMN IF NOT EXISTS started_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS campaigns_scheduled_idx
+  ON public.campaigns (scheduled_at)
+  WHERE status = 'scheduled';
+
+ALTER TABLE public.campaign_tasks
+  ADD COLUMN IF NOT EXISTS timezone text; -- IANA zone of the recipient, NULL => the dealer's
+
+CREATE TABLE IF NOT EXISTS public.dealer_send_windows (
+  dealer_id integer PRIMARY KEY,
+  timezone text NOT NULL DEFAULT 'Europe/Rome', -- recipients whose zone is unknown (email, national numbers)
+  start_time time NOT NULL DEFAULT '09:00',
+  end_time time NOT NULL DEFAULT '20:00',
+  days smallint[] NOT NULL DEFAULT '{1,2,3,4,5,6}', -- ISO weekdays, 1 = Monday
+  updated_by_email text,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (start_time < end_time),
+  CHECK (days <@ '{1,2,3,4,5,6,7}'::smallint[] AND cardinality(days) > 0)
+);
+
+ALTER TABLE public.dealer_send_windows ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='dealer_send_windows' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.dealer_send_windows FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Put a claimed task back until p_until (send window closed), without counting the attempt. Pending
+-- tasks of the same campaign and time zone due before p_until wait with it. Returns the tasks moved
+CREATE OR REPLACE FUNCTION public.campaign_task_defer(
+  p_task_id bigint,
+  p_until timestamptz
+)
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_task public.campaign_tasks%ROWTYPE;
+  v_count integer;
+BEGIN
+  UPDATE public.campaign_tasks t
+  SET status = 'pending',
+      locked_at = NULL,
+      attempts = GREATEST(t.attempts - 1, 0),
+      next_attempt_at = p_until
+  WHERE t.id = p_task_id AND t.status = 'sending'
+  RETURNING t.* INTO v_task;
+
+  IF NOT FOUND THEN
+    RETURN 0;
+  END IF;
+
+  -- Same as campaign_task_result: a task of a campaign cancelled meanwhile is not requeued
+  IF EXISTS (
+    SELECT 1 FROM public.campaigns c WHERE c.id = v_task.campaign_id AND c.status = 'cancelled'
+  ) THEN
+    UPDATE public.campaign_tasks SET status = 'cancelled' WHERE id = p_task_id;
+    UPDATE public.campaigns c
+    SET cancelled = c.cancelled + 1, updated_at = now()
+    WHERE c.id = v_task.campaign_id;
+    RETURN 0;
+  END IF;
+
+  UPDATE public.campaign_tasks t
+  SET next_attempt_at = p_until
+  WHERE t.campaign_id = v_task.campaign_id
+    AND t.status = 'pending'
+    AND t.timezone IS NOT DISTINCT FROM v_task.timezone
+    AND t.next_attempt_at < p_until;
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+
+  RETURN v_count + 1;
+END;
+$$;
+
+-- Same as in supabase-campaigns.sql, scheduled campaigns included
+CREATE OR REPLACE FUNCTION public.campaign_cancel(p_campaign_id uuid)
+RETURNS SETOF public.campaigns
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_cancelled integer;
+BEGIN
+  PERFORM 1 FROM public.campaigns c
+  WHERE c.id = p_campaign_id AND c.status IN ('scheduled','running','paused')
+  FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  UPDATE public.campaign_tasks t
+  SET status = 'cancelled'
+  WHERE t.campaign_id = p_campaign_id AND t.status = 'pending';
+  GET DIAGNOSTICS v_cancelled = ROW_COUNT;
+
+  RETURN QUERY
+  UPDATE public.campaigns c
+  SET status = 'cancelled',
+      cancelled = c.cancelled + v_cancelled,
+      completed_at = now(),
+      updated_at = now()
+  WHERE c.id = p_campaign_id
+  RETURNING c.*;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.campaign_task_defer(bigint, timestamptz) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.campaign_cancel(uuid) FROM PUBLIC, anon, authenticated;
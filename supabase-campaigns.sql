@@ -0,0 +1,226 @@
+-- Service Hub Portal - Campaign Send Queue (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-staff-admin.sql
+--
+-- A bulk send (/api/communications/generate with send: true, /api/communications/send-manual) is
+-- stored as a campaign with one task per recipient, already personalized. The worker in
+-- js/campaign-queue.js claims due tasks (SKIP LOCKED, so several instances can run), sends them
+-- within the provider rate limits and retries transient failures with backoff. The campaign keeps
+-- the billing reservation made when it was queued until it completes or is cancelled.
+
+CREATE TABLE IF NOT EXISTS public.campaigns (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  dealer_id integer NOT NULL,
+  created_by uuid, -- dealer_users.id
+  created_by_email text,
+  source text NOT NULL DEFAULT 'ai' CHECK (source IN ('ai','manual')),
+  channel text NOT NULL CHECK (channel IN ('email','whatsapp')),
+  language text NOT NULL DEFAULT 'it',
+  subject text,
+  base_message text,
+  status text NOT NULL DEFAULT 'running' CHECK (status IN ('running','paused','cancelled','completed')),
+  total integer NOT NULL DEFAULT 0,
+  sent integer NOT NULL DEFAULT 0,
+  failed integer NOT NULL DEFAULT 0,
+  cancelled integer NOT NULL DEFAULT 0,
+  reservation_id uuid, -- billing_reservations.id, released at completion / cancel
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS campaigns_dealer_idx
+  ON public.campaigns (dealer_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS campaigns_open_idx
+  ON public.campaigns (status)
+  WHERE status IN ('running','paused');
+
+CREATE TABLE IF NOT EXISTS public.campaign_tasks (
+  id bigserial PRIMARY KEY,
+  campaign_id uuid NOT NULL REFERENCES public.campaigns(id) ON DELETE CASCADE,
+  dealer_id integer NOT NULL,
+  position integer NOT NULL, -- order of the recipient in the request
+  certificate_id integer,
+  recipient_name text,
+  email text,
+  phone text,
+  subject text,
+  message text NOT NULL,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','sending','sent','failed','cancelled')),
+  attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  locked_at timestamptz,
+  last_error text,
+  provider_message_id text, -- SES MessageId / Twilio SID
+  sent_channel text, -- email, whatsapp or sms (WhatsApp fallback)
+  sent_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS campaign_tasks_campaign_idx
+  ON public.campaign_tasks (campaign_id, position);
+
+CREATE INDEX IF NOT EXISTS campaign_tasks_due_idx
+  ON public.campaign_tasks (next_attempt_at)
+  WHERE status IN ('pending','sending');
+
+ALTER TABLE public.campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.campaign_tasks ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='campaigns' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.campaigns FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='campaign_tasks' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.campaign_tasks FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Claim up to p_limit due tasks of running campaigns for one channel. A task left in 'sending' for
+-- p_stale_seconds (worker died mid-send) is claimed again: delivery is at-least-once
+CREATE OR REPLACE FUNCTION public.campaign_claim_tasks(
+  p_channel text,
+  p_limit integer,
+  p_stale_seconds integer DEFAULT 600
+)
+RETURNS SETOF public.campaign_tasks
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  UPDATE public.campaign_tasks t
+  SET status = 'sending',
+      locked_at = now(),
+      attempts = t.attempts + 1
+  WHERE t.id IN (
+    SELECT ct.id
+    FROM public.campaign_tasks ct
+    JOIN public.campaigns c ON c.id = ct.campaign_id
+    WHERE c.status = 'running'
+      AND c.channel = p_channel
+      AND (
+        (ct.status = 'pending' AND ct.next_attempt_at <= now())
+        OR (ct.status = 'sending' AND ct.locked_at < now() - make_interval(secs => p_stale_seconds))
+      )
+    ORDER BY ct.next_attempt_at, ct.id
+    LIMIT p_limit
+    FOR UPDATE OF ct SKIP LOCKED
+  )
+  RETURNING t.*;
+END;
+$$;
+
+-- Store the outcome of a claimed task: 'sent', 'failed' or 'pending' (retry at p_retry_at).
+-- Campaign counters are updated in the same transaction; the campaign is completed when no task
+-- is left to send. completed = true only for the call that completed it
+CREATE OR REPLACE FUNCTION public.campaign_task_result(
+  p_task_id bigint,
+  p_status text,
+  p_error text DEFAULT NULL,
+  p_provider_message_id text DEFAULT NULL,
+  p_sent_channel text DEFAULT NULL,
+  p_retry_at timestamptz DEFAULT NULL
+)
+RETURNS TABLE (campaign_id uuid, campaign_status text, completed boolean)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_task public.campaign_tasks%ROWTYPE;
+  v_campaign public.campaigns%ROWTYPE;
+  v_completed boolean := false;
+BEGIN
+  UPDATE public.campaign_tasks t
+  SET status = p_status,
+      locked_at = NULL,
+      last_error = p_error,
+      provider_message_id = COALESCE(p_provider_message_id, t.provider_message_id),
+      sent_channel = COALESCE(p_sent_channel, t.sent_channel),
+      sent_at = CASE WHEN p_status = 'sent' THEN now() ELSE t.sent_at END,
+      next_attempt_at = COALESCE(p_retry_at, t.next_attempt_at)
+  WHERE t.id = p_task_id AND t.status = 'sending'
+  RETURNING t.* INTO v_task;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  -- A task of a campaign cancelled while it was being retried is not requeued
+  IF p_status = 'pending' AND EXISTS (
+    SELECT 1 FROM public.campaigns c WHERE c.id = v_task.campaign_id AND c.status = 'cancelled'
+  ) THEN
+    UPDATE public.campaign_tasks SET status = 'cancelled' WHERE id = p_task_id;
+    p_status := 'cancelled';
+  END IF;
+
+  UPDATE public.campaigns c
+  SET sent = c.sent + CASE WHEN p_status = 'sent' THEN 1 ELSE 0 END,
+      failed = c.failed + CASE WHEN p_status = 'failed' THEN 1 ELSE 0 END,
+      cancelled = c.cancelled + CASE WHEN p_status = 'cancelled' THEN 1 ELSE 0 END,
+      updated_at = now()
+  WHERE c.id = v_task.campaign_id
+  RETURNING c.* INTO v_campaign;
+
+  IF v_campaign.status IN ('running','paused') AND NOT EXISTS (
+    SELECT 1 FROM public.campaign_tasks t
+    WHERE t.campaign_id = v_campaign.id AND t.status IN ('pending','sending')
+  ) THEN
+    UPDATE public.campaigns c
+    SET status = 'completed', completed_at = now(), updated_at = now()
+    WHERE c.id = v_campaign.id
+    RETURNING c.* INTO v_campaign;
+    v_completed := true;
+  END IF;
+
+  RETURN QUERY SELECT v_campaign.id, v_campaign.status, v_completed;
+END;
+$$;
+
+-- Cancel a campaign: tasks not yet sent are cancelled (those being sent right now finish)
+CREATE OR REPLACE FUNCTION public.campaign_cancel(p_campaign_id uuid)
+RETURNS SETOF public.campaigns
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_cancelled integer;
+BEGIN
+  PERFORM 1 FROM public.campaigns c
+  WHERE c.id = p_campaign_id AND c.status IN ('running','paused')
+  FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  UPDATE public.campaign_tasks t
+  SET status = 'cancelled'
+  WHERE t.campaign_id = p_campaign_id AND t.status = 'pending';
+  GET DIAGNOSTICS v_cancelled = ROW_COUNT;
+
+  RETURN QUERY
+  UPDATE public.campaigns c
+  SET status = 'cancelled',
+      cancelled = c.cancelled + v_cancelled,
+      completed_at = now(),
+      updated_at = now()
+  WHERE c.id = p_campaign_id
+  RETURNING c.*;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.campaign_claim_tasks(text, integer, integer) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.campaign_task_result(bigint, text, text, text, text, timestamptz) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.campaign_cancel(uuid) FROM PUBLIC, anon, authenticated;
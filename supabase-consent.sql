@@ -0,0 +1,43 @@
+-- Service Hub Portal - Communication Consent (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-suppressions.sql
+--
+-- Every send is classified as 'service' (reminders, documents about the customer's vehicle) or
+-- 'marketing' (offers, promotions). js/consent.js lets a certificate recipient through only when the
+-- newest version of the certificate carries the agreements the purpose requires; what it found is kept
+-- per contact in contact_consents as GDPR evidence: agreements, certificate version and when they were
+-- given. The campaign keeps its purpose and how many recipients were left out, by reason.
+
+CREATE TABLE IF NOT EXISTS public.contact_consents (
+  id bigserial PRIMARY KEY,
+  dealer_id integer NOT NULL,
+  contact_type text NOT NULL CHECK (contact_type IN ('email','phone')),
+  contact text NOT NULL, -- normalized like contact_suppressions
+  purpose text NOT NULL CHECK (purpose IN ('service','marketing')),
+  granted boolean NOT NULL,
+  agreements jsonb NOT NULL DEFAULT '{}'::jsonb, -- certificate agreement flags as read
+  source text NOT NULL DEFAULT 'certificate',
+  certificate_id integer,
+  certificate_version integer,
+  consent_at timestamptz, -- when the certificate version carrying the agreements was saved
+  checked_at timestamptz NOT NULL DEFAULT now(), -- last send that checked it
+  UNIQUE (dealer_id, contact_type, contact, purpose)
+);
+
+CREATE INDEX IF NOT EXISTS contact_consents_certificate_idx
+  ON public.contact_consents (dealer_id, certificate_id);
+
+ALTER TABLE public.contact_consents ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='contact_consents' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.contact_consents FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+ALTER TABLE public.campaigns
+  ADD COLUMN IF NOT EXISTS purpose text NOT NULL DEFAULT 'marketing'
+    CHECK (purpose IN ('service','marketing')),
+  ADD COLUMN IF NOT EXISTS excluded jsonb NOT NULL DEFAULT '{}'::jsonb; -- reason => recipients left out
@@ -0,0 +1,238 @@
+-- Service Hub Portal - Dealer Users and Roles (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-auth-mfa.sql
+--
+-- Named users under a dealer account (see js/dealer-users.js). The dealer's companyLoginEmail
+-- (read-only PostgreSQL dealer table) becomes the account owner user on its next login; the owner
+-- invites colleagues by email. Roles:
+--   owner            -> everything, including billing and user management
+--   service_advisor  -> customer communications and vehicle groups
+--   marketing        -> communications, templates and vehicle groups
+--   read_only        -> view only
+-- PINs, sessions, authenticator apps, passkeys and recovery codes move from the dealer to the user.
+
+CREATE TABLE IF NOT EXISTS public.dealer_users (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  dealer_id integer NOT NULL,
+  email text NOT NULL,
+  name text,
+  role text NOT NULL CHECK (role IN ('owner','service_advisor','marketing','read_only')),
+  status text NOT NULL DEFAULT 'invited' CHECK (status IN ('invited','active','disabled')),
+  is_account_owner boolean NOT NULL DEFAULT false, -- the dealer's companyLoginEmail: cannot be removed or demoted
+  invite_token_hash text UNIQUE, -- SHA-256 of the emailed invite token, cleared on acceptance
+  invite_expires_at timestamptz,
+  invited_by uuid REFERENCES public.dealer_users(id) ON DELETE SET NULL,
+  invited_at timestamptz,
+  accepted_at timestamptz,
+  last_login_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- One login email, one user (across dealers)
+CREATE UNIQUE INDEX IF NOT EXISTS dealer_users_email_idx
+  ON public.dealer_users (lower(email));
+
+CREATE UNIQUE INDEX IF NOT EXISTS dealer_users_account_owner_idx
+  ON public.dealer_users (dealer_id)
+  WHERE is_account_owner;
+
+CREATE INDEX IF NOT EXISTS dealer_users_dealer_idx
+  ON public.dealer_users (dealer_id);
+
+ALTER TABLE public.dealer_users ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='dealer_users' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.dealer_users FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+
+-- PER-USER LOGIN STATE ---------------------------------------------------------
+
+-- PINs: one pending PIN per user instead of per dealer (old rows expire on their own)
+ALTER TABLE public.dealer_pins ADD COLUMN IF NOT EXISTS user_id uuid REFERENCES public.dealer_users(id) ON DELETE CASCADE;
+ALTER TABLE public.dealer_pins DROP CONSTRAINT IF EXISTS dealer_pins_dealer_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS dealer_pins_user_id_key ON public.dealer_pins(user_id);
+
+-- Sessions: every session belongs to a user; sessions opened before users existed must log in again
+ALTER TABLE public.auth_sessions ADD COLUMN IF NOT EXISTS user_id uuid REFERENCES public.dealer_users(id) ON DELETE CASCADE;
+UPDATE public.auth_sessions
+SET revoked_at = now(), revoked_reason = 'users_migration'
+WHERE user_id IS NULL AND revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS auth_sessions_user_active_idx
+  ON public.auth_sessions(user_id, last_used_at DESC)
+  WHERE revoked_at IS NULL;
+
+-- Authenticator apps, passkeys, recovery codes: existing rows go to the account owner
+-- (dealer_users_ensure_account_owner below, on the owner's next login)
+ALTER TABLE public.auth_totp_factors ADD COLUMN IF NOT EXISTS user_id uuid REFERENCES public.dealer_users(id) ON DELETE CASCADE;
+ALTER TABLE public.auth_totp_factors DROP CONSTRAINT IF EXISTS auth_totp_factors_pkey;
+CREATE UNIQUE INDEX IF NOT EXISTS auth_totp_factors_user_idx ON public.auth_totp_factors(user_id);
+
+ALTER TABLE public.auth_webauthn_credentials ADD COLUMN IF NOT EXISTS user_id uuid REFERENCES public.dealer_users(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS auth_webauthn_credentials_user_idx ON public.auth_webauthn_credentials(user_id);
+
+ALTER TABLE public.auth_webauthn_challenges ADD COLUMN IF NOT EXISTS user_id uuid REFERENCES public.dealer_users(id) ON DELETE CASCADE;
+
+ALTER TABLE public.auth_recovery_codes ADD COLUMN IF NOT EXISTS user_id uuid REFERENCES public.dealer_users(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS auth_recovery_codes_user_idx ON public.auth_recovery_codes(user_id);
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Account owner user for a dealer login email: created on first use, email kept in sync with the
+-- dealer table, and login methods enrolled before users existed are handed over to it
+CREATE OR REPLACE FUNCTION public.dealer_users_ensure_account_owner(
+  p_dealer_id integer,
+  p_email text,
+  p_name text
+)
+RETURNS SETOF public.dealer_users
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_user public.dealer_users%ROWTYPE;
+BEGIN
+  SELECT * INTO v_user
+  FROM public.dealer_users u
+  WHERE u.dealer_id = p_dealer_id AND u.is_account_owner
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    INSERT INTO public.dealer_users (dealer_id, email, name, role, status, is_account_owner, accepted_at)
+    VALUES (p_dealer_id, p_email, p_name, 'owner', 'active', true, now())
+    RETURNING * INTO v_user;
+
+    UPDATE public.auth_totp_factors SET user_id = v_user.id WHERE dealer_id = p_dealer_id AND user_id IS NULL;
+    UPDATE public.auth_webauthn_credentials SET user_id = v_user.id WHERE dealer_id = p_dealer_id AND user_id IS NULL;
+    UPDATE public.auth_recovery_codes SET user_id = v_user.id WHERE dealer_id = p_dealer_id AND user_id IS NULL;
+  ELSIF lower(v_user.email) <> lower(p_email) THEN
+    UPDATE public.dealer_users u
+    SET email = p_email, updated_at = now()
+    WHERE u.id = v_user.id
+    RETURNING * INTO v_user;
+  END IF;
+
+  RETURN NEXT v_user;
+END;
+$$;
+
+-- Accept an invitation: the user becomes active and the token stops working
+CREATE OR REPLACE FUNCTION public.dealer_users_accept_invite(
+  p_token_hash text
+)
+RETURNS SETOF public.dealer_users
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  UPDATE public.dealer_users u
+  SET status = 'active',
+      accepted_at = now(),
+      invite_token_hash = NULL,
+      invite_expires_at = NULL,
+      updated_at = now()
+  WHERE u.invite_token_hash = p_token_hash
+    AND u.status = 'invited'
+    AND u.invite_expires_at > now()
+  RETURNING u.*;
+END;
+$$;
+
+-- Refresh token rotation now carries the user, and stops for users who were disabled or removed
+DROP FUNCTION IF EXISTS public.auth_rotate_refresh_token(text, text);
+CREATE OR REPLACE FUNCTION public.auth_rotate_refresh_token(
+  p_old_hash text,
+  p_new_hash text
+)
+RETURNS TABLE (id uuid, dealer_id integer, user_id uuid, email text, expires_at timestamptz)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  UPDATE public.auth_sessions s
+  SET refresh_token_hash = p_new_hash,
+      last_used_at = now()
+  WHERE s.refresh_token_hash = p_old_hash
+    AND s.revoked_at IS NULL
+    AND s.expires_at > now()
+    AND EXISTS (SELECT 1 FROM public.dealer_users u WHERE u.id = s.user_id AND u.status = 'active')
+  RETURNING s.id, s.dealer_id, s.user_id, s.email, s.expires_at;
+END;
+$$;
+
+-- TOTP steps and recovery codes are now claimed per user
+DROP FUNCTION IF EXISTS public.auth_totp_claim_step(integer, bigint, boolean);
+CREATE OR REPLACE FUNCTION public.auth_totp_claim_step(
+  p_user_id uuid,
+  p_step bigint,
+  p_confirm boolean DEFAULT false
+)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  UPDATE public.auth_totp_factors
+  SET last_used_step = p_step,
+      last_used_at = now(),
+      confirmed_at = CASE WHEN p_confirm THEN COALESCE(confirmed_at, now()) ELSE confirmed_at END
+  WHERE user_id = p_user_id
+    AND last_used_step < p_step
+    AND (p_confirm OR confirmed_at IS NOT NULL);
+  RETURN FOUND;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS public.auth_use_recovery_code(integer, text);
+CREATE OR REPLACE FUNCTION public.auth_use_recovery_code(
+  p_user_id uuid,
+  p_code_hash text
+)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  UPDATE public.auth_recovery_codes
+  SET used_at = now()
+  WHERE user_id = p_user_id
+    AND code_hash = p_code_hash
+    AND used_at IS NULL;
+  RETURN FOUND;
+END;
+$$;
+
+-- Passkey challenges remember the user instead of the dealer
+DROP FUNCTION IF EXISTS public.auth_consume_webauthn_challenge(uuid, text);
+CREATE OR REPLACE FUNCTION public.auth_consume_webauthn_challenge(
+  p_id uuid,
+  p_purpose text
+)
+RETURNS TABLE (user_id uuid, challenge text)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  DELETE FROM public.auth_webauthn_challenges c
+  WHERE c.id = p_id
+    AND c.purpose = p_purpose
+    AND c.expires_at > now()
+  RETURNING c.user_id, c.challenge;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.dealer_users_ensure_account_owner(integer, text, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.dealer_users_accept_invite(text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.auth_rotate_refresh_token(text, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.auth_totp_claim_step(uuid, bigint, boolean) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.auth_use_recovery_code(uuid, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.auth_consume_webauthn_challenge(uuid, text) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,192 @@
+-- Service Hub Portal - Message Delivery Status (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-campaign-history.sql
+--
+-- A campaign message marked 'sent' has only been accepted by the provider. Twilio status callbacks
+-- (WhatsApp / SMS) and SES notifications through SNS (bounce, complaint, delivery) are received by
+-- js/delivery-status.js and stored here: every callback in message_delivery_events, the latest known
+-- outcome on the campaign_tasks row (delivery_status) and the totals on the campaign.
+-- Callbacks can arrive before the worker has stored the provider id, or out of order: events not yet
+-- matched to a message are applied when the message is stored, and a status never moves backwards.
+
+ALTER TABLE public.campaign_tasks
+  ADD COLUMN IF NOT EXISTS delivery_status text
+    CHECK (delivery_status IN ('queued','sent','delivered','read','failed','bounced')),
+  ADD COLUMN IF NOT EXISTS delivery_error text,
+  ADD COLUMN IF NOT EXISTS delivery_updated_at timestamptz,
+  ADD COLUMN IF NOT EXISTS complained_at timestamptz; -- SES complaint (marked as spam)
+
+CREATE INDEX IF NOT EXISTS campaign_tasks_provider_message_idx
+  ON public.campaign_tasks (provider_message_id)
+  WHERE provider_message_id IS NOT NULL;
+
+ALTER TABLE public.campaigns
+  ADD COLUMN IF NOT EXISTS delivered integer NOT NULL DEFAULT 0, -- delivered or read
+  ADD COLUMN IF NOT EXISTS read integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS undelivered integer NOT NULL DEFAULT 0, -- failed or bounced after being sent
+  ADD COLUMN IF NOT EXISTS complained integer NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS public.message_delivery_events (
+  id bigserial PRIMARY KEY,
+  provider text NOT NULL CHECK (provider IN ('twilio','ses')),
+  provider_message_id text NOT NULL,
+  status text NOT NULL CHECK (status IN ('queued','sent','delivered','read','failed','bounced','complained')),
+  error text,
+  payload jsonb,
+  task_id bigint REFERENCES public.campaign_tasks(id) ON DELETE SET NULL, -- NULL until matched
+  received_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS message_delivery_events_message_idx
+  ON public.message_delivery_events (provider_message_id, id);
+
+ALTER TABLE public.message_delivery_events ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='message_delivery_events' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.message_delivery_events FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Order of the delivery statuses: a callback with a lower rank than the current status is ignored
+CREATE OR REPLACE FUNCTION public.campaign_delivery_rank(p_status text)
+RETURNS integer
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE p_status
+    WHEN 'queued' THEN 1
+    WHEN 'sent' THEN 2
+    WHEN 'delivered' THEN 3
+    WHEN 'failed' THEN 3
+    WHEN 'read' THEN 4
+    WHEN 'bounced' THEN 4 -- a bounce can follow the SES delivery to the receiving server
+    ELSE 0
+  END;
+$$;
+
+-- Apply one status to a message and move the campaign totals accordingly
+CREATE OR REPLACE FUNCTION public.campaign_apply_delivery(
+  p_task_id bigint,
+  p_status text,
+  p_error text DEFAULT NULL
+)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_task public.campaign_tasks%ROWTYPE;
+  v_old text;
+BEGIN
+  SELECT * INTO v_task FROM public.campaign_tasks t WHERE t.id = p_task_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  IF p_status = 'complained' THEN
+    IF v_task.complained_at IS NULL THEN
+      UPDATE public.campaign_tasks t SET complained_at = now() WHERE t.id = p_task_id;
+      UPDATE public.campaigns c SET complained = c.complained + 1 WHERE c.id = v_task.campaign_id;
+    END IF;
+    RETURN;
+  END IF;
+
+  v_old := v_task.delivery_status;
+  IF public.campaign_delivery_rank(p_status) <= public.campaign_delivery_rank(v_old) THEN
+    RETURN;
+  END IF;
+
+  UPDATE public.campaign_tasks t
+  SET delivery_status = p_status,
+      delivery_error = CASE WHEN p_status IN ('failed','bounced') THEN p_error ELSE t.delivery_error END,
+      delivery_updated_at = now()
+  WHERE t.id = p_task_id;
+
+  UPDATE public.campaigns c
+  SET delivered = c.delivered
+        + (p_status IN ('delivered','read'))::int - COALESCE(v_old IN ('delivered','read'), false)::int,
+      read = c.read
+        + (p_status = 'read')::int - COALESCE(v_old = 'read', false)::int,
+      undelivered = c.undelivered
+        + (p_status IN ('failed','bounced'))::int - COALESCE(v_old IN ('failed','bounced'), false)::int
+  WHERE c.id = v_task.campaign_id;
+END;
+$$;
+
+-- Store a provider callback and apply it to the message it refers to. Returns the campaign_tasks id,
+-- NULL when the message is not (yet) known: the event is applied by campaign_delivery_reconcile
+CREATE OR REPLACE FUNCTION public.campaign_delivery_event(
+  p_provider text,
+  p_provider_message_id text,
+  p_status text,
+  p_error text DEFAULT NULL,
+  p_payload jsonb DEFAULT NULL
+)
+RETURNS bigint
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_task_id bigint;
+BEGIN
+  SELECT t.id INTO v_task_id
+  FROM public.campaign_tasks t
+  WHERE t.provider_message_id = p_provider_message_id
+  LIMIT 1;
+
+  INSERT INTO public.message_delivery_events (provider, provider_message_id, status, error, payload, task_id)
+  VALUES (p_provider, p_provider_message_id, p_status, p_error, p_payload, v_task_id);
+
+  IF v_task_id IS NOT NULL THEN
+    PERFORM public.campaign_apply_delivery(v_task_id, p_status, p_error);
+  END IF;
+  RETURN v_task_id;
+END;
+$$;
+
+-- Called by the worker once a message is accepted by the provider: initial status, then any
+-- callback that arrived before the provider id was stored
+CREATE OR REPLACE FUNCTION public.campaign_delivery_reconcile(
+  p_task_id bigint,
+  p_status text DEFAULT 'sent'
+)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_provider_message_id text;
+  v_event record;
+BEGIN
+  SELECT t.provider_message_id INTO v_provider_message_id
+  FROM public.campaign_tasks t
+  WHERE t.id = p_task_id AND t.status = 'sent';
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  PERFORM public.campaign_apply_delivery(p_task_id, p_status);
+  IF v_provider_message_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  FOR v_event IN
+    UPDATE public.message_delivery_events e
+    SET task_id = p_task_id
+    WHERE e.provider_message_id = v_provider_message_id AND e.task_id IS NULL
+    RETURNING e.id, e.status, e.error
+  LOOP
+    PERFORM public.campaign_apply_delivery(p_task_id, v_event.status, v_event.error);
+  END LOOP;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.campaign_apply_delivery(bigint, text, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.campaign_delivery_event(text, text, text, text, jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.campaign_delivery_reconcile(bigint, text) FROM PUBLIC, anon, authenticated;
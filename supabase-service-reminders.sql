@@ -0,0 +1,107 @@
+-- Service Hub Portal - Automated Service Reminders (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-campaign-schedule.sql
+--
+-- A dealer's reminder rule sends one of its templates on its own when a vehicle is due: every
+-- every_km of odometer, every months since the certificate was first issued, or when the daily
+-- battery average stayed below battery_volts for battery_days days in a row. js/service-reminders.js
+-- evaluates the active rules every night against the fleet database (vehicle.odometer, report) and
+-- queues the vehicles due as a campaign with source 'reminder', through the same consent and
+-- suppression screening as any other send. Every vehicle the rule fired for is kept in
+-- service_reminder_log: the next milestone and the cooldown of the rule are counted from there.
+
+CREATE TABLE IF NOT EXISTS public.service_reminder_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  dealer_id integer NOT NULL,
+  name text NOT NULL,
+  trigger_type text NOT NULL CHECK (trigger_type IN ('odometer','installation_age','low_battery')),
+  every_km integer CHECK (every_km > 0), -- odometer: each multiple of every_km
+  every_months integer CHECK (every_months > 0), -- installation_age: each multiple of every_months
+  battery_volts numeric(4,2) CHECK (battery_volts > 0), -- low_battery: daily average below this...
+  battery_days integer CHECK (battery_days BETWEEN 1 AND 30), -- ...for this many days in a row
+  template_id uuid NOT NULL REFERENCES public.communication_templates(id) ON DELETE RESTRICT,
+  language text NOT NULL DEFAULT 'it' CHECK (language IN ('it','en')),
+  cooldown_days integer NOT NULL DEFAULT 30 CHECK (cooldown_days >= 0), -- per vehicle, between two reminders of the rule
+  active boolean NOT NULL DEFAULT false,
+  last_run_at timestamptz, -- nightly evaluation, also claims the rule among instances
+  last_result jsonb, -- { queued, excluded, campaignId } or { error }
+  created_by_email text,
+  updated_by_email text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (dealer_id, name),
+  CHECK (
+    (trigger_type = 'odometer' AND every_km IS NOT NULL) OR
+    (trigger_type = 'installation_age' AND every_months IS NOT NULL) OR
+    (trigger_type = 'low_battery' AND battery_volts IS NOT NULL AND battery_days IS NOT NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS service_reminder_rules_dealer_idx
+  ON public.service_reminder_rules (dealer_id, created_at);
+
+CREATE INDEX IF NOT EXISTS service_reminder_rules_active_idx
+  ON public.service_reminder_rules (last_run_at)
+  WHERE active;
+
+CREATE TABLE IF NOT EXISTS public.service_reminder_log (
+  id bigserial PRIMARY KEY,
+  dealer_id integer NOT NULL,
+  rule_id uuid REFERENCES public.service_reminder_rules(id) ON DELETE SET NULL,
+  rule_name text NOT NULL, -- kept when the rule is deleted
+  vehicle_id integer NOT NULL,
+  certificate_id integer,
+  plate text,
+  milestone integer, -- km or months multiple reached, NULL for low_battery
+  value numeric, -- odometer km, months since installation or battery volts when it fired
+  status text NOT NULL CHECK (status IN ('queued','excluded')),
+  reason text, -- why an excluded vehicle got nothing (consent, suppression, no contact)
+  campaign_id uuid REFERENCES public.campaigns(id) ON DELETE SET NULL,
+  fired_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS service_reminder_log_rule_idx
+  ON public.service_reminder_log (rule_id, vehicle_id, fired_at DESC);
+
+CREATE INDEX IF NOT EXISTS service_reminder_log_dealer_idx
+  ON public.service_reminder_log (dealer_id, fired_at DESC);
+
+ALTER TABLE public.service_reminder_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.service_reminder_log ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='service_reminder_rules' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.service_reminder_rules FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='service_reminder_log' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.service_reminder_log FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+ALTER TABLE public.campaigns
+  DROP CONSTRAINT IF EXISTS campaigns_source_check;
+
+ALTER TABLE public.campaigns
+  ADD CONSTRAINT campaigns_source_check
+    CHECK (source IN ('ai','manual','reminder'));
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Per vehicle, the highest milestone a rule fired for and when it last fired
+CREATE OR REPLACE FUNCTION public.service_reminder_last_fired(p_rule_id uuid)
+RETURNS TABLE (vehicle_id integer, milestone integer, fired_at timestamptz)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT l.vehicle_id, MAX(l.milestone), MAX(l.fired_at)
+  FROM public.service_reminder_log l
+  WHERE l.rule_id = p_rule_id
+  GROUP BY l.vehicle_id;
+$$;
+
+REVOKE ALL ON FUNCTION public.service_reminder_last_fired(uuid) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,161 @@
+-- Service Hub Portal - Staff Admin Console (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-audit-events.sql
+--
+-- Mobisat staff accounts for the admin console (admin.html, see js/staff-admin.js). Staff sign in
+-- with an emailed one-time code and get their own session token, separate from dealer sessions.
+-- Every staff action (balance adjustment, PIN reset, webhook replay, impersonation) is written to
+-- the append-only staff_actions table. Impersonation opens a read-only dealer session marked with
+-- the staff user who opened it.
+--
+-- Staff accounts are created by hand:
+--   INSERT INTO public.staff_users (email, name) VALUES ('nome.cognome@mobisat.it', 'Nome Cognome');
+
+CREATE TABLE IF NOT EXISTS public.staff_users (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  email text NOT NULL,
+  name text,
+  status text NOT NULL DEFAULT 'active' CHECK (status IN ('active','disabled')),
+  login_code_hash text, -- SHA-256 of the pending emailed code
+  login_code_expires_at timestamptz,
+  login_code_attempts integer NOT NULL DEFAULT 0,
+  last_login_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS staff_users_email_idx
+  ON public.staff_users (lower(email));
+
+CREATE TABLE IF NOT EXISTS public.staff_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  staff_user_id uuid NOT NULL REFERENCES public.staff_users(id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE, -- SHA-256 of the opaque bearer token
+  user_agent text,
+  ip_address text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_used_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS staff_sessions_user_idx
+  ON public.staff_sessions (staff_user_id);
+
+CREATE TABLE IF NOT EXISTS public.staff_actions (
+  id bigserial PRIMARY KEY,
+  staff_user_id uuid, -- no FK: removed staff keep their history
+  staff_email text NOT NULL,
+  action text NOT NULL, -- e.g. balance_adjustment, pin_reset, webhook_replay, impersonation_start
+  dealer_id integer,
+  target_id text,
+  reason text,
+  details jsonb,
+  ip_address text,
+  user_agent text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS staff_actions_created_idx
+  ON public.staff_actions (created_at DESC);
+
+CREATE INDEX IF NOT EXISTS staff_actions_dealer_idx
+  ON public.staff_actions (dealer_id, created_at DESC);
+
+ALTER TABLE public.staff_users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.staff_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.staff_actions ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='staff_users' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.staff_users FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='staff_sessions' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.staff_sessions FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='staff_actions' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.staff_actions FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+
+-- IMPERSONATION ----------------------------------------------------------------
+
+-- A dealer session opened from the console: read-only, expires at the end of the time box
+ALTER TABLE public.auth_sessions ADD COLUMN IF NOT EXISTS impersonated_by uuid REFERENCES public.staff_users(id) ON DELETE SET NULL;
+ALTER TABLE public.auth_sessions ADD COLUMN IF NOT EXISTS impersonation_reason text;
+
+
+-- APPEND-ONLY ------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.staff_actions_append_only()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'staff_actions is append-only (% refused)', TG_OP;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS staff_actions_append_only ON public.staff_actions;
+CREATE TRIGGER staff_actions_append_only
+  BEFORE UPDATE OR DELETE ON public.staff_actions
+  FOR EACH ROW EXECUTE FUNCTION public.staff_actions_append_only();
+
+DROP TRIGGER IF EXISTS staff_actions_no_truncate ON public.staff_actions;
+CREATE TRIGGER staff_actions_no_truncate
+  BEFORE TRUNCATE ON public.staff_actions
+  FOR EACH STATEMENT EXECUTE FUNCTION public.staff_actions_append_only();
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Check an emailed login code. A wrong code counts an attempt; the right one (within p_max_attempts
+-- and before expiry) is consumed and the staff user returned
+CREATE OR REPLACE FUNCTION public.staff_use_login_code(
+  p_email text,
+  p_code_hash text,
+  p_max_attempts integer
+)
+RETURNS SETOF public.staff_users
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  UPDATE public.staff_users u
+  SET login_code_hash = NULL,
+      login_code_expires_at = NULL,
+      login_code_attempts = 0,
+      last_login_at = now()
+  WHERE lower(u.email) = lower(p_email)
+    AND u.status = 'active'
+    AND u.login_code_hash = p_code_hash
+    AND u.login_code_expires_at > now()
+    AND u.login_code_attempts < p_max_attempts
+  RETURNING u.*;
+
+  IF NOT FOUND THEN
+    UPDATE public.staff_users
+    SET login_code_attempts = login_code_attempts + 1
+    WHERE lower(email) = lower(p_email)
+      AND login_code_hash IS NOT NULL;
+  END IF;
+END;
+$$;
+
+REVOKE UPDATE, DELETE, TRUNCATE ON public.staff_actions FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.staff_use_login_code(text, text, integer) FROM PUBLIC, anon, authenticated;
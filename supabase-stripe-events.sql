@@ -0,0 +1,93 @@
+-- Service Hub Portal - Stripe Webhook Events (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-billing-low-balance.sql
+--
+-- Every verified Stripe event is stored here before it is processed, keyed by the Stripe event id,
+-- so a redelivery of the same event is recognised and never processed twice.
+-- status: received -> processing -> processed | ignored | failed (failed events are retried).
+-- Crediting itself is also idempotent (ledger key 'recharge:<id>'), this table is the first line.
+
+CREATE TABLE IF NOT EXISTS public.stripe_events (
+  id text PRIMARY KEY, -- Stripe event id (evt_...)
+  type text NOT NULL,
+  livemode boolean NOT NULL DEFAULT false,
+  stripe_created_at timestamptz,
+  payload jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'received' CHECK (status IN ('received','processing','processed','ignored','failed')),
+  attempts integer NOT NULL DEFAULT 0,
+  last_error text,
+  deliveries integer NOT NULL DEFAULT 1, -- how many times Stripe sent it
+  received_at timestamptz NOT NULL DEFAULT now(),
+  locked_at timestamptz,
+  processed_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS stripe_events_status_idx
+  ON public.stripe_events(status, received_at)
+  WHERE status IN ('received','processing','failed');
+
+CREATE INDEX IF NOT EXISTS stripe_events_received_idx
+  ON public.stripe_events(received_at DESC);
+
+ALTER TABLE public.stripe_events ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='stripe_events' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.stripe_events FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Store an event (or count a redelivery) and return its current status
+CREATE OR REPLACE FUNCTION public.stripe_event_record(
+  p_id text,
+  p_type text,
+  p_livemode boolean,
+  p_stripe_created_at timestamptz,
+  p_payload jsonb
+)
+RETURNS TABLE (status text, attempts integer, duplicate boolean)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  INSERT INTO public.stripe_events (id, type, livemode, stripe_created_at, payload)
+  VALUES (p_id, p_type, COALESCE(p_livemode, false), p_stripe_created_at, p_payload)
+  ON CONFLICT (id) DO NOTHING;
+
+  IF FOUND THEN
+    RETURN QUERY SELECT 'received'::text, 0, false;
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  UPDATE public.stripe_events e
+  SET deliveries = e.deliveries + 1
+  WHERE e.id = p_id
+  RETURNING e.status, e.attempts, true;
+END;
+$$;
+
+-- Take the processing lock. Only one worker wins; processed/ignored events are never claimed again.
+-- A 'processing' lock older than 10 minutes (crashed worker) can be taken over
+CREATE OR REPLACE FUNCTION public.stripe_event_claim(p_id text)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  UPDATE public.stripe_events
+  SET status = 'processing', attempts = attempts + 1, locked_at = now()
+  WHERE id = p_id
+    AND (status IN ('received','failed')
+         OR (status = 'processing' AND locked_at < now() - interval '10 minutes'));
+  RETURN FOUND;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.stripe_event_record(text, text, boolean, timestamptz, jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.stripe_event_claim(text) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,80 @@
+-- Service Hub Portal - Contact Suppressions (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-delivery-status.sql
+--
+-- Per-dealer list of customer contacts that must not be messaged again: hard bounces and complaints
+-- (SES notifications), WhatsApp / SMS "STOP" replies (Twilio incoming messages), the unsubscribe link
+-- of the campaign emails. js/suppressions.js fills it and the send paths skip the contacts listed here.
+-- Contacts are normalized like the audit trail does: lowercase email, phone as +<digits>
+
+CREATE TABLE IF NOT EXISTS public.contact_suppressions (
+  id bigserial PRIMARY KEY,
+  dealer_id integer NOT NULL,
+  contact_type text NOT NULL CHECK (contact_type IN ('email','phone')),
+  contact text NOT NULL, -- normalized
+  reason text NOT NULL CHECK (reason IN ('hard_bounce','complaint','stop_reply','unsubscribe')),
+  detail text, -- bounce diagnostic, reply text, ...
+  task_id bigint REFERENCES public.campaign_tasks(id) ON DELETE SET NULL, -- message that caused it, if any
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (dealer_id, contact_type, contact)
+);
+
+ALTER TABLE public.contact_suppressions ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='contact_suppressions' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.contact_suppressions FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Same as normalizeContact in js/audit-log.js for a phone number
+CREATE OR REPLACE FUNCTION public.contact_normalize_phone(p_phone text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN p_phone IS NULL THEN NULL
+    WHEN btrim(p_phone) LIKE '+%' OR btrim(p_phone) LIKE '00%'
+      THEN '+' || regexp_replace(regexp_replace(p_phone, '\D', '', 'g'), '^00', '')
+    ELSE regexp_replace(p_phone, '\D', '', 'g')
+  END;
+$$;
+
+-- STOP replies come in with the customer number only: find the dealers that messaged it
+CREATE INDEX IF NOT EXISTS campaign_tasks_phone_idx
+  ON public.campaign_tasks (public.contact_normalize_phone(phone))
+  WHERE phone IS NOT NULL;
+
+-- A "STOP" reply from p_phone suppresses it for every dealer that sent it a campaign message.
+-- Returns the number of dealers it was added for
+CREATE OR REPLACE FUNCTION public.contact_suppress_stop_reply(
+  p_phone text,
+  p_detail text DEFAULT NULL
+)
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_count integer;
+BEGIN
+  INSERT INTO public.contact_suppressions (dealer_id, contact_type, contact, reason, detail, task_id)
+  SELECT DISTINCT ON (c.dealer_id) c.dealer_id, 'phone', public.contact_normalize_phone(p_phone), 'stop_reply', p_detail, t.id
+  FROM public.campaign_tasks t
+  JOIN public.campaigns c ON c.id = t.campaign_id
+  WHERE public.contact_normalize_phone(t.phone) = public.contact_normalize_phone(p_phone)
+  ORDER BY c.dealer_id, t.id DESC
+  ON CONFLICT (dealer_id, contact_type, contact) DO NOTHING;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.contact_suppress_stop_reply(text, text) FROM PUBLIC, anon, authenticated;
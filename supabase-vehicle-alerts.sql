@@ -0,0 +1,156 @@
+-- Service Hub Portal - Vehicle Alerts (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-service-reminders.sql
+--
+-- A background monitor (js/vehicle-alerts.js) scans the new rows of the fleet database every few
+-- minutes: FMB003 OBD parameters of position (30 number of DTC, 43 distance with MIL on, 32 coolant
+-- temperature, 51 control module voltage) and crashes of the hourly report. A condition found on a
+-- dealer's vehicle opens one alert per vehicle and kind, which stays open until the dealer resolves it
+-- (seeing it again only refreshes it). The dealer is told by email and, optionally, WhatsApp
+-- (dealer_alert_settings); the alerts list of the portal is the inbox. vehicle_alert_monitor keeps how
+-- far the scan got, so every row is looked at once whatever the number of instances.
+
+CREATE TABLE IF NOT EXISTS public.vehicle_alerts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  dealer_id integer NOT NULL,
+  device_id integer NOT NULL,
+  vehicle_id integer,
+  certificate_id integer,
+  plate text,
+  kind text NOT NULL CHECK (kind IN ('dtc','mil_distance','coolant_temp','low_voltage','crash')),
+  severity text NOT NULL CHECK (severity IN ('warning','critical')),
+  value numeric, -- DTC count, km with MIL on, °C, V or crashes in the hour; the worst seen while open
+  status text NOT NULL DEFAULT 'open' CHECK (status IN ('open','acknowledged','resolved')),
+  occurrences integer NOT NULL DEFAULT 1, -- scans that found the condition while the alert was open
+  opened_at timestamptz NOT NULL DEFAULT now(),
+  last_seen_at timestamptz NOT NULL DEFAULT now(), -- time of the newest position / report that raised it
+  notified_at timestamptz, -- last email / WhatsApp about it (new alert or raised to critical)
+  acknowledged_at timestamptz,
+  acknowledged_by_email text,
+  resolved_at timestamptz,
+  resolved_by_email text,
+  resolution_note text
+);
+
+-- At most one alert of each kind per vehicle (device) until it is resolved
+CREATE UNIQUE INDEX IF NOT EXISTS vehicle_alerts_unresolved_idx
+  ON public.vehicle_alerts (device_id, kind)
+  WHERE status <> 'resolved';
+
+CREATE INDEX IF NOT EXISTS vehicle_alerts_dealer_idx
+  ON public.vehicle_alerts (dealer_id, status, last_seen_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.dealer_alert_settings (
+  dealer_id integer PRIMARY KEY,
+  email_enabled boolean NOT NULL DEFAULT true,
+  alert_email text, -- NULL => the dealer's companyLoginEmail
+  whatsapp_enabled boolean NOT NULL DEFAULT false,
+  whatsapp_phone text, -- international format, +39...
+  min_severity text NOT NULL DEFAULT 'warning' CHECK (min_severity IN ('warning','critical')), -- for email / WhatsApp, the list shows all
+  updated_by_email text,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (NOT whatsapp_enabled OR whatsapp_phone IS NOT NULL)
+);
+
+-- Single row: last position id and report hour scanned, and the lease of the instance scanning
+CREATE TABLE IF NOT EXISTS public.vehicle_alert_monitor (
+  id smallint PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  last_position_id bigint, -- NULL => the first scan starts from the newest position
+  last_report_hour timestamptz,
+  locked_until timestamptz,
+  last_scan_at timestamptz,
+  last_result jsonb -- { positions, reports, opened, notified } or { error }
+);
+
+INSERT INTO public.vehicle_alert_monitor (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE public.vehicle_alerts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.dealer_alert_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.vehicle_alert_monitor ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='vehicle_alerts' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.vehicle_alerts FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='dealer_alert_settings' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.dealer_alert_settings FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='vehicle_alert_monitor' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.vehicle_alert_monitor FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;
+
+
+-- FUNCTIONS --------------------------------------------------------------------
+
+-- Open an alert, or refresh the unresolved one of the same vehicle and kind: worst value and severity,
+-- newest last_seen_at. notify is true for a new alert and for one just raised from warning to critical
+CREATE OR REPLACE FUNCTION public.vehicle_alert_raise(
+  p_dealer_id integer,
+  p_device_id integer,
+  p_vehicle_id integer,
+  p_certificate_id integer,
+  p_plate text,
+  p_kind text,
+  p_severity text,
+  p_value numeric,
+  p_seen_at timestamptz,
+  p_worse_is_lower boolean DEFAULT false
+)
+RETURNS TABLE (alert_id uuid, opened boolean, notify boolean)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_alert public.vehicle_alerts%ROWTYPE;
+BEGIN
+  SELECT * INTO v_alert
+  FROM public.vehicle_alerts a
+  WHERE a.device_id = p_device_id AND a.kind = p_kind AND a.status <> 'resolved'
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    BEGIN
+      INSERT INTO public.vehicle_alerts (dealer_id, device_id, vehicle_id, certificate_id, plate, kind, severity, value, last_seen_at)
+      VALUES (p_dealer_id, p_device_id, p_vehicle_id, p_certificate_id, p_plate, p_kind, p_severity, p_value, p_seen_at)
+      RETURNING id INTO alert_id;
+      opened := true;
+      notify := true;
+      RETURN NEXT;
+      RETURN;
+    EXCEPTION WHEN unique_violation THEN
+      -- Opened meanwhile by another scan: refresh that one
+      SELECT * INTO v_alert
+      FROM public.vehicle_alerts a
+      WHERE a.device_id = p_device_id AND a.kind = p_kind AND a.status <> 'resolved'
+      FOR UPDATE;
+    END;
+  END IF;
+
+  UPDATE public.vehicle_alerts a
+  SET severity = CASE WHEN p_severity = 'critical' THEN 'critical' ELSE a.severity END,
+      value = CASE
+        WHEN a.value IS NULL THEN p_value
+        WHEN p_worse_is_lower THEN LEAST(a.value, p_value)
+        ELSE GREATEST(a.value, p_value)
+      END,
+      occurrences = a.occurrences + 1,
+      last_seen_at = GREATEST(a.last_seen_at, p_seen_at),
+      -- Back on the dealer's list when it gets worse after being acknowledged
+      status = CASE WHEN p_severity = 'critical' AND a.severity = 'warning' THEN 'open' ELSE a.status END
+  WHERE a.id = v_alert.id;
+
+  alert_id := v_alert.id;
+  opened := false;
+  notify := p_severity = 'critical' AND v_alert.severity = 'warning';
+  RETURN NEXT;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.vehicle_alert_raise(integer, integer, integer, integer, text, text, text, numeric, timestamptz, boolean) FROM PUBLIC, anon, authenticated;
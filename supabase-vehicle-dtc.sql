@@ -0,0 +1,39 @@
+-- Service Hub Portal - Vehicle DTC History (Supabase)
+-- Run this SQL in Supabase SQL Editor AFTER supabase-vehicle-alerts.sql
+--
+-- The vehicle alerts monitor (js/vehicle-alerts.js) also reads the trouble codes the devices send (FMB003
+-- parameter 281 Fault Codes) and keeps, per vehicle and code, when it was first and last seen and when it went
+-- away: the vehicle stopped reporting it, or reported no DTC at all (parameter 30 = 0). A code seen again after
+-- it was cleared starts a new row, so the table is the DTC history of the vehicle page.
+
+CREATE TABLE IF NOT EXISTS public.vehicle_dtc_history (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  dealer_id integer NOT NULL,
+  device_id integer NOT NULL,
+  vehicle_id integer,
+  certificate_id integer,
+  code text NOT NULL CHECK (code ~ '^[PCBU][0-3][0-9A-F]{3}$'),
+  first_seen_at timestamptz NOT NULL, -- time of the position that reported it first
+  last_seen_at timestamptz NOT NULL,
+  occurrences integer NOT NULL DEFAULT 1, -- scans that found it while active
+  cleared_at timestamptz -- NULL => still active
+);
+
+-- At most one active row per vehicle (device) and code
+CREATE UNIQUE INDEX IF NOT EXISTS vehicle_dtc_history_active_idx
+  ON public.vehicle_dtc_history (device_id, code)
+  WHERE cleared_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS vehicle_dtc_history_device_idx
+  ON public.vehicle_dtc_history (device_id, last_seen_at DESC);
+
+ALTER TABLE public.vehicle_dtc_history ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname='public' AND tablename='vehicle_dtc_history' AND policyname='allow_all_service_role'
+  ) THEN
+    CREATE POLICY allow_all_service_role ON public.vehicle_dtc_history FOR ALL TO service_role USING (true) WITH CHECK (true);
+  END IF;
+END$$;